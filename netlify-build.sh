@@ -11,21 +11,36 @@ echo "Cleaning previous build artifacts..."
 rm -rf build
 rm -rf node_modules/.cache
 
-# Step 1: Run preprocessor script
-echo "Running preprocessor script..."
-node debug-preprocess.js || echo "Preprocessor script failed but continuing..."
+# Step 1: Restore the snapshots the live site publishes. They are not committed, so
+# without this every deploy would replace the snapshot history with this build's.
+# Netlify sets URL to the site's main address; SNAPSHOTS_URL overrides it.
+SNAPSHOTS_URL="${SNAPSHOTS_URL:-${URL:+$URL/data/snapshots/}}"
+if [ -n "$SNAPSHOTS_URL" ]; then
+  echo "Restoring published snapshots from $SNAPSHOTS_URL..."
+  node src/pipeline-cli.js restore "$SNAPSHOTS_URL" --snapshots ./public/data/snapshots || exit 1
+else
+  echo "No site URL set, starting without published snapshots"
+fi
 
-# Step 2: Generate dashboard data
-echo "Generating dashboard data from Excel files..."
-node generate-dashboard-data.js
+# Step 2: Rebuild the dataset when workbook exports are checked in under data/,
+# otherwise build with the committed public/data/complete-data.json
+if ls data/*.xlsx >/dev/null 2>&1; then
+  echo "Processing Excel workbooks in data/..."
+  node src/pipeline-cli.js ingest --input data --output ./public/data/complete-data.json || exit 1
+else
+  echo "No workbooks in data/, using the committed dashboard data"
+fi
 
-# Step 3: Verify data was generated
+# Step 3: Check the data the dashboard will load
 if [ ! -f "./public/data/complete-data.json" ]; then
   echo "ERROR: Data generation failed - no complete-data.json found!"
   exit 1
 fi
 
-echo "Data generated successfully!"
+echo "Validating dashboard data..."
+node src/pipeline-cli.js validate ./public/data/complete-data.json || exit 1
+
+echo "Data is ready!"
 echo "Data file contents preview:"
 head -n 20 ./public/data/complete-data.json
 
@@ -1,8 +1,9 @@
 import React from 'react';
-import NovoNordiskDashboard from './novo-nordisk-dashboard';
+import NovoNordiskDashboard from './NovoNordiskDashboard';
 import { DataProvider } from './DataContext.js';
 
 // Main App component - Directly wraps the dashboard with DataProvider
+// The data source is chosen in config.js (dataSource)
 const App = () => {
   return (
     <DataProvider>
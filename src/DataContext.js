@@ -1,8 +1,31 @@
-import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { validateData, formatValidationReport } from './data-schema';
+import { createDataSource, initialFileStatus, loadSnapshotIndex, DataLoadError } from './data-sources';
+import { diffDatasets } from './dataset-diff';
+import { datasetVersion, readCachedDataset, writeCachedDataset, clearCachedDataset } from './dataset-cache';
+import { createPollScheduler } from './poll-scheduler';
+import { applySegment } from './segmentation';
+import config from './config';
 
 // Create the context
 const DataContext = createContext(undefined);
 
+// "What changed" for a newly loaded dataset: the report published with it when it
+// belongs to this build, otherwise a comparison with the dataset it replaces
+const resolveChanges = async (source, data, previousData, signal) => {
+  if (typeof source.loadChanges === 'function') {
+    const report = await source.loadChanges({ signal });
+    if (report && report.after && report.after.lastUpdated === data.lastUpdated) {
+      return report;
+    }
+  }
+
+  if (previousData && previousData !== data) {
+    return diffDatasets(previousData, data);
+  }
+  return null;
+};
+
 // Custom hook to use the data context
 export const useDataContext = () => {
   const context = useContext(DataContext);
@@ -12,145 +35,386 @@ export const useDataContext = () => {
   return context;
 };
 
-// Provider component with data fetching logic
-export const DataProvider = ({ children }) => {
+// Provider component with data loading logic
+// The data source comes from the `source` prop (an adapter or a config spec,
+// see data-sources.js) and falls back to config.dataSource. Pass a stable
+// spec: a new object on every render reloads the data.
+// loadSessionDataset swaps in another source (e.g. uploaded workbooks) until
+// clearSessionDataset or a page reload. setAsOf shows a published snapshot
+// instead (a build, or "as of" a date) until it is set back to null.
+// Sources with a cacheKey keep their last good dataset in IndexedDB
+// (dataset-cache.js): it is shown at once while the network copy loads, and
+// a newer network copy waits in pendingUpdate until applyUpdate swaps it in.
+// setSegment narrows the tabs to one product, department or site of the
+// dataset's segments ({ dimension, value }) until it is set back to null.
+// With `polling` enabled (prop, or config.polling) sources that can check
+// their version are polled while the page is visible and reloaded when a new
+// build is published.
+export const DataProvider = ({ children, source: sourceSpec = null, polling = config.polling }) => {
+  // Source for this session only, replacing the configured one while set
+  const [sessionSpec, setSessionSpec] = useState(null);
+
+  // Snapshot build (or date) being viewed, and the snapshots available to pick from
+  const [asOf, setAsOf] = useState(null);
+  const [snapshots, setSnapshots] = useState([]);
+
+  // Segment the tabs show ({ dimension, value }), or null for all data
+  const [segment, setSegment] = useState(null);
+
+  // Resolve the data source adapter once per spec
+  const source = useMemo(() => {
+    const snapshotSpec = asOf
+      ? { type: 'snapshot', asOf, indexUrl: config.snapshots.indexUrl, retry: config.dataSource.retry }
+      : null;
+    return createDataSource(sessionSpec || snapshotSpec || sourceSpec || config.dataSource);
+  }, [sessionSpec, asOf, sourceSpec]);
+
   // State for the data
-  const [state, setState] = useState({
+  const [state, setState] = useState(() => ({
     isLoading: true,
     error: null,
+    errorType: null,
     data: null,
     lastUpdated: null,
-    fileStatus: {
-      "complete-data.json": { loaded: false, status: 'pending' }
+    validation: null,
+    changes: null,
+    fileStatus: initialFileStatus(source),
+    progress: null,
+    isRevalidating: false,
+    cachedAt: null,
+    pendingUpdate: null
+  }));
+
+  // Dataset on screen, which the next load is compared against for "What changed",
+  // and its version ({ lastUpdated, etag }) for polling
+  const dataRef = useRef(null);
+  const versionRef = useRef(null);
+
+  // cacheKey of the source whose dataset is on screen; a cached copy is only
+  // worth showing when switching to (or first opening) a source
+  const shownKeyRef = useRef(null);
+
+  // Controller of the load in flight; a new load or a cancel aborts it
+  const loadControllerRef = useRef(null);
+
+  const abortLoad = useCallback(() => {
+    const controller = loadControllerRef.current;
+    loadControllerRef.current = null;
+    if (controller) controller.abort();
+    return controller !== null;
+  }, []);
+
+  // Load data from the configured source; per-file status is reported by the adapter.
+  // Failures keep the last good data and set a typed error:
+  // 'network' | 'http' | 'parse' (from the source) or 'schema' (payload shape).
+  const loadData = useCallback(async () => {
+    abortLoad();
+    const controller = new AbortController();
+    loadControllerRef.current = controller;
+    const { signal } = controller;
+    const cacheKey = config.cache.enabled ? source.cacheKey || null : null;
+
+    console.log(`Loading data from ${source.type} source`);
+
+    setState(prevState => ({
+      ...prevState,
+      isLoading: true,
+      error: null,
+      errorType: null,
+      fileStatus: initialFileStatus(source, 'loading'),
+      progress: null,
+      isRevalidating: false,
+      pendingUpdate: null
+    }));
+
+    // Stale-while-revalidate: show the cached copy while the network copy loads
+    let cached = null;
+    if (cacheKey && shownKeyRef.current !== cacheKey) {
+      cached = await readCachedDataset(cacheKey);
+      if (signal.aborted) return;
+
+      const cachedValidation = cached ? validateData(cached.data) : null;
+      if (cachedValidation && !cachedValidation.valid) {
+        console.warn('Discarding cached dataset that no longer matches the schema');
+        clearCachedDataset(cacheKey);
+        cached = null;
+      }
+
+      if (cached) {
+        console.log(`Showing cached dataset from ${cached.cachedAt} while revalidating`);
+        dataRef.current = cached.data;
+        versionRef.current = { lastUpdated: cached.data.lastUpdated, etag: cached.etag || null };
+        shownKeyRef.current = cacheKey;
+        setState(prevState => ({
+          ...prevState,
+          isLoading: false,
+          isRevalidating: true,
+          data: cached.data,
+          changes: cached.changes || null,
+          validation: cachedValidation,
+          lastUpdated: new Date(cached.cachedAt),
+          cachedAt: cached.cachedAt
+        }));
+      }
     }
-  });
 
-  // Load data on mount
-  useEffect(() => {
-    console.log("DataProvider mount useEffect triggered"); // Log mount effect
-    
-    // Create an AbortController to cancel the fetch if the component unmounts
-    const abortController = new AbortController();
-    
-    // Pass the abort signal to loadData (needs modification to accept it)
-    loadData(abortController.signal); // << RESTORE call
-    // console.log("TEMPORARILY SKIPPING loadData() on mount");
-    
-    // Cleanup function to abort the fetch on unmount
-    return () => {
-      console.log("DataProvider unmounting - Aborting fetch");
-      abortController.abort();
+    // ETag of the network copy, reported with the file's success status
+    let etag = null;
+    const onFileStatus = (name, status) => {
+      if (signal.aborted) return;
+      if (status.etag) etag = status.etag;
+      setState(prevState => ({
+        ...prevState,
+        fileStatus: { ...prevState.fileStatus, [name]: status }
+      }));
     };
-  }, []); // Still run only on mount
-
-  // Wrap loadData in useCallback
-  // Modify loadData to accept and use the signal
-  const loadData = useCallback(async (fetchSignal) => { // Accept signal
-    console.log("loadData function called");
-    
-    let newLoading = true;
-    let newError = null;
-    let newData = null;
-    let newFileStatus = { "complete-data.json": { loaded: false, status: 'loading' } };
-
-    const fetchWithRetry = async (url, signal, retries = 0, delay = 1000) => { // Accept signal
-      try {
-        console.log(`>>> Attempting fetch for: ${url}`);
-        // Pass the signal to the fetch options
-        const response = await fetch(url, { signal }); 
-        if (!response.ok) {
-          // Check if the error was due to aborting
-          if (signal?.aborted) {
-            throw new Error('Fetch aborted');
-          }
-          throw new Error(`Failed to load data: ${response.statusText} (${response.status}) from ${url}`);
-        }
-        return await response.json();
-      } catch (error) {
-        // Don't throw an error if it was intentionally aborted
-        if (error.name === 'AbortError') { 
-          console.log('Fetch was aborted.');
-          // We might want to return null or a specific indicator
-          return null; // Or throw a specific error if needed elsewhere
-        }
-        throw error; 
-      }
+
+    // Processing stage reported by sources that run the pipeline (workbook uploads)
+    const onProgress = (progress) => {
+      if (signal.aborted) return;
+      setState(prevState => ({ ...prevState, progress }));
     };
-    
+
     try {
-      const primaryUrl = `${window.location.origin}/data/complete-data.json`;
-      // Pass the signal down to fetchWithRetry
-      const jsonData = await fetchWithRetry(primaryUrl, fetchSignal);
-      
-      // If fetch was aborted, jsonData will be null, handle appropriately
-      if (jsonData !== null) { 
-        console.log("Successfully loaded complete data via fetch");
-        newLoading = false;
-        newError = null;
-        newData = jsonData;
-        newFileStatus = { "complete-data.json": { loaded: true, status: 'success' } };
-      } else {
-        // Fetch was aborted, maybe keep loading or set a specific state?
-        // For now, let's just avoid setting data and keep loading true? Or set error?
-        // Let's treat abort like an error for simplicity now, though it's not really.
-         newLoading = false; // Or maybe true if we want to retry?
-         newError = `Fetch aborted`; 
-         newData = null;
-         newFileStatus = { "complete-data.json": { loaded: false, status: 'aborted' } };
+      const jsonData = await source.load({ signal, onFileStatus, onProgress });
+      if (signal.aborted) return;
+
+      // Check the payload shape so a mismatch is reported, not shown as empty tabs
+      const validation = validateData(jsonData);
+      if (validation.errorCount > 0 || validation.warningCount > 0) {
+        console.warn(formatValidationReport(validation));
       }
+      if (!validation.valid) {
+        throw new DataLoadError('schema', `Data does not match the expected schema (${validation.errorCount} errors)`, { validation });
+      }
+
+      const changes = await resolveChanges(source, jsonData, dataRef.current, signal);
+      if (signal.aborted) return;
+
+      const version = datasetVersion(jsonData, etag);
+      if (cacheKey && (!cached || cached.version !== version)) {
+        writeCachedDataset(cacheKey, { version, etag, data: jsonData, changes });
+      }
+
+      // The cached copy on screen is current: keep it and stop revalidating
+      if (cached && cached.version === version) {
+        versionRef.current = { lastUpdated: jsonData.lastUpdated, etag };
+        setState(prevState => ({
+          ...prevState,
+          isLoading: false,
+          isRevalidating: false,
+          progress: null,
+          lastUpdated: new Date(),
+          cachedAt: null
+        }));
+        return;
+      }
+
+      // Newer than the cached copy on screen: offer it rather than swapping under the user
+      if (cached) {
+        setState(prevState => ({
+          ...prevState,
+          isLoading: false,
+          isRevalidating: false,
+          progress: null,
+          pendingUpdate: { data: jsonData, changes, validation, etag }
+        }));
+        return;
+      }
+
+      dataRef.current = jsonData;
+      versionRef.current = { lastUpdated: jsonData.lastUpdated, etag };
+      shownKeyRef.current = cacheKey;
 
+      setState(prevState => ({
+        ...prevState,
+        isLoading: false,
+        progress: null,
+        error: null,
+        errorType: null,
+        data: jsonData,
+        changes,
+        validation,
+        lastUpdated: new Date(),
+        cachedAt: null
+      }));
     } catch (error) {
-      // Handle non-abort errors
-      if (error.name !== 'AbortError') {
-        console.error("Error during data fetch:", error);
-        newLoading = false;
-        newError = `Failed to load data: ${error.message}`;
-        newData = null;
-        newFileStatus = { "complete-data.json": { loaded: false, status: 'error', error: error.message } };
+      // Aborted loads (cancelled, superseded or unmounted) leave state to whoever aborted them
+      if (error.name === 'AbortError' || signal.aborted) {
+        console.log('Data load was aborted.');
+        return;
       }
-      // If it was AbortError, it should have been handled inside the try block or fetchWithRetry
-      
+
+      // With a cached copy on screen the dashboard stays usable offline;
+      // cachedAt tells the UI the data shown could not be revalidated
+      console.error("Error during data load:", error);
+      setState(prevState => ({
+        ...prevState,
+        isLoading: false,
+        isRevalidating: false,
+        progress: null,
+        error: `Failed to load data: ${error.message}`,
+        errorType: error.type || 'unknown',
+        validation: error.validation || prevState.validation
+      }));
     } finally {
-      console.log("Updating state in finally block");
-      // Only update state if the fetch wasn't aborted mid-way 
-      // (Checking if newError contains 'Fetch aborted' is a bit fragile, but works for now)
-      if (newError !== 'Fetch aborted') { 
-          setState(prevState => ({ 
-            ...prevState, 
-            isLoading: newLoading,
-            error: newError,
-            data: newData,
-            lastUpdated: new Date(),
-            fileStatus: {
-               ...prevState.fileStatus,
-               ...newFileStatus 
-            }
-          }));
-      } else {
-          console.log("Skipping final state update due to fetch abort.");
+      if (loadControllerRef.current === controller) {
+        loadControllerRef.current = null;
       }
     }
+  }, [source, abortLoad]);
+
+  // Cancel the load in flight (e.g. a manual refresh) and keep the current data
+  const cancelLoad = useCallback(() => {
+    if (!abortLoad()) return;
+    setState(prevState => {
+      const fileStatus = {};
+      Object.entries(prevState.fileStatus).forEach(([name, status]) => {
+        fileStatus[name] = status.loaded ? status : { ...status, status: 'cancelled' };
+      });
+      return { ...prevState, isLoading: false, isRevalidating: false, progress: null, fileStatus };
+    });
+  }, [abortLoad]);
+
+  // Swap in the newer dataset that arrived while a cached copy was on screen
+  const applyUpdate = useCallback(() => {
+    setState(prevState => {
+      const { pendingUpdate } = prevState;
+      if (!pendingUpdate) return prevState;
+      dataRef.current = pendingUpdate.data;
+      versionRef.current = { lastUpdated: pendingUpdate.data.lastUpdated, etag: pendingUpdate.etag };
+      return {
+        ...prevState,
+        data: pendingUpdate.data,
+        changes: pendingUpdate.changes,
+        validation: pendingUpdate.validation,
+        lastUpdated: new Date(),
+        cachedAt: null,
+        pendingUpdate: null
+      };
+    });
+  }, []);
+
+  // Load data on mount and whenever the source changes; abort on unmount
+  useEffect(() => {
+    loadData();
+    return () => {
+      abortLoad();
+    };
+  }, [loadData, abortLoad]);
+
+  // Poll for a new build while the page is visible; reload only when the version changed
+  const isPolling = Boolean(polling && polling.enabled && typeof source.checkVersion === 'function');
+  useEffect(() => {
+    if (!isPolling) return undefined;
+
+    // Version a reload was last started for, so a build whose metadata never
+    // matches its data is reloaded once rather than on every check
+    let reloadedFor = null;
+    const scheduler = createPollScheduler(async ({ signal }) => {
+      const shown = versionRef.current;
+      if (!shown || loadControllerRef.current) return;
+
+      const latest = await source.checkVersion({ signal, method: polling.method });
+      const changed = 'etag' in latest ? latest.etag !== shown.etag : latest.lastUpdated !== shown.lastUpdated;
+      const key = JSON.stringify(latest);
+      if (changed && key !== reloadedFor && !signal.aborted) {
+        console.log(`New data version published (${key}), reloading`);
+        reloadedFor = key;
+        loadData();
+      }
+    }, { interval: polling.interval });
+
+    scheduler.start();
+    return () => scheduler.stop();
+  }, [isPolling, polling, source, loadData]);
+
+  // List the published snapshots once; without an index the "as of" picker stays hidden
+  useEffect(() => {
+    const controller = new AbortController();
+    loadSnapshotIndex({ indexUrl: config.snapshots.indexUrl, signal: controller.signal })
+      .then(setSnapshots)
+      .catch(error => {
+        if (error.name !== 'AbortError') console.log(`No snapshot index available: ${error.message}`);
+      });
+    return () => controller.abort();
   }, []);
 
+  // The dataset narrowed to the selected segment; null when none is selected
+  // or the dataset on screen has no such segment
+  const segmentedData = useMemo(
+    () => (segment && state.data ? applySegment(state.data, segment) : null),
+    [state.data, segment]
+  );
+
   // Memoize the context value
   const contextValue = useMemo(() => ({
     isLoading: state.isLoading,
     error: state.error,
-    data: state.data,
+    errorType: state.errorType,
+    data: segmentedData || state.data,
     fileStatus: state.fileStatus,
+    progress: state.progress,
     lastUpdated: state.lastUpdated,
-    // Add a wrapper function for logging refreshData calls
+    validation: state.validation,
+    changes: state.changes,
+    // Cache: data shown from IndexedDB (cachedAt) while or after revalidating,
+    // and a newer dataset waiting for applyUpdate
+    isRevalidating: state.isRevalidating,
+    cachedAt: state.cachedAt,
+    newDataAvailable: state.pendingUpdate !== null,
+    applyUpdate,
+    // Polling for new builds, every pollInterval ms while the page is visible
+    isPolling,
+    pollInterval: isPolling ? polling.interval : null,
+    dataSource: source.type,
+    isSessionDataset: sessionSpec !== null,
+    loadSessionDataset: (spec) => {
+      setAsOf(null);
+      setSessionSpec(spec);
+    },
+    clearSessionDataset: () => setSessionSpec(null),
+    // Time travel: show a build's snapshot by id, the last build of a date ("YYYY-MM-DD"), or null for the latest data
+    asOf,
+    snapshots,
+    setAsOf: (date) => {
+      setSessionSpec(null);
+      setAsOf(date || null);
+    },
+    // Segments: the dimensions the dataset is broken down by, and the one shown (null for all data)
+    segmentDimensions: state.data?.segments?.dimensions || [],
+    segment: segmentedData ? segment : null,
+    setSegment: (next) => setSegment(next && next.dimension && next.value ? { dimension: next.dimension, value: next.value } : null),
+    // Starts a new load (aborting any in flight) and returns a function that cancels it
     refreshData: () => {
-      console.log("*** refreshData called via context! ***"); // Add specific log
-      loadData(); // Call the actual loadData
-    }
+      loadData();
+      return cancelLoad;
+    },
+    cancelLoad
   }), [
     state.isLoading, 
     state.error, 
+    state.errorType,
     state.data, 
+    segmentedData,
+    segment,
     state.fileStatus, 
+    state.progress,
     state.lastUpdated, 
-    loadData // Keep loadData as dependency for the memo
+    state.validation,
+    state.changes,
+    state.isRevalidating,
+    state.cachedAt,
+    state.pendingUpdate,
+    applyUpdate,
+    isPolling,
+    polling,
+    source,
+    sessionSpec,
+    asOf,
+    snapshots,
+    loadData,
+    cancelLoad
   ]);
 
   return (
@@ -160,4 +424,4 @@ export const DataProvider = ({ children }) => {
   );
 };
 
-export default DataContext; 
\ No newline at end of file
+export default DataContext;
\ No newline at end of file
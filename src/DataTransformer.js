@@ -3,22 +3,59 @@
  * 
  * This module transforms raw records data into a structured format for the
  * Pharmaceutical Process & Quality Dashboard. It processes data for all dashboard tabs
- * including Overview, Internal RFT, External RFT, Process Metrics, and Insights.
+ * including Overview, Internal RFT, External RFT, Process Metrics, Insights,
+ * Deviations (from a deviation log linked to the records by batchId) and
+ * G7 Performance (from an equipment qualification log). Overview, Internal RFT,
+ * Process Metrics and Insights are also broken down by product, department and site.
  */
 
-import { formatDate, calculateStatistics, calculateParetoData, groupBy } from './utility-functions';
+const { calculateStatistics, calculateParetoData, groupBy } = require('./utility-functions');
+const { normalizeDate, parseDate, daysBetween } = require('./date-normalization');
+const { analyzeDeviations, deviationBatch, isDeviationClosed } = require('./deviation-analytics');
+const { analyzeQualifications } = require('./qualification-analytics');
+const { calculatePChart, calculateIndividualsChart, calculateXbarRChart } = require('./spc');
+const { analyzeCapability } = require('./process-capability');
+const { resolveProcessModel, findStage, stageElapsed, stageDuration } = require('./process-model');
+const { recordStageEvents, buildLotTimelines } = require('./lot-timeline');
+const { analyzeFlow } = require('./flow-metrics');
+const { createSegmenter, toSegmentSections } = require('./segmentation');
 
 class DataTransformer {
-  constructor() {
+  /**
+   * @param {Object} options - { dateOptions, deviations, qualifications, spc, capability,
+   *                           processModel, timeline, flow, segments } for the shared date
+   *                           normalisation (accepted formats, plant time zone), deviation
+   *                           analytics, qualification analytics, control charts, stage spec
+   *                           limits, the process stages, lot timelines, WIP/throughput alerts
+   *                           and segment dimensions (see deviation-analytics.js,
+   *                           qualification-analytics.js, spc.js, process-capability.js,
+   *                           process-model.js, lot-timeline.js, flow-metrics.js and
+   *                           segmentation.js)
+   */
+  constructor(options = {}) {
+    this.dateOptions = options.dateOptions || {};
+    this.deviationOptions = options.deviations || {};
+    this.qualificationOptions = options.qualifications || {};
+    this.spcOptions = options.spc || {};
+    this.capabilityOptions = options.capability || {};
+    this.processModel = resolveProcessModel(options.processModel);
+    this.timelineOptions = options.timeline || {};
+    this.flowOptions = options.flow || {};
+    this.segmentOptions = options.segments || {};
+    // Kept for the per-segment transformers
+    this.options = options;
     this.rawRecords = [];
+    this.deviationEvents = [];
+    this.qualificationRecords = [];
     this.transformedData = {
       overview: {},
       internalRFT: {},
       externalRFT: {},
       processMetrics: {},
       insights: {},
-      deviations: {}, // Placeholder for future implementation
-      g7Performance: {} // Placeholder for future implementation
+      deviations: {},
+      g7Performance: {},
+      segments: {}
     };
   }
 
@@ -36,6 +73,35 @@ class DataTransformer {
     console.log(`Loaded ${records.length} records for processing`);
   }
 
+  /**
+   * Set the deviation/event log
+   * @param {Array} events - Deviations { id, date, closedDate, batchId|lot, status, severity, rootCause, capa }
+   */
+  setDeviationData(events) {
+    if (!Array.isArray(events)) {
+      console.error('Invalid deviation data: events must be an array');
+      return;
+    }
+    
+    this.deviationEvents = events;
+    console.log(`Loaded ${events.length} deviations for processing`);
+  }
+
+  /**
+   * Set the equipment qualification log
+   * @param {Array} qualifications - Qualifications { equipmentId, equipmentClass, qualificationType,
+   *                                 dueDate, completedDate, result, interval }
+   */
+  setQualificationData(qualifications) {
+    if (!Array.isArray(qualifications)) {
+      console.error('Invalid qualification data: qualifications must be an array');
+      return;
+    }
+    
+    this.qualificationRecords = qualifications;
+    console.log(`Loaded ${qualifications.length} qualifications for processing`);
+  }
+
   /**
    * Get transformed data
    * @returns {Object} - Transformed dashboard data
@@ -68,7 +134,7 @@ class DataTransformer {
     });
     
     // Validate assembly_start date (primary date for aggregations)
-    if (record.assembly_start && !/^\d{4}-\d{2}-\d{2}/.test(record.assembly_start)) {
+    if (record.assembly_start && !normalizeDate(record.assembly_start, this.dateOptions).valid) {
       warnings.push(`Invalid assembly_start date format: ${record.assembly_start}`);
     }
     
@@ -80,22 +146,32 @@ class DataTransformer {
 
   /**
    * Transform all data for the dashboard
+   * @param {Object} options - { onProgress({ stage, completed, total }) } called as each stage starts
    * @returns {Object} - Complete transformed data
    */
-  transformData() {
+  transformData(options = {}) {
+    const { onProgress = () => {} } = options;
+    
     try {
       console.log('Starting data transformation...');
       
       // Transform data for each dashboard tab
-      this.transformOverviewData();
-      this.transformInternalRFTData();
-      this.transformExternalRFTData();
-      this.transformProcessMetricsData();
-      this.transformInsightsData();
+      const stages = [
+        { stage: 'overview', run: () => this.transformOverviewData() },
+        { stage: 'internalRFT', run: () => this.transformInternalRFTData() },
+        { stage: 'externalRFT', run: () => this.transformExternalRFTData() },
+        { stage: 'processMetrics', run: () => this.transformProcessMetricsData() },
+        { stage: 'insights', run: () => this.transformInsightsData() },
+        { stage: 'deviations', run: () => this.transformDeviationsData() },
+        { stage: 'g7Performance', run: () => this.transformG7PerformanceData() },
+        { stage: 'segments', run: () => this.transformSegmentsData() }
+      ];
       
-      // Placeholder transformations
-      this.transformDeviationsData();
-      this.transformG7PerformanceData();
+      stages.forEach(({ stage, run }, index) => {
+        onProgress({ stage, completed: index, total: stages.length });
+        run();
+      });
+      onProgress({ stage: 'done', completed: stages.length, total: stages.length });
       
       console.log('Data transformation complete');
       return this.transformedData;
@@ -117,6 +193,28 @@ class DataTransformer {
     return (passCount / records.length) * 100;
   }
 
+  /**
+   * Days between two date fields of a record
+   * @param {*} start - Start date value
+   * @param {*} end - End date value
+   * @returns {Number|null} - Elapsed days, or null when either date is missing or invalid
+   */
+  daysBetween(start, end) {
+    if (!start || !end) return null;
+    return daysBetween(start, end, this.dateOptions);
+  }
+
+  /**
+   * Duration of a process stage for a record (see process-model.js)
+   * @param {Object} record - Raw record
+   * @param {Object|null} stage - Stage of this.processModel
+   * @returns {Number|null} - Recorded duration, else days from the stage's start to end date
+   */
+  stageDuration(record, stage) {
+    if (!stage) return null;
+    return stageDuration(record, stage, this.dateOptions);
+  }
+
   /**
    * Group records by month
    * @param {Array} records - Array of records
@@ -132,9 +230,10 @@ class DataTransformer {
     const monthGroups = {};
     
     validRecords.forEach(record => {
-      const date = new Date(record[dateField]);
-      if (!isNaN(date.getTime())) {
-        const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+      // Calendar month in UTC, so a date-only value never shifts into the previous month
+      const date = parseDate(record[dateField], this.dateOptions);
+      if (date) {
+        const monthKey = date.toISOString().slice(0, 7);
         if (!monthGroups[monthKey]) {
           monthGroups[monthKey] = [];
         }
@@ -154,6 +253,41 @@ class DataTransformer {
     return result;
   }
 
+  /**
+   * Control charts for RFT and cycle time
+   * @param {Array} records - Array of records
+   * @param {Object} monthlyGroups - Records grouped by month (groupRecordsByMonth)
+   * @returns {Object} - { rft: p-chart of monthly RFT, cycleTime: individuals/moving-range chart
+   *                     of lot cycle times, cycleTimeByMonth: X-bar/R chart of monthly cycle times }
+   */
+  buildControlCharts(records, monthlyGroups) {
+    const cycleTime = (record) => parseFloat(record.cycleTime || record.total_cycle_time_days);
+    const months = Object.keys(monthlyGroups).sort();
+    
+    // Lots in start order, so run rules see the sequence the lots were made in
+    const lots = records
+      .filter(r => !isNaN(cycleTime(r)))
+      .map(r => ({ record: r, date: parseDate(r.assembly_start, this.dateOptions) }))
+      .filter(entry => entry.date)
+      .sort((a, b) => a.date - b.date);
+    
+    return {
+      rft: calculatePChart(months.map(month => ({
+        label: month,
+        count: monthlyGroups[month].filter(r => !r.hasErrors).length,
+        total: monthlyGroups[month].length
+      })), this.spcOptions),
+      cycleTime: calculateIndividualsChart(lots.map(({ record }) => ({
+        label: record.batchId || record.assembly_start,
+        value: cycleTime(record)
+      })), this.spcOptions),
+      cycleTimeByMonth: calculateXbarRChart(months.map(month => ({
+        label: month,
+        values: monthlyGroups[month].map(cycleTime).filter(val => !isNaN(val))
+      })), this.spcOptions)
+    };
+  }
+
   /**
    * Analyze error types to find most common issues
    * @param {Array} records - Array of records with errors
@@ -311,7 +445,8 @@ class DataTransformer {
         rftPerformance: [
           { name: 'Pass', value: records.filter(r => !r.hasErrors).length },
           { name: 'Fail', value: records.filter(r => r.hasErrors).length }
-        ]
+        ],
+        controlCharts: this.buildControlCharts(records, monthlyGroups)
       };
       
       console.log('Overview data transformation complete');
@@ -357,11 +492,13 @@ class DataTransformer {
       );
       
       // Compare Assembly vs Packaging
-      const assemblyRecords = internalRecords.filter(r => 
-        r.assembly_start && r.assembly_finish);
+      const assemblyStage = findStage(this.processModel, 'assembly');
+      const packagingStage = findStage(this.processModel, 'packaging');
+      const hasStageDates = (r, stage) => Boolean(stage && r[stage.startField] && r[stage.endField]);
+      
+      const assemblyRecords = internalRecords.filter(r => hasStageDates(r, assemblyStage));
       
-      const packagingRecords = internalRecords.filter(r => 
-        r.packaging_start && r.packaging_finish);
+      const packagingRecords = internalRecords.filter(r => hasStageDates(r, packagingStage));
       
       const processComparison = {
         assembly: {
@@ -378,8 +515,8 @@ class DataTransformer {
       
       // Calculate assembly cycle time
       const assemblyCycleTimes = assemblyRecords
-        .map(r => r.assembly_cycle_time)
-        .filter(val => val && !isNaN(val));
+        .map(r => this.stageDuration(r, assemblyStage))
+        .filter(val => val !== null);
       
       if (assemblyCycleTimes.length > 0) {
         processComparison.assembly.avgCycleTime = assemblyCycleTimes.reduce((sum, val) => sum + val, 0) / 
@@ -387,17 +524,9 @@ class DataTransformer {
       }
       
       // Calculate packaging cycle time
-      const packagingCycleTimes = packagingRecords.map(r => {
-        if (r.packaging_start && r.packaging_finish) {
-          const start = new Date(r.packaging_start);
-          const finish = new Date(r.packaging_finish);
-          if (!isNaN(start.getTime()) && !isNaN(finish.getTime())) {
-            // Return duration in days
-            return (finish - start) / (1000 * 60 * 60 * 24);
-          }
-        }
-        return null;
-      }).filter(val => val !== null);
+      const packagingCycleTimes = packagingRecords
+        .map(r => this.stageDuration(r, packagingStage))
+        .filter(val => val !== null);
       
       if (packagingCycleTimes.length > 0) {
         processComparison.packaging.avgCycleTime = packagingCycleTimes.reduce((sum, val) => sum + val, 0) / 
@@ -589,12 +718,13 @@ class DataTransformer {
       const records = this.rawRecords;
       if (!records || records.length === 0) return;
       
-      // Get records with process flow dates
+      const model = this.processModel;
+      const pciReviewStage = findStage(model, 'pciReview');
+      const nnReviewStage = findStage(model, 'nnReview');
+      
+      // Get records with process flow dates (any stage milestone)
       const processRecords = records.filter(r => 
-        r.date_pci_l_a_br_review_date || 
-        r.date_nn_l_a_br_review_date || 
-        r.date_pci_pack_review_date || 
-        r.date_nn_pack_review_date
+        model.stages.some(stage => stage.endField && r[stage.endField])
       );
       
       if (processRecords.length === 0) {
@@ -602,34 +732,31 @@ class DataTransformer {
         return;
       }
       
-      // Calculate process flow metrics
-      const processFlowMetrics = processRecords.map(record => {
-        const flow = {
-          batchId: record.batchId,
-          steps: []
-        };
-        
-        // Map sequential dates in the process flow
-        const dateMapping = [
-          { name: 'PCI L/A BR Review', field: 'date_pci_l_a_br_review_date' },
-          { name: 'NN L/A BR Review', field: 'date_nn_l_a_br_review_date' },
-          { name: 'PCI Packaging Review', field: 'date_pci_pack_review_date' },
-          { name: 'NN Packaging Review', field: 'date_nn_pack_review_date' },
-          { name: 'Release', field: 'release' }
-        ];
-        
-        dateMapping.forEach(step => {
-          if (record[step.field]) {
-            flow.steps.push({
-              name: step.name,
-              date: record[step.field]
-            });
-          }
-        });
-        
-        return flow;
+      // Rebuild each lot's timeline from its stage dates: touch vs wait time,
+      // out-of-order and missing events, and daily WIP
+      const timeline = buildLotTimelines(recordStageEvents(processRecords, model), model, {
+        ...this.timelineOptions,
+        dateOptions: this.dateOptions
       });
       
+      // Calculate process flow metrics
+      const processFlowMetrics = timeline.lots.map(lot => ({
+        batchId: lot.lot,
+        steps: lot.events.map(event => ({
+          name: event.stage,
+          owner: event.owner,
+          date: event.end,
+          start: event.start,
+          touchTime: event.touchTime,
+          waitBefore: event.waitBefore
+        })),
+        touchTime: lot.touchTime,
+        waitTime: lot.waitTime,
+        leadTime: lot.leadTime,
+        flowEfficiency: lot.flowEfficiency,
+        anomalies: lot.anomalies
+      }));
+      
       // Calculate time metrics
       const timeMetrics = {
         nnReviewTime: [],
@@ -637,29 +764,25 @@ class DataTransformer {
         nnAlignmentTime: []
       };
       
+      // NN Review Time: days from the PCI review milestone to the NN review milestone
+      const nnReviewTime = (record) => (nnReviewStage ? stageElapsed(record, nnReviewStage, this.dateOptions) : null);
+      
       processRecords.forEach(record => {
-        // NN Review Time: difference between NN L/A BR Review and PCI L/A BR Review
-        if (record.date_nn_l_a_br_review_date && record.date_pci_l_a_br_review_date) {
-          const nnDate = new Date(record.date_nn_l_a_br_review_date);
-          const pciDate = new Date(record.date_pci_l_a_br_review_date);
-          
-          if (!isNaN(nnDate.getTime()) && !isNaN(pciDate.getTime())) {
-            // Calculate days difference
-            const daysDiff = (nnDate - pciDate) / (1000 * 60 * 60 * 24);
-            if (daysDiff >= 0) { // Only include positive differences
-              timeMetrics.nnReviewTime.push(daysDiff);
-            }
-          }
+        const daysDiff = nnReviewTime(record);
+        if (daysDiff !== null && daysDiff >= 0) { // Only include positive differences
+          timeMetrics.nnReviewTime.push(daysDiff);
         }
         
-        // PCI Correction Time: Use correction fields if available
-        if (record.pci_wip_review_cycle_time && !isNaN(record.pci_wip_review_cycle_time)) {
-          timeMetrics.pciCorrectionTime.push(record.pci_wip_review_cycle_time);
+        // PCI Correction Time: PCI review duration
+        const pciCorrectionTime = this.stageDuration(record, pciReviewStage);
+        if (pciCorrectionTime !== null) {
+          timeMetrics.pciCorrectionTime.push(pciCorrectionTime);
         }
         
-        // NN Alignment Time: Similar calculation for NN reviews
-        if (record.nn_wip_review_cycle_time && !isNaN(record.nn_wip_review_cycle_time)) {
-          timeMetrics.nnAlignmentTime.push(record.nn_wip_review_cycle_time);
+        // NN Alignment Time: NN review duration
+        const nnAlignmentTime = this.stageDuration(record, nnReviewStage);
+        if (nnAlignmentTime !== null) {
+          timeMetrics.nnAlignmentTime.push(nnAlignmentTime);
         }
       });
       
@@ -692,26 +815,21 @@ class DataTransformer {
         
         monthRecords.forEach(record => {
           // NN Review Time
-          if (record.date_nn_l_a_br_review_date && record.date_pci_l_a_br_review_date) {
-            const nnDate = new Date(record.date_nn_l_a_br_review_date);
-            const pciDate = new Date(record.date_pci_l_a_br_review_date);
-            
-            if (!isNaN(nnDate.getTime()) && !isNaN(pciDate.getTime())) {
-              const daysDiff = (nnDate - pciDate) / (1000 * 60 * 60 * 24);
-              if (daysDiff >= 0) {
-                nnReviewTimes.push(daysDiff);
-              }
-            }
+          const daysDiff = nnReviewTime(record);
+          if (daysDiff !== null && daysDiff >= 0) {
+            nnReviewTimes.push(daysDiff);
           }
           
           // PCI Correction Time
-          if (record.pci_wip_review_cycle_time && !isNaN(record.pci_wip_review_cycle_time)) {
-            pciCorrectionTimes.push(record.pci_wip_review_cycle_time);
+          const pciCorrectionTime = this.stageDuration(record, pciReviewStage);
+          if (pciCorrectionTime !== null) {
+            pciCorrectionTimes.push(pciCorrectionTime);
           }
           
           // NN Alignment Time
-          if (record.nn_wip_review_cycle_time && !isNaN(record.nn_wip_review_cycle_time)) {
-            nnAlignmentTimes.push(record.nn_wip_review_cycle_time);
+          const nnAlignmentTime = this.stageDuration(record, nnReviewStage);
+          if (nnAlignmentTime !== null) {
+            nnAlignmentTimes.push(nnAlignmentTime);
           }
           
           // Total Process Time (cycle time)
@@ -743,11 +861,34 @@ class DataTransformer {
         return monthMetrics;
       });
       
+      // Average duration of every stage, in process order
+      const average = (values) => values.reduce((sum, val) => sum + val, 0) / values.length;
+      const round = (value) => parseFloat(value.toFixed(1));
+      
+      const cycleTimeBreakdown = model.stages
+        .map(stage => {
+          const durations = processRecords
+            .map(r => this.stageDuration(r, stage))
+            .filter(val => val !== null && val >= 0);
+          return { step: stage.name, owner: stage.owner, time: durations.length > 0 ? round(average(durations)) : null, count: durations.length };
+        })
+        .filter(item => item.count > 0);
+      
       // Set process metrics data
       this.transformedData.processMetrics = {
         recordCount: processRecords.length,
+        stages: model.stages.map(({ id, name, owner }) => ({ id, name, owner })),
         processFlowMetrics,
         timeMetricsStats,
+        cycleTimeBreakdown,
+        waitingTimes: timeline.waitingTimes,
+        lotTimeline: {
+          summary: timeline.summary,
+          anomalies: timeline.anomalies,
+          dailyWip: timeline.dailyWip
+        },
+        // WIP per stage, weekly throughput and lead time against Little's law
+        flow: analyzeFlow(timeline, model, this.flowOptions),
         monthlyProcessMetrics
       };
       
@@ -767,6 +908,8 @@ class DataTransformer {
       
       // Correlation Analysis
       const correlations = {};
+      const assemblyStage = findStage(this.processModel, 'assembly');
+      const packagingStage = findStage(this.processModel, 'packaging');
       
       // Extract data for correlation
       const dataPoints = records.map(record => {
@@ -781,18 +924,15 @@ class DataTransformer {
           point.cycleTime = record.cycleTime || record.total_cycle_time_days;
         }
         
-        if (record.assembly_cycle_time) {
-          point.assemblyCycleTime = record.assembly_cycle_time;
+        const assemblyCycleTime = this.stageDuration(record, assemblyStage);
+        if (assemblyCycleTime) {
+          point.assemblyCycleTime = assemblyCycleTime;
         }
         
         // Calculate packaging duration if available
-        if (record.packaging_start && record.packaging_finish) {
-          const start = new Date(record.packaging_start);
-          const finish = new Date(record.packaging_finish);
-          
-          if (!isNaN(start.getTime()) && !isNaN(finish.getTime())) {
-            point.packagingDuration = (finish - start) / (1000 * 60 * 60 * 24);
-          }
+        const packagingDuration = this.stageDuration(record, packagingStage);
+        if (packagingDuration !== null) {
+          point.packagingDuration = packagingDuration;
         }
         
         return point;
@@ -837,49 +977,15 @@ class DataTransformer {
         outliers: []
       };
       
-      // Define process stages to analyze
-      const processStages = [
-        {
-          name: 'Assembly',
-          durationField: 'assembly_cycle_time'
-        },
-        {
-          name: 'PCI Review',
-          durationField: 'pci_wip_review_cycle_time'
-        },
-        {
-          name: 'NN Review',
-          durationField: 'nn_wip_review_cycle_time'
-        },
-        {
-          name: 'Packaging',
-          // Calculate from packaging_start and packaging_finish
-          calculateDuration: (record) => {
-            if (record.packaging_start && record.packaging_finish) {
-              const start = new Date(record.packaging_start);
-              const finish = new Date(record.packaging_finish);
-              
-              if (!isNaN(start.getTime()) && !isNaN(finish.getTime())) {
-                return (finish - start) / (1000 * 60 * 60 * 24);
-              }
-            }
-            return null;
-          }
-        }
-      ];
+      // Stage durations in record order, for the capability analysis
+      const stageDurations = {};
       
-      // Calculate statistics for each stage
-      processStages.forEach(stage => {
+      // Calculate statistics for each stage of the process model
+      this.processModel.stages.forEach(stage => {
         let durations = [];
         
         records.forEach(record => {
-          let duration = null;
-          
-          if (stage.durationField && record[stage.durationField]) {
-            duration = record[stage.durationField];
-          } else if (stage.calculateDuration) {
-            duration = stage.calculateDuration(record);
-          }
+          const duration = this.stageDuration(record, stage);
           
           if (duration !== null && !isNaN(duration)) {
             durations.push({
@@ -893,6 +999,7 @@ class DataTransformer {
           // Calculate statistics
           const durationValues = durations.map(d => d.duration);
           const stats = calculateStatistics(durationValues);
+          stageDurations[stage.name] = durationValues;
           
           // Find outliers (≥2 standard deviations)
           const outlierThreshold = stats.mean + 2 * stats.standardDeviation;
@@ -907,6 +1014,7 @@ class DataTransformer {
           
           bottleneckAnalysis.stages.push({
             name: stage.name,
+            owner: stage.owner,
             count: durations.length,
             avgDuration: stats.mean,
             medianDuration: stats.median,
@@ -930,6 +1038,9 @@ class DataTransformer {
       // Sort outliers by duration descending
       bottleneckAnalysis.outliers.sort((a, b) => b.duration - a.duration);
       
+      // Capability of each stage against its spec limits (Cp/Cpk, Pp/Ppk)
+      const capabilityAnalysis = analyzeCapability(stageDurations, this.capabilityOptions);
+      
       // Pattern Recognition for recurring issues
       const patternAnalysis = {
         seasonalTrends: [],
@@ -942,10 +1053,13 @@ class DataTransformer {
         'assembly_start'
       );
       
+      // Group all records once, not once per month
+      const monthlyRecordGroups = this.groupRecordsByMonth(records, 'assembly_start');
+      
       const monthlyErrorCounts = Object.entries(monthlyErrorGroups).map(([month, monthRecords]) => ({
         month,
         errorCount: monthRecords.length,
-        totalCount: (this.groupRecordsByMonth(records, 'assembly_start')[month] || []).length
+        totalCount: (monthlyRecordGroups[month] || []).length
       })).filter(item => item.totalCount > 0);
       
       // Identify months with higher error rates
@@ -1052,6 +1166,7 @@ class DataTransformer {
       this.transformedData.insights = {
         correlations,
         bottleneckAnalysis,
+        capabilityAnalysis,
         patternAnalysis,
         recommendations
       };
@@ -1063,46 +1178,159 @@ class DataTransformer {
   }
 
   /**
-   * Transform data for the Deviations/Events tab (placeholder)
+   * Transform data for the Deviations/Events tab
+   * Open/closed counts, ageing, severity, root-cause recurrence and CAPA linkage
+   * come from deviation-analytics.js; on top of that each deviation is linked to
+   * its batch record to compare the cycle times of batches with and without deviations.
    */
   transformDeviationsData() {
-    // Placeholder for future implementation
-    this.transformedData.deviations = {
-      info: "This tab is a placeholder for future implementation of Deviations/Events tracking.",
-      plannedFunctionality: [
-        "Event timeline visualization",
-        "Deviation severity tracking",
-        "CAPA management integration",
-        "Compliance impact assessment"
-      ],
-      expectedDataSources: [
-        "Deviation management system",
-        "Quality event database",
-        "Regulatory submission records"
-      ]
-    };
+    try {
+      const events = this.deviationEvents;
+      const batchRecords = new Map();
+      this.rawRecords.forEach(record => {
+        if (record.batchId) batchRecords.set(String(record.batchId), record);
+      });
+      
+      const analysis = analyzeDeviations(events, {
+        ...this.deviationOptions,
+        batchIds: batchRecords.keys(),
+        dateOptions: this.dateOptions
+      });
+      
+      // Deviations per batch, with the batch's own cycle time and error state
+      const byBatch = {};
+      events.forEach(event => {
+        const batchId = deviationBatch(event);
+        if (!batchId) return;
+        
+        if (!byBatch[batchId]) {
+          const record = batchRecords.get(batchId);
+          const cycleTime = record ? parseFloat(record.cycleTime || record.total_cycle_time_days) : NaN;
+          byBatch[batchId] = {
+            batchId,
+            deviations: 0,
+            open: 0,
+            severities: [],
+            linked: Boolean(record),
+            cycleTime: isNaN(cycleTime) ? null : cycleTime,
+            hasErrors: record ? Boolean(record.hasErrors) : null
+          };
+        }
+        
+        const batch = byBatch[batchId];
+        batch.deviations++;
+        if (!isDeviationClosed(event, this.deviationOptions)) batch.open++;
+        if (event.severity && !batch.severities.includes(event.severity)) batch.severities.push(event.severity);
+      });
+      
+      // Average cycle time of batches with deviations against those without
+      const averageCycleTime = (records) => {
+        const values = records
+          .map(r => parseFloat(r.cycleTime || r.total_cycle_time_days))
+          .filter(val => !isNaN(val));
+        return values.length > 0 ? parseFloat((values.reduce((sum, val) => sum + val, 0) / values.length).toFixed(1)) : null;
+      };
+      const batchRecordList = Array.from(batchRecords.values());
+      
+      this.transformedData.deviations = {
+        available: events.length > 0,
+        records: events,
+        ...analysis,
+        byBatch: Object.values(byBatch).sort((a, b) => b.deviations - a.deviations),
+        cycleTimeImpact: {
+          withDeviations: averageCycleTime(batchRecordList.filter(r => byBatch[String(r.batchId)])),
+          withoutDeviations: averageCycleTime(batchRecordList.filter(r => !byBatch[String(r.batchId)]))
+        }
+      };
+    } catch (error) {
+      console.error('Error transforming deviations data:', error);
+    }
   }
 
   /**
-   * Transform data for the G7 Performance Qualifications tab (placeholder)
+   * Transform data for the G7 Performance Qualifications tab
+   * Qualification status per equipment, overdue items, the requalification
+   * calendar and pass rates per equipment class (see qualification-analytics.js)
    */
   transformG7PerformanceData() {
-    // Placeholder for future implementation
-    this.transformedData.g7Performance = {
-      info: "This tab is a placeholder for future implementation of G7 Performance Qualifications tracking.",
-      plannedFunctionality: [
-        "Qualification status tracking",
-        "Performance trending",
-        "Validation lifecycle management",
-        "Equipment efficiency metrics"
-      ],
-      expectedDataSources: [
-        "Equipment qualification records",
-        "Engineering maintenance system",
-        "Performance qualification protocols"
-      ]
+    try {
+      const qualifications = this.qualificationRecords;
+      
+      this.transformedData.g7Performance = {
+        available: qualifications.length > 0,
+        records: qualifications,
+        ...analyzeQualifications(qualifications, {
+          ...this.qualificationOptions,
+          dateOptions: this.dateOptions
+        })
+      };
+    } catch (error) {
+      console.error('Error transforming G7 performance data:', error);
+    }
+  }
+
+  /**
+   * Overview, Internal RFT, Process Metrics and Insights for each segment of a
+   * dimension, next to the totals of the whole population
+   * @param {String} dimension - 'product' | 'department' | 'site', or another
+   *                             dimension of the segment options (see segmentation.js)
+   * @returns {Object} - { dimension, label, totals, segments: [{ value, recordCount, overview,
+   *                       internalRFT, processMetrics, insights }] }; segments is empty when
+   *                       no record carries the dimension
+   */
+  transformBySegment(dimension) {
+    const segmenter = createSegmenter(this.rawRecords, this.segmentOptions);
+    const entry = segmenter.dimensions.find(item => item.dimension === dimension);
+    const { overview, internalRFT, processMetrics, insights } = this.transformedData;
+    
+    // Each segment runs the same transforms on its own records
+    const segments = (entry ? entry.segments : []).map(({ value, count }) => {
+      const transformer = new DataTransformer(this.options);
+      transformer.setRawData(segmenter.filter(this.rawRecords, dimension, value));
+      transformer.transformOverviewData();
+      transformer.transformInternalRFTData();
+      transformer.transformProcessMetricsData();
+      transformer.transformInsightsData();
+      
+      return {
+        value,
+        recordCount: count,
+        overview: transformer.transformedData.overview,
+        internalRFT: transformer.transformedData.internalRFT,
+        processMetrics: transformer.transformedData.processMetrics,
+        insights: transformer.transformedData.insights
+      };
+    });
+    
+    return {
+      dimension,
+      label: entry ? entry.label : dimension,
+      totals: { overview, internalRFT, processMetrics, insights },
+      segments
     };
   }
+
+  /**
+   * Per-segment sections for every dimension the records carry, keyed like the
+   * pipeline's complete-data.json so the dashboard's segment selector reads either
+   */
+  transformSegmentsData() {
+    try {
+      const { dimensions } = createSegmenter(this.rawRecords, this.segmentOptions);
+      const results = {};
+      
+      dimensions.forEach(({ dimension }) => {
+        results[dimension] = {};
+        this.transformBySegment(dimension).segments.forEach(({ value, recordCount, ...sections }) => {
+          results[dimension][value] = toSegmentSections(sections);
+        });
+      });
+      
+      this.transformedData.segments = { dimensions, results };
+    } catch (error) {
+      console.error('Error transforming segment data:', error);
+    }
+  }
 }
 
-export default DataTransformer; 
\ No newline at end of file
+module.exports = DataTransformer;
\ No newline at end of file
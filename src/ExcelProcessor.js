@@ -1,57 +1,79 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const xlsx = require('xlsx');
+const { discoverWorkbooks } = require('./workbook-discovery');
+const { ExcelPipeline } = require('./excel-pipeline');
+const { fingerprintConfig, buildManifest } = require('./processing-manifest');
+const { diffDatasets } = require('./dataset-diff');
+const { SNAPSHOT_INDEX_FILE, snapshotDate, snapshotId, updateSnapshotIndex, latestSnapshot } = require('./dataset-snapshots');
 
-class ExcelProcessor {
+// SHA-256 of file or output contents, as recorded in the manifest
+const hashContent = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+// Node front end of the Excel pipeline: finds workbooks on disk, runs the
+// environment-neutral core (excel-pipeline.js) and writes complete-data.json.
+// Runs are incremental: metadata.json keeps a manifest of workbook and sheet
+// hashes, and unchanged ones are reused from the previous complete-data.json.
+// Each run also writes changes.json and, when the data changed, a dated snapshot
+// (dataset-snapshots.js).
+class ExcelProcessor extends ExcelPipeline {
   constructor(config = {}) {
-    this.config = {
+    super({
       internalRftPath: path.resolve(process.cwd(), 'Internal RFT.xlsx'),
       externalRftPath: path.resolve(process.cwd(), 'External RFT.xlsx'),
       commercialProcessPath: path.resolve(process.cwd(), 'Commercial Process.xlsx'),
+      // Optional deviation/event log; CSV exports work too
+      deviationsPath: path.resolve(process.cwd(), 'Deviations.xlsx'),
+      // Optional equipment qualification log for the G7 Performance tab
+      qualificationsPath: path.resolve(process.cwd(), 'Equipment Qualification.xlsx'),
       outputPath: path.resolve(process.cwd(), 'public/data/complete-data.json'),
+      manifestPath: path.resolve(process.cwd(), 'public/data/metadata.json'),
+      changesPath: path.resolve(process.cwd(), 'public/data/changes.json'),
+      snapshotsDir: path.resolve(process.cwd(), 'public/data/snapshots'),
+      incremental: true,
       ...config
-    };
-    
+    });
+
+    // Workbooks per source. `files` takes paths or glob patterns
+    // ("data/internal/*.xlsx") and defaults to the single workbook path.
+    this.sources.internal = { files: [this.config.internalRftPath], ...this.sources.internal };
+    this.sources.external = { files: [this.config.externalRftPath], ...this.sources.external };
+    this.sources.process = { files: [this.config.commercialProcessPath], ...this.sources.process };
+    this.sources.deviations = { files: [this.config.deviationsPath], ...this.sources.deviations };
+    this.sources.qualifications = { files: [this.config.qualificationsPath], ...this.sources.qualifications };
+
     // Ensure the output directory exists
     const outputDir = path.dirname(this.config.outputPath);
     if (!fs.existsSync(outputDir)) {
       fs.mkdirSync(outputDir, { recursive: true });
     }
   }
-  
-  // Process all Excel files and generate the combined JSON
-  async processAll() {
+
+  // Process all Excel files and generate the combined JSON.
+  // options.full skips the previous run and processes every workbook again.
+  async processAll(options = {}) {
     try {
       console.log('Starting Excel processing...');
-      
-      // Process each file
-      const internalRftData = this.processInternalRft();
-      const externalRftData = this.processExternalRft();
-      const commercialProcessData = this.processCommercialProcess();
-      
-      // Combine into a single structure
-      const combinedData = {
-        overview: this.generateOverview(internalRftData, externalRftData, commercialProcessData),
-        internalRFT: internalRftData,
-        externalRFT: externalRftData,
-        commercialProcess: commercialProcessData,
-        lastUpdated: new Date().toISOString(),
-        dataVersion: '1.0.0',
-        dataSourceInfo: {
-          files: [
-            { name: 'Internal RFT.xlsx', records: internalRftData.records.length },
-            { name: 'External RFT.xlsx', records: externalRftData.records.length },
-            { name: 'Commercial Process.xlsx', records: commercialProcessData.records.length }
-          ]
-        }
-      };
-      
-      // Write to output file
-      fs.writeFileSync(
-        this.config.outputPath, 
-        JSON.stringify(combinedData, null, 2)
-      );
-      
+
+      this.workbooks = {};
+      const previous = this.readPreviousRun();
+      const incremental = Boolean(this.config.incremental && !options.full && previous);
+      if (!this.usePreviousRun(incremental ? previous : null) && incremental) {
+        console.log('Previous run cannot be reused (settings or output changed); processing everything');
+      }
+
+      const combinedData = this.buildDataset();
+
+      // Write to output file and the manifest for the next run
+      const output = JSON.stringify(combinedData, null, 2);
+      fs.writeFileSync(this.config.outputPath, output);
+      this.writeManifest(output, combinedData.lastUpdated);
+      if (this.config.changesPath) {
+        this.writeChanges(previous && previous.output, combinedData);
+      }
+      this.snapshot = this.config.snapshotsDir ? this.writeSnapshot(output, combinedData) : null;
+
       console.log(`Data successfully processed and saved to ${this.config.outputPath}`);
       return combinedData;
     } catch (error) {
@@ -59,466 +81,157 @@ class ExcelProcessor {
       throw error;
     }
   }
-  
-  // Process Internal RFT Excel file
-  processInternalRft() {
-    try {
-      console.log(`Processing Internal RFT file: ${this.config.internalRftPath}`);
-      
-      // Read the Excel file
-      const workbook = xlsx.readFile(this.config.internalRftPath);
-      const sheet = workbook.Sheets[workbook.SheetNames[0]];
-      const rawData = xlsx.utils.sheet_to_json(sheet);
-      
-      // Process records
-      const records = rawData.map(row => ({
-        id: row.ID || `INT-${Math.floor(Math.random() * 10000)}`,
-        date: row.Date || new Date().toISOString().split('T')[0],
-        lot: row.Lot || '',
-        product: row.Product || '',
-        department: row.Department || '',
-        errorType: row.ErrorType || '',
-        status: row.Status || 'Pending',
-        impact: row.Impact || 'Low',
-        timeToResolution: row.TimeToResolution || 0,
-        comments: row.Comments || ''
-      }));
-      
-      // Calculate statistics
-      const totalRecords = records.length;
-      const passingRecords = records.filter(r => r.status === 'Passed').length;
-      const failingRecords = records.filter(r => r.status === 'Failed').length;
-      
-      // Generate form error analysis data
-      const formErrors = this.analyzeFormErrors(records);
-      
-      // Generate monthly trends data
-      const formErrorTrends = this.generateMonthlyTrends(formErrors);
-      
-      return {
-        records,
-        summary: {
-          totalRecords,
-          passingRecords,
-          failingRecords,
-          rftRate: totalRecords > 0 ? (passingRecords / totalRecords * 100).toFixed(1) : '0.0'
-        },
-        formErrors,
-        formErrorTrends,
-        insights: [
-          'Production records show the highest error rate at 23%',
-          'Batch release forms have improved by 12% this quarter',
-          'Morning shift has 30% more errors than evening shift'
-        ]
-      };
-    } catch (error) {
-      console.error('Error processing Internal RFT file:', error);
-      // Return a placeholder structure
-      return {
-        records: [],
-        summary: { totalRecords: 0, passingRecords: 0, failingRecords: 0, rftRate: '0.0' },
-        formErrors: [],
-        formErrorTrends: [],
-        insights: ['Error processing Internal RFT data']
-      };
+
+  // Find the workbooks matching a source's file patterns and hash their contents.
+  // Workbooks are only parsed (readWorkbook) when the previous run cannot supply them.
+  getWorkbooks(source) {
+    if (this.workbooks[source]) return this.workbooks[source];
+
+    const { label, files } = this.sources[source];
+    const workbookPaths = discoverWorkbooks(files);
+
+    if (workbookPaths.length === 0) {
+      throw new Error(`No ${label} workbooks found for: ${[].concat(files).join(', ')}`);
     }
-  }
-  
-  // Process External RFT Excel file
-  processExternalRft() {
-    try {
-      console.log(`Processing External RFT file: ${this.config.externalRftPath}`);
-      
-      // Read the Excel file
-      const workbook = xlsx.readFile(this.config.externalRftPath);
-      const sheet = workbook.Sheets[workbook.SheetNames[0]];
-      const rawData = xlsx.utils.sheet_to_json(sheet);
-      
-      // Process records
-      const records = rawData.map(row => ({
-        id: row.ID || `EXT-${Math.floor(Math.random() * 10000)}`,
-        date: row.Date || new Date().toISOString().split('T')[0],
-        lot: row.Lot || '',
-        customer: row.Customer || '',
-        product: row.Product || '',
-        issueType: row.IssueType || '',
-        status: row.Status || 'Open',
-        severity: row.Severity || 'Low',
-        resolutionTime: row.ResolutionTime || 0,
-        feedback: row.Feedback || ''
-      }));
-      
-      // Calculate statistics
-      const totalComplaints = records.length;
-      const resolvedComplaints = records.filter(r => r.status === 'Closed').length;
-      const pendingComplaints = records.filter(r => r.status === 'Open').length;
-      
-      // Customer comment analysis
-      const customerComments = this.analyzeCustomerComments(records);
-      
-      return {
-        records,
-        summary: {
-          totalComplaints,
-          resolvedComplaints,
-          pendingComplaints,
-          resolutionRate: totalComplaints > 0 ? (resolvedComplaints / totalComplaints * 100).toFixed(1) : '0.0'
-        },
-        customerComments,
-        insights: [
-          'Labeling issues constitute 45% of all customer complaints',
-          'Average resolution time has decreased by 20% this quarter',
-          'Customer satisfaction rate for resolved issues is 87%'
-        ]
-      };
-    } catch (error) {
-      console.error('Error processing External RFT file:', error);
-      // Return a placeholder structure
-      return {
-        records: [],
-        summary: { totalComplaints: 0, resolvedComplaints: 0, pendingComplaints: 0, resolutionRate: '0.0' },
-        customerComments: [],
-        insights: ['Error processing External RFT data']
+
+    this.workbooks[source] = workbookPaths.map(filePath => {
+      const entry = {
+        name: path.basename(filePath),
+        path: path.relative(process.cwd(), filePath) || path.basename(filePath)
       };
-    }
+
+      try {
+        const buffer = fs.readFileSync(filePath);
+        entry.hash = hashContent(buffer);
+        entry.size = buffer.length;
+        entry.lastModified = fs.statSync(filePath).mtime.toISOString();
+        entry.readWorkbook = () => xlsx.read(buffer, { type: 'buffer' });
+      } catch (error) {
+        entry.error = error;
+      }
+
+      return entry;
+    });
+
+    return this.workbooks[source];
   }
-  
-  // Process Commercial Process Excel file
-  processCommercialProcess() {
+
+  // Previous output and manifest (null when missing), or null without a readable output
+  readPreviousRun() {
+    const { manifestPath, outputPath } = this.config;
+    if (!fs.existsSync(outputPath)) return null;
+
     try {
-      console.log(`Processing Commercial Process file: ${this.config.commercialProcessPath}`);
-      
-      // Read the Excel file
-      const workbook = xlsx.readFile(this.config.commercialProcessPath);
-      const sheet = workbook.Sheets[workbook.SheetNames[0]];
-      const rawData = xlsx.utils.sheet_to_json(sheet);
-      
-      // Process records
-      const records = rawData.map(row => ({
-        id: row.ID || `CP-${Math.floor(Math.random() * 10000)}`,
-        date: row.Date || new Date().toISOString().split('T')[0],
-        lot: row.Lot || '',
-        product: row.Product || '',
-        stage: row.Stage || '',
-        duration: row.Duration || 0,
-        status: row.Status || 'In Progress',
-        deviation: row.Deviation === 'Yes',
-        comments: row.Comments || ''
-      }));
-      
-      // Calculate statistics
-      const totalLots = records.length;
-      const completedLots = records.filter(r => r.status === 'Completed').length;
-      const inProgressLots = records.filter(r => r.status === 'In Progress').length;
-      const onHoldLots = records.filter(r => r.status === 'On Hold').length;
-      
-      // Process flow data
-      const processFlow = this.analyzeProcessFlow(records);
-      
+      const outputText = fs.readFileSync(outputPath, 'utf8');
       return {
-        records,
-        summary: {
-          totalLots,
-          completedLots,
-          inProgressLots,
-          onHoldLots,
-          completionRate: totalLots > 0 ? (completedLots / totalLots * 100).toFixed(1) : '0.0'
-        },
-        processFlow,
-        insights: [
-          'Quality control stage accounts for 40% of the total process time',
-          'Deviations occur most frequently during the filling stage',
-          'Process efficiency has improved by 15% since last quarter'
-        ]
+        manifest: fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : null,
+        output: JSON.parse(outputText),
+        outputHash: hashContent(outputText)
       };
     } catch (error) {
-      console.error('Error processing Commercial Process file:', error);
-      // Return a placeholder structure
-      return {
-        records: [],
-        summary: { totalLots: 0, completedLots: 0, inProgressLots: 0, onHoldLots: 0, completionRate: '0.0' },
-        processFlow: [],
-        insights: ['Error processing Commercial Process data']
-      };
+      console.warn('Could not read the previous run; processing everything:', error.message);
+      return null;
     }
   }
-  
-  // Generate overview data
-  generateOverview(internalRftData, externalRftData, commercialProcessData) {
-    // Calculate total records
-    const totalRecords = 
-      internalRftData.records.length + 
-      externalRftData.records.length + 
-      commercialProcessData.records.length;
-    
-    // Calculate total lots
-    const lots = new Set();
-    internalRftData.records.forEach(r => r.lot && lots.add(r.lot));
-    externalRftData.records.forEach(r => r.lot && lots.add(r.lot));
-    commercialProcessData.records.forEach(r => r.lot && lots.add(r.lot));
-    const totalLots = lots.size;
-    
-    // Calculate overall RFT rate
-    const internalRFT = parseFloat(internalRftData.summary.rftRate) || 0;
-    const externalRFT = 100 - parseFloat(externalRftData.summary.resolutionRate) || 0;
-    const commercialRFT = parseFloat(commercialProcessData.summary.completionRate) || 0;
-    
-    // Weight the different RFT values to get an overall rate
-    const overallRFT = (
-      (internalRFT * 0.4) + 
-      (100 - externalRFT) * 0.3 + 
-      (commercialRFT * 0.3)
-    ).toFixed(1);
-    
-    // Generate RFT performance data
-    const rftPerformance = [
-      { name: 'Passed', value: internalRftData.summary.passingRecords },
-      { name: 'Failed', value: internalRftData.summary.failingRecords }
-    ];
-    
-    // Generate issue distribution
-    const issueDistribution = [
-      { name: 'Form Errors', value: internalRftData.summary.failingRecords },
-      { name: 'Customer Issues', value: externalRftData.summary.totalComplaints },
-      { name: 'Process Delays', value: commercialProcessData.summary.onHoldLots },
-      { name: 'Quality Concerns', value: Math.floor(internalRftData.summary.failingRecords * 0.7) }
-    ];
-    
-    // Generate monthly trend data
-    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun'];
-    const processTimeline = months.map((month, index) => {
-      const monthData = { month };
-      
-      // Generate some trend data
-      const baseRFT = parseFloat(internalRftData.summary.rftRate) || 90;
-      const baseLotRFT = parseFloat(commercialProcessData.summary.completionRate) || 85;
-      
-      // Add slight improvements over time
-      const improvement = index * 0.5;
-      
-      monthData.recordRFT = Math.min(99, parseFloat(baseRFT) + improvement);
-      monthData.lotRFT = Math.min(98, parseFloat(baseLotRFT) + improvement);
-      
-      return monthData;
-    });
-    
-    // Generate lot quality metrics
-    const totalLotsPassed = commercialProcessData.summary.completedLots;
-    const totalLotsFailed = commercialProcessData.summary.totalLots - commercialProcessData.summary.completedLots;
-    const lotQualityPercentage = parseFloat(commercialProcessData.summary.completionRate) || 90;
-    
-    return {
-      stats: {
-        totalRecords,
-        totalLots,
-        overallRFTRate: overallRFT
-      },
-      rftPerformance,
-      issueDistribution,
-      processTimeline,
-      lotQuality: {
-        pass: totalLotsPassed,
-        fail: totalLotsFailed,
-        percentage: Math.round(lotQualityPercentage),
-        change: '+2.5'
-      }
-    };
-  }
-  
-  // Analyze form errors
-  analyzeFormErrors(records) {
-    // Group by error type
-    const errorGroups = {};
-    records.forEach(record => {
-      if (!record.errorType) return;
-      
-      if (!errorGroups[record.errorType]) {
-        errorGroups[record.errorType] = { count: 0, records: [] };
-      }
-      
-      errorGroups[record.errorType].count++;
-      errorGroups[record.errorType].records.push(record);
-    });
-    
-    // Convert to array and sort by count
-    const formErrors = Object.keys(errorGroups).map(name => {
-      const records = errorGroups[name].records;
-      const count = errorGroups[name].count;
-      
-      // Determine trend based on record dates
-      // Simple approach: if more recent records have more errors, trend is "up"
-      const trend = this.determineTrend(records);
-      
-      return {
-        name,
-        errors: count,
-        trend
-      };
-    }).sort((a, b) => b.errors - a.errors);
-    
-    return formErrors;
-  }
-  
-  // Generate monthly trends data for form errors
-  generateMonthlyTrends(formErrors) {
-    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun'];
-    const topForms = formErrors.slice(0, 3).map(form => form.name);
-    
-    // Create monthly trend data - in real implementation, this would
-    // come from the actual data grouped by month
-    return months.map((month, monthIndex) => {
-      const monthData = { month };
-      
-      // Add data for each top form
-      topForms.forEach((form, formIndex) => {
-        const formInfo = formErrors.find(f => f.name === form);
-        const baseTrend = formInfo?.trend || 'flat';
-        let baseValue = formInfo?.errors || 10;
-        baseValue = Math.max(5, Math.min(30, baseValue));
-        
-        // Apply trend factor
-        let trendFactor = 0;
-        if (baseTrend === 'up') {
-          trendFactor = monthIndex * 0.1;
-        } else if (baseTrend === 'down') {
-          trendFactor = -monthIndex * 0.1;
-        }
-        
-        // Calculate final value - more deterministic for fixed output
-        const value = Math.round(baseValue * (1 + trendFactor));
-        monthData[form] = value;
+
+  // Write metadata.json: per-workbook hashes, sheets and modification times,
+  // plus the config fingerprint and output hash the next run checks against
+  writeManifest(output, processedAt) {
+    const files = [];
+    Object.keys(this.sources).forEach(source => {
+      (this.workbooks[source] || []).forEach(({ name, path: filePath, hash, size, lastModified }) => {
+        files.push({ type: source, name, path: filePath, hash, size, lastModified });
       });
-      
-      return monthData;
     });
+
+    const manifest = buildManifest({
+      configHash: fingerprintConfig(this),
+      files,
+      output: {
+        path: path.relative(process.cwd(), this.config.outputPath) || path.basename(this.config.outputPath),
+        hash: hashContent(output)
+      },
+      processedAt,
+      previous: this.previousRun
+    }, this.workbookReports);
+
+    fs.mkdirSync(path.dirname(this.config.manifestPath), { recursive: true });
+    fs.writeFileSync(this.config.manifestPath, JSON.stringify(manifest, null, 2));
   }
-  
-  // Analyze customer comments
-  analyzeCustomerComments(records) {
-    // Group by issue type
-    const issueGroups = {};
-    records.forEach(record => {
-      if (!record.issueType) return;
-      
-      if (!issueGroups[record.issueType]) {
-        issueGroups[record.issueType] = { count: 0, records: [] };
+
+  // Write changes.json, the dashboard's "What changed" report against the previous output.
+  // A rebuild with unchanged data keeps the last report, re-dated to this build.
+  writeChanges(previousOutput, combinedData) {
+    const { changesPath } = this.config;
+    if (!previousOutput) {
+      fs.rmSync(changesPath, { force: true });
+      return;
+    }
+
+    let report = diffDatasets(previousOutput, combinedData);
+    if (!report.hasChanges && fs.existsSync(changesPath)) {
+      try {
+        report = { ...JSON.parse(fs.readFileSync(changesPath, 'utf8')), after: report.after };
+      } catch (error) {
+        console.warn(`Could not read ${changesPath}; replacing it:`, error.message);
       }
-      
-      issueGroups[record.issueType].count++;
-      issueGroups[record.issueType].records.push(record);
-    });
-    
-    // Convert to array and sort by count
-    const customerComments = Object.keys(issueGroups).map(name => {
-      const count = issueGroups[name].count;
-      const records = issueGroups[name].records;
-      const sentiment = this.determineSentiment(records);
-      
-      return {
-        name,
-        count,
-        sentiment
-      };
-    }).sort((a, b) => b.count - a.count);
-    
-    return customerComments;
+    }
+
+    fs.mkdirSync(path.dirname(changesPath), { recursive: true });
+    fs.writeFileSync(changesPath, JSON.stringify(report, null, 2));
   }
-  
-  // Analyze process flow
-  analyzeProcessFlow(records) {
-    // Group by stage
-    const stageGroups = {};
-    records.forEach(record => {
-      if (!record.stage) return;
-      
-      if (!stageGroups[record.stage]) {
-        stageGroups[record.stage] = { 
-          count: 0, 
-          totalDuration: 0,
-          deviations: 0,
-          records: [] 
-        };
+
+  // Publish the output as snapshots/<build id>.json (with that build's change report)
+  // and list it under its day in the snapshot index, so the dashboard can show the
+  // data as any build showed it, including earlier builds of the same day.
+  // Returns { id, published }: published is false when the data matches the latest snapshot.
+  writeSnapshot(output, combinedData) {
+    const { snapshotsDir, changesPath } = this.config;
+    const indexPath = path.join(snapshotsDir, SNAPSHOT_INDEX_FILE);
+    let index = null;
+    if (fs.existsSync(indexPath)) {
+      try {
+        index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+      } catch (error) {
+        console.warn(`Could not read ${indexPath}; starting a new snapshot index:`, error.message);
       }
-      
-      stageGroups[record.stage].count++;
-      stageGroups[record.stage].totalDuration += record.duration || 0;
-      if (record.deviation) stageGroups[record.stage].deviations++;
-      stageGroups[record.stage].records.push(record);
-    });
-    
-    // Convert to array format
-    const processFlow = Object.keys(stageGroups).map(name => {
-      const count = stageGroups[name].count;
-      const avgDuration = stageGroups[name].count > 0 ? 
-        Math.round(stageGroups[name].totalDuration / stageGroups[name].count) : 0;
-      const deviationRate = stageGroups[name].count > 0 ?
-        (stageGroups[name].deviations / stageGroups[name].count * 100).toFixed(1) : '0.0';
-      
-      return {
-        name,
-        count,
-        avgDuration,
-        deviationRate
-      };
-    });
-    
-    return processFlow;
-  }
-  
-  // Helper to determine trend based on records
-  determineTrend(records) {
-    if (records.length < 2) return 'flat';
-    
-    // Sort by date
-    const sortedRecords = [...records].sort((a, b) => {
-      return new Date(a.date) - new Date(b.date);
-    });
-    
-    // Split into two halves
-    const half = Math.floor(sortedRecords.length / 2);
-    const firstHalf = sortedRecords.slice(0, half);
-    const secondHalf = sortedRecords.slice(half);
-    
-    // Compare counts - basic trend analysis
-    const firstHalfCount = firstHalf.length;
-    const secondHalfCount = secondHalf.length;
-    
-    if (secondHalfCount > firstHalfCount * 1.2) return 'up';
-    if (secondHalfCount < firstHalfCount * 0.8) return 'down';
-    return 'flat';
-  }
-  
-  // Helper to determine sentiment based on customer feedback
-  determineSentiment(records) {
-    // Basic sentiment analysis based on feedback
-    let positiveCount = 0;
-    let negativeCount = 0;
-    
-    const positiveWords = ['good', 'great', 'excellent', 'satisfied', 'happy', 'resolved', 'thank'];
-    const negativeWords = ['bad', 'poor', 'disappointed', 'issue', 'problem', 'delay', 'fail'];
-    
-    records.forEach(record => {
-      if (!record.feedback) return;
-      
-      const feedback = record.feedback.toLowerCase();
-      let positive = false;
-      let negative = false;
-      
-      positiveWords.forEach(word => {
-        if (feedback.includes(word)) positive = true;
-      });
-      
-      negativeWords.forEach(word => {
-        if (feedback.includes(word)) negative = true;
-      });
-      
-      if (positive && !negative) positiveCount++;
-      if (negative && !positive) negativeCount++;
-    });
-    
-    if (positiveCount > negativeCount * 1.5) return 'positive';
-    if (negativeCount > positiveCount) return 'negative';
-    return 'neutral';
+    }
+
+    // Rebuilding unchanged workbooks only moves lastUpdated: keep the latest snapshot
+    const contentHash = hashContent(JSON.stringify({ ...combinedData, lastUpdated: null }));
+    const latest = latestSnapshot((index && index.snapshots) || []);
+    if (latest && latest.contentHash === contentHash) {
+      console.log(`Data unchanged since snapshot ${latest.id}; no snapshot published`);
+      return { id: latest.id, published: false };
+    }
+
+    const date = snapshotDate(combinedData.lastUpdated, this.config.dates);
+    const hash = hashContent(output);
+    const id = snapshotId(combinedData.lastUpdated, hash);
+    const file = `${id}.json`;
+    fs.mkdirSync(snapshotsDir, { recursive: true });
+    fs.writeFileSync(path.join(snapshotsDir, file), output);
+
+    let changes = null;
+    if (changesPath && fs.existsSync(changesPath)) {
+      changes = `${id}.changes.json`;
+      fs.copyFileSync(changesPath, path.join(snapshotsDir, changes));
+    }
+
+    const entry = {
+      date,
+      id,
+      file,
+      changes,
+      lastUpdated: combinedData.lastUpdated,
+      dataVersion: combinedData.dataVersion,
+      hash,
+      contentHash,
+      records: combinedData.overview.stats.totalRecords
+    };
+    fs.writeFileSync(indexPath, JSON.stringify(updateSnapshotIndex(index, entry), null, 2));
+    console.log(`Snapshot ${file} published to ${snapshotsDir}`);
+    return { id, published: true };
   }
 }
 
@@ -0,0 +1,110 @@
+import React from 'react';
+import { ComposedChart, Bar, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+
+// Colors from Novo Nordisk spec
+const colors = {
+  primary: '#db0032', // Novo Nordisk Red
+  secondary: '#0066a4', // Complementary Blue
+  tertiary: '#00a0af', // Teal
+  success: '#00843d', // Green
+  warning: '#ffc72c', // Yellow
+  neutral: '#6c757d' // Gray
+};
+
+const format = (value, suffix = '') => (value === null || value === undefined ? 'N/A' : `${value}${suffix}`);
+
+/**
+ * Histogram of a stage's durations against its spec limits, with the fitted
+ * normal curve and the capability indices
+ * @param {Object} props - { stage, capableThreshold, height }
+ *   stage - a stage from process-capability.js analyzeCapability
+ */
+const CapabilityHistogram = ({ stage, capableThreshold = 1.33, height = 256 }) => {
+  if (!stage || !stage.histogram || stage.histogram.length === 0) {
+    return <div className="p-4 bg-gray-50 rounded">No durations recorded for this stage</div>;
+  }
+
+  // The axis is categorical, so limits are drawn on the bin that contains them
+  const binFor = (value) => {
+    if (value === null || value === undefined) return null;
+    const bin = stage.histogram.find(b => value >= b.start && value <= b.end);
+    return bin ? bin.label : null;
+  };
+  const markers = [
+    { key: 'lsl', label: 'LSL', value: stage.lsl, color: colors.primary },
+    { key: 'usl', label: 'USL', value: stage.usl, color: colors.primary },
+    { key: 'target', label: 'Target', value: stage.target, color: colors.success },
+    { key: 'mean', label: 'Mean', value: stage.mean, color: colors.neutral }
+  ].filter(marker => binFor(marker.value) !== null);
+
+  const indexColor = (value) => {
+    if (value === null || value === undefined) return colors.neutral;
+    if (value >= capableThreshold) return colors.success;
+    return value >= 1 ? colors.warning : colors.primary;
+  };
+  const indices = [
+    { label: 'Cp', value: stage.cp },
+    { label: 'Cpk', value: stage.cpk },
+    { label: 'Pp', value: stage.pp },
+    { label: 'Ppk', value: stage.ppk }
+  ];
+
+  return (
+    <div>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mb-3">
+        {indices.map(index => (
+          <div key={index.label} className="bg-gray-50 rounded p-2 text-center">
+            <div className="text-xs text-gray-500">{index.label}</div>
+            <div className="text-lg font-semibold" style={{ color: indexColor(index.value) }}>{format(index.value)}</div>
+          </div>
+        ))}
+      </div>
+
+      {stage.insufficientData && (
+        <p className="text-xs text-gray-500 mb-2">Only {stage.count} lots: too few for capability indices.</p>
+      )}
+
+      <div style={{ height }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={stage.histogram} margin={{ top: 20, right: 30, left: 0, bottom: 10 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="label" />
+            <YAxis allowDecimals={false} />
+            <Tooltip labelFormatter={(label) => `${label} days`} />
+            <Legend />
+            <Bar dataKey="count" name="Lots" fill={colors.secondary} isAnimationActive={false} />
+            <Line type="monotone" dataKey="expected" name="Normal fit" stroke={colors.tertiary} dot={false} isAnimationActive={false} />
+            {markers.map(marker => (
+              <ReferenceLine
+                key={marker.key}
+                x={binFor(marker.value)}
+                stroke={marker.color}
+                strokeDasharray={marker.key === 'mean' ? '3 3' : '5 5'}
+                label={{ value: `${marker.label} ${marker.value}`, position: 'top', fontSize: 11, fill: marker.color }}
+              />
+            ))}
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="mt-3 text-sm text-gray-600 space-y-1">
+        <div>
+          Out of spec: {format(stage.percentOutOfSpec, '%')} observed, {format(stage.expectedPercentOutOfSpec, '%')} expected from the normal fit
+        </div>
+        <div>
+          Sigma: {format(stage.withinStdDev)} within, {format(stage.stdDev)} overall
+        </div>
+        {stage.normality && (
+          <div style={{ color: stage.normality.normal ? colors.success : colors.primary }}>
+            {stage.normality.test} p = {stage.normality.pValue}:{' '}
+            {stage.normality.normal
+              ? 'consistent with a normal distribution'
+              : 'not normal, so treat the indices with caution'}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CapabilityHistogram;
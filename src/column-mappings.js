@@ -0,0 +1,218 @@
+/**
+ * Column mappings for the Excel ingestion pipeline
+ *
+ * Each source type maps a record field to the spreadsheet headers it may
+ * appear under. Headers are compared after normalisation (case, spaces and
+ * punctuation are ignored), so "Error Type", "ErrorType" and "error_type"
+ * all match the same alias.
+ *
+ * Field options:
+ *   aliases  - header names the field may appear under
+ *   type     - 'string' | 'number' | 'boolean' | 'date'
+ *   required - report the column as missing when no alias matches
+ *   default  - value used when the cell is empty or cannot be coerced
+ *   optional - date fields only: an empty cell is expected (e.g. the closed
+ *              date of an open deviation) and is not flagged
+ *
+ * Date fields have no default: an empty or unparseable date is left null
+ * and flagged on the record (see mapRow) so it is never stamped with today.
+ */
+
+const { normalizeDate } = require('./date-normalization');
+
+const DEFAULT_COLUMN_MAPPINGS = {
+  internal: {
+    id: { aliases: ['ID', 'Record ID', 'Record No'], type: 'string' },
+    date: { aliases: ['Date', 'Record Date', 'Error Date'], type: 'date', required: true, default: null },
+    lot: { aliases: ['Lot', 'Lot No', 'Lot Number', 'Batch', 'Batch No', 'Batch ID'], type: 'string', required: true, default: '' },
+    product: { aliases: ['Product', 'Product Name'], type: 'string', default: '' },
+    department: { aliases: ['Department', 'Dept', 'Area'], type: 'string', default: '' },
+    site: { aliases: ['Site', 'Plant', 'Site Name', 'Manufacturing Site'], type: 'string', default: '' },
+    errorType: { aliases: ['ErrorType', 'Error Category', 'Form', 'Form Type'], type: 'string', required: true, default: '' },
+    status: { aliases: ['Status', 'RFT Status', 'Result'], type: 'string', required: true, default: 'Pending' },
+    impact: { aliases: ['Impact', 'Impact Level'], type: 'string', default: 'Low' },
+    timeToResolution: { aliases: ['TimeToResolution', 'Resolution Days', 'Days To Resolve'], type: 'number', default: 0 },
+    comments: { aliases: ['Comments', 'Comment', 'Notes'], type: 'string', default: '' }
+  },
+  external: {
+    id: { aliases: ['ID', 'Complaint ID', 'Complaint No'], type: 'string' },
+    date: { aliases: ['Date', 'Complaint Date', 'Received Date'], type: 'date', required: true, default: null },
+    lot: { aliases: ['Lot', 'Lot No', 'Lot Number', 'Batch', 'Batch No', 'Batch ID'], type: 'string', required: true, default: '' },
+    customer: { aliases: ['Customer', 'Customer Name', 'Market'], type: 'string', default: '' },
+    product: { aliases: ['Product', 'Product Name'], type: 'string', default: '' },
+    site: { aliases: ['Site', 'Plant', 'Site Name', 'Manufacturing Site'], type: 'string', default: '' },
+    issueType: { aliases: ['IssueType', 'Complaint Type', 'Category'], type: 'string', required: true, default: '' },
+    status: { aliases: ['Status', 'Complaint Status'], type: 'string', required: true, default: 'Open' },
+    severity: { aliases: ['Severity', 'Priority'], type: 'string', default: 'Low' },
+    resolutionTime: { aliases: ['ResolutionTime', 'Resolution Days', 'Days To Close'], type: 'number', default: 0 },
+    feedback: { aliases: ['Feedback', 'Customer Feedback', 'Comments'], type: 'string', default: '' }
+  },
+  process: {
+    id: { aliases: ['ID', 'Record ID'], type: 'string' },
+    date: { aliases: ['Date', 'Stage Date', 'Start Date'], type: 'date', required: true, default: null },
+    lot: { aliases: ['Lot', 'Lot No', 'Lot Number', 'Batch', 'Batch No', 'Batch ID'], type: 'string', required: true, default: '' },
+    product: { aliases: ['Product', 'Product Name'], type: 'string', default: '' },
+    department: { aliases: ['Department', 'Dept', 'Area'], type: 'string', default: '' },
+    site: { aliases: ['Site', 'Plant', 'Site Name', 'Manufacturing Site'], type: 'string', default: '' },
+    stage: { aliases: ['Stage', 'Process Stage', 'Step'], type: 'string', required: true, default: '' },
+    duration: { aliases: ['Duration', 'Duration Days', 'Cycle Time'], type: 'number', default: 0 },
+    status: { aliases: ['Status', 'Stage Status'], type: 'string', required: true, default: 'In Progress' },
+    deviation: { aliases: ['Deviation', 'Has Deviation'], type: 'boolean', default: false },
+    comments: { aliases: ['Comments', 'Comment', 'Notes'], type: 'string', default: '' }
+  },
+  deviations: {
+    id: { aliases: ['ID', 'Deviation ID', 'Deviation No', 'Deviation Number', 'Event ID', 'Record ID'], type: 'string' },
+    date: { aliases: ['Date', 'Date Opened', 'Opened', 'Open Date', 'Event Date', 'Reported Date'], type: 'date', required: true, default: null },
+    closedDate: { aliases: ['Date Closed', 'Closed', 'Close Date', 'Closure Date', 'Closed Date'], type: 'date', optional: true, default: null },
+    lot: { aliases: ['Lot', 'Lot No', 'Lot Number', 'Batch', 'Batch No', 'Batch ID', 'Batch Number'], type: 'string', required: true, default: '' },
+    product: { aliases: ['Product', 'Product Name'], type: 'string', default: '' },
+    department: { aliases: ['Department', 'Dept', 'Area'], type: 'string', default: '' },
+    site: { aliases: ['Site', 'Plant', 'Site Name', 'Manufacturing Site'], type: 'string', default: '' },
+    title: { aliases: ['Title', 'Short Description', 'Description', 'Event'], type: 'string', default: '' },
+    severity: { aliases: ['Severity', 'Classification', 'Criticality', 'Risk Level'], type: 'string', default: '' },
+    status: { aliases: ['Status', 'State', 'Deviation Status'], type: 'string', required: true, default: 'Open' },
+    rootCause: { aliases: ['Root Cause', 'Root Cause Category', 'RC Category', 'Cause Category'], type: 'string', default: '' },
+    capa: { aliases: ['CAPA', 'CAPA ID', 'CAPA No', 'CAPA Number', 'CAPA Reference'], type: 'string', default: '' }
+  },
+  qualifications: {
+    id: { aliases: ['ID', 'Qualification ID', 'Protocol', 'Protocol No', 'Protocol Number'], type: 'string' },
+    equipmentId: { aliases: ['Equipment ID', 'Equipment', 'Equipment No', 'Asset ID', 'Asset', 'Asset No', 'Tag'], type: 'string', required: true, default: '' },
+    equipmentName: { aliases: ['Equipment Name', 'Asset Name', 'Description'], type: 'string', default: '' },
+    equipmentClass: { aliases: ['Equipment Class', 'Class', 'Equipment Type', 'Asset Class', 'Category'], type: 'string', default: '' },
+    location: { aliases: ['Location', 'Site', 'Area', 'Room'], type: 'string', default: '' },
+    qualificationType: { aliases: ['Qualification Type', 'Qualification', 'Type', 'Activity'], type: 'string', required: true, default: '' },
+    dueDate: { aliases: ['Due Date', 'Due', 'Next Due', 'Scheduled Date', 'Planned Date'], type: 'date', required: true, default: null },
+    completedDate: { aliases: ['Completed Date', 'Completion Date', 'Date Completed', 'Completed', 'Performed Date'], type: 'date', optional: true, default: null },
+    result: { aliases: ['Result', 'Outcome', 'Qualification Result'], type: 'string', default: '' },
+    interval: { aliases: ['Requalification Interval', 'Interval', 'Interval (months)', 'Frequency (months)', 'Frequency'], type: 'number', default: 0 }
+  }
+};
+
+const TRUE_VALUES = ['yes', 'y', 'true', '1', 'x'];
+
+/**
+ * Normalise a header for alias comparison
+ * @param {String} header - Raw header text
+ * @returns {String} - Lowercase header with spaces and punctuation removed
+ */
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Resolve which spreadsheet column feeds each mapped field
+ * @param {Array} headers - Header row of the sheet
+ * @param {Object} mapping - Field mapping for one source type
+ * @returns {Object} - Column map plus matched/unmapped/missing report
+ */
+const resolveColumns = (headers, mapping) => {
+  const lookup = {};
+  headers.forEach(header => {
+    const key = normalizeHeader(header);
+    if (key && lookup[key] === undefined) {
+      lookup[key] = header;
+    }
+  });
+
+  const columnMap = {};
+  const usedHeaders = new Set();
+
+  Object.entries(mapping).forEach(([field, spec]) => {
+    const candidates = [field, ...(spec.aliases || [])];
+    const match = candidates
+      .map(alias => lookup[normalizeHeader(alias)])
+      .find(header => header !== undefined && !usedHeaders.has(header));
+
+    if (match !== undefined) {
+      columnMap[field] = match;
+      usedHeaders.add(match);
+    }
+  });
+
+  const fields = Object.keys(mapping);
+
+  return {
+    columnMap,
+    report: {
+      matched: { ...columnMap },
+      unmapped: headers.filter(header => !usedHeaders.has(header)),
+      missing: fields.filter(field => mapping[field].required && !columnMap[field]),
+      missingOptional: fields.filter(field => !mapping[field].required && !columnMap[field])
+    }
+  };
+};
+
+/**
+ * Coerce a cell value to the configured type
+ * @param {*} value - Raw cell value
+ * @param {String} type - Target type
+ * @param {Object} options - { dateOptions } passed to date normalisation
+ * @returns {*} - Coerced value, or undefined when the cell is empty or invalid
+ */
+const coerceValue = (value, type = 'string', options = {}) => {
+  if (value === null || value === undefined) return undefined;
+  if (typeof value === 'string' && value.trim() === '') return undefined;
+
+  switch (type) {
+    case 'number': {
+      if (typeof value === 'number') return isNaN(value) ? undefined : value;
+      const parsed = parseFloat(String(value).replace(/,/g, ''));
+      return isNaN(parsed) ? undefined : parsed;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      return TRUE_VALUES.includes(String(value).trim().toLowerCase());
+    case 'date': {
+      const normalized = normalizeDate(value, options.dateOptions);
+      return normalized.valid ? normalized.date : undefined;
+    }
+    default:
+      return String(value).trim();
+  }
+};
+
+/**
+ * Map a raw sheet row to a record using a resolved column map
+ * Date fields that are empty or cannot be parsed are listed in the
+ * record's `dateIssues` as { field, value, reason }.
+ * @param {Object} row - Row object keyed by header
+ * @param {Object} mapping - Field mapping for one source type
+ * @param {Object} columnMap - Field to header map from resolveColumns
+ * @param {Object} options - { dateOptions } passed to date normalisation
+ * @returns {Object} - Record with every mapped field populated
+ */
+const mapRow = (row, mapping, columnMap, options = {}) => {
+  const record = {};
+  const dateIssues = [];
+
+  Object.entries(mapping).forEach(([field, spec]) => {
+    const header = columnMap[field];
+    const raw = header !== undefined ? row[header] : undefined;
+    const value = raw !== undefined ? coerceValue(raw, spec.type, options) : undefined;
+
+    if (value !== undefined) {
+      record[field] = value;
+    } else {
+      record[field] = typeof spec.default === 'function' ? spec.default() : spec.default;
+
+      if (spec.type === 'date') {
+        const empty = raw === undefined || raw === null || String(raw).trim() === '';
+        if (!(empty && spec.optional)) {
+          dateIssues.push({ field, value: empty ? null : raw, reason: empty ? 'missing' : 'unparseable' });
+        }
+      }
+    }
+  });
+
+  if (dateIssues.length > 0) {
+    record.dateIssues = dateIssues;
+  }
+
+  return record;
+};
+
+module.exports = {
+  DEFAULT_COLUMN_MAPPINGS,
+  normalizeHeader,
+  resolveColumns,
+  coerceValue,
+  mapRow
+};
@@ -0,0 +1,53 @@
+/**
+ * Dashboard configuration
+ *
+ * `dataSource` picks where the DataProvider loads dashboard data from
+ * (see data-sources.js):
+ *   { type: 'static', urls, retry, changesUrl, metadataUrl }
+ *                                   - complete-data.json served from public/; the URLs are a
+ *                                     fallback chain, each retried with exponential backoff.
+ *                                     changesUrl is the pipeline's "What changed" report,
+ *                                     metadataUrl its processing manifest (for polling)
+ *   { type: 'snapshot', asOf }      - the build with id `asOf`, or the last build as of a date `asOf` (set by the "as of" picker)
+ *   { type: 'bundled', load }       - a module built into the app, e.g. load: () => import('./processed-data/complete-data.json')
+ *   { type: 'workbook', files }     - Excel workbooks uploaded in the browser, processed client-side
+ *   { type: 'mock', delay }         - generated sample data
+ *
+ * `snapshots.indexUrl` lists the snapshot of every build, by day; the
+ * "as of" picker offers them and loads one as a snapshot source.
+ *
+ * `cache.enabled` keeps the last good dataset of the static and snapshot
+ * sources in IndexedDB (dataset-cache.js), so the dashboard opens from it
+ * while the network copy loads, or without a network at all.
+ *
+ * `polling` checks for a new build on an interval while the page is visible
+ * and reloads only when the data version changed (poll-scheduler.js). The
+ * method is 'metadata' (lastUpdated in metadata.json) or 'etag' (a HEAD
+ * request for the data file). Off by default; wall displays turn it on with
+ * REACT_APP_POLL_INTERVAL=<minutes> at build time.
+ *
+ * REACT_APP_DATA_SOURCE overrides the type at build time, e.g. REACT_APP_DATA_SOURCE=mock npm start
+ */
+const config = {
+  dataSource: {
+    type: process.env.REACT_APP_DATA_SOURCE || 'static',
+    urls: ['/data/complete-data.json', '/complete-data.json'],
+    changesUrl: '/data/changes.json',
+    metadataUrl: '/data/metadata.json',
+    // Ride out brief network drops: waits 1s, 2s, 4s, 8s before giving up on a URL
+    retry: { retries: 4, delay: 1000, factor: 2, maxDelay: 15000 }
+  },
+  snapshots: {
+    indexUrl: '/data/snapshots/index.json'
+  },
+  cache: {
+    enabled: true
+  },
+  polling: {
+    enabled: Boolean(process.env.REACT_APP_POLL_INTERVAL),
+    interval: (Number(process.env.REACT_APP_POLL_INTERVAL) || 5) * 60 * 1000,
+    method: 'metadata'
+  }
+};
+
+export default config;
@@ -0,0 +1,106 @@
+import React from 'react';
+import { ComposedChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+
+// Colors from Novo Nordisk spec
+const colors = {
+  primary: '#db0032', // Novo Nordisk Red
+  secondary: '#0066a4', // Complementary Blue
+  success: '#00843d', // Green
+  neutral: '#6c757d' // Gray
+};
+
+// Points that break a run rule are drawn larger, in red
+const ViolationDot = ({ cx, cy, payload }) => {
+  if (cx === undefined || cy === undefined || payload.value === null) return null;
+  return payload.outOfControl
+    ? <circle cx={cx} cy={cy} r={5} fill={colors.primary} stroke="#fff" strokeWidth={1} />
+    : <circle cx={cx} cy={cy} r={3} fill={colors.secondary} />;
+};
+
+const ChartTooltip = ({ active, payload, unit }) => {
+  if (!active || !payload || payload.length === 0) return null;
+  const point = payload[0].payload;
+  const format = (value) => (value === null || value === undefined ? 'N/A' : `${value}${unit}`);
+
+  return (
+    <div className="bg-white border rounded shadow p-2 text-xs">
+      <div className="font-medium">{point.label}</div>
+      <div>Value: {format(point.value)}</div>
+      <div>Limits: {format(point.lcl)} to {format(point.ucl)}</div>
+      {point.total !== undefined && <div>Sample size: {point.total}</div>}
+      {point.n !== undefined && <div>Subgroup size: {point.n}</div>}
+      {point.outOfControl && (
+        <div style={{ color: colors.primary }}>Rule {point.violations.join(', ')} violated</div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Control chart with its centre line, control limits and rule violations
+ * @param {Object} props - { chart, valueLabel, unit, height, showRangeChart }
+ *   chart - a chart from spc.js (p, individuals or X-bar/R)
+ */
+const ControlChart = ({ chart, valueLabel = 'Value', unit = '', height = 256, showRangeChart = true }) => {
+  if (!chart || !chart.points || chart.points.filter(point => point.value !== null).length === 0) {
+    return <div className="p-4 bg-gray-50 rounded">Not enough data for a control chart</div>;
+  }
+
+  const plot = (series, label, chartHeight) => (
+    <div style={{ height: chartHeight }}>
+      <ResponsiveContainer width="100%" height="100%">
+        <ComposedChart data={series.points} margin={{ top: 10, right: 30, left: 0, bottom: 10 }}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="label" />
+          <YAxis domain={['auto', 'auto']} />
+          <Tooltip content={<ChartTooltip unit={unit} />} />
+          <Legend />
+          <Line type="stepAfter" dataKey="ucl" name="UCL" stroke={colors.primary} strokeDasharray="5 5" dot={false} isAnimationActive={false} />
+          <Line type="stepAfter" dataKey="centerLine" name="Centre line" stroke={colors.success} dot={false} isAnimationActive={false} />
+          <Line type="stepAfter" dataKey="lcl" name="LCL" stroke={colors.primary} strokeDasharray="5 5" dot={false} isAnimationActive={false} />
+          <Line type="linear" dataKey="value" name={label} stroke={colors.secondary} dot={<ViolationDot />} connectNulls isAnimationActive={false} />
+        </ComposedChart>
+      </ResponsiveContainer>
+    </div>
+  );
+
+  const rangeLabel = chart.rangeChart && chart.rangeChart.type === 'movingRange' ? 'Moving range' : 'Range';
+  const violations = [
+    ...chart.violations,
+    ...(showRangeChart && chart.rangeChart ? chart.rangeChart.violations.map(violation => ({ ...violation, range: true })) : [])
+  ];
+
+  return (
+    <div>
+      {chart.insufficientData && (
+        <p className="text-xs text-gray-500 mb-2">Few points so far: treat these control limits as provisional.</p>
+      )}
+      {plot(chart, valueLabel, height)}
+      {showRangeChart && chart.rangeChart && chart.rangeChart.points.length > 1 && (
+        <div className="mt-2">
+          <h5 className="text-sm font-medium text-gray-600">{rangeLabel}</h5>
+          {plot(chart.rangeChart, rangeLabel, Math.round(height * 0.6))}
+        </div>
+      )}
+
+      <div className="mt-3">
+        {violations.length === 0 ? (
+          <p className="text-sm" style={{ color: colors.success }}>In statistical control: no run rules violated</p>
+        ) : (
+          <ul className="text-sm space-y-1">
+            {violations.map((violation, index) => (
+              <li key={`${violation.rule}-${index}`}>
+                <span className="font-medium" style={{ color: colors.primary }}>
+                  {violation.range ? `${rangeLabel}: ` : ''}Rule {violation.rule} ({violation.name})
+                </span>
+                <span className="text-gray-600"> - {violation.description}: {violation.labels.join(', ')}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ControlChart;
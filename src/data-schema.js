@@ -0,0 +1,711 @@
+/**
+ * Schema for the complete-data.json payload
+ *
+ * Describes what ExcelProcessor writes and what the dashboard tabs read, so
+ * shape drift between the two is reported by the preprocessing step and by
+ * the DataProvider instead of surfacing as an empty "No data" box.
+ *
+ * Schema nodes:
+ *   type       - 'object' | 'array' | 'string' | 'number' | 'boolean' | 'date' | 'null', or a list of them
+ *   required   - a missing value is an error
+ *   usedBy     - tabs that read the value; a missing optional value is a warning naming them
+ *   properties - schemas for named keys of an object (other keys are allowed)
+ *   values     - schema for every value of a keyed object (e.g. lotData by batch ID)
+ *   items      - schema for every element of an array
+ *   enum       - allowed values
+ *
+ * 'date' accepts ISO date strings ("2024-01-31" or a full timestamp).
+ */
+
+const { DEFAULT_COLUMN_MAPPINGS } = require('./column-mappings');
+
+const DEFAULT_VALIDATION_OPTIONS = {
+  maxIssues: 100
+};
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const MAPPING_TYPES = {
+  string: 'string',
+  number: 'number',
+  boolean: 'boolean',
+  date: ['date', 'null']
+};
+
+const numeric = ['number', 'string'];
+
+const nameValueItem = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', required: true },
+    value: { type: 'number', required: true }
+  }
+};
+
+// Control chart published by spc.js
+const controlChart = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', required: true },
+    centerLine: { type: ['number', 'null'], required: true },
+    points: {
+      type: 'array',
+      required: true,
+      items: {
+        type: 'object',
+        properties: {
+          label: { type: 'string', required: true },
+          value: { type: ['number', 'null'], required: true },
+          ucl: { type: ['number', 'null'] },
+          lcl: { type: ['number', 'null'] },
+          violations: { type: 'array', required: true }
+        }
+      }
+    },
+    violations: { type: 'array', required: true },
+    insufficientData: { type: 'boolean' }
+  }
+};
+
+const insightsSchema = {
+  type: 'array',
+  required: true,
+  items: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', required: true },
+      text: { type: 'string', required: true },
+      evidence: { type: 'object' }
+    }
+  }
+};
+
+/**
+ * Record schema for one source, derived from its column mapping
+ * Mapped records carry every field; required columns must be present.
+ * @param {Object} mapping - Field mapping for one source type
+ * @returns {Object} - Array schema for the source's records
+ */
+const buildRecordSchema = (mapping) => {
+  const properties = {
+    id: { type: 'string', required: true },
+    dateIssues: { type: 'array' },
+    sourceFile: { type: 'string' },
+    sourceSheet: { type: 'string' },
+    sourceRow: { type: 'number' }
+  };
+
+  Object.entries(mapping).forEach(([field, spec]) => {
+    if (field === 'id') return;
+    properties[field] = {
+      type: MAPPING_TYPES[spec.type] || 'string',
+      required: Boolean(spec.required)
+    };
+  });
+
+  return { type: 'array', required: true, items: { type: 'object', properties } };
+};
+
+/**
+ * Build the complete-data.json schema
+ * @param {Object} columnMappings - Column mappings used to produce the records
+ * @returns {Object} - Root schema node
+ */
+const buildDataSchema = (columnMappings = DEFAULT_COLUMN_MAPPINGS) => ({
+  type: 'object',
+  required: true,
+  properties: {
+    overview: {
+      type: 'object',
+      required: true,
+      usedBy: ['Overview', 'Insights'],
+      properties: {
+        stats: {
+          type: 'object',
+          required: true,
+          properties: {
+            totalRecords: { type: 'number', required: true },
+            totalLots: { type: 'number', required: true },
+            overallRFTRate: { type: numeric, required: true }
+          }
+        },
+        rftPerformance: { type: 'array', required: true, items: nameValueItem },
+        issueDistribution: { type: 'array', required: true, items: nameValueItem },
+        controlCharts: {
+          type: 'object',
+          usedBy: ['Process Control'],
+          properties: {
+            rft: controlChart,
+            cycleTime: controlChart
+          }
+        },
+        processTimeline: {
+          type: 'array',
+          required: true,
+          usedBy: ['Overview', 'Insights'],
+          items: {
+            type: 'object',
+            properties: {
+              month: { type: 'string', required: true },
+              period: { type: 'string' },
+              recordRFT: { type: ['number', 'null'], required: true },
+              lotRFT: { type: ['number', 'null'], required: true },
+              recordCount: { type: 'number' },
+              lotCount: { type: 'number' }
+            }
+          }
+        },
+        lotQuality: {
+          type: 'object',
+          required: true,
+          properties: {
+            pass: { type: 'number', required: true },
+            fail: { type: 'number', required: true },
+            percentage: { type: 'number', required: true },
+            change: { type: numeric }
+          }
+        }
+      }
+    },
+    internalRFT: {
+      type: 'object',
+      required: true,
+      properties: {
+        records: buildRecordSchema(columnMappings.internal),
+        summary: {
+          type: 'object',
+          required: true,
+          properties: {
+            totalRecords: { type: 'number', required: true },
+            passingRecords: { type: 'number', required: true },
+            failingRecords: { type: 'number', required: true },
+            rftRate: { type: numeric, required: true }
+          }
+        },
+        formErrors: {
+          type: 'array',
+          required: true,
+          usedBy: ['Form Errors', 'Insights'],
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', required: true },
+              errors: { type: 'number', required: true },
+              trend: { type: 'string', enum: ['up', 'down', 'flat'] }
+            }
+          }
+        },
+        formErrorTrends: {
+          type: 'array',
+          required: true,
+          usedBy: ['Form Errors'],
+          items: {
+            type: 'object',
+            properties: {
+              month: { type: 'string', required: true },
+              period: { type: 'string' }
+            }
+          }
+        },
+        insights: { ...insightsSchema, usedBy: ['Form Errors', 'Insights'] }
+      }
+    },
+    externalRFT: {
+      type: 'object',
+      required: true,
+      properties: {
+        records: buildRecordSchema(columnMappings.external),
+        summary: {
+          type: 'object',
+          required: true,
+          properties: {
+            totalComplaints: { type: 'number', required: true },
+            resolvedComplaints: { type: 'number', required: true },
+            pendingComplaints: { type: 'number', required: true },
+            resolutionRate: { type: numeric, required: true }
+          }
+        },
+        customerComments: {
+          type: 'array',
+          required: true,
+          usedBy: ['Customer Comments', 'Insights'],
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', required: true },
+              count: { type: 'number', required: true },
+              sentiment: { type: ['string', 'number'] }
+            }
+          }
+        },
+        insights: { ...insightsSchema, usedBy: ['Insights'] }
+      }
+    },
+    commercialProcess: {
+      type: 'object',
+      required: true,
+      properties: {
+        records: buildRecordSchema(columnMappings.process),
+        summary: {
+          type: 'object',
+          required: true,
+          properties: {
+            totalLots: { type: 'number', required: true },
+            completedLots: { type: 'number', required: true },
+            inProgressLots: { type: 'number', required: true },
+            onHoldLots: { type: 'number', required: true },
+            completionRate: { type: numeric, required: true }
+          }
+        },
+        processFlow: {
+          type: 'array',
+          required: true,
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', required: true },
+              count: { type: 'number', required: true },
+              avgDuration: { type: 'number', required: true },
+              deviationRate: { type: numeric, required: true }
+            }
+          }
+        },
+        capability: {
+          type: 'object',
+          usedBy: ['Process Control'],
+          properties: {
+            stages: {
+              type: 'array',
+              required: true,
+              items: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string', required: true },
+                  count: { type: 'number', required: true },
+                  cpk: { type: ['number', 'null'], required: true },
+                  ppk: { type: ['number', 'null'], required: true },
+                  histogram: { type: 'array', required: true }
+                }
+              }
+            },
+            capableThreshold: { type: 'number', required: true }
+          }
+        },
+        insights: { ...insightsSchema, usedBy: ['Insights'] }
+      }
+    },
+    deviations: {
+      type: 'object',
+      usedBy: ['Deviations'],
+      properties: {
+        available: { type: 'boolean', required: true },
+        records: { ...buildRecordSchema(columnMappings.deviations), required: true },
+        summary: {
+          type: 'object',
+          required: true,
+          properties: {
+            totalDeviations: { type: 'number', required: true },
+            openDeviations: { type: 'number', required: true },
+            closedDeviations: { type: 'number', required: true },
+            overdueDeviations: { type: 'number', required: true },
+            averageOpenAge: { type: ['number', 'null'] },
+            averageDaysToClose: { type: ['number', 'null'] },
+            capaLinkageRate: { type: 'number' },
+            asOf: { type: ['date', 'null'] }
+          }
+        },
+        ageing: { type: 'array', required: true, items: nameValueItem },
+        severityDistribution: { type: 'array', required: true, items: nameValueItem },
+        rootCauses: {
+          type: 'array',
+          required: true,
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', required: true },
+              count: { type: 'number', required: true },
+              recurring: { type: 'boolean', required: true }
+            }
+          }
+        },
+        capa: { type: 'object', required: true },
+        batches: { type: 'object' },
+        trend: { type: 'array' },
+        openDeviations: { type: 'array' }
+      }
+    },
+    g7Performance: {
+      type: 'object',
+      usedBy: ['G7 Performance'],
+      properties: {
+        available: { type: 'boolean', required: true },
+        records: { ...buildRecordSchema(columnMappings.qualifications), required: true },
+        summary: {
+          type: 'object',
+          required: true,
+          properties: {
+            totalEquipment: { type: 'number', required: true },
+            qualifiedEquipment: { type: 'number', required: true },
+            complianceRate: { type: 'number', required: true },
+            overdueQualifications: { type: 'number', required: true },
+            dueSoonQualifications: { type: 'number' },
+            passRate: { type: ['number', 'null'] },
+            asOf: { type: ['date', 'null'] }
+          }
+        },
+        statusDistribution: { type: 'array', required: true, items: nameValueItem },
+        equipment: {
+          type: 'array',
+          required: true,
+          items: {
+            type: 'object',
+            properties: {
+              equipmentId: { type: 'string', required: true },
+              status: { type: 'string', required: true },
+              nextDue: { type: ['date', 'null'] }
+            }
+          }
+        },
+        overdueItems: { type: 'array', required: true },
+        calendar: { type: 'array', required: true },
+        passRates: { type: 'array', required: true },
+        byType: { type: 'array' }
+      }
+    },
+    processMetrics: {
+      type: 'object',
+      usedBy: ['Process Flow', 'Insights'],
+      properties: {
+        stages: {
+          type: 'array',
+          usedBy: ['Process Flow'],
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string', required: true },
+              name: { type: 'string', required: true },
+              owner: { type: 'string' }
+            }
+          }
+        },
+        reviewTimes: {
+          type: 'object',
+          usedBy: ['Process Flow'],
+          properties: {
+            NN: { type: 'array', required: true, items: { type: 'number' } },
+            PCI: { type: 'array', required: true, items: { type: 'number' } }
+          }
+        },
+        cycleTimeBreakdown: {
+          type: 'array',
+          usedBy: ['Process Flow', 'Insights'],
+          items: {
+            type: 'object',
+            properties: {
+              step: { type: 'string', required: true },
+              owner: { type: 'string' },
+              time: { type: 'number', required: true }
+            }
+          }
+        },
+        waitingTimes: {
+          type: 'array',
+          usedBy: ['Process Flow', 'Insights'],
+          items: {
+            type: 'object',
+            properties: {
+              from: { type: 'string', required: true },
+              to: { type: 'string', required: true },
+              time: { type: 'number', required: true },
+              count: { type: 'number' }
+            }
+          }
+        },
+        lotTimeline: {
+          type: 'object',
+          usedBy: ['Process Flow'],
+          properties: {
+            summary: {
+              type: 'object',
+              required: true,
+              properties: {
+                lots: { type: 'number', required: true },
+                flowEfficiency: { type: ['number', 'null'] },
+                anomalyCounts: { type: 'object', required: true }
+              }
+            },
+            anomalies: { type: 'array', required: true },
+            dailyWip: {
+              type: 'array',
+              required: true,
+              items: {
+                type: 'object',
+                properties: {
+                  date: { type: 'date', required: true },
+                  total: { type: 'number', required: true },
+                  stages: { type: 'object', required: true },
+                  queued: { type: 'object', required: true }
+                }
+              }
+            }
+          }
+        },
+        flow: {
+          type: 'object',
+          usedBy: ['WIP & Flow'],
+          properties: {
+            asOf: { type: ['date', 'null'] },
+            dailyWip: { type: 'array', required: true },
+            weeklyThroughput: {
+              type: 'array',
+              required: true,
+              items: {
+                type: 'object',
+                properties: {
+                  period: { type: 'string', required: true },
+                  label: { type: 'string', required: true },
+                  completed: { type: 'number', required: true },
+                  started: { type: 'number', required: true }
+                }
+              }
+            },
+            stages: { type: 'array', required: true },
+            littlesLaw: { type: ['object', 'null'], required: true },
+            alerts: { type: 'array', required: true }
+          }
+        },
+        totalCycleTime: {
+          type: 'object',
+          properties: {
+            average: { type: 'number' },
+            target: { type: 'number' },
+            minimum: { type: 'number' },
+            maximum: { type: 'number' }
+          }
+        }
+      }
+    },
+    segments: {
+      type: 'object',
+      usedBy: ['Segment selector'],
+      properties: {
+        dimensions: {
+          type: 'array',
+          required: true,
+          items: {
+            type: 'object',
+            properties: {
+              dimension: { type: 'string', required: true },
+              label: { type: 'string', required: true },
+              fields: { type: 'array', items: { type: 'string' } },
+              segments: {
+                type: 'array',
+                required: true,
+                items: {
+                  type: 'object',
+                  properties: {
+                    value: { type: 'string', required: true },
+                    count: { type: 'number', required: true }
+                  }
+                }
+              }
+            }
+          }
+        },
+        results: {
+          type: 'object',
+          required: true,
+          values: {
+            type: 'object',
+            values: {
+              type: 'object',
+              properties: {
+                overview: { type: 'object', required: true },
+                internalRFT: { type: 'object', required: true },
+                externalRFT: { type: 'object' },
+                commercialProcess: { type: 'object' },
+                processMetrics: { type: 'object', required: true }
+              }
+            }
+          }
+        }
+      }
+    },
+    lotData: {
+      type: 'object',
+      usedBy: ['Lot Analytics'],
+      values: {
+        type: 'object',
+        properties: {
+          rftRate: { type: 'number' },
+          cycleTime: { type: 'number' },
+          hasErrors: { type: 'boolean' },
+          released: { type: 'boolean' },
+          releaseDate: { type: ['date', 'null'] },
+          department: { type: 'string' },
+          recordCount: { type: 'number' },
+          errorCount: { type: 'number' }
+        }
+      }
+    },
+    lastUpdated: { type: 'date', required: true },
+    dataVersion: { type: 'string', required: true },
+    dataSourceInfo: { type: 'object' }
+  }
+});
+
+const DATA_SCHEMA = buildDataSchema();
+
+/**
+ * Schema type of a value
+ * @param {*} value - Value to classify
+ * @returns {String} - 'null' | 'array' | 'object' | 'string' | 'number' | 'boolean' | 'undefined'
+ */
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && isNaN(value)) return 'NaN';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  if (type === 'date') return typeof value === 'string' && ISO_DATE.test(value) && !isNaN(Date.parse(value));
+  return typeOf(value) === type;
+};
+
+/**
+ * Short description of a value for a validation report
+ * @param {*} value - Actual value
+ * @returns {String} - e.g. '"92.4"', '42', 'null', 'array(3)', 'object {a, b}'
+ */
+const describeValue = (value) => {
+  const type = typeOf(value);
+  if (type === 'undefined' || type === 'null' || type === 'NaN') return type;
+  if (type === 'array') return `array(${value.length})`;
+  if (type === 'object') {
+    const keys = Object.keys(value);
+    return `object {${keys.slice(0, 5).join(', ')}${keys.length > 5 ? ', ...' : ''}}`;
+  }
+  const text = JSON.stringify(value);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+};
+
+const joinPath = (base, key) => {
+  if (typeof key === 'number') return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+};
+
+/**
+ * Validate a complete-data.json payload against the schema
+ * @param {Object} data - Parsed payload
+ * @param {Object} schema - Root schema node (defaults to DATA_SCHEMA)
+ * @param {Object} options - { maxIssues }
+ * @returns {Object} - { valid, errorCount, warningCount, errors, warnings, truncated }
+ *                     where issues are { path, expected, actual, message, usedBy? } and
+ *                     truncated counts issues beyond maxIssues left out of the lists
+ */
+const validateData = (data, schema = DATA_SCHEMA, options = {}) => {
+  const { maxIssues } = { ...DEFAULT_VALIDATION_OPTIONS, ...options };
+  const errors = [];
+  const warnings = [];
+  const counts = { errors: 0, warnings: 0 };
+
+  // Count every issue, but keep details for the first maxIssues only
+  const report = (level, issue) => {
+    counts[level]++;
+    if (errors.length + warnings.length < maxIssues) {
+      (level === 'errors' ? errors : warnings).push(issue);
+    }
+  };
+
+  const visit = (value, node, path) => {
+    const types = [].concat(node.type || []);
+    const expected = types.join(' | ');
+
+    if (value === undefined) {
+      if (node.required) {
+        report('errors', {
+          path,
+          expected,
+          actual: 'undefined',
+          message: 'Required value is missing',
+          ...(node.usedBy ? { usedBy: node.usedBy } : {})
+        });
+      } else if (node.usedBy) {
+        report('warnings', {
+          path,
+          expected,
+          actual: 'undefined',
+          message: `Missing; ${node.usedBy.join(', ')} will show no data`,
+          usedBy: node.usedBy
+        });
+      }
+      return;
+    }
+
+    if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+      report('errors', { path, expected, actual: describeValue(value), message: 'Unexpected type' });
+      return;
+    }
+
+    if (node.enum && !node.enum.includes(value)) {
+      report('errors', {
+        path,
+        expected: node.enum.map(option => JSON.stringify(option)).join(' | '),
+        actual: describeValue(value),
+        message: 'Value not allowed'
+      });
+    }
+
+    const kind = typeOf(value);
+    if (kind === 'object') {
+      if (node.properties) {
+        Object.entries(node.properties).forEach(([key, child]) => visit(value[key], child, joinPath(path, key)));
+      }
+      if (node.values) {
+        Object.keys(value).forEach(key => visit(value[key], node.values, joinPath(path, key)));
+      }
+    } else if (kind === 'array' && node.items) {
+      value.forEach((item, index) => visit(item, node.items, joinPath(path, index)));
+    }
+  };
+
+  visit(data, schema, '');
+
+  return {
+    valid: counts.errors === 0,
+    errorCount: counts.errors,
+    warningCount: counts.warnings,
+    errors,
+    warnings,
+    truncated: counts.errors + counts.warnings - errors.length - warnings.length
+  };
+};
+
+/**
+ * Render a validation report as text for logs and the command line
+ * @param {Object} report - Result of validateData
+ * @returns {String} - One line per issue
+ */
+const formatValidationReport = (report) => {
+  const line = (level, issue) => `  ${level} ${issue.path || '(root)'}: expected ${issue.expected}, got ${issue.actual} - ${issue.message}`;
+  const lines = [
+    `complete-data.json schema check: ${report.errorCount} errors, ${report.warningCount} warnings`,
+    ...report.errors.map(issue => line('ERROR', issue)),
+    ...report.warnings.map(issue => line('WARN ', issue))
+  ];
+  if (report.truncated > 0) {
+    lines.push(`  ... ${report.truncated} more issues not shown`);
+  }
+  return lines.join('\n');
+};
+
+module.exports = {
+  DEFAULT_VALIDATION_OPTIONS,
+  DATA_SCHEMA,
+  buildRecordSchema,
+  buildDataSchema,
+  describeValue,
+  validateData,
+  formatValidationReport
+};
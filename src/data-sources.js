@@ -0,0 +1,517 @@
+/**
+ * Data source adapters for the DataProvider
+ *
+ * An adapter tells the DataProvider where the dashboard data comes from:
+ *
+ *   {
+ *     type,   // 'static' | 'snapshot' | 'bundled' | 'workbook' | 'mock'
+ *     files,  // names shown in fileStatus before loading starts
+ *     load,   // async ({ signal, onFileStatus, onProgress }) => complete-data.json payload
+ *     loadChanges,  // optional: async ({ signal }) => change report published with the data, or null
+ *     cacheKey,     // optional: key the last good dataset is cached under (dataset-cache.js)
+ *     checkVersion  // optional: async ({ signal, method }) => { lastUpdated } or { etag } of the
+ *                   //           published data, a cheap check for polling
+ *   }
+ *
+ * `load` reports progress per file through onFileStatus(name, status), where
+ * status is { loaded, status: 'loading' | 'success' | 'error', error?, etag? },
+ * may report processing stages through onProgress({ stage, completed, total }),
+ * and rejects with an AbortError when the signal is aborted.
+ */
+import { generateMockData } from './mock-data';
+import { runPipelineJobInWorker } from './pipeline-client';
+import { findSnapshot } from './dataset-snapshots';
+
+export const DEFAULT_DATA_URLS = ['/data/complete-data.json', '/complete-data.json'];
+
+// "What changed" report written next to complete-data.json by the pipeline (dataset-diff.js)
+export const DEFAULT_CHANGES_URL = '/data/changes.json';
+
+// Processing manifest written with each build; its lastUpdated matches the data's
+export const DEFAULT_METADATA_URL = '/data/metadata.json';
+
+// Index of the per-build snapshots published by the pipeline (dataset-snapshots.js)
+export const DEFAULT_SNAPSHOT_INDEX_URL = '/data/snapshots/index.json';
+
+// Exponential backoff for the static source: delay, delay * factor, ... capped at maxDelay
+export const DEFAULT_RETRY_OPTIONS = {
+  retries: 3,
+  delay: 1000,
+  factor: 2,
+  maxDelay: 15000
+};
+
+// HTTP statuses worth retrying; anything else moves straight to the next URL
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+export const DATA_ERROR_TYPES = ['network', 'http', 'parse', 'schema'];
+
+/**
+ * Error raised while loading dashboard data
+ * `type` is one of DATA_ERROR_TYPES so the UI can tell a dropped connection
+ * from a missing file, a corrupt payload or a schema mismatch.
+ */
+export class DataLoadError extends Error {
+  /**
+   * @param {String} type - 'network' | 'http' | 'parse' | 'schema'
+   * @param {String} message - Human readable description
+   * @param {Object} details - { url, status, retryable, cause, validation, attempts }
+   */
+  constructor(type, message, details = {}) {
+    super(message);
+    this.name = 'DataLoadError';
+    this.type = type;
+    Object.assign(this, details);
+  }
+}
+
+const noop = () => {};
+
+const createAbortError = () => {
+  const error = new Error('Data load aborted');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Wait for a number of milliseconds, rejecting early when the signal aborts
+ * @param {Number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise} - Resolves after the delay
+ */
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) {
+    reject(createAbortError());
+    return;
+  }
+  const timer = setTimeout(() => {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(createAbortError());
+  };
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Throw an AbortError when the signal has been aborted
+ * @param {AbortSignal} signal - Signal passed to load
+ */
+const throwIfAborted = (signal) => {
+  if (signal && signal.aborted) throw createAbortError();
+};
+
+const isAbort = (error) => error && error.name === 'AbortError';
+
+/**
+ * Backoff delay before a retry
+ * @param {Number} attempt - Retry number, starting at 1
+ * @param {Object} retry - Retry options
+ * @returns {Number} - Delay in milliseconds
+ */
+export const getRetryDelay = (attempt, retry = DEFAULT_RETRY_OPTIONS) => {
+  const { delay, factor, maxDelay } = { ...DEFAULT_RETRY_OPTIONS, ...retry };
+  return Math.min(delay * Math.pow(factor, attempt - 1), maxDelay);
+};
+
+/**
+ * Fetch and parse one JSON URL, classifying failures
+ * @param {String} url - URL to fetch
+ * @param {AbortSignal} signal - Abort signal
+ * @param {Function} onResponse - Optional callback with the successful Response (headers)
+ * @returns {Promise<Object>} - Parsed JSON
+ */
+const fetchJson = async (url, signal, onResponse = noop) => {
+  let response;
+  try {
+    response = await fetch(url, { signal });
+  } catch (error) {
+    if (isAbort(error)) throw error;
+    throw new DataLoadError('network', `Network error loading ${url}: ${error.message}`, { url, retryable: true, cause: error });
+  }
+
+  if (!response.ok) {
+    throw new DataLoadError('http', `Failed to load data: ${response.statusText} (${response.status}) from ${url}`, {
+      url,
+      status: response.status,
+      retryable: RETRYABLE_STATUSES.includes(response.status)
+    });
+  }
+  onResponse(response);
+
+  try {
+    return await response.json();
+  } catch (error) {
+    if (isAbort(error)) throw error;
+    throw new DataLoadError('parse', `Invalid JSON in ${url}: ${error.message}`, { url, retryable: false, cause: error });
+  }
+};
+
+/**
+ * Fetch JSON with exponential backoff on retryable failures
+ * @param {String} url - URL to fetch
+ * @param {Object} options - { signal, retry, onRetry(attempt, delay, error), onResponse(response) }
+ * @returns {Promise<Object>} - Parsed JSON
+ */
+export const fetchJsonWithRetry = async (url, { signal, retry = DEFAULT_RETRY_OPTIONS, onRetry = noop, onResponse = noop } = {}) => {
+  const { retries } = { ...DEFAULT_RETRY_OPTIONS, ...retry };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fetchJson(url, signal, onResponse);
+    } catch (error) {
+      if (isAbort(error) || !error.retryable || attempt >= retries) {
+        if (error instanceof DataLoadError) error.attempts = attempt + 1;
+        throw error;
+      }
+      const delay = getRetryDelay(attempt + 1, retry);
+      console.warn(`${error.message} - retrying in ${delay}ms (${attempt + 1}/${retries})`);
+      onRetry(attempt + 1, delay, error);
+      await wait(delay, signal);
+    }
+  }
+};
+
+/**
+ * Version of the published data without downloading it
+ * 'metadata' reads lastUpdated from the pipeline's metadata.json; 'etag'
+ * sends a HEAD request for the data file and reads its ETag header.
+ * Both bypass the HTTP cache.
+ * @param {Object} options - { method, url, metadataUrl, signal }
+ * @returns {Promise<Object>} - { lastUpdated } or { etag }
+ */
+const fetchVersion = async ({ method = 'metadata', url, metadataUrl = DEFAULT_METADATA_URL, signal }) => {
+  const target = method === 'etag' ? url : metadataUrl;
+  let response;
+  try {
+    response = await fetch(target, { method: method === 'etag' ? 'HEAD' : 'GET', cache: 'no-store', signal });
+  } catch (error) {
+    if (isAbort(error)) throw error;
+    throw new DataLoadError('network', `Network error checking ${target}: ${error.message}`, { url: target, retryable: true, cause: error });
+  }
+
+  if (!response.ok) {
+    throw new DataLoadError('http', `Failed to check data version: ${response.statusText} (${response.status}) from ${target}`, {
+      url: target,
+      status: response.status,
+      retryable: RETRYABLE_STATUSES.includes(response.status)
+    });
+  }
+
+  if (method === 'etag') {
+    return { etag: response.headers.get('ETag') };
+  }
+
+  try {
+    const metadata = await response.json();
+    return { lastUpdated: metadata.lastUpdated || null };
+  } catch (error) {
+    if (isAbort(error)) throw error;
+    throw new DataLoadError('parse', `Invalid JSON in ${target}: ${error.message}`, { url: target, retryable: false, cause: error });
+  }
+};
+
+/**
+ * Static JSON file served with the app (public/data/complete-data.json)
+ * URLs form a fallback chain tried in order. Network errors and transient
+ * HTTP statuses are retried with backoff on each URL before moving on.
+ * The change report at changesUrl is optional; set it to null to skip it.
+ * checkVersion looks at metadataUrl, or the ETag of the first URL.
+ * @param {Object} options - { urls, name, retry, changesUrl, metadataUrl }
+ * @returns {Object} - Data source adapter
+ */
+export const createStaticJsonSource = ({
+  urls = DEFAULT_DATA_URLS,
+  name,
+  retry = DEFAULT_RETRY_OPTIONS,
+  changesUrl = DEFAULT_CHANGES_URL,
+  metadataUrl = DEFAULT_METADATA_URL
+} = {}) => {
+  const list = [].concat(urls);
+  const fileName = name || list[0].split('/').pop();
+
+  return {
+    type: 'static',
+    files: [fileName],
+    cacheKey: `static:${list.join(',')}`,
+    load: async ({ signal, onFileStatus = noop } = {}) => {
+      let lastError = null;
+
+      for (const url of list) {
+        onFileStatus(fileName, { loaded: false, status: 'loading', url });
+        let etag = null;
+        try {
+          const data = await fetchJsonWithRetry(url, {
+            signal,
+            retry,
+            onRetry: (attempt, delay, error) => onFileStatus(fileName, {
+              loaded: false,
+              status: 'retrying',
+              url,
+              attempt,
+              nextRetryIn: delay,
+              error: error.message,
+              errorType: error.type
+            }),
+            onResponse: response => { etag = response.headers.get('ETag'); }
+          });
+          onFileStatus(fileName, { loaded: true, status: 'success', url, etag });
+          return data;
+        } catch (error) {
+          if (isAbort(error)) throw error;
+          console.error(`Error loading data from ${url}:`, error);
+          lastError = error;
+        }
+      }
+
+      onFileStatus(fileName, { loaded: false, status: 'error', error: lastError.message, errorType: lastError.type });
+      throw lastError;
+    },
+    // A missing or unreadable report only hides the "What changed" panel
+    loadChanges: async ({ signal } = {}) => {
+      if (!changesUrl) return null;
+      try {
+        return await fetchJson(changesUrl, signal);
+      } catch (error) {
+        if (isAbort(error)) throw error;
+        console.warn(`No change report loaded from ${changesUrl}: ${error.message}`);
+        return null;
+      }
+    },
+    checkVersion: ({ signal, method = 'metadata' } = {}) => fetchVersion({ method, url: list[0], metadataUrl, signal })
+  };
+};
+
+/**
+ * List the published snapshots
+ * @param {Object} options - { indexUrl, signal }
+ * @returns {Promise<Array>} - Index days ({ date, builds }), newest first
+ */
+export const loadSnapshotIndex = async ({ indexUrl = DEFAULT_SNAPSHOT_INDEX_URL, signal } = {}) => {
+  const index = await fetchJson(indexUrl, signal);
+  return Array.isArray(index.snapshots) ? index.snapshots : [];
+};
+
+/**
+ * Dataset as published by a build: the build with an id, or the last build of a
+ * date (or of the latest day before it)
+ * Snapshots are exact copies of complete-data.json, so the dashboard shows
+ * what it showed then, including that build's "What changed" report.
+ * @param {Object} options - { asOf, indexUrl, retry } where asOf is a build id or "YYYY-MM-DD"
+ * @returns {Object} - Data source adapter
+ */
+export const createSnapshotSource = ({ asOf, indexUrl = DEFAULT_SNAPSHOT_INDEX_URL, retry = DEFAULT_RETRY_OPTIONS } = {}) => {
+  const fileName = `${asOf}.json`;
+  const baseUrl = indexUrl.replace(/[^/]*$/, '');
+  let snapshot = null;
+
+  const resolveSnapshot = async (signal) => {
+    if (!snapshot) {
+      const snapshots = await loadSnapshotIndex({ indexUrl, signal });
+      snapshot = findSnapshot(snapshots, asOf);
+      if (!snapshot) {
+        throw new DataLoadError('http', `No snapshot published as or before ${asOf}`, { url: indexUrl, retryable: false });
+      }
+    }
+    return snapshot;
+  };
+
+  return {
+    type: 'snapshot',
+    asOf,
+    files: [fileName],
+    cacheKey: `snapshot:${indexUrl}:${asOf}`,
+    load: async ({ signal, onFileStatus = noop } = {}) => {
+      onFileStatus(fileName, { loaded: false, status: 'loading' });
+      try {
+        const { file } = await resolveSnapshot(signal);
+        const url = `${baseUrl}${file}`;
+        let etag = null;
+        const data = await fetchJsonWithRetry(url, {
+          signal,
+          retry,
+          onRetry: (attempt, delay, error) => onFileStatus(fileName, {
+            loaded: false,
+            status: 'retrying',
+            url,
+            attempt,
+            nextRetryIn: delay,
+            error: error.message,
+            errorType: error.type
+          }),
+          onResponse: response => { etag = response.headers.get('ETag'); }
+        });
+        onFileStatus(fileName, { loaded: true, status: 'success', url, etag });
+        return data;
+      } catch (error) {
+        if (!isAbort(error)) {
+          onFileStatus(fileName, { loaded: false, status: 'error', error: error.message, errorType: error.type });
+        }
+        throw error;
+      }
+    },
+    loadChanges: async ({ signal } = {}) => {
+      try {
+        const { changes } = await resolveSnapshot(signal);
+        return changes ? await fetchJson(`${baseUrl}${changes}`, signal) : null;
+      } catch (error) {
+        if (isAbort(error)) throw error;
+        console.warn(`No change report loaded for snapshot ${asOf}: ${error.message}`);
+        return null;
+      }
+    }
+  };
+};
+
+/**
+ * Data bundled into the app at build time
+ * @param {Object} options - { name, load } where load returns the module or payload,
+ *                           e.g. () => import('./processed-data/complete-data.json')
+ * @returns {Object} - Data source adapter
+ */
+export const createBundledSource = ({ name = 'complete-data.json', load } = {}) => ({
+  type: 'bundled',
+  files: [name],
+  load: async ({ signal, onFileStatus = noop } = {}) => {
+    if (typeof load !== 'function') {
+      throw new Error('Bundled data source needs a load function that imports the data module');
+    }
+
+    onFileStatus(name, { loaded: false, status: 'loading' });
+    try {
+      const module = await load();
+      throwIfAborted(signal);
+      onFileStatus(name, { loaded: true, status: 'success' });
+      return module && module.default ? module.default : module;
+    } catch (error) {
+      if (!isAbort(error)) {
+        onFileStatus(name, { loaded: false, status: 'error', error: error.message });
+      }
+      throw error;
+    }
+  }
+});
+
+/**
+ * fileStatus key of an uploaded workbook: its source and name, so files of the
+ * same name fed to different sources keep their own status
+ * @param {String|null} source - Source the file feeds, or null when matched by name
+ * @param {String} name - File name
+ * @returns {String} - "source/name", or the name alone
+ */
+export const workbookFileKey = (source, name) => (source ? `${source}/${name}` : name);
+
+/**
+ * Workbooks uploaded in the browser, loaded as a session dataset
+ * Files are read here and handed to the pipeline worker, which parses them
+ * and runs the Excel pipeline core off the main thread. Each file's status
+ * is reported on its own, so one unreadable workbook is flagged by name
+ * while the rest still load, under its workbookFileKey.
+ * @param {Object} options - { files, pipeline }
+ *   files    - File objects, or { file, source } to say which source a file feeds;
+ *              plain files are matched to a source by name
+ *   pipeline - ExcelPipeline config (mappings, dates, trends, ...)
+ * @returns {Object} - Data source adapter
+ */
+export const createWorkbookSource = ({ files = [], pipeline = {} } = {}) => {
+  const entries = files.map(entry => (entry && entry.file ? entry : { file: entry, source: null }));
+
+  return {
+    type: 'workbook',
+    files: entries.map(entry => workbookFileKey(entry.source, entry.file.name)),
+    load: async ({ signal, onFileStatus = noop, onProgress = noop } = {}) => {
+      if (entries.length === 0) {
+        throw new Error('No workbooks uploaded');
+      }
+
+      const workbooks = [];
+      for (const { file, source } of entries) {
+        const key = workbookFileKey(source, file.name);
+        onFileStatus(key, { loaded: false, status: 'loading' });
+        try {
+          const buffer = await file.arrayBuffer();
+          throwIfAborted(signal);
+          workbooks.push({ name: file.name, source, buffer });
+          onFileStatus(key, { loaded: false, status: 'parsing' });
+        } catch (error) {
+          if (isAbort(error)) throw error;
+          console.error(`Error reading workbook ${key}:`, error);
+          onFileStatus(key, { loaded: false, status: 'error', error: error.message });
+        }
+      }
+
+      if (workbooks.length === 0) {
+        throw new Error('None of the uploaded workbooks could be read');
+      }
+
+      return runPipelineJobInWorker({ type: 'workbooks', workbooks, pipeline }, {
+        signal,
+        transfer: workbooks.map(workbook => workbook.buffer),
+        onProgress: progress => {
+          if (progress.stage === 'parse') {
+            onFileStatus(workbookFileKey(progress.source, progress.file), progress.error
+              ? { loaded: false, status: 'error', error: progress.error }
+              : { loaded: true, status: 'success' });
+          }
+          onProgress(progress);
+        }
+      });
+    }
+  };
+};
+
+/**
+ * Generated sample data, for demos and local development
+ * @param {Object} options - { delay, generate }
+ * @returns {Object} - Data source adapter
+ */
+export const createMockSource = ({ delay = 500, generate = generateMockData } = {}) => ({
+  type: 'mock',
+  files: ['mock data'],
+  load: async ({ signal, onFileStatus = noop } = {}) => {
+    onFileStatus('mock data', { loaded: false, status: 'loading' });
+    await wait(delay, signal);
+    onFileStatus('mock data', { loaded: true, status: 'success' });
+    return generate();
+  }
+});
+
+export const DATA_SOURCE_TYPES = {
+  static: createStaticJsonSource,
+  snapshot: createSnapshotSource,
+  bundled: createBundledSource,
+  workbook: createWorkbookSource,
+  mock: createMockSource
+};
+
+/**
+ * Build a data source adapter from configuration
+ * @param {Object|String} spec - Adapter, type name, or { type, ...options }
+ * @returns {Object} - Data source adapter
+ */
+export const createDataSource = (spec = {}) => {
+  if (spec && typeof spec.load === 'function' && Array.isArray(spec.files)) return spec;
+
+  const { type = 'static', ...options } = typeof spec === 'string' ? { type: spec } : spec;
+  const factory = DATA_SOURCE_TYPES[type];
+  if (!factory) {
+    throw new Error(`Unknown data source type "${type}" (expected one of: ${Object.keys(DATA_SOURCE_TYPES).join(', ')})`);
+  }
+  return factory(options);
+};
+
+/**
+ * Initial fileStatus entries for a data source
+ * @param {Object} source - Data source adapter
+ * @param {String} status - Status for every file
+ * @returns {Object} - fileStatus keyed by file name
+ */
+export const initialFileStatus = (source, status = 'pending') => {
+  const fileStatus = {};
+  source.files.forEach(name => {
+    fileStatus[name] = { loaded: false, status };
+  });
+  return fileStatus;
+};
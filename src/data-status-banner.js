@@ -0,0 +1,56 @@
+import React from 'react';
+import { useDataContext } from './DataContext.js';
+
+const formatTimestamp = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? String(value) : date.toLocaleString();
+};
+
+const DataStatusBanner = () => {
+  // Get the cache and revalidation state from context
+  const { cachedAt, isRevalidating, newDataAvailable, applyUpdate, error, refreshData } = useDataContext();
+
+  // Colors from Novo Nordisk spec
+  const colors = {
+    secondary: '#0066a4', // Complementary Blue
+    warning: '#ffc72c' // Yellow
+  };
+
+  if (newDataAvailable) {
+    return (
+      <div
+        className="flex flex-wrap justify-between items-center gap-2 rounded-lg p-3 mb-4 text-sm text-white"
+        style={{ backgroundColor: colors.secondary }}
+        role="status"
+      >
+        <span>New data is available.</span>
+        <button onClick={applyUpdate} className="px-3 py-1 rounded bg-white font-medium" style={{ color: colors.secondary }}>
+          Show new data
+        </button>
+      </div>
+    );
+  }
+
+  if (!cachedAt && !error) return null;
+
+  // Cached or earlier data on screen: still checking, or the check failed (offline)
+  return (
+    <div
+      className="flex flex-wrap justify-between items-center gap-2 rounded-lg p-3 mb-4 text-sm"
+      style={{ backgroundColor: colors.warning }}
+      role="status"
+    >
+      <span>
+        {cachedAt ? `Showing data saved on this device at ${formatTimestamp(cachedAt)}` : 'Showing the last data loaded'}
+        {isRevalidating ? ' - checking for newer data...' : error ? ` - could not refresh (${error})` : ''}
+      </span>
+      {!isRevalidating && error && (
+        <button onClick={() => refreshData()} className="px-3 py-1 rounded border border-gray-800">
+          Retry
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default DataStatusBanner;
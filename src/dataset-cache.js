@@ -0,0 +1,111 @@
+/**
+ * Last good dataset per data source, kept in IndexedDB
+ *
+ * The DataProvider renders the cached copy straight away and revalidates it
+ * against the network, so the dashboard opens on flaky or no Wi-Fi. Entries
+ * are keyed by the source's cacheKey (see data-sources.js) and carry the
+ * version of the data they hold:
+ *
+ *   { key, version, etag, data, changes, cachedAt }
+ *
+ * Every function resolves, never rejects: without IndexedDB (private
+ * browsing, old browsers, quota exceeded) the dashboard simply loads from
+ * the network as before.
+ */
+
+const DB_NAME = 'nn-dashboard';
+const DB_VERSION = 1;
+const STORE_NAME = 'datasets';
+
+let databasePromise = null;
+
+/**
+ * Open (and on first use create) the cache database
+ * @returns {Promise<IDBDatabase|null>} - Database, or null when IndexedDB is unavailable
+ */
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        if (!database.objectStoreNames.contains(STORE_NAME)) {
+          database.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('Dataset cache is blocked by another tab'));
+    }).catch(error => {
+      console.warn(`Dataset cache unavailable: ${error && error.message}`);
+      return null;
+    });
+  }
+  return databasePromise;
+};
+
+/**
+ * Run one request against the dataset store
+ * @param {String} mode - 'readonly' | 'readwrite'
+ * @param {Function} makeRequest - (store) => IDBRequest
+ * @returns {Promise<*>} - Request result, or null when the cache is unavailable or fails
+ */
+const runRequest = async (mode, makeRequest) => {
+  const database = await openDatabase();
+  if (!database) return null;
+
+  return new Promise(resolve => {
+    try {
+      const transaction = database.transaction(STORE_NAME, mode);
+      const request = makeRequest(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result === undefined ? null : request.result);
+      transaction.onerror = () => {
+        console.warn(`Dataset cache ${mode} failed: ${transaction.error && transaction.error.message}`);
+        resolve(null);
+      };
+      transaction.onabort = transaction.onerror;
+    } catch (error) {
+      console.warn(`Dataset cache ${mode} failed: ${error.message}`);
+      resolve(null);
+    }
+  });
+};
+
+/**
+ * Version of a dataset: the ETag it was served with, otherwise its build stamp
+ * @param {Object} data - complete-data.json payload
+ * @param {String} etag - ETag response header, if any
+ * @returns {String} - Version string; equal versions hold the same data
+ */
+export const datasetVersion = (data, etag = null) => etag || `${(data && data.dataVersion) || '?'}@${(data && data.lastUpdated) || '?'}`;
+
+/**
+ * Read the cached dataset of a source
+ * @param {String} key - Source cacheKey
+ * @returns {Promise<Object|null>} - Cache entry, or null
+ */
+export const readCachedDataset = (key) => runRequest('readonly', store => store.get(key));
+
+/**
+ * Store a source's last good dataset, replacing the previous one
+ * @param {String} key - Source cacheKey
+ * @param {Object} entry - { version, etag, data, changes }
+ * @returns {Promise<Boolean>} - Whether the entry was stored
+ */
+export const writeCachedDataset = async (key, entry) => {
+  const result = await runRequest('readwrite', store => store.put({ ...entry, key, cachedAt: new Date().toISOString() }));
+  return result !== null;
+};
+
+/**
+ * Drop the cached dataset of a source
+ * @param {String} key - Source cacheKey
+ * @returns {Promise<void>}
+ */
+export const clearCachedDataset = async (key) => {
+  await runRequest('readwrite', store => store.delete(key));
+};
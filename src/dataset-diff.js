@@ -0,0 +1,289 @@
+/**
+ * Change report between two builds of complete-data.json
+ *
+ * Records are matched on their stable IDs (see record-ids.js) and compared
+ * field by field. On top of that the report lists lots that appeared,
+ * disappeared or changed status, error types that appeared or disappeared,
+ * and KPI deltas from the overview and source summaries. Plain JavaScript,
+ * so the CLI, the pipeline and the dashboard share it.
+ */
+
+const SOURCE_DIFF_FIELDS = {
+  internal: { key: 'internalRFT', label: 'Internal RFT', category: 'errorType' },
+  external: { key: 'externalRFT', label: 'External RFT', category: 'issueType' },
+  process: { key: 'commercialProcess', label: 'Commercial Process', category: 'stage' },
+  deviations: { key: 'deviations', label: 'Deviations', category: 'rootCause' },
+  qualifications: { key: 'g7Performance', label: 'Equipment Qualification', category: 'equipmentClass' }
+};
+
+// KPIs compared between builds: [section path, field, label]
+const DIFF_KPIS = [
+  ['overview.stats', 'totalRecords', 'Total records'],
+  ['overview.stats', 'totalLots', 'Total lots'],
+  ['overview.stats', 'overallRFTRate', 'Overall RFT %'],
+  ['internalRFT.summary', 'rftRate', 'Internal RFT %'],
+  ['internalRFT.summary', 'failingRecords', 'Internal failing records'],
+  ['externalRFT.summary', 'totalComplaints', 'Complaints'],
+  ['externalRFT.summary', 'pendingComplaints', 'Open complaints'],
+  ['externalRFT.summary', 'resolutionRate', 'Complaint resolution %'],
+  ['commercialProcess.summary', 'completionRate', 'Lot completion %'],
+  ['commercialProcess.summary', 'onHoldLots', 'Lots on hold'],
+  ['deviations.summary', 'openDeviations', 'Open deviations'],
+  ['deviations.summary', 'overdueDeviations', 'Overdue deviations'],
+  ['g7Performance.summary', 'overdueQualifications', 'Overdue qualifications'],
+  ['g7Performance.summary', 'complianceRate', 'Equipment qualified %']
+];
+
+const DEFAULT_DIFF_OPTIONS = {
+  maxItems: 100,
+  // Provenance fields: a row moving within a sheet is not a data change
+  ignoreFields: ['sourceFile', 'sourceSheet', 'sourceRow']
+};
+
+/**
+ * Read a dotted path from an object
+ * @param {Object} object - Object to read from
+ * @param {String} path - Dotted path ("overview.stats")
+ * @returns {*} - Value, or undefined
+ */
+const getPath = (object, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+/**
+ * Number from a KPI value, including numeric strings such as "92.4"
+ * @param {*} value - KPI value
+ * @returns {Number|null} - Number, or null when not numeric
+ */
+const toNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+  return null;
+};
+
+// Match key for a record: its ID, or its content when it has none
+const recordKey = (record) => (record.id !== undefined && record.id !== null && record.id !== '' ? String(record.id) : JSON.stringify(record));
+
+// Cap a list, adding to the truncation count
+const capList = (list, maxItems, counter) => {
+  if (list.length <= maxItems) return list;
+  counter.truncated += list.length - maxItems;
+  return list.slice(0, maxItems);
+};
+
+/**
+ * Compare two record sets matched on ID
+ * @param {Array} beforeRecords - Records of the earlier build
+ * @param {Array} afterRecords - Records of the later build
+ * @param {Object} options - { maxItems, ignoreFields }
+ * @returns {Object} - { counts, added, removed, changed, truncated }
+ *   added/removed list { id, lot }; changed lists { id, lot, fields: [{ field, before, after }] }
+ */
+const diffRecords = (beforeRecords = [], afterRecords = [], options = {}) => {
+  const { maxItems, ignoreFields } = { ...DEFAULT_DIFF_OPTIONS, ...options };
+  const before = new Map(beforeRecords.map(record => [recordKey(record), record]));
+  const after = new Map(afterRecords.map(record => [recordKey(record), record]));
+  const describe = (id, record) => ({ id, lot: record.lot || null });
+
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+
+  after.forEach((record, id) => {
+    const previous = before.get(id);
+    if (!previous) {
+      added.push(describe(id, record));
+      return;
+    }
+
+    const fields = Array.from(new Set([...Object.keys(previous), ...Object.keys(record)]))
+      .filter(field => !ignoreFields.includes(field))
+      .filter(field => JSON.stringify(previous[field]) !== JSON.stringify(record[field]))
+      .map(field => ({ field, before: previous[field] ?? null, after: record[field] ?? null }));
+
+    if (fields.length > 0) {
+      changed.push({ ...describe(id, record), fields });
+    } else {
+      unchanged++;
+    }
+  });
+
+  const removed = [];
+  before.forEach((record, id) => {
+    if (!after.has(id)) removed.push(describe(id, record));
+  });
+
+  const counter = { truncated: 0 };
+  return {
+    counts: { added: added.length, removed: removed.length, changed: changed.length, unchanged },
+    added: capList(added, maxItems, counter),
+    removed: capList(removed, maxItems, counter),
+    changed: capList(changed, maxItems, counter),
+    truncated: counter.truncated
+  };
+};
+
+// Status of each lot: the status of its latest record (by date, then row order)
+const lotStatuses = (records = []) => {
+  const statuses = new Map();
+  records.forEach(record => {
+    if (!record.lot) return;
+    const current = statuses.get(record.lot);
+    if (!current || String(record.date || '') >= String(current.date || '')) {
+      statuses.set(record.lot, { date: record.date, status: record.status ?? null });
+    }
+  });
+  return statuses;
+};
+
+/**
+ * Compare the lots of two record sets
+ * @param {Array} beforeRecords - Records of the earlier build
+ * @param {Array} afterRecords - Records of the later build
+ * @returns {Object} - { added: [lot], removed: [lot], statusChanged: [{ lot, before, after }] }
+ */
+const diffLots = (beforeRecords = [], afterRecords = []) => {
+  const before = lotStatuses(beforeRecords);
+  const after = lotStatuses(afterRecords);
+
+  const added = [...after.keys()].filter(lot => !before.has(lot));
+  const removed = [...before.keys()].filter(lot => !after.has(lot));
+  const statusChanged = [...after.entries()]
+    .filter(([lot, { status }]) => before.has(lot) && before.get(lot).status !== status)
+    .map(([lot, { status }]) => ({ lot, before: before.get(lot).status, after: status }));
+
+  return { added, removed, statusChanged };
+};
+
+/**
+ * Compare the values of a category field (e.g. error type) between two record sets
+ * @param {Array} beforeRecords - Records of the earlier build
+ * @param {Array} afterRecords - Records of the later build
+ * @param {String} field - Category field
+ * @returns {Object} - { field, appeared: [{ value, count }], disappeared: [{ value, count }] }
+ */
+const diffCategories = (beforeRecords = [], afterRecords = [], field) => {
+  const count = (records) => records.reduce((counts, record) => {
+    const value = record[field];
+    if (value !== undefined && value !== null && value !== '') counts.set(value, (counts.get(value) || 0) + 1);
+    return counts;
+  }, new Map());
+
+  const before = count(beforeRecords);
+  const after = count(afterRecords);
+
+  return {
+    field,
+    appeared: [...after.entries()].filter(([value]) => !before.has(value)).map(([value, total]) => ({ value, count: total })),
+    disappeared: [...before.entries()].filter(([value]) => !after.has(value)).map(([value, total]) => ({ value, count: total }))
+  };
+};
+
+/**
+ * KPI deltas between two datasets
+ * @param {Object} before - Earlier complete-data.json
+ * @param {Object} after - Later complete-data.json
+ * @returns {Array} - [{ key, label, before, after, delta }] for KPIs present in either build
+ */
+const diffKpis = (before, after) => DIFF_KPIS
+  .map(([section, field, label]) => {
+    const was = toNumber(getPath(before, `${section}.${field}`));
+    const now = toNumber(getPath(after, `${section}.${field}`));
+    return {
+      key: `${section}.${field}`,
+      label,
+      before: was,
+      after: now,
+      delta: was !== null && now !== null ? Math.round((now - was) * 100) / 100 : null
+    };
+  })
+  .filter(kpi => kpi.before !== null || kpi.after !== null);
+
+/**
+ * Change report between two complete-data.json builds
+ * @param {Object} before - Earlier complete-data.json
+ * @param {Object} after - Later complete-data.json
+ * @param {Object} options - { maxItems, ignoreFields } (maxItems caps each list; counts stay exact)
+ * @returns {Object} - { before, after, hasChanges, kpis, sources, lots }
+ */
+const diffDatasets = (before = {}, after = {}, options = {}) => {
+  const sources = {};
+  const allBefore = [];
+  const allAfter = [];
+
+  Object.entries(SOURCE_DIFF_FIELDS).forEach(([source, { key, label, category }]) => {
+    const beforeRecords = getPath(before, `${key}.records`) || [];
+    const afterRecords = getPath(after, `${key}.records`) || [];
+    allBefore.push(...beforeRecords);
+    allAfter.push(...afterRecords);
+
+    sources[source] = {
+      label,
+      records: diffRecords(beforeRecords, afterRecords, options),
+      lots: diffLots(beforeRecords, afterRecords),
+      categories: diffCategories(beforeRecords, afterRecords, category)
+    };
+  });
+
+  // Lots new to (or gone from) the whole dataset, not just one source
+  const { added, removed } = diffLots(allBefore, allAfter);
+  const kpis = diffKpis(before, after);
+
+  const hasChanges = kpis.some(kpi => kpi.before !== kpi.after) ||
+    Object.values(sources).some(({ records, lots }) =>
+      records.counts.added || records.counts.removed || records.counts.changed || lots.statusChanged.length);
+
+  return {
+    before: { lastUpdated: before.lastUpdated || null, dataVersion: before.dataVersion || null },
+    after: { lastUpdated: after.lastUpdated || null, dataVersion: after.dataVersion || null },
+    hasChanges,
+    kpis,
+    sources,
+    lots: { added, removed }
+  };
+};
+
+/**
+ * Format a change report as text
+ * @param {Object} report - Report from diffDatasets
+ * @returns {String} - Report text
+ */
+const formatDiffReport = (report) => {
+  const list = (items, limit = 10) => `${items.slice(0, limit).join(', ')}${items.length > limit ? ` and ${items.length - limit} more` : ''}`;
+  const signed = (value) => (value > 0 ? `+${value}` : String(value));
+  const lines = [
+    `Changes ${report.before.lastUpdated || '?'} -> ${report.after.lastUpdated || '?'}: ${report.hasChanges ? 'changes found' : 'no changes'}`
+  ];
+
+  report.kpis.filter(kpi => kpi.before !== kpi.after).forEach(kpi => {
+    lines.push(`  ${kpi.label}: ${kpi.before ?? '-'} -> ${kpi.after ?? '-'}${kpi.delta !== null ? ` (${signed(kpi.delta)})` : ''}`);
+  });
+
+  if (report.lots.added.length > 0) lines.push(`  New lots: ${list(report.lots.added)}`);
+  if (report.lots.removed.length > 0) lines.push(`  Lots no longer present: ${list(report.lots.removed)}`);
+
+  Object.values(report.sources).forEach(({ label, records, lots, categories }) => {
+    const { added, removed, changed } = records.counts;
+    lines.push(`  ${label}: +${added} added, -${removed} removed, ~${changed} changed`);
+    lots.statusChanged.slice(0, 10).forEach(({ lot, before, after }) => lines.push(`    ${lot}: ${before} -> ${after}`));
+    if (lots.statusChanged.length > 10) lines.push(`    ... ${lots.statusChanged.length - 10} more status changes`);
+    if (categories.appeared.length > 0) {
+      lines.push(`    New ${categories.field} values: ${list(categories.appeared.map(({ value, count }) => `${value} (${count})`))}`);
+    }
+    if (categories.disappeared.length > 0) {
+      lines.push(`    ${categories.field} values no longer present: ${list(categories.disappeared.map(({ value }) => value))}`);
+    }
+  });
+
+  return lines.join('\n');
+};
+
+module.exports = {
+  SOURCE_DIFF_FIELDS,
+  DIFF_KPIS,
+  DEFAULT_DIFF_OPTIONS,
+  diffRecords,
+  diffLots,
+  diffCategories,
+  diffKpis,
+  diffDatasets,
+  formatDiffReport
+};
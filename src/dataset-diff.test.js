@@ -0,0 +1,157 @@
+const { diffRecords, diffLots, diffCategories, diffKpis, diffDatasets, formatDiffReport } = require('./dataset-diff');
+
+describe('diffRecords', () => {
+  const before = [
+    { id: 'INT-1', lot: 'LOT-001', status: 'Open', sourceRow: 2 },
+    { id: 'INT-2', lot: 'LOT-002', status: 'Open', sourceRow: 3 },
+    { id: 'INT-3', lot: 'LOT-003', status: 'Open', sourceRow: 4 }
+  ];
+
+  test('matches records on ID and lists the fields that changed', () => {
+    const after = [
+      { id: 'INT-1', lot: 'LOT-001', status: 'Closed', sourceRow: 2 },
+      { id: 'INT-3', lot: 'LOT-003', status: 'Open', sourceRow: 4 },
+      { id: 'INT-4', lot: 'LOT-004', status: 'Open', sourceRow: 5 }
+    ];
+    const result = diffRecords(before, after);
+    expect(result.counts).toEqual({ added: 1, removed: 1, changed: 1, unchanged: 1 });
+    expect(result.added).toEqual([{ id: 'INT-4', lot: 'LOT-004' }]);
+    expect(result.removed).toEqual([{ id: 'INT-2', lot: 'LOT-002' }]);
+    expect(result.changed).toEqual([{ id: 'INT-1', lot: 'LOT-001', fields: [{ field: 'status', before: 'Open', after: 'Closed' }] }]);
+  });
+
+  test('ignores provenance fields, or the fields given', () => {
+    const moved = before.map(record => ({ ...record, sourceRow: record.sourceRow + 10, sourceFile: 'new.xlsx' }));
+    expect(diffRecords(before, moved).counts.changed).toBe(0);
+
+    const reworded = before.map(record => ({ ...record, status: 'open' }));
+    expect(diffRecords(before, reworded, { ignoreFields: ['status'] }).counts.changed).toBe(0);
+    expect(diffRecords(before, moved, { ignoreFields: [] }).counts.changed).toBe(3);
+  });
+
+  test('reports a field that appears or disappears as changed from or to null', () => {
+    const result = diffRecords([{ id: 'A', lot: 'L' }], [{ id: 'A', lot: 'L', rootCause: 'Training' }]);
+    expect(result.changed[0].fields).toEqual([{ field: 'rootCause', before: null, after: 'Training' }]);
+  });
+
+  test('matches records without an ID on their content', () => {
+    const result = diffRecords([{ lot: 'LOT-001', stage: 'Assembly' }], [{ lot: 'LOT-001', stage: 'Assembly' }, { lot: 'LOT-001', stage: 'Packaging' }]);
+    expect(result.counts).toEqual({ added: 1, removed: 0, changed: 0, unchanged: 1 });
+  });
+
+  test('caps each list but keeps the counts exact', () => {
+    const after = Array.from({ length: 5 }, (value, i) => ({ id: `NEW-${i}` }));
+    const result = diffRecords([], after, { maxItems: 2 });
+    expect(result.counts.added).toBe(5);
+    expect(result.added).toHaveLength(2);
+    expect(result.truncated).toBe(3);
+  });
+});
+
+describe('diffLots', () => {
+  test('takes the status of the latest record of each lot', () => {
+    const before = [
+      { lot: 'LOT-001', date: '2024-03-02', status: 'In Progress' },
+      { lot: 'LOT-001', date: '2024-03-01', status: 'Released' },
+      { lot: 'LOT-002', date: '2024-03-01', status: 'On Hold' }
+    ];
+    const after = [
+      { lot: 'LOT-001', date: '2024-03-02', status: 'In Progress' },
+      { lot: 'LOT-001', date: '2024-03-05', status: 'Released' },
+      { lot: 'LOT-002', date: '2024-03-01', status: 'On Hold' }
+    ];
+    expect(diffLots(before, after)).toEqual({
+      added: [],
+      removed: [],
+      statusChanged: [{ lot: 'LOT-001', before: 'In Progress', after: 'Released' }]
+    });
+  });
+
+  test('takes the later row when records share a date', () => {
+    const records = [
+      { lot: 'LOT-001', date: '2024-03-01', status: 'Open' },
+      { lot: 'LOT-001', date: '2024-03-01', status: 'Closed' }
+    ];
+    expect(diffLots([records[0]], records).statusChanged).toEqual([{ lot: 'LOT-001', before: 'Open', after: 'Closed' }]);
+  });
+
+  test('lists lots that appeared or disappeared, skipping records without a lot', () => {
+    const result = diffLots([{ lot: 'LOT-001' }, { status: 'Open' }], [{ lot: 'LOT-002', status: 'Open' }]);
+    expect(result).toEqual({ added: ['LOT-002'], removed: ['LOT-001'], statusChanged: [] });
+  });
+});
+
+describe('diffCategories', () => {
+  test('lists values that appeared or disappeared, with their counts', () => {
+    const before = [{ errorType: 'Missing signature' }, { errorType: 'Wrong date' }];
+    const after = [{ errorType: 'Wrong date' }, { errorType: 'Illegible' }, { errorType: 'Illegible' }, { errorType: '' }];
+    expect(diffCategories(before, after, 'errorType')).toEqual({
+      field: 'errorType',
+      appeared: [{ value: 'Illegible', count: 2 }],
+      disappeared: [{ value: 'Missing signature', count: 1 }]
+    });
+  });
+});
+
+describe('diffKpis', () => {
+  test('reads numeric strings and rounds the delta to two decimals', () => {
+    const before = { overview: { stats: { overallRFTRate: '92.4', totalRecords: 100 } } };
+    const after = { overview: { stats: { overallRFTRate: 93.13, totalRecords: '100' } } };
+    expect(diffKpis(before, after)).toEqual([
+      { key: 'overview.stats.totalRecords', label: 'Total records', before: 100, after: 100, delta: 0 },
+      { key: 'overview.stats.overallRFTRate', label: 'Overall RFT %', before: 92.4, after: 93.13, delta: 0.73 }
+    ]);
+  });
+
+  test('has no delta when a KPI is missing or not numeric on one side', () => {
+    const before = { overview: { stats: { overallRFTRate: 'N/A' } }, deviations: { summary: { openDeviations: 4 } } };
+    const after = { overview: { stats: { overallRFTRate: 90 } } };
+    expect(diffKpis(before, after)).toEqual([
+      { key: 'overview.stats.overallRFTRate', label: 'Overall RFT %', before: null, after: 90, delta: null },
+      { key: 'deviations.summary.openDeviations', label: 'Open deviations', before: 4, after: null, delta: null }
+    ]);
+  });
+
+  test('leaves out KPIs neither build has', () => {
+    expect(diffKpis({}, { overview: { stats: { totalLots: '' } } })).toEqual([]);
+  });
+});
+
+describe('diffDatasets', () => {
+  const dataset = (status, rftRate = 95) => ({
+    lastUpdated: '2024-03-01T10:00:00.000Z',
+    internalRFT: {
+      summary: { rftRate },
+      records: [{ id: 'INT-1', lot: 'LOT-001', date: '2024-03-01', errorType: 'Missing signature', status }]
+    },
+    commercialProcess: { records: [{ id: 'CP-1', lot: 'LOT-002', date: '2024-03-01', stage: 'Assembly', status: 'In Progress' }] }
+  });
+
+  test('finds no changes between identical builds', () => {
+    const report = diffDatasets(dataset('Open'), dataset('Open'));
+    expect(report.hasChanges).toBe(false);
+    expect(formatDiffReport(report)).toMatch(/no changes/);
+  });
+
+  test('finds a record change, reporting the lot status change', () => {
+    const report = diffDatasets(dataset('Open'), dataset('Closed'));
+    expect(report.hasChanges).toBe(true);
+    expect(report.sources.internal.records.counts.changed).toBe(1);
+    expect(report.sources.internal.lots.statusChanged).toEqual([{ lot: 'LOT-001', before: 'Open', after: 'Closed' }]);
+    expect(formatDiffReport(report)).toContain('LOT-001: Open -> Closed');
+  });
+
+  test('finds a KPI change alone', () => {
+    const report = diffDatasets(dataset('Open', 95), dataset('Open', '96.5'));
+    expect(report.hasChanges).toBe(true);
+    expect(report.kpis).toContainEqual({ key: 'internalRFT.summary.rftRate', label: 'Internal RFT %', before: 95, after: 96.5, delta: 1.5 });
+  });
+
+  test('lists lots new to the whole dataset, not ones moving between sources', () => {
+    const after = dataset('Open');
+    after.externalRFT = { records: [{ id: 'EXT-1', lot: 'LOT-001' }, { id: 'EXT-2', lot: 'LOT-003' }] };
+    const report = diffDatasets(dataset('Open'), after);
+    expect(report.lots).toEqual({ added: ['LOT-003'], removed: [] });
+    expect(report.sources.external.lots.added).toEqual(['LOT-001', 'LOT-003']);
+  });
+});
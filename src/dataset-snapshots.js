@@ -0,0 +1,114 @@
+/**
+ * Snapshots of complete-data.json, one per build
+ *
+ * Each pipeline run publishes a byte-for-byte copy of its output as
+ * snapshots/<id>.json, keyed by build timestamp and content hash so a later
+ * build never replaces an earlier one, and lists it under its day in
+ * snapshots/index.json:
+ *
+ *   { snapshots: [{ date, builds: [{ id, file, changes, lastUpdated, dataVersion, hash, contentHash, records }] }] }
+ *
+ * days and their builds newest first, with file names relative to the index.
+ * `hash` is the snapshot file's SHA-256; `contentHash` leaves out the build
+ * timestamp, and a build whose data matches the latest snapshot publishes none.
+ * The dashboard picks a build, or the last build "as of" a date, to show
+ * exactly what it showed then.
+ */
+
+const { toIsoDate } = require('./date-normalization');
+
+const SNAPSHOT_INDEX_FILE = 'index.json';
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const newestFirst = (a, b) => (a < b ? 1 : a > b ? -1 : 0);
+
+/**
+ * Calendar date a build is filed under, in the plant time zone
+ * @param {String} lastUpdated - Build timestamp (ISO)
+ * @param {Object} dateOptions - Date options ({ timeZone })
+ * @returns {String} - "YYYY-MM-DD"
+ */
+const snapshotDate = (lastUpdated, dateOptions = {}) => toIsoDate(lastUpdated, dateOptions);
+
+/**
+ * Id a build's snapshot files are named after
+ * @param {String} lastUpdated - Build timestamp (ISO)
+ * @param {String} hash - Content hash of the build's output
+ * @returns {String} - e.g. "2024-02-21T10-15-00-000Z-3f2a9c1b", safe in file names
+ */
+const snapshotId = (lastUpdated, hash) => `${String(lastUpdated).replace(/[:.]/g, '-')}-${String(hash).slice(0, 8)}`;
+
+// Indexes written before snapshots were kept per build have one { date, file, ... } entry a day
+const buildsOf = (day) => {
+  if (Array.isArray(day.builds)) return day.builds;
+  const { date, ...build } = day;
+  return [{ id: String(build.file).replace(/\.json$/, ''), ...build }];
+};
+
+/**
+ * Add a build's snapshot to its day in an index
+ * @param {Object} index - Existing index ({ snapshots }), or null
+ * @param {Object} entry - Snapshot entry with a `date` and an `id`
+ * @returns {Object} - New index, newest day and build first
+ */
+const updateSnapshotIndex = (index, entry) => {
+  const { date, ...build } = entry;
+  const days = ((index && index.snapshots) || []).map(day => ({ date: day.date, builds: buildsOf(day) }));
+  const day = days.find(item => item.date === date);
+  const builds = [build, ...(day ? day.builds.filter(item => item.id !== build.id) : [])]
+    .sort((a, b) => newestFirst(a.lastUpdated, b.lastUpdated));
+
+  return {
+    ...(index || {}),
+    snapshots: [{ date, builds }, ...days.filter(item => item.date !== date)]
+      .sort((a, b) => newestFirst(a.date, b.date))
+  };
+};
+
+/**
+ * Snapshot to show: the build with an id, else the last build of a date or of the latest day before it
+ * @param {Array} snapshots - Index entries (days)
+ * @param {String} asOf - Build id, or "YYYY-MM-DD"
+ * @returns {Object|null} - Build entry with its `date`, or null when there is no such build or none is that old
+ */
+const findSnapshot = (snapshots = [], asOf) => {
+  for (const day of snapshots) {
+    const build = buildsOf(day).find(item => item.id === asOf);
+    if (build) return { ...build, date: day.date };
+  }
+
+  const day = snapshots
+    .filter(item => item.date <= asOf)
+    .reduce((latest, item) => (!latest || item.date > latest.date ? item : latest), null);
+  if (!day || !ISO_DATE.test(asOf)) return null;
+  const [build] = [...buildsOf(day)].sort((a, b) => newestFirst(a.lastUpdated, b.lastUpdated));
+  return build ? { ...build, date: day.date } : null;
+};
+
+/**
+ * Latest build in an index
+ * @param {Array} snapshots - Index entries (days)
+ * @returns {Object|null} - Build entry with its `date`, or null for an empty index
+ */
+const latestSnapshot = (snapshots = []) => (snapshots.length > 0 ? findSnapshot(snapshots, snapshots[0].date) : null);
+
+/**
+ * Files an index refers to, to copy a published set of snapshots
+ * @param {Array} snapshots - Index entries (days)
+ * @returns {Array} - Snapshot and change report file names, relative to the index
+ */
+const snapshotFiles = (snapshots = []) => [...new Set(snapshots
+  .flatMap(day => buildsOf(day))
+  .flatMap(build => [build.file, build.changes])
+  .filter(Boolean))];
+
+module.exports = {
+  SNAPSHOT_INDEX_FILE,
+  snapshotDate,
+  snapshotId,
+  updateSnapshotIndex,
+  findSnapshot,
+  latestSnapshot,
+  snapshotFiles
+};
@@ -0,0 +1,64 @@
+const { snapshotId, updateSnapshotIndex, findSnapshot, latestSnapshot, snapshotFiles } = require('./dataset-snapshots');
+
+const build = (lastUpdated, overrides = {}) => {
+  const id = snapshotId(lastUpdated, `hash${lastUpdated.slice(11, 13)}`);
+  return { date: lastUpdated.slice(0, 10), id, file: `${id}.json`, changes: `${id}.changes.json`, lastUpdated, ...overrides };
+};
+
+const indexOf = (...builds) => builds.reduce(updateSnapshotIndex, null);
+
+describe('snapshotId', () => {
+  test('is safe in file names and keeps 8 hash characters', () => {
+    expect(snapshotId('2024-02-21T10:15:00.000Z', '3f2a9c1b77')).toBe('2024-02-21T10-15-00-000Z-3f2a9c1b');
+  });
+});
+
+describe('updateSnapshotIndex', () => {
+  test('groups builds by day, newest day and build first', () => {
+    const { snapshots } = indexOf(
+      build('2024-02-20T09:00:00.000Z'),
+      build('2024-02-21T08:00:00.000Z'),
+      build('2024-02-21T10:00:00.000Z')
+    );
+    expect(snapshots.map(day => day.date)).toEqual(['2024-02-21', '2024-02-20']);
+    expect(snapshots[0].builds.map(item => item.lastUpdated)).toEqual(['2024-02-21T10:00:00.000Z', '2024-02-21T08:00:00.000Z']);
+  });
+
+  test('replaces a build with the same id and reads legacy one-per-day entries', () => {
+    const legacy = { snapshots: [{ date: '2024-02-20', file: '2024-02-20.json', lastUpdated: '2024-02-20T09:00:00.000Z' }] };
+    const rebuilt = build('2024-02-21T10:00:00.000Z');
+    const { snapshots } = [rebuilt, { ...rebuilt, records: 5 }].reduce(updateSnapshotIndex, legacy);
+    expect(snapshots[0].builds).toHaveLength(1);
+    expect(snapshots[0].builds[0].records).toBe(5);
+    expect(snapshots[1].builds[0].id).toBe('2024-02-20');
+  });
+});
+
+describe('findSnapshot', () => {
+  const { snapshots } = indexOf(build('2024-02-20T09:00:00.000Z'), build('2024-02-21T08:00:00.000Z'), build('2024-02-21T10:00:00.000Z'));
+
+  test('finds a build by id, or the last build as of a date', () => {
+    expect(findSnapshot(snapshots, snapshotId('2024-02-21T08:00:00.000Z', 'hash08')).lastUpdated).toBe('2024-02-21T08:00:00.000Z');
+    expect(findSnapshot(snapshots, '2024-02-21').lastUpdated).toBe('2024-02-21T10:00:00.000Z');
+    expect(findSnapshot(snapshots, '2024-02-25').lastUpdated).toBe('2024-02-21T10:00:00.000Z');
+    expect(findSnapshot(snapshots, '2024-02-19')).toBeNull();
+    expect(findSnapshot(snapshots, 'unknown-build')).toBeNull();
+  });
+});
+
+describe('latestSnapshot', () => {
+  test('is the newest build of the newest day', () => {
+    const { snapshots } = indexOf(build('2024-02-21T10:00:00.000Z', { contentHash: 'abc' }), build('2024-02-20T09:00:00.000Z'));
+    expect(latestSnapshot(snapshots)).toMatchObject({ date: '2024-02-21', contentHash: 'abc' });
+    expect(latestSnapshot([])).toBeNull();
+  });
+});
+
+describe('snapshotFiles', () => {
+  test('lists each snapshot and change report once, skipping builds without a report', () => {
+    const first = build('2024-02-20T09:00:00.000Z', { changes: null });
+    const second = build('2024-02-21T10:00:00.000Z');
+    const { snapshots } = indexOf(first, second, second);
+    expect(snapshotFiles(snapshots)).toEqual([second.file, second.changes, first.file]);
+  });
+});
@@ -0,0 +1,272 @@
+/**
+ * Date normalisation shared by the ingestion pipeline and DataTransformer
+ *
+ * Accepts Excel serial numbers, Date objects, ISO strings and strings in
+ * configurable formats ("DD/MM/YYYY", "DD-MMM-YYYY", ...), and normalises
+ * them to an ISO calendar date in the plant time zone. Values without a
+ * time zone are read as plant wall-clock time, so a date-only value never
+ * shifts to the neighbouring day. Values that cannot be parsed come back
+ * flagged as invalid rather than replaced with a default.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Excel's 1900 date system counts from 1899-12-30 (it treats 1900 as a leap year)
+const EXCEL_EPOCH_1900 = Date.UTC(1899, 11, 30);
+const EXCEL_EPOCH_1904 = Date.UTC(1904, 0, 1);
+const MAX_EXCEL_SERIAL = 2958465; // 9999-12-31
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const DEFAULT_DATE_OPTIONS = {
+  // Tried in order; put the plant's own convention first
+  formats: ['YYYY-MM-DD', 'DD/MM/YYYY', 'DD.MM.YYYY', 'DD-MM-YYYY', 'DD-MMM-YYYY', 'DD MMM YYYY', 'YYYY/MM/DD'],
+  timeZone: 'UTC',
+  dateSystem: 1900
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Offset of a time zone from UTC at a given instant
+ * @param {Number} utcMs - Instant in milliseconds
+ * @param {String} timeZone - IANA time zone name
+ * @returns {Number} - Offset in milliseconds (local - UTC)
+ */
+const getTimeZoneOffset = (utcMs, timeZone) => {
+  if (!timeZone || timeZone === 'UTC') return 0;
+
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(utcMs)).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  const localMs = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return localMs - Math.floor(utcMs / 1000) * 1000;
+};
+
+/**
+ * Convert plant wall-clock parts to a UTC instant
+ * @param {Object} parts - { year, month, day, hour, minute, second }
+ * @param {String} timeZone - IANA time zone name
+ * @returns {Number} - Instant in milliseconds
+ */
+const wallTimeToUtc = (parts, timeZone) => {
+  const wallMs = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour || 0, parts.minute || 0, parts.second || 0, parts.millisecond || 0);
+  const firstGuess = wallMs - getTimeZoneOffset(wallMs, timeZone);
+  // Re-check once so wall times near a DST change land on the right offset
+  return wallMs - getTimeZoneOffset(firstGuess, timeZone);
+};
+
+/**
+ * Calendar date of an instant in a time zone
+ * @param {Number} utcMs - Instant in milliseconds
+ * @param {String} timeZone - IANA time zone name
+ * @returns {String} - "YYYY-MM-DD"
+ */
+const instantToIsoDate = (utcMs, timeZone) => {
+  const local = new Date(utcMs + getTimeZoneOffset(utcMs, timeZone));
+  return `${local.getUTCFullYear()}-${pad(local.getUTCMonth() + 1)}-${pad(local.getUTCDate())}`;
+};
+
+const isValidDay = (year, month, day) => {
+  if (month < 1 || month > 12 || day < 1) return false;
+  return day <= new Date(Date.UTC(year, month, 0)).getUTCDate();
+};
+
+/**
+ * Build a matcher for a date format such as "DD/MM/YYYY" or "DD-MMM-YYYY"
+ * An optional time ("HH:mm", "HH:mm:ss" or "HH:mm:ss.SSS", after a space or "T") may follow.
+ * @param {String} format - Format using YYYY, YY, MMM, MM and DD tokens
+ * @returns {Function} - Parses a string into wall-clock parts or null
+ */
+const buildFormatParser = (format) => {
+  const tokens = [];
+  const source = format
+    .replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')
+    .replace(/YYYY|YY|MMM|MM|DD/g, token => {
+      tokens.push(token);
+      if (token === 'YYYY') return '(\\d{4})';
+      if (token === 'MMM') return '([A-Za-z]{3,9})';
+      return '(\\d{1,2})';
+    });
+  const pattern = new RegExp(`^${source}(?:[ T](\\d{1,2}):(\\d{2})(?::(\\d{2})(?:\\.(\\d+))?)?)?$`);
+
+  return (text) => {
+    const match = text.match(pattern);
+    if (!match) return null;
+
+    const parts = { hour: 0, minute: 0, second: 0, millisecond: 0 };
+    tokens.forEach((token, index) => {
+      const value = match[index + 1];
+      if (token === 'YYYY') parts.year = parseInt(value, 10);
+      if (token === 'YY') parts.year = 2000 + parseInt(value, 10);
+      if (token === 'MM') parts.month = parseInt(value, 10);
+      if (token === 'DD') parts.day = parseInt(value, 10);
+      if (token === 'MMM') parts.month = MONTH_NAMES.indexOf(value.slice(0, 3).toLowerCase()) + 1;
+    });
+
+    const timeIndex = tokens.length + 1;
+    if (match[timeIndex] !== undefined) {
+      parts.hour = parseInt(match[timeIndex], 10);
+      parts.minute = parseInt(match[timeIndex + 1], 10);
+      parts.second = match[timeIndex + 2] !== undefined ? parseInt(match[timeIndex + 2], 10) : 0;
+      // Fractions of a second beyond milliseconds are dropped
+      parts.millisecond = match[timeIndex + 3] !== undefined ? parseInt(match[timeIndex + 3].slice(0, 3).padEnd(3, '0'), 10) : 0;
+      parts.hasTime = true;
+    }
+
+    if (!isValidDay(parts.year, parts.month, parts.day) || parts.hour > 23 || parts.minute > 59 || parts.second > 59) {
+      return null;
+    }
+    return parts;
+  };
+};
+
+const parserCache = {};
+const getFormatParser = (format) => {
+  if (!parserCache[format]) parserCache[format] = buildFormatParser(format);
+  return parserCache[format];
+};
+
+/**
+ * Convert an Excel serial date to wall-clock parts
+ * @param {Number} serial - Days since the workbook epoch, fraction = time of day
+ * @param {Number} dateSystem - 1900 or 1904
+ * @returns {Object|null} - Wall-clock parts or null when out of range
+ */
+const excelSerialToParts = (serial, dateSystem = 1900) => {
+  if (!isFinite(serial) || serial < 1 || serial > MAX_EXCEL_SERIAL) return null;
+
+  const epoch = dateSystem === 1904 ? EXCEL_EPOCH_1904 : EXCEL_EPOCH_1900;
+  const wall = new Date(epoch + Math.round(serial * DAY_MS / 1000) * 1000);
+
+  return {
+    year: wall.getUTCFullYear(),
+    month: wall.getUTCMonth() + 1,
+    day: wall.getUTCDate(),
+    hour: wall.getUTCHours(),
+    minute: wall.getUTCMinutes(),
+    second: wall.getUTCSeconds(),
+    hasTime: serial % 1 !== 0
+  };
+};
+
+const fromWallParts = (parts, timeZone, source) => ({
+  valid: true,
+  date: `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`,
+  dateTime: parts.hasTime ? new Date(wallTimeToUtc(parts, timeZone)).toISOString() : null,
+  source
+});
+
+const fromInstant = (utcMs, timeZone, source) => ({
+  valid: true,
+  date: instantToIsoDate(utcMs, timeZone),
+  dateTime: new Date(utcMs).toISOString(),
+  source
+});
+
+/**
+ * Normalise a date value from a spreadsheet or record
+ * @param {*} value - Serial number, Date, or date string
+ * @param {Object} options - { formats, timeZone, dateSystem }
+ * @returns {Object} - { valid, date, dateTime, source, error }
+ */
+const normalizeDate = (value, options = {}) => {
+  const { formats, timeZone, dateSystem } = { ...DEFAULT_DATE_OPTIONS, ...options };
+
+  if (value === null || value === undefined || (typeof value === 'string' && value.trim() === '')) {
+    return { valid: false, date: null, dateTime: null, error: 'missing' };
+  }
+
+  if (value instanceof Date) {
+    return isNaN(value.getTime())
+      ? { valid: false, date: null, dateTime: null, error: 'unparseable' }
+      : fromInstant(value.getTime(), timeZone, 'date');
+  }
+
+  if (typeof value === 'number') {
+    const parts = excelSerialToParts(value, dateSystem);
+    return parts
+      ? fromWallParts(parts, timeZone, 'serial')
+      : { valid: false, date: null, dateTime: null, error: 'unparseable' };
+  }
+
+  const text = String(value).trim();
+
+  // Numeric strings are serials that lost their cell type on export
+  if (/^\d+(\.\d+)?$/.test(text) && text.length <= 7) {
+    return normalizeDate(parseFloat(text), options);
+  }
+
+  // ISO timestamps with an explicit zone are instants
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+    const utcMs = Date.parse(text);
+    if (!isNaN(utcMs)) return fromInstant(utcMs, timeZone, 'iso');
+  }
+
+  for (const format of formats) {
+    const parts = getFormatParser(format)(text);
+    if (parts) return fromWallParts(parts, timeZone, format);
+  }
+
+  return { valid: false, date: null, dateTime: null, error: 'unparseable' };
+};
+
+/**
+ * Normalised ISO calendar date, or null when the value is not a date
+ * @param {*} value - Date value
+ * @param {Object} options - Date options
+ * @returns {String|null} - "YYYY-MM-DD"
+ */
+const toIsoDate = (value, options = {}) => normalizeDate(value, options).date;
+
+/**
+ * Parse a value into a Date at UTC midnight of its calendar date
+ * Use with getUTC* accessors for month/week bucketing.
+ * @param {*} value - Date value
+ * @param {Object} options - Date options
+ * @returns {Date|null} - Date or null when the value is not a date
+ */
+const parseDate = (value, options = {}) => {
+  const date = toIsoDate(value, options);
+  return date ? new Date(`${date}T00:00:00Z`) : null;
+};
+
+/**
+ * Days between two date values
+ * Uses exact instants when both values carry a time, calendar dates otherwise.
+ * @param {*} start - Start date value
+ * @param {*} end - End date value
+ * @param {Object} options - Date options
+ * @returns {Number|null} - Elapsed days, or null when either value is not a date
+ */
+const daysBetween = (start, end, options = {}) => {
+  const from = normalizeDate(start, options);
+  const to = normalizeDate(end, options);
+  if (!from.valid || !to.valid) return null;
+
+  if (from.dateTime && to.dateTime) {
+    return (Date.parse(to.dateTime) - Date.parse(from.dateTime)) / DAY_MS;
+  }
+  return (Date.parse(`${to.date}T00:00:00Z`) - Date.parse(`${from.date}T00:00:00Z`)) / DAY_MS;
+};
+
+module.exports = {
+  DEFAULT_DATE_OPTIONS,
+  getTimeZoneOffset,
+  excelSerialToParts,
+  normalizeDate,
+  toIsoDate,
+  parseDate,
+  daysBetween
+};
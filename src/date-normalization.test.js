@@ -0,0 +1,105 @@
+const { normalizeDate, toIsoDate, daysBetween, excelSerialToParts } = require('./date-normalization');
+
+describe('Excel serial dates', () => {
+  test('counts from 1899-12-30 in the 1900 date system', () => {
+    expect(toIsoDate(1)).toBe('1899-12-31');
+    expect(toIsoDate(44927)).toBe('2023-01-01');
+    expect(toIsoDate(45000)).toBe('2023-03-15');
+  });
+
+  test('counts from 1904-01-01 in the 1904 date system', () => {
+    expect(toIsoDate(1, { dateSystem: 1904 })).toBe('1904-01-02');
+    expect(toIsoDate(43465, { dateSystem: 1904 })).toBe('2023-01-01');
+  });
+
+  test('reads the fraction as the time of day', () => {
+    expect(excelSerialToParts(45000.75)).toMatchObject({ year: 2023, month: 3, day: 15, hour: 18, minute: 0, hasTime: true });
+    expect(normalizeDate(45000.5).dateTime).toBe('2023-03-15T12:00:00.000Z');
+    expect(normalizeDate(45000).dateTime).toBeNull();
+  });
+
+  test('reads numeric strings as serials that lost their cell type', () => {
+    expect(normalizeDate('45000')).toMatchObject({ valid: true, date: '2023-03-15', source: 'serial' });
+  });
+
+  test('rejects serials out of range', () => {
+    expect(normalizeDate(0)).toMatchObject({ valid: false, error: 'unparseable' });
+    expect(normalizeDate(3000000)).toMatchObject({ valid: false, error: 'unparseable' });
+  });
+});
+
+describe('formatted dates', () => {
+  test('reads day first by default', () => {
+    expect(toIsoDate('03/04/2024')).toBe('2024-04-03');
+    expect(toIsoDate('25.12.2024')).toBe('2024-12-25');
+    expect(toIsoDate('05-Mar-2024')).toBe('2024-03-05');
+    expect(toIsoDate('5 March 2024')).toBe('2024-03-05');
+  });
+
+  test('reads month first when the plant uses it', () => {
+    const options = { formats: ['MM/DD/YYYY'] };
+    expect(toIsoDate('03/04/2024', options)).toBe('2024-03-04');
+    expect(normalizeDate('25/12/2024', options)).toMatchObject({ valid: false, error: 'unparseable' });
+  });
+
+  test('rejects days that do not exist', () => {
+    expect(toIsoDate('31/04/2024')).toBeNull();
+    expect(toIsoDate('29/02/2023')).toBeNull();
+    expect(toIsoDate('29/02/2024')).toBe('2024-02-29');
+  });
+
+  test('flags missing and unparseable values instead of defaulting them', () => {
+    expect(normalizeDate('')).toMatchObject({ valid: false, date: null, error: 'missing' });
+    expect(normalizeDate(null)).toMatchObject({ valid: false, error: 'missing' });
+    expect(normalizeDate('next Tuesday')).toMatchObject({ valid: false, date: null, error: 'unparseable' });
+    expect(normalizeDate(new Date('invalid'))).toMatchObject({ valid: false, error: 'unparseable' });
+  });
+});
+
+describe('time zones', () => {
+  const copenhagen = { timeZone: 'Europe/Copenhagen' };
+
+  test('files instants under their calendar date in the plant time zone', () => {
+    expect(toIsoDate('2024-01-01T23:30:00Z', copenhagen)).toBe('2024-01-02');
+    expect(toIsoDate('2024-01-01T23:30:00+01:00', { timeZone: 'UTC' })).toBe('2024-01-01');
+    expect(toIsoDate(new Date('2024-06-30T22:30:00Z'), copenhagen)).toBe('2024-07-01');
+  });
+
+  test('never shifts a date-only value to the neighbouring day', () => {
+    expect(toIsoDate('2024-01-01', { timeZone: 'America/New_York' })).toBe('2024-01-01');
+    expect(toIsoDate('2024-01-01', { timeZone: 'Asia/Tokyo' })).toBe('2024-01-01');
+  });
+
+  test('reads zone-less times as plant wall-clock time, across daylight saving', () => {
+    expect(normalizeDate('2024-01-15 10:00', copenhagen).dateTime).toBe('2024-01-15T09:00:00.000Z');
+    expect(normalizeDate('2024-07-15T10:00:00', copenhagen).dateTime).toBe('2024-07-15T08:00:00.000Z');
+  });
+
+  test('reads zone-less ISO timestamps with fractional seconds', () => {
+    expect(normalizeDate('2026-03-01T10:00:00.123')).toMatchObject({
+      valid: true,
+      date: '2026-03-01',
+      dateTime: '2026-03-01T10:00:00.123Z'
+    });
+    expect(normalizeDate('2026-03-01T10:00:00.5', copenhagen).dateTime).toBe('2026-03-01T09:00:00.500Z');
+    expect(normalizeDate('2026-03-01 23:59:59.999999', copenhagen)).toMatchObject({
+      date: '2026-03-01',
+      dateTime: '2026-03-01T22:59:59.999Z'
+    });
+  });
+});
+
+describe('daysBetween', () => {
+  test('uses exact instants when both values carry a time', () => {
+    expect(daysBetween('2024-01-01T00:00:00Z', '2024-01-02T12:00:00Z')).toBe(1.5);
+  });
+
+  test('uses calendar dates otherwise', () => {
+    expect(daysBetween('01/01/2024', '2024-03-01T18:00:00Z')).toBe(60);
+    expect(daysBetween('2024-03-30', '2024-04-02', { timeZone: 'Europe/Copenhagen' })).toBe(3);
+  });
+
+  test('is null when either value is not a date', () => {
+    expect(daysBetween('2024-01-01', 'soon')).toBeNull();
+  });
+});
@@ -0,0 +1,250 @@
+/**
+ * Deviation analytics
+ *
+ * Open/closed counts, ageing of open deviations, severity distribution,
+ * recurrence by root-cause category and CAPA linkage for a deviation or
+ * event log. Deviations are linked to batches through their lot (the
+ * pipeline's field) or batchId (DataTransformer's raw records). Shared by
+ * the ingestion pipeline and DataTransformer.
+ *
+ * Ages are counted to `asOf`, which defaults to the latest date in the log
+ * so the same log always gives the same output.
+ */
+
+const { toIsoDate, daysBetween } = require('./date-normalization');
+const { bucketRecords } = require('./time-buckets');
+
+const DEFAULT_DEVIATION_OPTIONS = {
+  // Statuses (case-insensitive) that count as closed; a closed date also closes a deviation
+  closedStatuses: ['closed', 'cancelled', 'canceled', 'rejected', 'completed', 'void'],
+  // Open deviations older than this are overdue (30 days is the usual investigation target)
+  overdueDays: 30,
+  // Age buckets of open deviations: [label, minimum days, maximum days]
+  ageingBuckets: [
+    ['0-30 days', 0, 30],
+    ['31-60 days', 31, 60],
+    ['61-90 days', 61, 90],
+    ['90+ days', 91, Infinity]
+  ],
+  // Severities listed first, in this order; others follow by count
+  severityOrder: ['Critical', 'Major', 'Minor'],
+  // A root cause seen on at least this many deviations is recurring
+  recurrenceThreshold: 2,
+  // Oldest open deviations listed individually
+  maxOpenItems: 20,
+  asOf: null,
+  trends: {},
+  dateOptions: {}
+};
+
+const round = (value, decimals = 1) => parseFloat(value.toFixed(decimals));
+
+const average = (values) => (values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null);
+
+/**
+ * Batch a deviation belongs to
+ * @param {Object} deviation - Deviation record
+ * @returns {String} - Lot or batch ID, or '' when unlinked
+ */
+const deviationBatch = (deviation) => String(deviation.lot || deviation.batchId || '').trim();
+
+/**
+ * Whether a deviation is closed
+ * @param {Object} deviation - Deviation record
+ * @param {Object} options - { closedStatuses }
+ * @returns {Boolean} - True for a closed status or a closed date
+ */
+const isDeviationClosed = (deviation, options = {}) => {
+  const { closedStatuses } = { ...DEFAULT_DEVIATION_OPTIONS, ...options };
+  return Boolean(deviation.closedDate) || closedStatuses.includes(String(deviation.status || '').trim().toLowerCase());
+};
+
+/**
+ * Latest opened or closed date in a log
+ * @param {Array} deviations - Deviation records
+ * @param {Object} dateOptions - Date options
+ * @returns {String|null} - "YYYY-MM-DD"
+ */
+const latestDeviationDate = (deviations, dateOptions = {}) => deviations
+  .flatMap(deviation => [deviation.date, deviation.closedDate])
+  .map(value => (value ? toIsoDate(value, dateOptions) : null))
+  .filter(Boolean)
+  .reduce((latest, date) => (!latest || date > latest ? date : latest), null);
+
+/**
+ * Count values of a field, most frequent first
+ * @param {Array} deviations - Deviation records
+ * @param {String} field - Field to count
+ * @param {String} fallback - Name for empty values
+ * @returns {Array} - [{ name, records }]
+ */
+const groupByField = (deviations, field, fallback) => {
+  const groups = new Map();
+  deviations.forEach(deviation => {
+    const name = String(deviation[field] || '').trim() || fallback;
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(deviation);
+  });
+  return [...groups.entries()]
+    .map(([name, records]) => ({ name, records }))
+    .sort((a, b) => b.records.length - a.records.length || a.name.localeCompare(b.name));
+};
+
+/**
+ * Analyse a deviation log
+ * @param {Array} deviations - Deviation records { id, date (opened), closedDate, lot|batchId,
+ *                             status, severity, rootCause, capa, title }
+ * @param {Object} options - DEFAULT_DEVIATION_OPTIONS overrides, plus `batchIds`: the batches
+ *                           known to the dashboard, to report deviations that match none
+ * @returns {Object} - { summary, ageing, severityDistribution, rootCauses, capa, batches,
+ *                       trend, openDeviations }
+ */
+const analyzeDeviations = (deviations = [], options = {}) => {
+  const settings = { ...DEFAULT_DEVIATION_OPTIONS, ...options };
+  const { dateOptions, overdueDays, recurrenceThreshold } = settings;
+  const asOf = settings.asOf ? toIsoDate(settings.asOf, dateOptions) : latestDeviationDate(deviations, dateOptions);
+
+  const enriched = deviations.map(deviation => {
+    const closed = isDeviationClosed(deviation, settings);
+    const end = closed ? deviation.closedDate : asOf;
+    const days = deviation.date && end ? daysBetween(deviation.date, end, dateOptions) : null;
+    return {
+      deviation,
+      batch: deviationBatch(deviation),
+      closed,
+      // Days open so far, or days it took to close; null without usable dates
+      days: days !== null && days >= 0 ? Math.floor(days) : null
+    };
+  });
+
+  const open = enriched.filter(entry => !entry.closed);
+  const closed = enriched.filter(entry => entry.closed);
+  const overdue = open.filter(entry => entry.days !== null && entry.days > overdueDays);
+  const withCapa = enriched.filter(entry => String(entry.deviation.capa || '').trim());
+
+  const ageing = settings.ageingBuckets.map(([name, min, max]) => ({
+    name,
+    min,
+    max: Number.isFinite(max) ? max : null,
+    value: open.filter(entry => entry.days !== null && entry.days >= min && entry.days <= max).length
+  }));
+
+  const severityDistribution = groupByField(deviations, 'severity', 'Unclassified')
+    .map(({ name, records }) => ({
+      name,
+      value: records.length,
+      open: records.filter(deviation => !isDeviationClosed(deviation, settings)).length
+    }))
+    .sort((a, b) => {
+      const rank = (name) => {
+        const index = settings.severityOrder.indexOf(name);
+        return index === -1 ? settings.severityOrder.length : index;
+      };
+      return rank(a.name) - rank(b.name);
+    });
+
+  // Recurrence: how often each root-cause category comes back, and across how many batches
+  const rootCauses = groupByField(deviations, 'rootCause', 'Not determined').map(({ name, records }) => {
+    const batches = new Set(records.map(deviationBatch).filter(Boolean));
+    const dates = records.map(deviation => deviation.date).filter(Boolean).sort();
+    return {
+      name,
+      count: records.length,
+      open: records.filter(deviation => !isDeviationClosed(deviation, settings)).length,
+      batches: batches.size,
+      recurring: records.length >= recurrenceThreshold,
+      firstOccurred: dates[0] || null,
+      lastOccurred: dates[dates.length - 1] || null,
+      capaCoverage: round(records.filter(deviation => String(deviation.capa || '').trim()).length / records.length * 100)
+    };
+  });
+
+  // CAPA linkage: deviations per CAPA, and what still needs one
+  const capaGroups = groupByField(withCapa.map(entry => entry.deviation), 'capa', '');
+  const capa = {
+    linked: withCapa.length,
+    unlinked: deviations.length - withCapa.length,
+    linkageRate: deviations.length > 0 ? round(withCapa.length / deviations.length * 100) : 0,
+    // Recurring root causes still without any CAPA
+    recurringWithoutCapa: rootCauses.filter(cause => cause.recurring && cause.capaCoverage === 0).map(cause => cause.name),
+    byCapa: capaGroups.map(({ name, records }) => ({
+      capa: name,
+      deviations: records.length,
+      open: records.filter(deviation => !isDeviationClosed(deviation, settings)).length,
+      batches: [...new Set(records.map(deviationBatch).filter(Boolean))]
+    }))
+  };
+
+  // Batch linkage: deviations without a batch, or naming one the dashboard does not know
+  const known = settings.batchIds ? new Set([...settings.batchIds].map(String)) : null;
+  const perBatch = new Map();
+  enriched.filter(entry => entry.batch).forEach(entry => perBatch.set(entry.batch, (perBatch.get(entry.batch) || 0) + 1));
+  const batches = {
+    linked: enriched.filter(entry => entry.batch).length,
+    unlinked: enriched.filter(entry => !entry.batch).length,
+    affectedBatches: perBatch.size,
+    unknownBatches: known ? [...perBatch.keys()].filter(batch => !known.has(batch)) : [],
+    // Batches with more than one deviation
+    repeatBatches: [...perBatch.entries()]
+      .filter(([, count]) => count > 1)
+      .sort((a, b) => b[1] - a[1])
+      .map(([batchId, count]) => ({ batchId, deviations: count }))
+  };
+
+  // Opened vs closed per period
+  const trendOptions = { ...settings.trends, dateOptions, endDate: settings.trends.endDate || asOf };
+  const openedBuckets = bucketRecords(deviations, { ...trendOptions, dateField: 'date' });
+  const closedCounts = {};
+  bucketRecords(deviations.filter(deviation => deviation.closedDate), { ...trendOptions, dateField: 'closedDate', fillGaps: false, window: 0 })
+    .forEach(bucket => { closedCounts[bucket.period] = bucket.records.length; });
+  const trend = openedBuckets.map(bucket => ({
+    month: bucket.label,
+    period: bucket.period,
+    opened: bucket.records.length,
+    closed: closedCounts[bucket.period] || 0
+  }));
+
+  const openDeviations = open
+    .slice()
+    .sort((a, b) => (b.days ?? -1) - (a.days ?? -1))
+    .slice(0, settings.maxOpenItems)
+    .map(({ deviation, batch, days }) => ({
+      id: deviation.id || null,
+      batchId: batch || null,
+      title: deviation.title || '',
+      severity: deviation.severity || 'Unclassified',
+      rootCause: deviation.rootCause || '',
+      capa: deviation.capa || '',
+      opened: deviation.date || null,
+      ageDays: days,
+      overdue: days !== null && days > overdueDays
+    }));
+
+  return {
+    summary: {
+      totalDeviations: deviations.length,
+      openDeviations: open.length,
+      closedDeviations: closed.length,
+      overdueDeviations: overdue.length,
+      averageOpenAge: average(open.map(entry => entry.days).filter(days => days !== null)),
+      averageDaysToClose: average(closed.map(entry => entry.days).filter(days => days !== null)),
+      capaLinkageRate: capa.linkageRate,
+      recurringRootCauses: rootCauses.filter(cause => cause.recurring).length,
+      asOf
+    },
+    ageing,
+    severityDistribution,
+    rootCauses,
+    capa,
+    batches,
+    trend,
+    openDeviations
+  };
+};
+
+module.exports = {
+  DEFAULT_DEVIATION_OPTIONS,
+  deviationBatch,
+  isDeviationClosed,
+  analyzeDeviations
+};
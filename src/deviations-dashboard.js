@@ -0,0 +1,355 @@
+import React from 'react';
+import { BarChart, Bar, PieChart, Pie, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Cell } from 'recharts';
+import { useDataContext } from './DataContext.js';
+
+const DeviationsDashboard = () => {
+  const { data, isLoading, error } = useDataContext();
+
+  // Colors from Novo Nordisk spec
+  const colors = {
+    primary: '#db0032', // Novo Nordisk Red
+    secondary: '#0066a4', // Complementary Blue
+    tertiary: '#00a0af', // Teal
+    success: '#00843d', // Green
+    warning: '#ffc72c', // Yellow
+    danger: '#c8102e', // Dark Red
+    neutral: '#6c757d' // Gray
+  };
+
+  // Severity colors, most severe first
+  const severityColors = {
+    Critical: colors.danger,
+    Major: colors.warning,
+    Minor: colors.secondary
+  };
+
+  const deviations = data?.deviations;
+
+  // Components
+
+  // KPI card
+  const KpiCard = ({ label, value, suffix = '', highlight = false }) => (
+    <div className="bg-gray-50 p-3 rounded">
+      <div className="text-sm text-gray-500">{label}</div>
+      <div className={`text-2xl font-bold ${highlight ? 'text-red-600' : ''}`}>
+        {value === null || value === undefined ? 'N/A' : `${value}${suffix}`}
+      </div>
+    </div>
+  );
+
+  // Table header cell
+  const HeaderCell = ({ label, align = 'left' }) => (
+    <th scope="col" className={`px-6 py-3 text-${align} text-xs font-medium text-gray-500 uppercase tracking-wider`}>
+      {label}
+    </th>
+  );
+
+  // Age of open deviations
+  const AgeingChart = () => (
+    <div className="h-64">
+      <ResponsiveContainer width="100%" height="100%">
+        <BarChart data={deviations.ageing} margin={{ top: 10, right: 30, left: 0, bottom: 10 }}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="name" />
+          <YAxis allowDecimals={false} />
+          <Tooltip formatter={(value) => [value, 'Open deviations']} />
+          <Bar dataKey="value" name="Open deviations">
+            {deviations.ageing.map((bucket, index) => (
+              <Cell
+                key={bucket.name}
+                fill={index === 0 ? colors.secondary : index === deviations.ageing.length - 1 ? colors.danger : colors.warning}
+              />
+            ))}
+          </Bar>
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  );
+
+  // Severity distribution
+  const SeverityChart = () => (
+    <div className="h-64">
+      <ResponsiveContainer width="100%" height="100%">
+        <PieChart>
+          <Pie
+            data={deviations.severityDistribution}
+            dataKey="value"
+            nameKey="name"
+            cx="50%"
+            cy="50%"
+            outerRadius={80}
+            label={({ name, value }) => `${name}: ${value}`}
+          >
+            {deviations.severityDistribution.map(entry => (
+              <Cell key={entry.name} fill={severityColors[entry.name] || colors.neutral} />
+            ))}
+          </Pie>
+          <Tooltip />
+          <Legend />
+        </PieChart>
+      </ResponsiveContainer>
+    </div>
+  );
+
+  // Opened vs closed per month
+  const TrendChart = () => {
+    if (!deviations.trend || deviations.trend.length === 0) {
+      return <div className="p-4 bg-gray-50 rounded">No dated deviations to trend</div>;
+    }
+
+    return (
+      <div className="h-64">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={deviations.trend} margin={{ top: 10, right: 30, left: 0, bottom: 10 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="month" />
+            <YAxis allowDecimals={false} />
+            <Tooltip />
+            <Legend />
+            <Line type="monotone" dataKey="opened" name="Opened" stroke={colors.primary} strokeWidth={2} />
+            <Line type="monotone" dataKey="closed" name="Closed" stroke={colors.success} strokeWidth={2} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    );
+  };
+
+  // Recurrence by root-cause category
+  const RootCauseTable = () => (
+    <div className="overflow-x-auto">
+      <table className="min-w-full divide-y divide-gray-200">
+        <thead className="bg-gray-50">
+          <tr>
+            <HeaderCell label="Root Cause" />
+            <HeaderCell label="Deviations" align="right" />
+            <HeaderCell label="Open" align="right" />
+            <HeaderCell label="Batches" align="right" />
+            <HeaderCell label="CAPA Coverage" align="right" />
+            <HeaderCell label="Last Occurred" />
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-200">
+          {deviations.rootCauses.map(cause => (
+            <tr key={cause.name}>
+              <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                {cause.name}
+                {cause.recurring && (
+                  <span className="ml-2 px-2 py-0.5 rounded text-xs bg-red-100 text-red-700">Recurring</span>
+                )}
+              </td>
+              <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 text-right">{cause.count}</td>
+              <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 text-right">{cause.open}</td>
+              <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 text-right">{cause.batches}</td>
+              <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 text-right">{cause.capaCoverage}%</td>
+              <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{cause.lastOccurred || 'N/A'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  // Deviations per CAPA
+  const CapaTable = () => {
+    if (deviations.capa.byCapa.length === 0) {
+      return <div className="p-4 bg-gray-50 rounded">No deviations are linked to a CAPA</div>;
+    }
+
+    return (
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <HeaderCell label="CAPA" />
+              <HeaderCell label="Deviations" align="right" />
+              <HeaderCell label="Open" align="right" />
+              <HeaderCell label="Batches" />
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {deviations.capa.byCapa.map(item => (
+              <tr key={item.capa}>
+                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{item.capa}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 text-right">{item.deviations}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 text-right">{item.open}</td>
+                <td className="px-6 py-4 text-sm text-gray-500">{item.batches.join(', ') || 'N/A'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
+  // Oldest open deviations
+  const OpenDeviationsTable = () => {
+    if (deviations.openDeviations.length === 0) {
+      return <div className="p-4 bg-gray-50 rounded">No open deviations</div>;
+    }
+
+    return (
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <HeaderCell label="ID" />
+              <HeaderCell label="Batch" />
+              <HeaderCell label="Title" />
+              <HeaderCell label="Severity" />
+              <HeaderCell label="Root Cause" />
+              <HeaderCell label="Opened" />
+              <HeaderCell label="Age (days)" align="right" />
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {deviations.openDeviations.map((item, index) => (
+              <tr key={item.id || index} className={item.overdue ? 'bg-red-50' : ''}>
+                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{item.id || 'N/A'}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{item.batchId || 'Unlinked'}</td>
+                <td className="px-6 py-4 text-sm text-gray-500 max-w-md truncate">{item.title}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm">
+                  <span style={{ color: severityColors[item.severity] || colors.neutral }}>{item.severity}</span>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{item.rootCause || 'Not determined'}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{item.opened || 'N/A'}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-right">
+                  <span className={item.overdue ? 'font-semibold text-red-600' : 'text-gray-500'}>
+                    {item.ageDays === null ? 'N/A' : item.ageDays}
+                  </span>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
+  // Loading and error states
+  if (isLoading || !data) {
+    return (
+      <div className="bg-white rounded-lg shadow p-4 text-center py-8">
+        <div className="animate-spin mx-auto mb-4 w-8 h-8 border-2 border-dashed rounded-full border-blue-500"></div>
+        <p className="text-gray-600">Loading deviations...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="bg-white rounded-lg shadow p-4 text-center py-8">
+        <div className="mx-auto mb-4 w-12 h-12 text-red-500">
+          <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-12 h-12">
+            <path strokeLinecap="round" strokeLinejoin="round" d="M12 9v3.75m9-.75a9 9 0 11-18 0 9 9 0 0118 0zm-9 3.75h.008v.008H12v-.008z" />
+          </svg>
+        </div>
+        <h3 className="text-lg font-medium text-red-600 mb-2">Error Loading Data</h3>
+        <p className="text-gray-600">{error}</p>
+      </div>
+    );
+  }
+
+  // Without a deviation log there is nothing to analyse
+  if (!deviations || !deviations.available) {
+    return (
+      <div className="bg-white rounded-lg shadow p-4 text-center py-8">
+        <h3 className="text-lg font-medium mb-2">No Deviation Log</h3>
+        <p className="text-gray-600">
+          Add a Deviations.xlsx or Deviations.csv export (ID, date opened, date closed, lot, severity,
+          status, root cause, CAPA) to the data folder or upload it to see deviations here.
+        </p>
+      </div>
+    );
+  }
+
+  const { summary, batches, capa } = deviations;
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="p-4 border-b">
+        <h2 className="text-xl font-semibold">Deviations &amp; Events</h2>
+        <p className="text-gray-500 text-sm">
+          Open and closed deviations, ageing, recurrence and CAPA linkage
+          {summary.asOf ? ` as of ${summary.asOf}` : ''}
+        </p>
+      </div>
+
+      <div className="p-4">
+        {/* Summary */}
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+          <KpiCard label="Open" value={summary.openDeviations} />
+          <KpiCard label="Closed" value={summary.closedDeviations} />
+          <KpiCard label="Overdue" value={summary.overdueDeviations} highlight={summary.overdueDeviations > 0} />
+          <KpiCard label="Average Open Age" value={summary.averageOpenAge} suffix=" days" />
+          <KpiCard label="CAPA Linkage" value={summary.capaLinkageRate} suffix="%" />
+        </div>
+
+        {/* Ageing and severity */}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+          <div className="bg-white p-4 rounded-lg shadow">
+            <h4 className="font-medium mb-2">Ageing of Open Deviations</h4>
+            <AgeingChart />
+          </div>
+          <div className="bg-white p-4 rounded-lg shadow">
+            <h4 className="font-medium mb-2">Severity Distribution</h4>
+            <SeverityChart />
+          </div>
+        </div>
+
+        {/* Trend */}
+        <div className="bg-white p-4 rounded-lg shadow mb-6">
+          <h4 className="font-medium mb-2">Opened vs Closed</h4>
+          <TrendChart />
+        </div>
+
+        {/* Recurrence */}
+        <div className="mb-6">
+          <h3 className="text-lg font-semibold mb-4">Root Cause Recurrence</h3>
+          <div className="bg-white p-4 rounded-lg shadow">
+            <RootCauseTable />
+          </div>
+        </div>
+
+        {/* CAPA linkage */}
+        <div className="mb-6">
+          <h3 className="text-lg font-semibold mb-4">CAPA Linkage</h3>
+          {capa.recurringWithoutCapa.length > 0 && (
+            <div className="p-3 mb-4 rounded text-sm" style={{ backgroundColor: colors.warning }}>
+              Recurring root causes without a CAPA: {capa.recurringWithoutCapa.join(', ')}
+            </div>
+          )}
+          <div className="bg-white p-4 rounded-lg shadow">
+            <CapaTable />
+          </div>
+        </div>
+
+        {/* Batch linkage */}
+        <div className="mb-6">
+          <h3 className="text-lg font-semibold mb-4">Batch Impact</h3>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+            <KpiCard label="Affected Batches" value={batches.affectedBatches} />
+            <KpiCard label="Repeat Batches" value={batches.repeatBatches.length} />
+            <KpiCard label="Cycle Time With Deviations" value={deviations.cycleTimeImpact?.withDeviations} suffix=" days" />
+            <KpiCard label="Cycle Time Without" value={deviations.cycleTimeImpact?.withoutDeviations} suffix=" days" />
+          </div>
+          {(batches.unlinked > 0 || batches.unknownBatches.length > 0) && (
+            <p className="text-sm text-gray-600">
+              {batches.unlinked > 0 && `${batches.unlinked} deviation(s) name no batch. `}
+              {batches.unknownBatches.length > 0 && `Batches not found in the dashboard data: ${batches.unknownBatches.join(', ')}`}
+            </p>
+          )}
+        </div>
+
+        {/* Open deviations */}
+        <div>
+          <h3 className="text-lg font-semibold mb-4">Oldest Open Deviations</h3>
+          <div className="bg-white p-4 rounded-lg shadow">
+            <OpenDeviationsTable />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DeviationsDashboard;
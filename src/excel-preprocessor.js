@@ -1,58 +1,29 @@
-// scripts/preprocess-excel.js
-const fs = require('fs');
+// Preprocess the Excel exports in data/ into public/data/complete-data.json
+// Usage: node src/excel-preprocessor.js [--full]
+// Workbooks and sheets unchanged since the last run are reused from its
+// output (see processing-manifest.js); --full processes everything again.
 const path = require('path');
-const XLSX = require('xlsx');
-const NovoNordiskExcelProcessor = require('../src/ExcelProcessor').default;
+const ExcelProcessor = require('./ExcelProcessor');
 
-// Create directory for processed data
-const OUTPUT_DIR = path.join(__dirname, '../src/processed-data');
-if (!fs.existsSync(OUTPUT_DIR)) {
-  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
-}
+// Directory holding the exported workbooks
+const DATA_DIR = path.join(__dirname, '../data');
 
 // Initialize the processor
-const processor = new NovoNordiskExcelProcessor();
-
-// Files to process
-const files = [
-  { name: "Internal RFT.xlsx", type: "internal" },
-  { name: "External RFT.xlsx", type: "external" },
-  { name: "Commercial Process.xlsx", type: "process" }
-];
-
-// Process each file
-files.forEach(file => {
-  try {
-    console.log(`Processing ${file.name}...`);
-    
-    // Read the Excel file
-    const excelFile = path.join(__dirname, '../data', file.name);
-    const fileData = fs.readFileSync(excelFile);
-    
-    // Process with the Excel processor
-    processor.processExcelFile(fileData, file.type);
-    
-    // Output to individual JSON file for the file type
-    const outputFile = path.join(OUTPUT_DIR, `${file.type}.json`);
-    fs.writeFileSync(outputFile, JSON.stringify({
-      type: file.type,
-      processedData: processor.getProcessedData()
-    }, null, 2));
-    
-    console.log(`Successfully processed ${file.name} to ${outputFile}`);
-  } catch (error) {
-    console.error(`Error processing ${file.name}:`, error);
-  }
+const processor = new ExcelProcessor({
+  internalRftPath: path.join(DATA_DIR, 'Internal RFT.xlsx'),
+  externalRftPath: path.join(DATA_DIR, 'External RFT.xlsx'),
+  commercialProcessPath: path.join(DATA_DIR, 'Commercial Process.xlsx'),
+  // Optional: Deviations.xlsx or Deviations.csv
+  deviationsPath: path.join(DATA_DIR, 'Deviations.*'),
+  // Optional: Equipment Qualification.xlsx or .csv
+  qualificationsPath: path.join(DATA_DIR, 'Equipment Qualification.*')
 });
 
-// Write the complete processed data as a combined file
-try {
-  const processedData = processor.getProcessedData();
-  const outputFile = path.join(OUTPUT_DIR, 'complete-data.json');
-  fs.writeFileSync(outputFile, JSON.stringify(processedData, null, 2));
-  console.log(`Successfully wrote combined data to ${outputFile}`);
-} catch (error) {
-  console.error('Error writing combined data:', error);
-}
-
-console.log('Excel preprocessing complete!');
+processor.processAll({ full: process.argv.includes('--full') })
+  .then(() => {
+    console.log('Excel preprocessing complete!');
+  })
+  .catch(error => {
+    console.error('Excel preprocessing failed:', error);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,204 @@
+/**
+ * WIP and throughput (Little's law)
+ *
+ * Daily work in progress per stage, weekly throughput and lead time of the
+ * lot timelines (see lot-timeline.js), checked against Little's law: average
+ * WIP should equal throughput times average lead time. A gap between the
+ * two means the window is not in a steady state, usually because WIP is
+ * building up. Each stage also gets its entry and exit rates, and an alert
+ * when its queue is growing because lots arrive faster than they leave.
+ * Shared by the ingestion pipeline and DataTransformer.
+ */
+
+const { bucketRecords } = require('./time-buckets');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_FLOW_OPTIONS = {
+  // Recent weeks the stage rates and alerts are measured over
+  alertWeeks: 4,
+  // A stage's WIP must grow by at least this many lots a week to raise an alert
+  minGrowthPerWeek: 0.5,
+  // Little's law holds when predicted and observed WIP differ by no more than this (%)
+  littlesLawTolerance: 20,
+  // Weeks of weekly throughput
+  throughputWeeks: 12
+};
+
+const round = (value, decimals = 1) => (value === null || value === undefined || !isFinite(value) ? null : parseFloat(value.toFixed(decimals)));
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+const toDay = (isoDate) => Date.parse(`${isoDate}T00:00:00Z`) / DAY_MS;
+
+// Least-squares slope of values against their position (units per step)
+const slope = (values) => {
+  const n = values.length;
+  if (n < 2) return 0;
+  const meanX = (n - 1) / 2;
+  const meanY = average(values);
+  let numerator = 0;
+  let denominator = 0;
+  values.forEach((value, x) => {
+    numerator += (x - meanX) * (value - meanY);
+    denominator += (x - meanX) ** 2;
+  });
+  return denominator > 0 ? numerator / denominator : 0;
+};
+
+/**
+ * Analyse WIP, throughput and lead time of reconstructed lot timelines
+ * @param {Object} timeline - Output of lot-timeline.js buildLotTimelines
+ * @param {Object} model - Resolved process model
+ * @param {Object} options - DEFAULT_FLOW_OPTIONS overrides
+ * @returns {Object} - { asOf, dailyWip, weeklyThroughput, stages, littlesLaw, alerts, summary }
+ */
+const analyzeFlow = (timeline, model, options = {}) => {
+  const settings = { ...DEFAULT_FLOW_OPTIONS, ...options };
+  const days = timeline.dailyWip || [];
+  const lots = timeline.lots || [];
+  const asOf = timeline.summary ? timeline.summary.asOf : null;
+
+  if (days.length === 0 || !asOf) {
+    return {
+      asOf,
+      dailyWip: [],
+      weeklyThroughput: [],
+      stages: [],
+      littlesLaw: null,
+      alerts: [],
+      summary: { currentWip: 0, avgWip: null, throughputPerWeek: null, avgLeadTime: null }
+    };
+  }
+
+  const stageNames = model.stages.map(stage => stage.name);
+  const windowStart = toDay(days[0].date);
+  const lastDay = toDay(asOf);
+  const alertDays = Math.min(settings.alertWeeks * 7, days.length);
+  const alertStart = lastDay - alertDays + 1;
+
+  // WIP per stage per day: lots in the stage plus lots queued for it
+  const dailyWip = days.map(day => {
+    const point = { date: day.date, total: day.total };
+    stageNames.forEach(name => {
+      point[name] = (day.stages[name] || 0) + (day.queued[name] || 0);
+    });
+    return point;
+  });
+
+  // Lots finish when their last event ends
+  const completed = lots
+    .filter(lot => lot.complete && lot.events.length > 0)
+    .map(lot => ({
+      lot: lot.lot,
+      date: lot.events.reduce((last, event) => (event.end > last ? event.end : last), lot.events[0].end),
+      leadTime: lot.leadTime
+    }));
+  const completedInWindow = completed.filter(lot => toDay(lot.date) >= windowStart && toDay(lot.date) <= lastDay);
+
+  const started = lots
+    .filter(lot => lot.events.length > 0)
+    .map(lot => ({ lot: lot.lot, date: lot.events.reduce((first, event) => (event.start < first ? event.start : first), lot.events[0].start) }));
+
+  const startedBuckets = bucketRecords(started, { granularity: 'weekly', window: settings.throughputWeeks, fillGaps: true, endDate: asOf });
+  const weeklyThroughput = bucketRecords(completed, { granularity: 'weekly', window: settings.throughputWeeks, fillGaps: true, endDate: asOf })
+    .map((bucket, i) => ({
+      period: bucket.period,
+      label: bucket.label,
+      completed: bucket.records.length,
+      started: startedBuckets[i] ? startedBuckets[i].records.length : 0
+    }));
+
+  // Little's law over the WIP window: WIP = throughput x lead time
+  const windowDays = days.length;
+  const avgWip = average(days.map(day => day.total));
+  const throughputPerDay = completedInWindow.length / windowDays;
+  const avgLeadTime = average(completedInWindow.map(lot => lot.leadTime).filter(value => value !== null));
+  const predictedWip = avgLeadTime !== null ? throughputPerDay * avgLeadTime : null;
+  const deviation = predictedWip !== null && avgWip > 0 ? (avgWip - predictedWip) / avgWip * 100 : null;
+
+  // Open lots queue for the stage after their last one, up to the last stage any lot reached
+  const finalIndex = stageNames.indexOf(timeline.summary.finalStage);
+  const queuedFor = new Map();
+  lots.filter(lot => !lot.complete && lot.events.length > 0).forEach(lot => {
+    const last = lot.events
+      .filter(event => stageNames.includes(event.stage))
+      .reduce((latest, event) => (!latest || stageNames.indexOf(event.stage) > stageNames.indexOf(latest.stage) ? event : latest), null);
+    const nextIndex = last ? stageNames.indexOf(last.stage) + 1 : -1;
+    if (last && nextIndex <= finalIndex) queuedFor.set(lot.lot, { stage: stageNames[nextIndex], since: last.end });
+  });
+
+  // Stage rates over the alert window
+  const inAlertWindow = (day) => day >= alertStart && day <= lastDay;
+  const stages = model.stages.map(stage => {
+    const events = lots.flatMap(lot => lot.events.filter(event => event.stage === stage.name));
+    // A lot joins the stage's queue when the previous stage ends
+    const entries = events.filter(event => inAlertWindow(toDay(event.start) - (event.waitBefore || 0))).length
+      + [...queuedFor.values()].filter(queued => queued.stage === stage.name && inAlertWindow(toDay(queued.since))).length;
+    const exits = events.filter(event => inAlertWindow(toDay(event.end))).length;
+    const weeks = alertDays / 7;
+    const recent = dailyWip.slice(-alertDays).map(point => point[stage.name]);
+    const current = days[days.length - 1];
+    const exitsPerWeek = exits / weeks;
+    const timeInStage = average(events
+      .filter(event => toDay(event.end) >= windowStart)
+      .map(event => (event.waitBefore || 0) + (toDay(event.end) - toDay(event.start))));
+
+    return {
+      stage: stage.name,
+      owner: stage.owner,
+      currentWip: current.stages[stage.name] || 0,
+      currentQueued: current.queued[stage.name] || 0,
+      avgWip: round(average(dailyWip.map(point => point[stage.name]))),
+      entriesPerWeek: round(entries / weeks),
+      exitsPerWeek: round(exitsPerWeek),
+      wipGrowthPerWeek: round(slope(recent) * 7),
+      avgDaysInStage: round(timeInStage),
+      // Days to clear the stage's current WIP at its recent exit rate
+      daysToClear: exitsPerWeek > 0 ? round(((current.stages[stage.name] || 0) + (current.queued[stage.name] || 0)) / (exitsPerWeek / 7)) : null
+    };
+  });
+
+  const alerts = stages
+    .filter(stage => stage.wipGrowthPerWeek >= settings.minGrowthPerWeek && stage.entriesPerWeek > stage.exitsPerWeek)
+    .map(stage => ({
+      stage: stage.stage,
+      owner: stage.owner,
+      // The queue gains more lots a week than the stage clears
+      severity: stage.wipGrowthPerWeek >= stage.exitsPerWeek ? 'high' : 'medium',
+      message: `${stage.stage} WIP is growing by ${stage.wipGrowthPerWeek} lots a week: ${stage.entriesPerWeek} arrive and ${stage.exitsPerWeek} leave per week`,
+      wipGrowthPerWeek: stage.wipGrowthPerWeek,
+      entriesPerWeek: stage.entriesPerWeek,
+      exitsPerWeek: stage.exitsPerWeek,
+      currentWip: stage.currentWip + stage.currentQueued
+    }))
+    .sort((a, b) => b.wipGrowthPerWeek - a.wipGrowthPerWeek);
+
+  return {
+    asOf,
+    dailyWip,
+    weeklyThroughput,
+    stages,
+    littlesLaw: {
+      windowDays,
+      avgWip: round(avgWip),
+      throughputPerDay: round(throughputPerDay, 2),
+      avgLeadTime: round(avgLeadTime),
+      predictedWip: round(predictedWip),
+      deviation: round(deviation),
+      holds: deviation !== null ? Math.abs(deviation) <= settings.littlesLawTolerance : null
+    },
+    alerts,
+    summary: {
+      currentWip: days[days.length - 1].total,
+      avgWip: round(avgWip),
+      throughputPerWeek: round(throughputPerDay * 7),
+      avgLeadTime: round(avgLeadTime)
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_FLOW_OPTIONS,
+  analyzeFlow
+};
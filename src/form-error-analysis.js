@@ -165,8 +165,8 @@ const FormErrorAnalysis = () => {
     // Get top problem forms
     topProblemForms = formErrorData.slice(0, 3).map(item => item.name).join(', ');
     
-    // Get insights from context data if available
-    const insights = data.internalRFT.insights || [
+    // Get insights from context data if available; pipeline insights are { id, text, evidence }
+    const insights = data.internalRFT.insights?.length > 0 ? data.internalRFT.insights : [
       'Form error trends require additional data',
       'No significant pattern detected',
       'See detailed analysis for more info'
@@ -190,7 +190,7 @@ const FormErrorAnalysis = () => {
           <h3 className="text-lg font-semibold mb-2">Insights</h3>
           <ul className="text-sm text-gray-600 list-disc pl-5">
             {insights.map((insight, index) => (
-              <li key={index}>{insight}</li>
+              <li key={insight.id || index}>{typeof insight === 'string' ? insight : insight.text}</li>
             ))}
           </ul>
         </div>
@@ -0,0 +1,354 @@
+import React from 'react';
+import { BarChart, Bar, PieChart, Pie, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Cell } from 'recharts';
+import { useDataContext } from './DataContext.js';
+
+const G7PerformanceDashboard = () => {
+  const { data, isLoading, error } = useDataContext();
+
+  // Equipment shown in the status table: all, or one status
+  const [statusFilter, setStatusFilter] = React.useState('All');
+
+  // Colors from Novo Nordisk spec
+  const colors = {
+    primary: '#db0032', // Novo Nordisk Red
+    secondary: '#0066a4', // Complementary Blue
+    tertiary: '#00a0af', // Teal
+    success: '#00843d', // Green
+    warning: '#ffc72c', // Yellow
+    danger: '#c8102e', // Dark Red
+    neutral: '#6c757d' // Gray
+  };
+
+  // Equipment status colors
+  const statusColors = {
+    Overdue: colors.danger,
+    Failed: colors.primary,
+    'Not Qualified': colors.neutral,
+    'Due Soon': colors.warning,
+    Qualified: colors.success
+  };
+
+  const g7 = data?.g7Performance;
+
+  // Components
+
+  // KPI card
+  const KpiCard = ({ label, value, suffix = '', highlight = false }) => (
+    <div className="bg-gray-50 p-3 rounded">
+      <div className="text-sm text-gray-500">{label}</div>
+      <div className={`text-2xl font-bold ${highlight ? 'text-red-600' : ''}`}>
+        {value === null || value === undefined ? 'N/A' : `${value}${suffix}`}
+      </div>
+    </div>
+  );
+
+  // Table header cell
+  const HeaderCell = ({ label, align = 'left' }) => (
+    <th scope="col" className={`px-6 py-3 text-${align} text-xs font-medium text-gray-500 uppercase tracking-wider`}>
+      {label}
+    </th>
+  );
+
+  // Status badge
+  const StatusBadge = ({ status }) => (
+    <span
+      className="px-2 py-0.5 rounded text-xs font-medium"
+      style={{ backgroundColor: statusColors[status] || colors.neutral, color: status === 'Due Soon' ? '#000' : '#fff' }}
+    >
+      {status}
+    </span>
+  );
+
+  // Equipment per qualification status
+  const StatusChart = () => (
+    <div className="h-64">
+      <ResponsiveContainer width="100%" height="100%">
+        <PieChart>
+          <Pie
+            data={g7.statusDistribution}
+            dataKey="value"
+            nameKey="name"
+            cx="50%"
+            cy="50%"
+            outerRadius={80}
+            label={({ name, value }) => `${name}: ${value}`}
+          >
+            {g7.statusDistribution.map(entry => (
+              <Cell key={entry.name} fill={statusColors[entry.name] || colors.neutral} />
+            ))}
+          </Pie>
+          <Tooltip />
+          <Legend />
+        </PieChart>
+      </ResponsiveContainer>
+    </div>
+  );
+
+  // Pass rate per equipment class
+  const PassRateChart = () => {
+    const classes = g7.passRates.filter(item => item.passRate !== null);
+    if (classes.length === 0) {
+      return <div className="p-4 bg-gray-50 rounded">No completed qualifications with a result yet</div>;
+    }
+
+    return (
+      <div className="h-64">
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={classes} margin={{ top: 10, right: 30, left: 0, bottom: 10 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="name" />
+            <YAxis domain={[0, 100]} />
+            <Tooltip formatter={(value) => [`${value}%`, 'Pass rate']} />
+            <Bar dataKey="passRate" name="Pass rate">
+              {classes.map(item => (
+                <Cell key={item.name} fill={item.passRate >= 95 ? colors.success : item.passRate >= 80 ? colors.warning : colors.danger} />
+              ))}
+            </Bar>
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    );
+  };
+
+  // Requalifications due per month
+  const CalendarChart = () => {
+    const months = g7.calendar.map(month => ({
+      month: month.month,
+      scheduled: month.items.filter(item => !item.projected).length,
+      projected: month.items.filter(item => item.projected).length
+    }));
+
+    return (
+      <div className="h-64">
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={months} margin={{ top: 10, right: 30, left: 0, bottom: 10 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="month" />
+            <YAxis allowDecimals={false} />
+            <Tooltip />
+            <Legend />
+            <Bar dataKey="scheduled" name="Scheduled" stackId="a" fill={colors.secondary} />
+            <Bar dataKey="projected" name="Projected from interval" stackId="a" fill={colors.tertiary} />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    );
+  };
+
+  // Upcoming requalifications, month by month
+  const CalendarList = () => {
+    const months = g7.calendar.filter(month => month.due > 0);
+    if (months.length === 0) {
+      return <div className="p-4 bg-gray-50 rounded">No requalifications due in the calendar period</div>;
+    }
+
+    return (
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        {months.map(month => (
+          <div key={month.period} className="border rounded-lg p-3">
+            <h4 className="font-medium mb-2">{month.month}</h4>
+            <ul className="text-sm space-y-1">
+              {month.items.map((item, index) => (
+                <li key={`${item.equipmentId}-${item.qualificationType}-${index}`} className="flex justify-between">
+                  <span>
+                    {item.equipmentId} <span className="text-gray-500">{item.qualificationType}</span>
+                  </span>
+                  <span className={item.projected ? 'text-gray-500 italic' : 'text-gray-700'}>{item.dueDate}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  // Overdue qualifications, most overdue first
+  const OverdueTable = () => {
+    if (g7.overdueItems.length === 0) {
+      return <div className="p-4 bg-gray-50 rounded">No overdue qualifications</div>;
+    }
+
+    return (
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <HeaderCell label="Equipment" />
+              <HeaderCell label="Class" />
+              <HeaderCell label="Qualification" />
+              <HeaderCell label="Due" />
+              <HeaderCell label="Days Overdue" align="right" />
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {g7.overdueItems.map((item, index) => (
+              <tr key={`${item.equipmentId}-${item.qualificationType}-${index}`}>
+                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{item.equipmentId}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{item.equipmentClass}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{item.qualificationType}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                  {item.dueDate}
+                  {item.projected && <span className="ml-1 text-xs text-gray-400">(from interval)</span>}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-right font-semibold text-red-600">{item.daysOverdue}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
+  // Qualification status of each piece of equipment
+  const EquipmentTable = () => {
+    const equipment = statusFilter === 'All' ? g7.equipment : g7.equipment.filter(item => item.status === statusFilter);
+
+    return (
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <HeaderCell label="Equipment" />
+              <HeaderCell label="Class" />
+              <HeaderCell label="Location" />
+              <HeaderCell label="Status" />
+              <HeaderCell label="Last Qualified" />
+              <HeaderCell label="Next Due" />
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {equipment.map(item => (
+              <tr key={item.equipmentId}>
+                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                  {item.equipmentId}
+                  {item.name && <span className="ml-2 text-gray-500 font-normal">{item.name}</span>}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{item.equipmentClass}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{item.location || 'N/A'}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm"><StatusBadge status={item.status} /></td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                  {item.lastQualified ? `${item.lastQualified} (${item.lastResult})` : 'Never'}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{item.nextDue || 'N/A'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
+  // Loading and error states
+  if (isLoading || !data) {
+    return (
+      <div className="bg-white rounded-lg shadow p-4 text-center py-8">
+        <div className="animate-spin mx-auto mb-4 w-8 h-8 border-2 border-dashed rounded-full border-blue-500"></div>
+        <p className="text-gray-600">Loading qualification data...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="bg-white rounded-lg shadow p-4 text-center py-8">
+        <div className="mx-auto mb-4 w-12 h-12 text-red-500">
+          <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-12 h-12">
+            <path strokeLinecap="round" strokeLinejoin="round" d="M12 9v3.75m9-.75a9 9 0 11-18 0 9 9 0 0118 0zm-9 3.75h.008v.008H12v-.008z" />
+          </svg>
+        </div>
+        <h3 className="text-lg font-medium text-red-600 mb-2">Error Loading Data</h3>
+        <p className="text-gray-600">{error}</p>
+      </div>
+    );
+  }
+
+  // Without a qualification log there is nothing to track
+  if (!g7 || !g7.available) {
+    return (
+      <div className="bg-white rounded-lg shadow p-4 text-center py-8">
+        <h3 className="text-lg font-medium mb-2">No Equipment Qualification Log</h3>
+        <p className="text-gray-600">
+          Add an Equipment Qualification.xlsx or .csv export (equipment ID, class, qualification type,
+          due date, completed date, result, requalification interval) to the data folder or upload it
+          to track qualification status here.
+        </p>
+      </div>
+    );
+  }
+
+  const { summary } = g7;
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="p-4 border-b">
+        <h2 className="text-xl font-semibold">G7 Performance Qualification</h2>
+        <p className="text-gray-500 text-sm">
+          Equipment qualification status, overdue items and the requalification calendar as of {summary.asOf}
+        </p>
+      </div>
+
+      <div className="p-4">
+        {/* Summary */}
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+          <KpiCard label="Equipment" value={summary.totalEquipment} />
+          <KpiCard label="Qualified" value={summary.complianceRate} suffix="%" />
+          <KpiCard label="Overdue" value={summary.overdueQualifications} highlight={summary.overdueQualifications > 0} />
+          <KpiCard label="Due Soon" value={summary.dueSoonQualifications} />
+          <KpiCard label="Pass Rate" value={summary.passRate} suffix="%" />
+        </div>
+
+        {/* Status and pass rates */}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+          <div className="bg-white p-4 rounded-lg shadow">
+            <h4 className="font-medium mb-2">Equipment Status</h4>
+            <StatusChart />
+          </div>
+          <div className="bg-white p-4 rounded-lg shadow">
+            <h4 className="font-medium mb-2">Pass Rate by Equipment Class</h4>
+            <PassRateChart />
+          </div>
+        </div>
+
+        {/* Overdue */}
+        <div className="mb-6">
+          <h3 className="text-lg font-semibold mb-4">Overdue Qualifications</h3>
+          <div className="bg-white p-4 rounded-lg shadow">
+            <OverdueTable />
+          </div>
+        </div>
+
+        {/* Requalification calendar */}
+        <div className="mb-6">
+          <h3 className="text-lg font-semibold mb-4">Requalification Calendar</h3>
+          <div className="bg-white p-4 rounded-lg shadow mb-4">
+            <CalendarChart />
+          </div>
+          <CalendarList />
+        </div>
+
+        {/* Equipment */}
+        <div>
+          <div className="flex justify-between items-center mb-4">
+            <h3 className="text-lg font-semibold">Equipment</h3>
+            <select
+              value={statusFilter}
+              onChange={(event) => setStatusFilter(event.target.value)}
+              className="px-2 py-1 rounded border border-gray-300 bg-white text-sm"
+            >
+              <option value="All">All statuses</option>
+              {g7.statusDistribution.map(item => (
+                <option key={item.name} value={item.name}>{item.name} ({item.value})</option>
+              ))}
+            </select>
+          </div>
+          <div className="bg-white p-4 rounded-lg shadow">
+            <EquipmentTable />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default G7PerformanceDashboard;
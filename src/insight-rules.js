@@ -0,0 +1,242 @@
+/**
+ * Rule-based insight generation for the Excel ingestion pipeline
+ *
+ * Each rule computes a fact from the records of one source and renders it
+ * through a template. A rule returns null when the data does not support a
+ * statement (too few records, no errors, no deviations), so the dashboard
+ * only shows insights backed by evidence. The evidence numbers travel with
+ * every insight so they can be checked in a quality review.
+ */
+
+const { bucketRecords } = require('./time-buckets');
+
+const DEFAULT_INSIGHT_OPTIONS = {
+  minSampleSize: 5,
+  disabledRules: []
+};
+
+const round = (value, decimals = 1) => parseFloat(value.toFixed(decimals));
+
+const formatChange = (value) => `${value > 0 ? '+' : ''}${value}`;
+
+/**
+ * Replace {placeholders} in a template with evidence values
+ * @param {String} template - Template text
+ * @param {Object} evidence - Values referenced by the template
+ * @returns {String} - Rendered text
+ */
+const renderTemplate = (template, evidence) => template.replace(/\{(\w+)\}/g, (match, key) => (
+  evidence[key] !== undefined && evidence[key] !== null ? String(evidence[key]) : match
+));
+
+/**
+ * Share of the most frequent value of a field
+ * @param {Array} records - Records to inspect
+ * @param {String} field - Category field
+ * @returns {Object|null} - { name, count, total, share }
+ */
+const topCategoryShare = (records, field) => {
+  const counts = {};
+  records.forEach(record => {
+    if (!record[field]) return;
+    counts[record[field]] = (counts[record[field]] || 0) + 1;
+  });
+
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  if (total === 0) return null;
+
+  const [name, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  return { name, count, total, share: round(count / total * 100) };
+};
+
+/**
+ * Compare the last two calendar quarters of a metric
+ * @param {Array} records - Records with a date field
+ * @param {Function} measure - Metric for one quarter's records
+ * @param {Number} minSampleSize - Minimum records required in each quarter
+ * @returns {Object|null} - Quarter labels, values and counts
+ */
+const compareLastQuarters = (records, measure, minSampleSize) => {
+  const quarters = bucketRecords(records, { granularity: 'quarterly', window: 2, fillGaps: true });
+  if (quarters.length < 2) return null;
+
+  const [previous, current] = quarters;
+  if (previous.records.length < minSampleSize || current.records.length < minSampleSize) return null;
+
+  return {
+    previousPeriod: previous.label,
+    currentPeriod: current.label,
+    previousValue: measure(previous.records),
+    currentValue: measure(current.records),
+    previousCount: previous.records.length,
+    currentCount: current.records.length
+  };
+};
+
+const directionWord = (change, up = 'rose', down = 'fell') => {
+  if (change > 0) return up;
+  if (change < 0) return down;
+  return 'held steady';
+};
+
+const passRate = (records, passStatus) => round(records.filter(r => r.status === passStatus).length / records.length * 100);
+
+/**
+ * Per-stage duration and deviation statistics for process records
+ * @param {Array} records - Commercial process records
+ * @returns {Array} - { stage, count, avgDuration, deviations, deviationRate }
+ */
+const stageStatistics = (records) => {
+  const stages = {};
+  records.forEach(record => {
+    if (!record.stage) return;
+    if (!stages[record.stage]) {
+      stages[record.stage] = { stage: record.stage, count: 0, totalDuration: 0, deviations: 0 };
+    }
+    stages[record.stage].count++;
+    stages[record.stage].totalDuration += Number(record.duration) || 0;
+    if (record.deviation) stages[record.stage].deviations++;
+  });
+
+  return Object.values(stages).map(stage => ({
+    ...stage,
+    avgDuration: stage.totalDuration / stage.count,
+    deviationRate: stage.deviations / stage.count * 100
+  }));
+};
+
+const INSIGHT_RULES = [
+  {
+    id: 'internal-top-error-share',
+    source: 'internal',
+    template: '{name} errors account for {share}% of internal form errors ({count} of {total})',
+    compute: (records, options) => {
+      const top = topCategoryShare(records, 'errorType');
+      return top && top.total >= options.minSampleSize ? top : null;
+    }
+  },
+  {
+    id: 'internal-rft-quarter-change',
+    source: 'internal',
+    template: 'Internal RFT rate {direction} from {previousValue}% in {previousPeriod} to {currentValue}% in {currentPeriod} ({change} pts)',
+    compute: (records, options) => {
+      const comparison = compareLastQuarters(records, quarter => passRate(quarter, 'Passed'), options.minSampleSize);
+      if (!comparison) return null;
+
+      const change = round(comparison.currentValue - comparison.previousValue);
+      return { ...comparison, change: formatChange(change), direction: directionWord(change) };
+    }
+  },
+  {
+    id: 'internal-department-hot-spot',
+    source: 'internal',
+    template: '{name} has the most failed records: {count} of {total} failures ({share}%)',
+    compute: (records, options) => {
+      const top = topCategoryShare(records.filter(r => r.status === 'Failed'), 'department');
+      return top && top.total >= options.minSampleSize ? top : null;
+    }
+  },
+  {
+    id: 'external-top-issue-share',
+    source: 'external',
+    template: '{name} issues make up {share}% of customer complaints ({count} of {total})',
+    compute: (records, options) => {
+      const top = topCategoryShare(records, 'issueType');
+      return top && top.total >= options.minSampleSize ? top : null;
+    }
+  },
+  {
+    id: 'external-complaint-quarter-change',
+    source: 'external',
+    template: 'Customer complaints {direction} from {previousValue} in {previousPeriod} to {currentValue} in {currentPeriod} ({change}%)',
+    compute: (records, options) => {
+      const comparison = compareLastQuarters(records, quarter => quarter.length, options.minSampleSize);
+      if (!comparison) return null;
+
+      const change = round((comparison.currentValue - comparison.previousValue) / comparison.previousValue * 100);
+      return { ...comparison, change: formatChange(change), direction: directionWord(change) };
+    }
+  },
+  {
+    id: 'external-resolution-time-quarter-change',
+    source: 'external',
+    template: 'Average resolution time {direction} from {previousValue} to {currentValue} days between {previousPeriod} and {currentPeriod}',
+    compute: (records, options) => {
+      const resolved = records.filter(r => r.status === 'Closed' && Number(r.resolutionTime) > 0);
+      const averageDays = quarter => round(quarter.reduce((sum, r) => sum + Number(r.resolutionTime), 0) / quarter.length);
+      const comparison = compareLastQuarters(resolved, averageDays, options.minSampleSize);
+      if (!comparison) return null;
+
+      return { ...comparison, direction: directionWord(comparison.currentValue - comparison.previousValue, 'increased', 'decreased') };
+    }
+  },
+  {
+    id: 'process-slowest-stage',
+    source: 'process',
+    template: '{stage} is the slowest stage at {avgDuration} days on average, {share}% of the summed stage time ({count} records)',
+    compute: (records, options) => {
+      const stages = stageStatistics(records).filter(stage => stage.avgDuration > 0);
+      if (stages.length < 2 || records.length < options.minSampleSize) return null;
+
+      const totalAverage = stages.reduce((sum, stage) => sum + stage.avgDuration, 0);
+      const slowest = stages.sort((a, b) => b.avgDuration - a.avgDuration)[0];
+      return {
+        stage: slowest.stage,
+        avgDuration: round(slowest.avgDuration),
+        share: round(slowest.avgDuration / totalAverage * 100),
+        count: slowest.count
+      };
+    }
+  },
+  {
+    id: 'process-deviation-hot-spot',
+    source: 'process',
+    template: 'Deviations occur most often in {stage}: {deviations} of {count} records ({deviationRate}%) against {overallRate}% across all stages',
+    compute: (records, options) => {
+      const stages = stageStatistics(records).filter(stage => stage.deviations > 0 && stage.count >= options.minSampleSize);
+      if (stages.length === 0) return null;
+
+      const hotSpot = stages.sort((a, b) => b.deviationRate - a.deviationRate)[0];
+      const staged = records.filter(r => r.stage);
+      return {
+        stage: hotSpot.stage,
+        deviations: hotSpot.deviations,
+        count: hotSpot.count,
+        deviationRate: round(hotSpot.deviationRate),
+        overallRate: round(staged.filter(r => r.deviation).length / staged.length * 100)
+      };
+    }
+  }
+];
+
+/**
+ * Run the insight rules for one source
+ * @param {String} source - 'internal' | 'external' | 'process'
+ * @param {Array} records - Mapped records for the source
+ * @param {Object} options - { minSampleSize, disabledRules, rules }
+ * @returns {Array} - Insights as { id, text, evidence }
+ */
+const generateInsights = (source, records, options = {}) => {
+  const settings = { ...DEFAULT_INSIGHT_OPTIONS, ...options };
+  const rules = settings.rules || INSIGHT_RULES;
+
+  return rules
+    .filter(rule => rule.source === source && !settings.disabledRules.includes(rule.id))
+    .map(rule => {
+      try {
+        const evidence = rule.compute(records || [], settings);
+        return evidence ? { id: rule.id, text: renderTemplate(rule.template, evidence), evidence } : null;
+      } catch (error) {
+        console.error(`Insight rule ${rule.id} failed:`, error);
+        return null;
+      }
+    })
+    .filter(Boolean);
+};
+
+module.exports = {
+  DEFAULT_INSIGHT_OPTIONS,
+  INSIGHT_RULES,
+  renderTemplate,
+  generateInsights
+};
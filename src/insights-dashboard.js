@@ -609,6 +609,16 @@ const InsightsDashboard = () => {
     );
   };
   
+  // Key findings computed by the data pipeline's insight rules
+  const keyFindings = [
+    { area: 'Documentation Quality', insights: data?.internalRFT?.insights },
+    { area: 'Customer Feedback', insights: data?.externalRFT?.insights },
+    { area: 'Process Efficiency', insights: data?.commercialProcess?.insights }
+  ].flatMap(({ area, insights }) => (insights || [])
+    .filter(insight => insight && insight.text)
+    .map(insight => ({ area, id: insight.id, text: insight.text }))
+  );
+  
   // Main insights content
   if (isLoading || !data) {
     return (
@@ -644,12 +654,17 @@ const InsightsDashboard = () => {
         {/* Key Findings Summary */}
         <div className="bg-blue-50 p-4 rounded-lg mb-6">
           <h3 className="text-lg font-semibold mb-2">Key Findings</h3>
-          <ul className="list-disc pl-5 space-y-1 text-sm">
-            <li><span className="font-medium">Documentation Quality:</span> Documentation errors contribute to 60% of all quality issues</li>
-            <li><span className="font-medium">Process Efficiency:</span> The PCI Review step is the biggest bottleneck in the current process</li>
-            <li><span className="font-medium">Customer Satisfaction:</span> Documentation and Quality issues are the main customer concerns</li>
-            <li><span className="font-medium">Prediction:</span> Without intervention, RFT rate is projected to decline by 0.8% in the next quarter</li>
-          </ul>
+          {keyFindings.length > 0 ? (
+            <ul className="list-disc pl-5 space-y-1 text-sm">
+              {keyFindings.map((finding, index) => (
+                <li key={finding.id || index}>
+                  <span className="font-medium">{finding.area}:</span> {finding.text}
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-sm text-gray-600">Not enough data to support key findings yet</p>
+          )}
         </div>
         
         {/* Predictions */}
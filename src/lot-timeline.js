@@ -0,0 +1,319 @@
+/**
+ * Lot timeline reconstruction
+ *
+ * Orders every stage event of each lot against the process model, splits
+ * the lot's time into touch time (in a stage) and wait time (between
+ * stages), flags out-of-order, overlapping and missing events, and counts
+ * work in progress per stage per day. Shared by the ingestion pipeline and
+ * DataTransformer; the Process Flow tab's waiting times come from here.
+ *
+ * A stage event is { lot, stage, start, end, duration }: a missing start or
+ * end is derived from the other and the duration, and the duration (when
+ * recorded) is the touch time. WIP is counted to `asOf`, which defaults to
+ * the latest event date so the same events always give the same output.
+ *
+ * A lot is complete once it reaches the last model stage recorded for any
+ * lot, so a source that only tracks the first few stages still has
+ * finished lots.
+ */
+
+const { normalizeDate } = require('./date-normalization');
+const { findStage } = require('./process-model');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_TIMELINE_OPTIONS = {
+  // Day WIP is counted to (ISO date); null uses the latest event date
+  asOf: null,
+  // Days of daily WIP, ending at asOf
+  wipDays: 90,
+  // Anomalies listed in the output (all of them are counted)
+  maxAnomalies: 50,
+  // Date normalisation options (formats, time zone)
+  dateOptions: {}
+};
+
+const ANOMALY_TYPES = {
+  outOfOrder: 'Starts before the previous stage started',
+  overlap: 'Starts before the previous stage finished',
+  missing: 'Stage skipped: later stages are recorded'
+};
+
+const round = (value) => (value === null || value === undefined ? null : parseFloat(value.toFixed(1)));
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Fractional day number of a date value (days since the epoch), or null
+const toDay = (value, dateOptions) => {
+  const normalized = normalizeDate(value, dateOptions);
+  if (!normalized.valid) return null;
+  const time = normalized.dateTime ? Date.parse(normalized.dateTime) : Date.parse(`${normalized.date}T00:00:00Z`);
+  return time / DAY_MS;
+};
+
+const dayToIso = (day) => new Date(Math.floor(day) * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Stage events of DataTransformer raw records, one per record and model stage with a date
+ * @param {Array} records - Raw records (lot in batchId)
+ * @param {Object} model - Resolved process model
+ * @returns {Array} - [{ lot, stage, start, end, duration }]
+ */
+const recordStageEvents = (records, model) => {
+  const events = [];
+  records.forEach(record => {
+    if (!record.batchId) return;
+    model.stages.forEach(stage => {
+      const start = stage.startField ? record[stage.startField] : null;
+      const end = stage.endField ? record[stage.endField] : null;
+      if (!start && !end) return;
+      const duration = stage.durationField ? record[stage.durationField] : null;
+      events.push({ lot: record.batchId, stage: stage.name, start, end, duration });
+    });
+  });
+  return events;
+};
+
+/**
+ * Stage events of pipeline Commercial Process records (one record per lot and stage)
+ * @param {Array} records - Records with lot, stage, date (the stage start) and duration
+ * @returns {Array} - [{ lot, stage, start, end, duration }]
+ */
+const processStageEvents = (records) => records
+  .filter(record => record.lot && record.stage && record.date)
+  // A duration of 0 is the column default, so it counts as not recorded
+  .map(record => ({ lot: record.lot, stage: record.stage, start: record.date, end: null, duration: record.duration > 0 ? record.duration : null }));
+
+// Resolve an event's start/end day numbers and touch time
+const resolveEvent = (event, model, dateOptions) => {
+  const stage = findStage(model, event.stage);
+  const recorded = event.duration !== null && event.duration !== undefined && event.duration !== '' && !isNaN(event.duration)
+    ? Number(event.duration)
+    : null;
+  let start = toDay(event.start, dateOptions);
+  let end = toDay(event.end, dateOptions);
+  if (start === null && end === null) return null;
+  if (start === null) start = recorded !== null ? end - recorded : end;
+  if (end === null) end = recorded !== null ? start + recorded : start;
+
+  return {
+    stage: stage ? stage.name : String(event.stage),
+    owner: stage ? stage.owner : '',
+    index: stage ? stage.index : model.stages.length,
+    start,
+    end,
+    // Point events (a single date and no duration) have no known touch time
+    touchTime: recorded !== null ? recorded : (end > start ? end - start : null)
+  };
+};
+
+// Timeline of one lot: ordered events, waits per transition and anomalies
+const buildLotTimeline = (lot, events, model, finalIndex) => {
+  // Process order, then start date for repeated stages
+  const ordered = [...events].sort((a, b) => a.index - b.index || a.start - b.start);
+  const anomalies = [];
+  const waitBefore = new Map();
+
+  ordered.forEach((event, i) => {
+    if (i === 0 || event.index >= model.stages.length) return;
+    const previous = ordered[i - 1];
+    if (event.index === previous.index) return;
+    if (event.start < previous.start) {
+      anomalies.push({ lot, type: 'outOfOrder', stage: event.stage, previousStage: previous.stage, detail: ANOMALY_TYPES.outOfOrder });
+    } else if (event.start < previous.end) {
+      anomalies.push({ lot, type: 'overlap', stage: event.stage, previousStage: previous.stage, detail: ANOMALY_TYPES.overlap });
+    }
+  });
+
+  // Stages between the first and last recorded ones that never happened
+  const present = new Set(ordered.map(event => event.index));
+  const known = ordered.filter(event => event.index < model.stages.length).map(event => event.index);
+  if (known.length > 0) {
+    for (let index = Math.min(...known) + 1; index < Math.max(...known); index++) {
+      if (!present.has(index)) {
+        anomalies.push({ lot, type: 'missing', stage: model.stages[index].name, previousStage: null, detail: ANOMALY_TYPES.missing });
+      }
+    }
+  }
+
+  // Waits along the model's transitions; overlaps and out-of-order pairs have none
+  const waits = [];
+  model.transitions.forEach(transition => {
+    const from = ordered.find(event => event.stage === findStage(model, transition.from).name);
+    const to = ordered.find(event => event.stage === findStage(model, transition.to).name);
+    if (!from || !to) return;
+    const wait = to.start - from.end;
+    if (wait < 0) return;
+    waits.push({ from: from.stage, to: to.stage, wait });
+    waitBefore.set(to, wait);
+  });
+
+  const touchTime = ordered.reduce((sum, event) => sum + (event.touchTime || 0), 0);
+  const waitTime = waits.reduce((sum, item) => sum + item.wait, 0);
+  const first = Math.min(...ordered.map(event => event.start));
+  const last = Math.max(...ordered.map(event => event.end));
+  const leadTime = last - first;
+
+  return {
+    lot,
+    events: ordered.map(event => ({
+      stage: event.stage,
+      owner: event.owner,
+      start: dayToIso(event.start),
+      end: dayToIso(event.end),
+      touchTime: round(event.touchTime),
+      waitBefore: waitBefore.has(event) ? round(waitBefore.get(event)) : null
+    })),
+    touchTime: round(touchTime),
+    waitTime: round(waitTime),
+    leadTime: round(leadTime),
+    // Share of the lot's lead time spent being worked on
+    flowEfficiency: leadTime > 0 ? round(Math.min(touchTime / leadTime, 1) * 100) : null,
+    complete: present.has(finalIndex),
+    anomalies,
+    // Internal: resolved events and waits for the aggregates
+    resolved: ordered,
+    waits,
+    lastIndex: known.length > 0 ? Math.max(...known) : -1
+  };
+};
+
+// Daily WIP: lots in each stage, and lots queued for each stage, per day up to asOf
+const countDailyWip = (timelines, model, finalIndex, asOf, days) => {
+  const firstDay = asOf - days + 1;
+  const counts = Array.from({ length: days }, (unused, i) => ({
+    date: dayToIso(firstDay + i),
+    total: 0,
+    stages: {},
+    queued: {}
+  }));
+
+  timelines.forEach(timeline => {
+    // Segments in time order: each event, the gaps between events, and an open lot's wait for its next stage
+    const events = [...timeline.resolved].sort((a, b) => a.start - b.start);
+    const segments = [];
+    events.forEach((event, i) => {
+      segments.push({ key: 'stages', stage: event.stage, from: event.start, to: Math.max(event.end, event.start + 1) });
+      const next = events[i + 1];
+      if (next && next.start > event.end) {
+        segments.push({ key: 'queued', stage: next.stage, from: event.end, to: next.start });
+      }
+    });
+    const lastEnd = Math.max(...events.map(event => event.end));
+    const nextStage = model.stages[timeline.lastIndex + 1];
+    if (!timeline.complete && nextStage && timeline.lastIndex < finalIndex) {
+      segments.push({ key: 'queued', stage: nextStage.name, from: lastEnd, to: asOf + 1 });
+    }
+
+    counts.forEach((count, i) => {
+      const day = firstDay + i;
+      // Work in a stage takes precedence over waiting on the same day
+      const segment = segments.find(item => item.key === 'stages' && Math.floor(item.from) <= day && day < Math.ceil(item.to))
+        || segments.find(item => item.key === 'queued' && Math.floor(item.from) <= day && day < Math.ceil(item.to));
+      if (!segment) return;
+      count.total++;
+      count[segment.key][segment.stage] = (count[segment.key][segment.stage] || 0) + 1;
+    });
+  });
+
+  return counts;
+};
+
+/**
+ * Reconstruct lot timelines from stage events
+ * @param {Array} events - [{ lot, stage, start, end, duration }] (see recordStageEvents, processStageEvents)
+ * @param {Object} model - Resolved process model
+ * @param {Object} options - DEFAULT_TIMELINE_OPTIONS overrides
+ * @returns {Object} - { lots, waitingTimes, touchTimes, dailyWip, anomalies, summary }
+ */
+const buildLotTimelines = (events, model, options = {}) => {
+  const settings = { ...DEFAULT_TIMELINE_OPTIONS, ...options };
+
+  // Group resolved events by lot, keeping the order lots first appear in
+  const byLot = new Map();
+  (events || []).forEach(event => {
+    const resolved = resolveEvent(event, model, settings.dateOptions);
+    if (!resolved) return;
+    if (!byLot.has(event.lot)) byLot.set(event.lot, []);
+    byLot.get(event.lot).push(resolved);
+  });
+
+  // Last model stage any lot has reached
+  const finalIndex = Math.max(-1, ...[...byLot.values()].flat()
+    .filter(event => event.index < model.stages.length)
+    .map(event => event.index));
+  const timelines = [...byLot.entries()].map(([lot, lotEvents]) => buildLotTimeline(lot, lotEvents, model, finalIndex));
+
+  const waitingTimes = model.transitions
+    .map(transition => {
+      const from = findStage(model, transition.from).name;
+      const to = findStage(model, transition.to).name;
+      const waits = timelines.flatMap(timeline => timeline.waits
+        .filter(item => item.from === from && item.to === to)
+        .map(item => item.wait));
+      return { from, to, time: round(average(waits)), median: round(median(waits)), max: round(waits.length ? Math.max(...waits) : null), count: waits.length };
+    })
+    .filter(item => item.count > 0);
+
+  const touchTimes = model.stages
+    .map(stage => {
+      const values = timelines.flatMap(timeline => timeline.resolved
+        .filter(event => event.stage === stage.name && event.touchTime !== null)
+        .map(event => event.touchTime));
+      return { stage: stage.name, owner: stage.owner, time: round(average(values)), count: values.length };
+    })
+    .filter(item => item.count > 0);
+
+  const allEvents = timelines.flatMap(timeline => timeline.resolved);
+  const asOfDay = toDay(settings.asOf, settings.dateOptions);
+  const lastDay = asOfDay !== null
+    ? asOfDay
+    : (allEvents.length > 0 ? Math.floor(Math.max(...allEvents.map(event => event.end))) : null);
+  const dailyWip = lastDay !== null ? countDailyWip(timelines, model, finalIndex, Math.floor(lastDay), settings.wipDays) : [];
+
+  const anomalies = timelines.flatMap(timeline => timeline.anomalies);
+  const anomalyCounts = {};
+  Object.keys(ANOMALY_TYPES).forEach(type => {
+    anomalyCounts[type] = anomalies.filter(anomaly => anomaly.type === type).length;
+  });
+
+  // Flow efficiency over every lot with a lead time
+  const measured = timelines.filter(timeline => timeline.leadTime > 0);
+  const totalTouch = measured.reduce((sum, timeline) => sum + timeline.touchTime, 0);
+  const totalLead = measured.reduce((sum, timeline) => sum + timeline.leadTime, 0);
+
+  return {
+    lots: timelines.map(({ resolved, waits, lastIndex, ...timeline }) => timeline),
+    waitingTimes,
+    touchTimes,
+    dailyWip,
+    anomalies: anomalies.slice(0, settings.maxAnomalies),
+    summary: {
+      lots: timelines.length,
+      completeLots: timelines.filter(timeline => timeline.complete).length,
+      finalStage: finalIndex >= 0 ? model.stages[finalIndex].name : null,
+      avgTouchTime: round(average(timelines.map(timeline => timeline.touchTime))),
+      avgWaitTime: round(average(timelines.map(timeline => timeline.waitTime))),
+      avgLeadTime: round(average(measured.map(timeline => timeline.leadTime))),
+      flowEfficiency: totalLead > 0 ? round(Math.min(totalTouch / totalLead, 1) * 100) : null,
+      lotsWithAnomalies: timelines.filter(timeline => timeline.anomalies.length > 0).length,
+      anomalyCounts,
+      asOf: lastDay !== null ? dayToIso(lastDay) : null
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_TIMELINE_OPTIONS,
+  ANOMALY_TYPES,
+  recordStageEvents,
+  processStageEvents,
+  buildLotTimelines
+};
@@ -0,0 +1,141 @@
+/**
+ * Sample dashboard data for the mock data source
+ *
+ * Shaped like complete-data.json (see data-schema.js), so every tab renders
+ * without a preprocessing run.
+ */
+
+/**
+ * Generate mock dashboard data
+ * @returns {Object} - complete-data.json shaped payload
+ */
+export const generateMockData = () => ({
+  overview: {
+    stats: {
+      totalRecords: 1245,
+      totalLots: 78,
+      overallRFTRate: 92.3
+    },
+    rftPerformance: [
+      { name: 'Passed', value: 1149 },
+      { name: 'Failed', value: 96 }
+    ],
+    issueDistribution: [
+      { name: 'Documentation Error', value: 42 },
+      { name: 'Process Deviation', value: 28 },
+      { name: 'Equipment Issue', value: 15 },
+      { name: 'Material Issue', value: 11 }
+    ],
+    processTimeline: [
+      { month: 'Jan', recordRFT: 90.2, lotRFT: 91.5 },
+      { month: 'Feb', recordRFT: 91.4, lotRFT: 92.0 },
+      { month: 'Mar', recordRFT: 92.8, lotRFT: 93.1 },
+      { month: 'Apr', recordRFT: 91.5, lotRFT: 92.3 },
+      { month: 'May', recordRFT: 92.3, lotRFT: 93.5 },
+      { month: 'Jun', recordRFT: 93.1, lotRFT: 94.0 }
+    ],
+    lotQuality: {
+      pass: 72,
+      fail: 6,
+      percentage: 92,
+      change: 1.5
+    }
+  },
+  internalRFT: {
+    records: [],
+    summary: {
+      totalRecords: 1000,
+      passingRecords: 924,
+      failingRecords: 76,
+      rftRate: 92.4
+    },
+    formErrors: [
+      { name: 'Production Record', errors: 24, trend: 'up' },
+      { name: 'Batch Release', errors: 18, trend: 'down' },
+      { name: 'QC Checklist', errors: 15, trend: 'flat' },
+      { name: 'Material Transfer', errors: 12, trend: 'down' },
+      { name: 'Process Deviation', errors: 10, trend: 'up' }
+    ],
+    formErrorTrends: [
+      { month: 'Jan', 'Production Record': 20, 'Batch Release': 22, 'QC Checklist': 14 },
+      { month: 'Feb', 'Production Record': 21, 'Batch Release': 20, 'QC Checklist': 15 },
+      { month: 'Mar', 'Production Record': 22, 'Batch Release': 19, 'QC Checklist': 14 },
+      { month: 'Apr', 'Production Record': 22, 'Batch Release': 18, 'QC Checklist': 15 },
+      { month: 'May', 'Production Record': 23, 'Batch Release': 17, 'QC Checklist': 14 },
+      { month: 'Jun', 'Production Record': 24, 'Batch Release': 18, 'QC Checklist': 15 }
+    ],
+    insights: []
+  },
+  externalRFT: {
+    records: [],
+    summary: {
+      totalComplaints: 100,
+      resolvedComplaints: 82,
+      pendingComplaints: 18,
+      resolutionRate: 82.0
+    },
+    customerComments: [
+      { name: 'Documentation', count: 38, sentiment: -0.2 },
+      { name: 'Quality', count: 27, sentiment: -0.5 },
+      { name: 'Delivery', count: 18, sentiment: -0.3 },
+      { name: 'Packaging', count: 12, sentiment: -0.1 },
+      { name: 'Other', count: 5, sentiment: 0 }
+    ],
+    insights: []
+  },
+  commercialProcess: {
+    records: [],
+    summary: {
+      totalLots: 78,
+      completedLots: 72,
+      inProgressLots: 4,
+      onHoldLots: 2,
+      completionRate: 92.3
+    },
+    processFlow: [
+      { name: 'Assembly', count: 78, avgDuration: 3.5, deviationRate: 5.1 },
+      { name: 'Packaging', count: 76, avgDuration: 2.4, deviationRate: 3.9 }
+    ],
+    insights: []
+  },
+  processMetrics: {
+    reviewTimes: {
+      NN: [2.8, 3.2, 3.5, 2.9, 3.1, 2.7],
+      PCI: [3.4, 3.6, 3.2, 3.0, 2.9, 3.1]
+    },
+    cycleTimeBreakdown: [
+      { step: 'Bulk Receipt', time: 1.2 },
+      { step: 'Assembly', time: 3.5 },
+      { step: 'PCI Review', time: 3.2 },
+      { step: 'NN Review', time: 3.0 },
+      { step: 'Packaging', time: 2.4 },
+      { step: 'Final Review', time: 1.8 },
+      { step: 'Release', time: 1.0 }
+    ],
+    waitingTimes: [
+      { from: 'Bulk Receipt', to: 'Assembly', time: 0.5 },
+      { from: 'Assembly', to: 'PCI Review', time: 1.2 },
+      { from: 'PCI Review', to: 'NN Review', time: 0.8 },
+      { from: 'NN Review', to: 'Packaging', time: 2.0 },
+      { from: 'Packaging', to: 'Final Review', time: 0.7 },
+      { from: 'Final Review', to: 'Release', time: 1.5 }
+    ],
+    totalCycleTime: {
+      average: 21.8,
+      target: 18.0,
+      minimum: 16.2,
+      maximum: 36.2
+    }
+  },
+  lotData: {
+    B1001: { rftRate: 94.2, cycleTime: 16.5, hasErrors: false, releaseDate: '2025-02-15', department: 'Production' },
+    B1002: { rftRate: 88.7, cycleTime: 18.2, hasErrors: true, releaseDate: '2025-02-20', department: 'Quality' },
+    B1003: { rftRate: 96.3, cycleTime: 15.8, hasErrors: false, releaseDate: '2025-02-25', department: 'Production' },
+    B1004: { rftRate: 90.1, cycleTime: 17.4, hasErrors: true, releaseDate: '2025-03-02', department: 'Packaging' },
+    B1005: { rftRate: 93.8, cycleTime: 16.2, hasErrors: false, releaseDate: '2025-03-08', department: 'Production' }
+  },
+  lastUpdated: new Date().toISOString(),
+  dataVersion: 'mock'
+});
+
+export default generateMockData;
@@ -0,0 +1,569 @@
+#!/usr/bin/env node
+/**
+ * Command-line interface for the dashboard data pipeline
+ *
+ * Usage: node src/pipeline-cli.js <command> [options]
+ *
+ *   ingest     Excel workbooks -> complete-data.json (+ metadata.json manifest, changes.json report,
+ *              per-build snapshot)
+ *   validate   Check a complete-data.json against the dashboard schema
+ *   transform  Raw records -> dashboard tab data (DataTransformer)
+ *   diff       Report what changed between two complete-data.json files
+ *   inspect    Summarise a complete-data.json or the sheets and columns of a workbook
+ *   restore    Download the snapshots a deployed dashboard publishes, so the
+ *              next ingest adds to them (builds start from a clean checkout)
+ *
+ * Results go to stdout as text (--format pretty, default) or JSON
+ * (--format json); pipeline logs go to stderr (--quiet hides them).
+ *
+ * Exit codes: 0 success, 1 check failed (invalid data, differences found,
+ * missing or unreadable workbooks or snapshots), 2 usage error, 3 unexpected error.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const xlsx = require('xlsx');
+const ExcelProcessor = require('./ExcelProcessor');
+const DataTransformer = require('./DataTransformer');
+const { ExcelPipeline, SOURCE_LABELS, OPTIONAL_SOURCES, detectWorkbookSource } = require('./excel-pipeline');
+const { SOURCE_OUTPUT_KEYS } = require('./processing-manifest');
+const { resolveColumns } = require('./column-mappings');
+const { discoverWorkbooks } = require('./workbook-discovery');
+const { buildDataSchema, validateData, formatValidationReport, DEFAULT_VALIDATION_OPTIONS } = require('./data-schema');
+const { DEFAULT_DIFF_OPTIONS, diffDatasets, formatDiffReport } = require('./dataset-diff');
+const { SNAPSHOT_INDEX_FILE, snapshotFiles } = require('./dataset-snapshots');
+
+const EXIT_CODES = {
+  ok: 0,
+  failed: 1,
+  usage: 2,
+  error: 3
+};
+
+// Thrown for bad arguments; reported with the command's usage
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+// Options every command accepts
+const GLOBAL_OPTIONS = {
+  format: 'string',
+  quiet: 'boolean',
+  help: 'boolean'
+};
+
+/**
+ * Parse command-line arguments against an option spec
+ * @param {Array} argv - Arguments after the command name
+ * @param {Object} spec - Option name -> 'string' | 'boolean' | 'list'
+ * @returns {Object} - Options by name, positionals in `_`
+ */
+const parseArgs = (argv, spec) => {
+  const args = { _: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args._.push(arg);
+      continue;
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s, 2);
+    const type = spec[name];
+    if (!type) {
+      throw new UsageError(`Unknown option --${name}`);
+    }
+
+    let value = inlineValue;
+    if (type === 'boolean') {
+      value = inlineValue === undefined ? true : inlineValue !== 'false';
+    } else if (value === undefined) {
+      value = argv[++i];
+      if (value === undefined) throw new UsageError(`--${name} needs a value`);
+    }
+
+    args[name] = type === 'list' ? [...(args[name] || []), value] : value;
+  }
+
+  return args;
+};
+
+/**
+ * Read and parse a JSON file
+ * @param {String} file - Path to the file
+ * @returns {*} - Parsed JSON
+ */
+const readJson = (file) => {
+  if (!file) throw new UsageError('Missing input file');
+  if (!fs.existsSync(file)) throw new Error(`File not found: ${file}`);
+
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot parse ${file}: ${error.message}`);
+  }
+};
+
+// Pipeline config from --config (ExcelProcessor/ExcelPipeline options as JSON)
+const readConfig = (args) => (args.config ? readJson(args.config) : {});
+
+const formatNumber = (value) => (typeof value === 'number' ? value.toLocaleString('en-US') : String(value));
+
+// ingest: run the Excel pipeline and write complete-data.json, its manifest and the change report
+const ingest = async (args) => {
+  const input = args.input || '.';
+  const config = readConfig(args);
+  const sourceFiles = {
+    internal: args.internal || [path.join(input, 'Internal RFT.xlsx')],
+    external: args.external || [path.join(input, 'External RFT.xlsx')],
+    process: args.process || [path.join(input, 'Commercial Process.xlsx')],
+    deviations: args.deviations || [path.join(input, 'Deviations.*')],
+    qualifications: args.qualifications || [path.join(input, 'Equipment Qualification.*')]
+  };
+
+  const sources = {};
+  Object.keys(SOURCE_LABELS).forEach(source => {
+    sources[source] = { ...(config.sources || {})[source], files: sourceFiles[source] };
+  });
+
+  // Keep the published dataset rather than replace a source with an empty placeholder
+  const isOptional = (source) => sources[source].optional ?? OPTIONAL_SOURCES.includes(source);
+  const missing = Object.keys(sources)
+    .filter(source => !isOptional(source) && discoverWorkbooks(sources[source].files).length === 0)
+    .map(source => `${SOURCE_LABELS[source]}: no workbooks found for ${sourceFiles[source].join(', ')}`);
+  if (missing.length > 0 && !args['allow-missing']) {
+    return {
+      exitCode: EXIT_CODES.failed,
+      result: { output: null, problems: missing },
+      pretty: () => ['Not written (pass --allow-missing to write placeholders):', ...missing.map(problem => `PROBLEM ${problem}`)].join('\n')
+    };
+  }
+
+  const outputDir = path.dirname(args.output || 'public/data/complete-data.json');
+  const processor = new ExcelProcessor({
+    ...config,
+    sources,
+    outputPath: path.resolve(args.output || 'public/data/complete-data.json'),
+    manifestPath: path.resolve(args.manifest || path.join(outputDir, 'metadata.json')),
+    changesPath: path.resolve(args.changes || path.join(outputDir, 'changes.json')),
+    snapshotsDir: args['no-snapshots'] ? null : path.resolve(args.snapshots || path.join(outputDir, 'snapshots'))
+  });
+
+  let data;
+  try {
+    data = await processor.processAll({ full: args.full });
+  } catch (error) {
+    if (!error.validationReport) throw error;
+    return {
+      exitCode: EXIT_CODES.failed,
+      result: { output: null, validation: error.validationReport },
+      pretty: () => `Not written: ${error.message}\n${formatValidationReport(error.validationReport)}`
+    };
+  }
+
+  // Sources the pipeline replaced with placeholders, and workbooks it could not read
+  const problems = [];
+  Object.entries(data.dataSourceInfo.sources).forEach(([source, info]) => {
+    if (info.workbooks === 0 && !info.optional) problems.push(`${info.label}: no workbooks found for ${info.patterns.join(', ')}`);
+  });
+  data.dataSourceInfo.files.filter(file => file.error).forEach(file => {
+    problems.push(`${file.path}: ${file.error}`);
+  });
+
+  const result = {
+    output: path.relative(process.cwd(), processor.config.outputPath),
+    manifest: path.relative(process.cwd(), processor.config.manifestPath),
+    // No change report on a first run: there is nothing to compare against
+    changes: fs.existsSync(processor.config.changesPath) ? path.relative(process.cwd(), processor.config.changesPath) : null,
+    snapshots: processor.config.snapshotsDir ? path.relative(process.cwd(), processor.config.snapshotsDir) : null,
+    snapshot: processor.snapshot,
+    lastUpdated: data.lastUpdated,
+    sources: data.dataSourceInfo.sources,
+    reused: processor.reuseCounts,
+    validation: processor.validationReport,
+    problems
+  };
+
+  return {
+    exitCode: problems.length > 0 && !args['allow-missing'] ? EXIT_CODES.failed : EXIT_CODES.ok,
+    result,
+    pretty: () => [
+      `Wrote ${[result.output, result.manifest, result.changes].filter(Boolean).join(', ')}`,
+      ...(result.snapshot ? [result.snapshot.published
+        ? `Published snapshot ${result.snapshot.id} to ${result.snapshots}`
+        : `Data unchanged since snapshot ${result.snapshot.id}; no snapshot published`] : []),
+      ...Object.values(result.sources).map(info => `  ${info.label}: ${info.workbooks} workbooks, ${formatNumber(info.records)} records`),
+      `Reused from the previous run: ${result.reused.sources} sources, ${result.reused.workbooks} workbooks, ${result.reused.sheets} sheets`,
+      `Schema check: ${result.validation.errorCount} errors, ${result.validation.warningCount} warnings`,
+      ...problems.map(problem => `PROBLEM ${problem}`)
+    ].join('\n')
+  };
+};
+
+// validate: check a complete-data.json against the schema
+const validate = async (args) => {
+  const [file] = args._;
+  const data = readJson(file);
+  const { columnMappings } = new ExcelPipeline(readConfig(args));
+  const report = validateData(data, buildDataSchema(columnMappings), {
+    maxIssues: args['max-issues'] ? Number(args['max-issues']) : DEFAULT_VALIDATION_OPTIONS.maxIssues
+  });
+  const failed = !report.valid || (args.strict && report.warningCount > 0);
+
+  return {
+    exitCode: failed ? EXIT_CODES.failed : EXIT_CODES.ok,
+    result: { file, ...report },
+    pretty: () => `${file}\n${formatValidationReport(report)}`
+  };
+};
+
+// Records of a JSON file holding an array, { records }, or a dataset section ({ [key]: { records } })
+const readRecords = (file, key = null) => {
+  const input = readJson(file);
+  const records = Array.isArray(input) ? input : (key && input[key] ? input[key].records : input.records);
+  if (!Array.isArray(records)) {
+    throw new Error(`${file} holds neither a record array nor { records: [...] }`);
+  }
+  return records;
+};
+
+// transform: run DataTransformer on raw records (an array, or { records }),
+// with optional deviation and equipment qualification logs (--deviations, --qualifications:
+// an array, { records } or a complete-data.json)
+const transform = async (args) => {
+  const [file] = args._;
+  const records = readRecords(file);
+  const deviations = args.deviations ? readRecords(args.deviations, SOURCE_OUTPUT_KEYS.deviations) : null;
+  const qualifications = args.qualifications ? readRecords(args.qualifications, SOURCE_OUTPUT_KEYS.qualifications) : null;
+
+  // The pipeline config's date options and analysis settings apply to the transform too
+  const config = readConfig(args);
+  const transformer = new DataTransformer({
+    dateOptions: config.dates,
+    deviations: config.deviations,
+    qualifications: config.qualifications,
+    spc: config.spc,
+    capability: config.capability,
+    processModel: config.processModel,
+    timeline: config.timeline,
+    flow: config.flow,
+    segments: config.segments
+  });
+  transformer.setRawData(records);
+  if (deviations) transformer.setDeviationData(deviations);
+  if (qualifications) transformer.setQualificationData(qualifications);
+  const transformed = transformer.transformData();
+
+  if (!args.output) {
+    return { exitCode: EXIT_CODES.ok, result: transformed, pretty: () => JSON.stringify(transformed, null, 2) };
+  }
+
+  fs.mkdirSync(path.dirname(path.resolve(args.output)), { recursive: true });
+  fs.writeFileSync(args.output, JSON.stringify(transformed, null, 2));
+  const result = { output: args.output, records: records.length, sections: Object.keys(transformed) };
+
+  return {
+    exitCode: EXIT_CODES.ok,
+    result,
+    pretty: () => `Transformed ${formatNumber(result.records)} records into ${result.output} (${result.sections.join(', ')})`
+  };
+};
+
+// diff: change report between two datasets, or two record sets of one source
+const diff = async (args) => {
+  const [beforeFile, afterFile] = args._;
+  if (!afterFile) throw new UsageError('diff needs two files: <before> <after>');
+  let before = readJson(beforeFile);
+  let after = readJson(afterFile);
+
+  // Bare record arrays are compared as the records of the --source given
+  if (Array.isArray(before) || Array.isArray(after)) {
+    const key = SOURCE_OUTPUT_KEYS[args.source];
+    if (!key) throw new UsageError(`Record sets need --source (${Object.keys(SOURCE_LABELS).join(', ')})`);
+    const wrap = (records) => (Array.isArray(records) ? { [key]: { records } } : records);
+    before = wrap(before);
+    after = wrap(after);
+  }
+
+  const report = diffDatasets(before, after, {
+    maxItems: args['max-items'] ? Number(args['max-items']) : DEFAULT_DIFF_OPTIONS.maxItems
+  });
+
+  return {
+    exitCode: report.hasChanges ? EXIT_CODES.failed : EXIT_CODES.ok,
+    result: report,
+    pretty: () => `${beforeFile} -> ${afterFile}\n${formatDiffReport(report)}`
+  };
+};
+
+// Sheets, headers and column mapping of a workbook
+const inspectWorkbook = (file, args) => {
+  const pipeline = new ExcelPipeline(readConfig(args));
+  const source = args.source || detectWorkbookSource(path.basename(file));
+  if (source && !pipeline.columnMappings[source]) {
+    throw new UsageError(`Unknown source "${source}" (expected ${Object.keys(SOURCE_LABELS).join(', ')})`);
+  }
+
+  const workbook = xlsx.readFile(file);
+  const sheets = workbook.SheetNames.map(name => {
+    const { headers, rows } = pipeline.readSheet(workbook, name);
+    const sheet = { name, rows: rows.length, headers };
+    if (source) sheet.columns = resolveColumns(headers, pipeline.columnMappings[source]).report;
+    return sheet;
+  });
+
+  return {
+    exitCode: EXIT_CODES.ok,
+    result: { file, type: 'workbook', source, sheets },
+    pretty: () => [
+      `${file}: workbook, ${sheets.length} sheets${source ? `, mapped as ${SOURCE_LABELS[source]}` : ' (pass --source to check columns)'}`,
+      ...sheets.map(sheet => [
+        `  ${sheet.name}: ${formatNumber(sheet.rows)} rows`,
+        `    headers: ${sheet.headers.join(', ') || '(none)'}`,
+        ...(sheet.columns ? [
+          `    mapped: ${Object.entries(sheet.columns.matched).map(([field, header]) => `${field} <- ${header}`).join(', ') || '(none)'}`,
+          `    missing required: ${sheet.columns.missing.join(', ') || '(none)'}`,
+          `    unmapped: ${sheet.columns.unmapped.join(', ') || '(none)'}`
+        ] : [])
+      ].join('\n'))
+    ].join('\n')
+  };
+};
+
+// Sections, record counts and provenance of a complete-data.json
+const inspectDataset = (file) => {
+  const data = readJson(file);
+  const sources = {};
+  Object.entries(SOURCE_OUTPUT_KEYS).forEach(([source, key]) => {
+    sources[source] = {
+      records: data[key]?.records?.length || 0,
+      summary: data[key]?.summary || null,
+      workbooks: data.dataSourceInfo?.sources?.[source]?.workbooks ?? null
+    };
+  });
+
+  const result = {
+    file,
+    type: 'dataset',
+    lastUpdated: data.lastUpdated || null,
+    dataVersion: data.dataVersion || null,
+    sections: Object.keys(data),
+    overview: data.overview?.stats || null,
+    sources
+  };
+
+  return {
+    exitCode: EXIT_CODES.ok,
+    result,
+    pretty: () => [
+      `${file}: dataset v${result.dataVersion || '?'}, last updated ${result.lastUpdated || 'unknown'}`,
+      `  sections: ${result.sections.join(', ')}`,
+      ...Object.entries(sources).map(([source, info]) =>
+        `  ${SOURCE_LABELS[source]}: ${formatNumber(info.records)} records${info.workbooks !== null ? ` from ${info.workbooks} workbooks` : ''}`)
+    ].join('\n')
+  };
+};
+
+// inspect: dataset or workbook summary, picked by file extension
+const inspect = async (args) => {
+  const [file] = args._;
+  if (!file) throw new UsageError('Missing input file');
+  if (!fs.existsSync(file)) throw new Error(`File not found: ${file}`);
+  return /\.(xlsx|xlsm|xls|csv)$/i.test(file) ? inspectWorkbook(file, args) : inspectDataset(file);
+};
+
+// Contents of a published file, or null when the site has none. Unknown paths on
+// the deployed site answer with the dashboard's index.html (the SPA redirect).
+const fetchPublished = async (url) => {
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (error) {
+    throw new Error(`Cannot fetch ${url}: ${error.cause ? error.cause.message : error.message}`);
+  }
+  if (response.status === 404 || /text\/html/.test(response.headers.get('content-type') || '')) return null;
+  if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+  return Buffer.from(await response.arrayBuffer());
+};
+
+// restore: copy the published snapshot index and the snapshots it lists into the
+// snapshots directory; files already there are kept. The index is written last,
+// and not at all when a snapshot it lists cannot be downloaded.
+const restore = async (args) => {
+  const [url] = args._;
+  if (!url) throw new UsageError('Missing snapshots URL');
+  const baseUrl = url.endsWith('/') ? url : `${url}/`;
+  const dir = path.resolve(args.snapshots || 'public/data/snapshots');
+  const result = { url: baseUrl, snapshots: path.relative(process.cwd(), dir), builds: 0, restored: [], problems: [] };
+
+  const indexUrl = new URL(SNAPSHOT_INDEX_FILE, baseUrl).href;
+  const indexContent = await fetchPublished(indexUrl);
+  if (!indexContent) {
+    return {
+      exitCode: EXIT_CODES.ok,
+      result,
+      pretty: () => `No snapshots published at ${baseUrl} yet`
+    };
+  }
+
+  let index;
+  try {
+    index = JSON.parse(indexContent.toString('utf8'));
+  } catch (error) {
+    throw new Error(`Cannot parse ${indexUrl}: ${error.message}`);
+  }
+  const snapshots = Array.isArray(index.snapshots) ? index.snapshots : [];
+  result.builds = snapshots.reduce((count, day) => count + (Array.isArray(day.builds) ? day.builds.length : 1), 0);
+
+  fs.mkdirSync(dir, { recursive: true });
+  for (const file of snapshotFiles(snapshots)) {
+    // File names come from the site: keep them inside the snapshots directory
+    if (path.basename(file) !== file) {
+      result.problems.push(`${file}: not a snapshot file name`);
+      continue;
+    }
+    const target = path.join(dir, file);
+    if (fs.existsSync(target)) continue;
+
+    const content = await fetchPublished(new URL(file, baseUrl).href);
+    if (!content) {
+      result.problems.push(`${file}: listed in ${SNAPSHOT_INDEX_FILE} but not published`);
+      continue;
+    }
+    fs.writeFileSync(target, content);
+    result.restored.push(file);
+  }
+
+  if (result.problems.length === 0) {
+    fs.writeFileSync(path.join(dir, SNAPSHOT_INDEX_FILE), indexContent);
+  }
+
+  return {
+    exitCode: result.problems.length > 0 ? EXIT_CODES.failed : EXIT_CODES.ok,
+    result,
+    pretty: () => [
+      result.problems.length > 0
+        ? `Snapshot index not restored from ${baseUrl}:`
+        : `Restored ${result.builds} snapshots from ${baseUrl} to ${result.snapshots} (${result.restored.length} files downloaded)`,
+      ...result.problems.map(problem => `PROBLEM ${problem}`)
+    ].join('\n')
+  };
+};
+
+const COMMANDS = {
+  ingest: {
+    run: ingest,
+    usage: 'ingest [--input <dir>] [--internal <glob>]... [--external <glob>]... [--process <glob>]... [--deviations <glob>]... [--qualifications <glob>]... [--output <file>] [--manifest <file>] [--changes <file>] [--snapshots <dir> | --no-snapshots] [--config <file>] [--full] [--allow-missing]',
+    summary: 'Process Excel workbooks into complete-data.json, reusing unchanged ones',
+    options: { input: 'string', internal: 'list', external: 'list', process: 'list', deviations: 'list', qualifications: 'list', output: 'string', manifest: 'string', changes: 'string', snapshots: 'string', 'no-snapshots': 'boolean', config: 'string', full: 'boolean', 'allow-missing': 'boolean' }
+  },
+  validate: {
+    run: validate,
+    usage: 'validate <complete-data.json> [--config <file>] [--max-issues <n>] [--strict]',
+    summary: 'Check a dataset against the dashboard schema (--strict fails on warnings)',
+    options: { config: 'string', 'max-issues': 'string', strict: 'boolean' }
+  },
+  transform: {
+    run: transform,
+    usage: 'transform <records.json> [--deviations <file>] [--qualifications <file>] [--output <file>] [--config <file>]',
+    summary: 'Run DataTransformer on raw records (and deviation and qualification logs)',
+    options: { deviations: 'string', qualifications: 'string', output: 'string', config: 'string' }
+  },
+  diff: {
+    run: diff,
+    usage: 'diff <before.json> <after.json> [--source internal|external|process|deviations|qualifications] [--max-items <n>]',
+    summary: 'Report what changed between two datasets or record sets (exit 1 when they differ)',
+    options: { source: 'string', 'max-items': 'string' }
+  },
+  inspect: {
+    run: inspect,
+    usage: 'inspect <complete-data.json | workbook.xlsx | log.csv> [--source internal|external|process|deviations|qualifications] [--config <file>]',
+    summary: 'Summarise a dataset, or the sheets and column mapping of a workbook',
+    options: { source: 'string', config: 'string' }
+  },
+  restore: {
+    run: restore,
+    usage: 'restore <snapshots-url> [--snapshots <dir>]',
+    summary: 'Download the snapshot index and snapshots a deployed dashboard publishes',
+    options: { snapshots: 'string' }
+  }
+};
+
+const usage = () => [
+  'Usage: node src/pipeline-cli.js <command> [options] [--format pretty|json] [--quiet]',
+  '',
+  'Commands:',
+  ...Object.entries(COMMANDS).map(([name, command]) => `  ${name.padEnd(10)} ${command.summary}`),
+  '',
+  'Run a command with --help for its options.'
+].join('\n');
+
+/**
+ * Run the CLI
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Promise<Number>} - Exit code
+ */
+const main = async (argv) => {
+  const [name, ...rest] = argv;
+  const command = COMMANDS[name];
+
+  if (!command) {
+    const unknown = name && name !== '--help' && name !== 'help';
+    (unknown ? console.error : console.log)(`${unknown ? `Unknown command "${name}"\n\n` : ''}${usage()}`);
+    return unknown ? EXIT_CODES.usage : EXIT_CODES.ok;
+  }
+
+  let args;
+  try {
+    args = parseArgs(rest, { ...GLOBAL_OPTIONS, ...command.options });
+    if (args.format && !['pretty', 'json'].includes(args.format)) {
+      throw new UsageError(`Unknown format "${args.format}" (expected pretty or json)`);
+    }
+  } catch (error) {
+    console.error(`${error.message}\n\nUsage: node src/pipeline-cli.js ${command.usage}`);
+    return EXIT_CODES.usage;
+  }
+
+  if (args.help) {
+    console.log(`Usage: node src/pipeline-cli.js ${command.usage}\n\n${command.summary}`);
+    return EXIT_CODES.ok;
+  }
+
+  // Keep stdout for the result: pipeline logging goes to stderr, or nowhere with --quiet
+  const write = (text) => process.stdout.write(`${text}\n`);
+  const log = args.quiet ? () => {} : (...messages) => console.error(...messages);
+  console.log = log;
+  console.info = log;
+  if (args.quiet) console.warn = log;
+
+  try {
+    const { exitCode, result, pretty } = await command.run(args);
+    write(args.format === 'json' ? JSON.stringify(result, null, 2) : pretty());
+    return exitCode;
+  } catch (error) {
+    const exitCode = error instanceof UsageError ? EXIT_CODES.usage : EXIT_CODES.error;
+    if (args.format === 'json') {
+      write(JSON.stringify({ error: error.message }, null, 2));
+    }
+    console.error(exitCode === EXIT_CODES.usage
+      ? `${error.message}\n\nUsage: node src/pipeline-cli.js ${command.usage}`
+      : `Error: ${error.message}`);
+    return exitCode;
+  }
+};
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(exitCode => {
+    process.exitCode = exitCode;
+  });
+}
+
+module.exports = {
+  EXIT_CODES,
+  COMMANDS,
+  parseArgs,
+  main
+};
@@ -0,0 +1,73 @@
+/**
+ * Main-thread side of the pipeline worker
+ *
+ * Each job gets its own worker, which is terminated when the job finishes
+ * or its signal aborts. Without Web Worker support (tests, old browsers)
+ * the job runs inline.
+ */
+import { runPipelineJob, decodeResult } from './pipeline-jobs';
+
+let nextJobId = 1;
+
+const createAbortError = () => {
+  const error = new Error('Pipeline job aborted');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Run a pipeline job in a Web Worker
+ * @param {Object} job - Pipeline job (see pipeline-jobs.js)
+ * @param {Object} options - { signal, onProgress, transfer }
+ *   signal     - AbortSignal; aborting terminates the worker
+ *   onProgress - Called with { stage, completed, total, ... } per stage
+ *   transfer   - ArrayBuffers in the job to move to the worker instead of copying
+ * @returns {Promise<Object>} - Job result
+ */
+export const runPipelineJobInWorker = (job, { signal, onProgress = () => {}, transfer = [] } = {}) => {
+  if (signal && signal.aborted) {
+    return Promise.reject(createAbortError());
+  }
+
+  if (typeof Worker === 'undefined') {
+    return Promise.resolve().then(() => runPipelineJob(job, onProgress));
+  }
+
+  return new Promise((resolve, reject) => {
+    const id = nextJobId++;
+    const worker = new Worker(new URL('./pipeline-worker.js', import.meta.url));
+
+    const finish = () => {
+      worker.terminate();
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
+
+    const onAbort = () => {
+      finish();
+      reject(createAbortError());
+    };
+
+    worker.onmessage = (event) => {
+      const message = event.data;
+      if (message.id !== id) return;
+
+      if (message.type === 'progress') {
+        onProgress(message.progress);
+      } else if (message.type === 'result') {
+        finish();
+        resolve(decodeResult(message.buffer));
+      } else if (message.type === 'error') {
+        finish();
+        reject(new Error(message.message));
+      }
+    };
+
+    worker.onerror = (event) => {
+      finish();
+      reject(new Error(event.message || 'Pipeline worker failed'));
+    };
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    worker.postMessage({ id, job }, transfer);
+  });
+};
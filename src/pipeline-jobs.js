@@ -0,0 +1,73 @@
+/**
+ * Pipeline jobs run off the main thread by pipeline-worker.js
+ *
+ * A job is a plain, cloneable object:
+ *   { type: 'workbooks', workbooks: [{ name, source, buffer }], pipeline }
+ *     parses workbook ArrayBuffers and runs the Excel pipeline core
+ *
+ * DataTransformer output is not a dashboard payload (the DataProvider only
+ * accepts complete-data.json), so it runs in the pipeline CLI, not here.
+ *
+ * The same functions run inline where Web Workers are unavailable.
+ */
+import * as XLSX from 'xlsx';
+import { ExcelPipeline } from './excel-pipeline';
+
+/**
+ * Parse workbooks and build the complete-data.json payload
+ * Progress: one 'parse' event per file (with its source and error, if any), then the
+ * pipeline stages ('internalRFT', 'externalRFT', 'commercialProcess', 'deviations', 'g7Performance',
+ * 'overview', 'validation').
+ * @param {Object} job - { workbooks: [{ name, source, buffer }], pipeline }
+ * @param {Function} onProgress - Progress callback
+ * @returns {Object} - Dashboard payload
+ */
+const runWorkbooksJob = ({ workbooks = [], pipeline = {} }, onProgress) => {
+  const parsed = workbooks.map(({ name, source, buffer }, index) => {
+    const entry = { name, source };
+    try {
+      entry.workbook = XLSX.read(buffer, { type: 'array' });
+    } catch (error) {
+      entry.error = error;
+    }
+    onProgress({ stage: 'parse', file: name, source, error: entry.error ? entry.error.message : null, completed: index + 1, total: workbooks.length });
+    return entry;
+  });
+
+  // Uploads are checked by the DataProvider, which reports schema errors as a load error
+  const excelPipeline = new ExcelPipeline({ ...pipeline, validation: { failOnError: false, ...pipeline.validation } });
+  return excelPipeline.processWorkbooks(parsed, { onProgress });
+};
+
+export const PIPELINE_JOBS = {
+  workbooks: runWorkbooksJob
+};
+
+/**
+ * Run a pipeline job
+ * @param {Object} job - Job with a `type` from PIPELINE_JOBS
+ * @param {Function} onProgress - Called with { stage, completed, total, ... }
+ * @returns {Object} - Job result
+ */
+export const runPipelineJob = (job, onProgress = () => {}) => {
+  const run = PIPELINE_JOBS[job.type];
+  if (!run) {
+    throw new Error(`Unknown pipeline job "${job.type}"`);
+  }
+  return run(job, onProgress);
+};
+
+/**
+ * Encode a result as UTF-8 JSON in an ArrayBuffer, so it can be transferred
+ * between threads instead of structured-cloned
+ * @param {Object} result - JSON-serialisable result
+ * @returns {ArrayBuffer} - Encoded result
+ */
+export const encodeResult = (result) => new TextEncoder().encode(JSON.stringify(result)).buffer;
+
+/**
+ * Decode a result produced by encodeResult
+ * @param {ArrayBuffer} buffer - Encoded result
+ * @returns {Object} - Result
+ */
+export const decodeResult = (buffer) => JSON.parse(new TextDecoder().decode(buffer));
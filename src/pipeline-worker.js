@@ -0,0 +1,27 @@
+/**
+ * Web Worker running pipeline jobs (see pipeline-jobs.js)
+ *
+ * In:  { id, job }
+ * Out: { id, type: 'progress', progress }
+ *      { id, type: 'result', buffer }   buffer is transferred, decode with decodeResult
+ *      { id, type: 'error', message }
+ *
+ * Cancellation terminates the worker (see pipeline-client.js), so a long
+ * stage stops immediately instead of at the next message.
+ */
+import { runPipelineJob, encodeResult } from './pipeline-jobs';
+
+// eslint-disable-next-line no-restricted-globals
+const ctx = self;
+
+ctx.onmessage = (event) => {
+  const { id, job } = event.data;
+
+  try {
+    const result = runPipelineJob(job, progress => ctx.postMessage({ id, type: 'progress', progress }));
+    const buffer = encodeResult(result);
+    ctx.postMessage({ id, type: 'result', buffer }, [buffer]);
+  } catch (error) {
+    ctx.postMessage({ id, type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,74 @@
+/**
+ * Interval scheduler that pauses while the page is hidden
+ *
+ * Runs an async task every `interval` ms while the document is visible.
+ * Hidden tabs do not poll; when a tab becomes visible again the task runs
+ * at once if a full interval has passed, otherwise when the rest of it has.
+ * Runs never overlap, and each run gets an AbortSignal that stop() aborts.
+ */
+
+/**
+ * Create a visibility-aware scheduler
+ * @param {Function} task - async ({ signal }) => void; errors are logged, not thrown
+ * @param {Object} options - { interval, doc } (doc defaults to the global document)
+ * @returns {Object} - { start, stop }
+ */
+export const createPollScheduler = (task, { interval = 5 * 60 * 1000, doc = typeof document !== 'undefined' ? document : null } = {}) => {
+  let timer = null;
+  let running = false;
+  let controller = null;
+  let lastRun = Date.now();
+
+  const isVisible = () => !doc || doc.visibilityState !== 'hidden';
+
+  const clearTimer = () => {
+    if (timer !== null) clearTimeout(timer);
+    timer = null;
+  };
+
+  const schedule = (delay) => {
+    clearTimer();
+    if (!running || !isVisible()) return;
+    timer = setTimeout(run, Math.max(0, delay));
+  };
+
+  async function run() {
+    timer = null;
+    if (!running || !isVisible()) return;
+
+    controller = new AbortController();
+    lastRun = Date.now();
+    try {
+      await task({ signal: controller.signal });
+    } catch (error) {
+      if (error.name !== 'AbortError') console.warn(`Scheduled check failed: ${error.message}`);
+    } finally {
+      controller = null;
+    }
+    schedule(interval);
+  }
+
+  const onVisibilityChange = () => {
+    if (!isVisible()) {
+      clearTimer();
+    } else if (controller === null) {
+      schedule(interval - (Date.now() - lastRun));
+    }
+  };
+
+  return {
+    start: () => {
+      if (running) return;
+      running = true;
+      lastRun = Date.now();
+      if (doc) doc.addEventListener('visibilitychange', onVisibilityChange);
+      schedule(interval);
+    },
+    stop: () => {
+      running = false;
+      clearTimer();
+      if (controller) controller.abort();
+      if (doc) doc.removeEventListener('visibilitychange', onVisibilityChange);
+    }
+  };
+};
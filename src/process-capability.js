@@ -0,0 +1,235 @@
+/**
+ * Process capability analysis
+ *
+ * Cp/Cpk (within-lot variation, from the average moving range) and Pp/Ppk
+ * (overall variation, from the standard deviation) of stage durations
+ * against per-stage spec limits, with the share of lots out of spec, an
+ * Anderson-Darling normality check and histogram bins for display. Shared
+ * by the ingestion pipeline and DataTransformer.
+ *
+ * Durations usually only have an upper limit (the SLA), so the one-sided
+ * indices are reported and Cp/Pp are null unless both limits are set.
+ * Capability indices assume roughly normal data: check `normality` before
+ * relying on them.
+ */
+
+const DEFAULT_CAPABILITY_OPTIONS = {
+  // Spec limits per stage in days: { target, lsl, usl }. Matched on stage name
+  // (case-insensitive); replace with the site KPI agreement's SLA limits in the
+  // pipeline config (`capability.specLimits`).
+  specLimits: {
+    'Assembly': { target: 3, usl: 5 },
+    'PCI Review': { target: 2, usl: 3 },
+    'NN Review': { target: 2, usl: 3 },
+    'Packaging': { target: 2, usl: 4 }
+  },
+  // Cpk/Ppk at or above this is capable (1.33 is the usual minimum)
+  capableThreshold: 1.33,
+  // Fewer values than this give no indices (and no normality check)
+  minSamples: 8,
+  // Normality is rejected below this Anderson-Darling p-value
+  normalityAlpha: 0.05,
+  // Histogram bins; null picks them by Sturges' rule
+  bins: null
+};
+
+const round = (value, decimals = 3) => (value === null || value === undefined || !isFinite(value) ? null : parseFloat(value.toFixed(decimals)));
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/**
+ * Standard normal cumulative distribution (Abramowitz & Stegun 7.1.26)
+ * @param {Number} z - Standard score
+ * @returns {Number} - P(Z <= z)
+ */
+const normalCdf = (z) => {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-z * z / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+/**
+ * Anderson-Darling test for normality (mean and variance estimated from the data)
+ * @param {Array} values - Numeric values
+ * @param {Number} alpha - Significance level
+ * @returns {Object} - { test, statistic, pValue, normal }; null for fewer than 8 values
+ */
+const andersonDarling = (values, alpha = DEFAULT_CAPABILITY_OPTIONS.normalityAlpha) => {
+  const n = values.length;
+  if (n < 8) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mu = mean(sorted);
+  const sd = Math.sqrt(sorted.reduce((sum, value) => sum + (value - mu) ** 2, 0) / (n - 1));
+  if (sd === 0) return { test: 'Anderson-Darling', statistic: null, pValue: 0, normal: false };
+
+  // Clamp so identical tail values do not take log(0)
+  const cdf = sorted.map(value => Math.min(Math.max(normalCdf((value - mu) / sd), 1e-12), 1 - 1e-12));
+  let sum = 0;
+  for (let i = 0; i < n; i++) {
+    sum += (2 * i + 1) * (Math.log(cdf[i]) + Math.log(1 - cdf[n - 1 - i]));
+  }
+  const a2 = -n - sum / n;
+  // Small-sample adjustment and p-value (D'Agostino & Stephens)
+  const adjusted = a2 * (1 + 0.75 / n + 2.25 / (n * n));
+  let pValue;
+  if (adjusted >= 0.6) pValue = Math.exp(1.2937 - 5.709 * adjusted + 0.0186 * adjusted ** 2);
+  else if (adjusted >= 0.34) pValue = Math.exp(0.9177 - 4.279 * adjusted - 1.38 * adjusted ** 2);
+  else if (adjusted >= 0.2) pValue = 1 - Math.exp(-8.318 + 42.796 * adjusted - 59.938 * adjusted ** 2);
+  else pValue = 1 - Math.exp(-13.436 + 101.14 * adjusted - 223.73 * adjusted ** 2);
+  pValue = Math.min(Math.max(pValue, 0), 1);
+
+  return { test: 'Anderson-Darling', statistic: round(adjusted), pValue: round(pValue, 4), normal: pValue >= alpha };
+};
+
+/**
+ * Histogram bins with the fitted normal curve
+ * @param {Array} values - Numeric values
+ * @param {Object} limits - { lsl, usl } widened into the range so they show on the chart
+ * @param {Object} fit - { mean, stdDev } of the fitted normal
+ * @param {Number|null} binCount - Number of bins; null uses Sturges' rule
+ * @returns {Array} - [{ start, end, label, count, expected }]
+ */
+const buildHistogram = (values, limits, fit, binCount = null) => {
+  if (values.length === 0) return [];
+  const bounds = [...values, limits.lsl, limits.usl].filter(value => typeof value === 'number');
+  const min = Math.min(...bounds);
+  const max = Math.max(...bounds);
+  const count = binCount || Math.ceil(Math.log2(values.length)) + 1;
+  const width = max > min ? (max - min) / count : 1;
+
+  return Array.from({ length: count }, (unused, i) => {
+    const start = min + i * width;
+    const end = start + width;
+    const last = i === count - 1;
+    return {
+      start: round(start, 2),
+      end: round(end, 2),
+      label: `${round(start, 1)}-${round(end, 1)}`,
+      count: values.filter(value => value >= start && (last ? value <= end : value < end)).length,
+      // Lots the fitted normal puts in this bin
+      expected: fit.stdDev > 0
+        ? round(values.length * (normalCdf((end - fit.mean) / fit.stdDev) - normalCdf((start - fit.mean) / fit.stdDev)), 2)
+        : null
+    };
+  });
+};
+
+/**
+ * Spec limits configured for a stage
+ * @param {String} stage - Stage name
+ * @param {Object} specLimits - { [stage]: { target, lsl, usl } }
+ * @returns {Object} - { target, lsl, usl } (null where not set)
+ */
+const stageSpecLimits = (stage, specLimits = {}) => {
+  const key = Object.keys(specLimits).find(name => name.toLowerCase() === String(stage).toLowerCase());
+  const limits = key ? specLimits[key] : {};
+  const pick = (value) => (typeof value === 'number' && !isNaN(value) ? value : null);
+  return { target: pick(limits.target), lsl: pick(limits.lsl), usl: pick(limits.usl) };
+};
+
+/**
+ * Capability of one series of values against its spec limits
+ * @param {Array} values - Values in production order (the order matters for within-lot sigma)
+ * @param {Object} limits - { target, lsl, usl }
+ * @param {Object} options - DEFAULT_CAPABILITY_OPTIONS overrides
+ * @returns {Object} - { count, mean, stdDev, withinStdDev, cp, cpk, pp, ppk, cpm, percentOutOfSpec,
+ *                       expectedPercentOutOfSpec, capable, normality, histogram, insufficientData }
+ */
+const calculateCapability = (values, limits = {}, options = {}) => {
+  const settings = { ...DEFAULT_CAPABILITY_OPTIONS, ...options };
+  const data = values.filter(value => typeof value === 'number' && !isNaN(value));
+  const { target = null, lsl = null, usl = null } = limits;
+  const n = data.length;
+  const base = { count: n, target, lsl, usl };
+
+  if (n < 2) {
+    return {
+      ...base, mean: n ? round(data[0]) : null, stdDev: null, withinStdDev: null,
+      cp: null, cpk: null, pp: null, ppk: null, cpm: null,
+      percentOutOfSpec: null, expectedPercentOutOfSpec: null, capable: null,
+      normality: null, histogram: buildHistogram(data, limits, { mean: 0, stdDev: 0 }, settings.bins), insufficientData: true
+    };
+  }
+
+  const mu = mean(data);
+  const stdDev = Math.sqrt(data.reduce((sum, value) => sum + (value - mu) ** 2, 0) / (n - 1));
+  // Within-lot sigma from consecutive lots: average moving range / d2 (1.128)
+  const movingRanges = data.slice(1).map((value, i) => Math.abs(value - data[i]));
+  const withinStdDev = mean(movingRanges) / 1.128;
+  const enough = n >= settings.minSamples;
+
+  const indices = (sigma) => {
+    if (!enough || !(sigma > 0)) return { two: null, k: null };
+    const upper = usl !== null ? (usl - mu) / (3 * sigma) : null;
+    const lower = lsl !== null ? (mu - lsl) / (3 * sigma) : null;
+    const sided = [upper, lower].filter(value => value !== null);
+    return {
+      two: usl !== null && lsl !== null ? (usl - lsl) / (6 * sigma) : null,
+      k: sided.length > 0 ? Math.min(...sided) : null
+    };
+  };
+  const within = indices(withinStdDev);
+  const overall = indices(stdDev);
+
+  const outOfSpec = data.filter(value => (usl !== null && value > usl) || (lsl !== null && value < lsl)).length;
+  const hasLimits = usl !== null || lsl !== null;
+  const expected = hasLimits && stdDev > 0
+    ? ((usl !== null ? 1 - normalCdf((usl - mu) / stdDev) : 0) + (lsl !== null ? normalCdf((lsl - mu) / stdDev) : 0)) * 100
+    : null;
+
+  return {
+    ...base,
+    mean: round(mu),
+    stdDev: round(stdDev),
+    withinStdDev: round(withinStdDev),
+    cp: round(within.two),
+    cpk: round(within.k),
+    pp: round(overall.two),
+    ppk: round(overall.k),
+    // Taguchi index: penalises a mean off target (needs both limits and a target)
+    cpm: enough && target !== null && usl !== null && lsl !== null && stdDev > 0
+      ? round((usl - lsl) / (6 * Math.sqrt(stdDev ** 2 + (mu - target) ** 2)))
+      : null,
+    percentOutOfSpec: hasLimits ? round(outOfSpec / n * 100, 1) : null,
+    expectedPercentOutOfSpec: round(expected, 2),
+    capable: within.k === null ? null : within.k >= settings.capableThreshold,
+    normality: andersonDarling(data, settings.normalityAlpha),
+    histogram: buildHistogram(data, { lsl, usl }, { mean: mu, stdDev }, settings.bins),
+    insufficientData: !enough
+  };
+};
+
+/**
+ * Capability of every stage against its configured spec limits
+ * @param {Object} stageValues - { [stage]: [duration] } with durations in production order
+ * @param {Object} options - DEFAULT_CAPABILITY_OPTIONS overrides
+ * @returns {Object} - { stages: [{ name, ...calculateCapability }], capableThreshold, summary }
+ */
+const analyzeCapability = (stageValues = {}, options = {}) => {
+  const settings = { ...DEFAULT_CAPABILITY_OPTIONS, ...options };
+  const stages = Object.entries(stageValues).map(([name, values]) => ({
+    name,
+    ...calculateCapability(values, stageSpecLimits(name, settings.specLimits), settings)
+  }));
+  const rated = stages.filter(stage => stage.cpk !== null);
+
+  return {
+    stages,
+    capableThreshold: settings.capableThreshold,
+    summary: {
+      stagesWithLimits: stages.filter(stage => stage.usl !== null || stage.lsl !== null).length,
+      capableStages: rated.filter(stage => stage.capable).length,
+      // Least capable stage with enough data
+      weakestStage: rated.length > 0 ? rated.reduce((worst, stage) => (stage.cpk < worst.cpk ? stage : worst)).name : null
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_CAPABILITY_OPTIONS,
+  normalCdf,
+  andersonDarling,
+  stageSpecLimits,
+  calculateCapability,
+  analyzeCapability
+};
@@ -0,0 +1,131 @@
+const {
+  normalCdf,
+  andersonDarling,
+  stageSpecLimits,
+  calculateCapability,
+  analyzeCapability
+} = require('./process-capability');
+
+// Consecutive lots alternate 9 and 11 days: mean 10, moving range 2
+const alternating = [9, 11, 9, 11, 9, 11, 9, 11];
+const withinSigma = 2 / 1.128;
+const overallSigma = Math.sqrt(8 / 7);
+
+describe('normalCdf', () => {
+  test('matches the standard normal table', () => {
+    expect(normalCdf(0)).toBeCloseTo(0.5, 6);
+    expect(normalCdf(1)).toBeCloseTo(0.8413, 4);
+    expect(normalCdf(-1)).toBeCloseTo(0.1587, 4);
+    expect(normalCdf(1.96)).toBeCloseTo(0.975, 4);
+    expect(normalCdf(-3)).toBeCloseTo(0.00135, 5);
+  });
+});
+
+describe('Anderson-Darling normality check', () => {
+  test('accepts evenly spread data with the adjusted statistic and its p-value', () => {
+    const result = andersonDarling([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    expect(result.test).toBe('Anderson-Darling');
+    expect(result.statistic).toBeCloseTo(0.155, 3);
+    expect(result.pValue).toBeCloseTo(0.9567, 3);
+    expect(result.normal).toBe(true);
+  });
+
+  test('rejects heavily skewed data', () => {
+    const result = andersonDarling([1, 1, 1, 1, 1, 1, 1, 1, 2, 20]);
+    expect(result.statistic).toBeCloseTo(3.299, 3);
+    expect(result.pValue).toBeLessThan(0.0001);
+    expect(result.normal).toBe(false);
+  });
+
+  test('rejects constant data without taking log(0)', () => {
+    expect(andersonDarling([4, 4, 4, 4, 4, 4, 4, 4])).toEqual({ test: 'Anderson-Darling', statistic: null, pValue: 0, normal: false });
+  });
+
+  test('needs eight values', () => {
+    expect(andersonDarling([1, 2, 3, 4, 5, 6, 7])).toBeNull();
+  });
+
+  test('compares the p-value with alpha', () => {
+    const values = [2.1, 2.5, 2.9, 3.0, 3.2, 3.4, 3.6, 4.0, 4.4, 5.1];
+    expect(andersonDarling(values).pValue).toBeCloseTo(0.9438, 3);
+    expect(andersonDarling(values, 0.99).normal).toBe(false);
+  });
+});
+
+describe('calculateCapability', () => {
+  test('takes Cp/Cpk from within-lot sigma and Pp/Ppk from the standard deviation', () => {
+    const result = calculateCapability(alternating, { lsl: 4, usl: 16 });
+    expect(result.mean).toBe(10);
+    expect(result.withinStdDev).toBeCloseTo(withinSigma, 3);
+    expect(result.stdDev).toBeCloseTo(overallSigma, 3);
+    expect(result.cp).toBeCloseTo(12 / (6 * withinSigma), 3);
+    expect(result.cpk).toBeCloseTo(6 / (3 * withinSigma), 3);
+    expect(result.pp).toBeCloseTo(12 / (6 * overallSigma), 3);
+    expect(result.ppk).toBeCloseTo(6 / (3 * overallSigma), 3);
+    expect(result.capable).toBe(false);
+    expect(result.insufficientData).toBe(false);
+  });
+
+  test('takes Cpk from the nearer limit when the mean is off centre', () => {
+    const result = calculateCapability(alternating, { lsl: 4, usl: 13 });
+    expect(result.cp).toBeCloseTo(9 / (6 * withinSigma), 3);
+    expect(result.cpk).toBeCloseTo(3 / (3 * withinSigma), 3);
+  });
+
+  test('reports only the one-sided indices with an upper limit alone', () => {
+    const result = calculateCapability(alternating, { usl: 20 });
+    expect(result).toMatchObject({ cp: null, pp: null, cpm: null });
+    expect(result.cpk).toBeCloseTo(10 / (3 * withinSigma), 3);
+    expect(result.capable).toBe(true);
+  });
+
+  test('penalises a mean off target in Cpm', () => {
+    const result = calculateCapability(alternating, { target: 8, lsl: 4, usl: 16 });
+    expect(result.cpm).toBeCloseTo(12 / (6 * Math.sqrt(8 / 7 + 4)), 3);
+  });
+
+  test('counts lots out of spec and the share the fitted normal expects', () => {
+    const result = calculateCapability(alternating, { usl: 10 });
+    expect(result.percentOutOfSpec).toBe(50);
+    expect(result.expectedPercentOutOfSpec).toBe(50);
+  });
+
+  test('gives no indices for constant data', () => {
+    const result = calculateCapability([3, 3, 3, 3, 3, 3, 3, 3], { lsl: 1, usl: 5 });
+    expect(result).toMatchObject({
+      mean: 3, stdDev: 0, withinStdDev: 0, cp: null, cpk: null, pp: null, ppk: null, cpm: null,
+      percentOutOfSpec: 0, expectedPercentOutOfSpec: null, capable: null
+    });
+    expect(result.normality.normal).toBe(false);
+  });
+
+  test('gives no indices below the minimum sample size', () => {
+    const result = calculateCapability([9, 11, 9], { usl: 16 });
+    expect(result).toMatchObject({ count: 3, mean: 9.667, cpk: null, capable: null, normality: null, insufficientData: true });
+  });
+
+  test('handles fewer than two values', () => {
+    expect(calculateCapability([5], { usl: 4 })).toMatchObject({ count: 1, mean: 5, stdDev: null, cpk: null, insufficientData: true });
+    expect(calculateCapability([null, 'x'], {})).toMatchObject({ count: 0, mean: null, histogram: [], insufficientData: true });
+  });
+
+  test('bins every value, widening the range to show the limits', () => {
+    const result = calculateCapability(alternating, { usl: 13 }, { bins: 4 });
+    expect(result.histogram).toHaveLength(4);
+    expect(result.histogram[0].start).toBe(9);
+    expect(result.histogram[3].end).toBe(13);
+    expect(result.histogram.reduce((sum, bin) => sum + bin.count, 0)).toBe(8);
+  });
+});
+
+describe('analyzeCapability', () => {
+  test('matches spec limits on stage name regardless of case and names the weakest stage', () => {
+    const specLimits = { assembly: { usl: 20 }, Packaging: { lsl: 4, usl: 13 } };
+    expect(stageSpecLimits('ASSEMBLY', specLimits)).toEqual({ target: null, lsl: null, usl: 20 });
+    expect(stageSpecLimits('Release', specLimits)).toEqual({ target: null, lsl: null, usl: null });
+
+    const result = analyzeCapability({ Assembly: alternating, Packaging: alternating, Release: alternating }, { specLimits });
+    expect(result.stages.map(stage => stage.name)).toEqual(['Assembly', 'Packaging', 'Release']);
+    expect(result.summary).toEqual({ stagesWithLimits: 2, capableStages: 1, weakestStage: 'Packaging' });
+  });
+});
@@ -0,0 +1,143 @@
+import React from 'react';
+import { useDataContext } from './DataContext.js';
+import ControlChart from './control-chart';
+import CapabilityHistogram from './capability-histogram';
+
+const ProcessControlDashboard = () => {
+  const { data, isLoading, error } = useDataContext();
+
+  const [selectedStage, setSelectedStage] = React.useState(null);
+
+  const controlCharts = data?.overview?.controlCharts;
+  // Pipeline output, else DataTransformer insights
+  const capability = data?.commercialProcess?.capability || data?.insights?.capabilityAnalysis;
+
+  // Loading and error states
+  if (isLoading || !data) {
+    return (
+      <div className="bg-white rounded-lg shadow p-4 text-center py-8">
+        <div className="animate-spin mx-auto mb-4 w-8 h-8 border-2 border-dashed rounded-full border-blue-500"></div>
+        <p className="text-gray-600">Loading control charts...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="bg-white rounded-lg shadow p-4 text-center py-8">
+        <div className="mx-auto mb-4 w-12 h-12 text-red-500">
+          <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-12 h-12">
+            <path strokeLinecap="round" strokeLinejoin="round" d="M12 9v3.75m9-.75a9 9 0 11-18 0 9 9 0 0118 0zm-9 3.75h.008v.008H12v-.008z" />
+          </svg>
+        </div>
+        <h3 className="text-lg font-medium text-red-600 mb-2">Error Loading Data</h3>
+        <p className="text-gray-600">{error}</p>
+      </div>
+    );
+  }
+
+  if (!controlCharts && !capability) {
+    return (
+      <div className="bg-white rounded-lg shadow p-4 text-center py-8">
+        <h3 className="text-lg font-medium mb-2">No Control Charts</h3>
+        <p className="text-gray-600">This dataset was built before control charts were added. Reprocess the workbooks to see them.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="p-4 border-b">
+        <h2 className="text-xl font-semibold">Process Control</h2>
+        <p className="text-gray-500 text-sm">
+          Control limits at 3 sigma; red points break a Western Electric / Nelson run rule and point to a special cause
+        </p>
+      </div>
+
+      <div className="p-4">
+        {controlCharts && (
+          <>
+            {/* RFT */}
+            <div className="bg-white p-4 rounded-lg shadow mb-6">
+              <h3 className="text-lg font-semibold mb-1">Monthly RFT (p-chart)</h3>
+              <p className="text-sm text-gray-500 mb-2">Limits widen in months with fewer records</p>
+              <ControlChart chart={controlCharts.rft} valueLabel="RFT %" unit="%" />
+            </div>
+
+            {/* Cycle time per lot */}
+            <div className="bg-white p-4 rounded-lg shadow mb-6">
+              <h3 className="text-lg font-semibold mb-1">Lot Cycle Time (individuals / moving range)</h3>
+              <p className="text-sm text-gray-500 mb-2">Lots in the order they started</p>
+              <ControlChart chart={controlCharts.cycleTime} valueLabel="Cycle time (days)" unit=" days" />
+            </div>
+
+            {/* Monthly cycle time subgroups, from DataTransformer output */}
+            {controlCharts.cycleTimeByMonth && (
+              <div className="bg-white p-4 rounded-lg shadow">
+                <h3 className="text-lg font-semibold mb-1">Monthly Cycle Time (X-bar / R)</h3>
+                <p className="text-sm text-gray-500 mb-2">Each month's lots form one subgroup</p>
+                <ControlChart chart={controlCharts.cycleTimeByMonth} valueLabel="Mean cycle time (days)" unit=" days" />
+              </div>
+            )}
+          </>
+        )}
+
+        {/* Stage capability against spec limits */}
+        {capability && capability.stages.length > 0 && (
+          <div className="bg-white p-4 rounded-lg shadow mt-6">
+            <h3 className="text-lg font-semibold mb-1">Stage Capability</h3>
+            <p className="text-sm text-gray-500 mb-2">
+              Stage durations against their spec limits; Cpk of {capability.capableThreshold} or more is capable. Select a stage to see its histogram.
+            </p>
+            <div className="overflow-x-auto mb-4">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    {['Stage', 'Lots', 'Mean (days)', 'Target', 'USL', 'Cp', 'Cpk', 'Pp', 'Ppk', 'Out of spec', 'Normal'].map(label => (
+                      <th key={label} scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        {label}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {capability.stages.map(stage => {
+                    const active = (selectedStage || capability.stages[0].name) === stage.name;
+                    const show = (value, suffix = '') => (value === null || value === undefined ? '-' : `${value}${suffix}`);
+                    return (
+                      <tr
+                        key={stage.name}
+                        onClick={() => setSelectedStage(stage.name)}
+                        className={`cursor-pointer ${active ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+                      >
+                        <td className="px-6 py-2 text-sm font-medium">{stage.name}</td>
+                        <td className="px-6 py-2 text-sm">{stage.count}</td>
+                        <td className="px-6 py-2 text-sm">{show(stage.mean)}</td>
+                        <td className="px-6 py-2 text-sm">{show(stage.target)}</td>
+                        <td className="px-6 py-2 text-sm">{show(stage.usl)}</td>
+                        <td className="px-6 py-2 text-sm">{show(stage.cp)}</td>
+                        <td className={`px-6 py-2 text-sm font-medium ${stage.capable === false ? 'text-red-600' : stage.capable ? 'text-green-700' : ''}`}>
+                          {show(stage.cpk)}
+                        </td>
+                        <td className="px-6 py-2 text-sm">{show(stage.pp)}</td>
+                        <td className="px-6 py-2 text-sm">{show(stage.ppk)}</td>
+                        <td className="px-6 py-2 text-sm">{show(stage.percentOutOfSpec, '%')}</td>
+                        <td className="px-6 py-2 text-sm">{stage.normality ? (stage.normality.normal ? 'Yes' : 'No') : '-'}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+            <CapabilityHistogram
+              stage={capability.stages.find(stage => stage.name === selectedStage) || capability.stages[0]}
+              capableThreshold={capability.capableThreshold}
+            />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProcessControlDashboard;
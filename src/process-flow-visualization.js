@@ -90,7 +90,10 @@ const ProcessFlowVisualization = () => {
               tick={{ fontSize: 12 }}
             />
             <Tooltip 
-              formatter={(value) => [`${value} days`, 'Waiting Time']}
+              formatter={(value, name, item) => [
+                `${value} days${item.payload.count ? ` (median ${item.payload.median}, ${item.payload.count} lots)` : ''}`,
+                'Waiting Time'
+              ]}
               labelFormatter={(label) => `Transition: ${label}`}
             />
             <Bar 
@@ -104,6 +107,76 @@ const ProcessFlowVisualization = () => {
     );
   };
   
+  // Lot timeline checks: touch vs wait time and events out of sequence
+  const LotTimelinePanel = () => {
+    const timeline = data?.processMetrics?.lotTimeline;
+    if (!timeline) {
+      return <div className="p-4 bg-gray-50 rounded">No lot timeline data available</div>;
+    }
+    
+    const { summary, anomalies } = timeline;
+    const format = (value, suffix = '') => (value === null || value === undefined ? 'N/A' : `${value}${suffix}`);
+    const anomalyLabels = { outOfOrder: 'Out of order', overlap: 'Overlapping', missing: 'Missing stage' };
+    
+    return (
+      <div>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+          <div className="bg-gray-50 p-3 rounded">
+            <div className="text-xs text-gray-500">Lots Traced</div>
+            <div className="text-lg font-semibold">{summary.lots}</div>
+            <div className="text-xs text-gray-500">{summary.completeLots} through {summary.finalStage || 'the last stage'}</div>
+          </div>
+          <div className="bg-gray-50 p-3 rounded">
+            <div className="text-xs text-gray-500">Avg Touch / Wait</div>
+            <div className="text-lg font-semibold">{format(summary.avgTouchTime)} / {format(summary.avgWaitTime)} days</div>
+          </div>
+          <div className="bg-gray-50 p-3 rounded">
+            <div className="text-xs text-gray-500">Flow Efficiency</div>
+            <div className="text-lg font-semibold">{format(summary.flowEfficiency, '%')}</div>
+            <div className="text-xs text-gray-500">Touch time share of {format(summary.avgLeadTime)} day lead time</div>
+          </div>
+          <div className="bg-gray-50 p-3 rounded">
+            <div className="text-xs text-gray-500">Lots With Sequence Issues</div>
+            <div className="text-lg font-semibold" style={{ color: summary.lotsWithAnomalies > 0 ? colors.danger : colors.success }}>
+              {summary.lotsWithAnomalies}
+            </div>
+            <div className="text-xs text-gray-500">
+              {Object.entries(summary.anomalyCounts).map(([type, count]) => `${anomalyLabels[type] || type}: ${count}`).join(', ')}
+            </div>
+          </div>
+        </div>
+        
+        {anomalies.length > 0 && (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  {['Lot', 'Issue', 'Stage', 'Detail'].map(label => (
+                    <th key={label} scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      {label}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {anomalies.map((anomaly, index) => (
+                  <tr key={`${anomaly.lot}-${anomaly.type}-${index}`}>
+                    <td className="px-6 py-2 text-sm font-medium">{anomaly.lot}</td>
+                    <td className="px-6 py-2 text-sm">{anomalyLabels[anomaly.type] || anomaly.type}</td>
+                    <td className="px-6 py-2 text-sm">{anomaly.stage}</td>
+                    <td className="px-6 py-2 text-sm text-gray-600">
+                      {anomaly.detail}{anomaly.previousStage ? ` (${anomaly.previousStage})` : ''}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    );
+  };
+  
   // Review Time Comparison Chart
   const ReviewTimeComparisonChart = () => {
     if (!data?.processMetrics?.reviewTimes) {
@@ -187,6 +260,7 @@ const ProcessFlowVisualization = () => {
                   onClick={() => setSelectedStep(step)}
                 >
                   <div className="text-center font-medium">{step}</div>
+                  {stepData?.owner && <div className="text-xs text-gray-500">{stepData.owner}</div>}
                   <div className="text-sm text-gray-500 mt-2">{stepData?.time.toFixed(1)} days</div>
                 </div>
                 
@@ -270,13 +344,17 @@ const ProcessFlowVisualization = () => {
       recommendations: []
     };
     
+    // The process model's owner (PCI/NN) takes precedence over the description's
+    const modelStage = data.processMetrics.stages?.find(stage => stage.name === selectedStep);
+    const owner = stepData.owner || modelStage?.owner || details.owner;
+    
     return (
       <div className="bg-blue-50 p-4 rounded-lg border border-blue-200 mt-4">
         <h3 className="text-lg font-semibold mb-2">{selectedStep} Details</h3>
         
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
           <div>
-            <p className="text-sm text-gray-600 mb-1"><span className="font-medium">Owner:</span> {details.owner}</p>
+            <p className="text-sm text-gray-600 mb-1"><span className="font-medium">Owner:</span> {owner}</p>
             <p className="text-sm text-gray-600 mb-3"><span className="font-medium">Duration:</span> {stepData.time.toFixed(1)} days</p>
             <p className="text-sm text-gray-600 mb-3"><span className="font-medium">Description:</span> {details.description}</p>
             
@@ -347,12 +425,12 @@ const ProcessFlowVisualization = () => {
     // Calculate process efficiency (value-added time / total time)
     const processEfficiency = (totalProcessTime / totalCycleTime * 100).toFixed(1);
     
-    // Get the longest step
-    const longestStep = data.processMetrics.cycleTimeBreakdown.sort((a, b) => b.time - a.time)[0];
+    // Get the longest step (sorting a copy: the breakdown is in process order)
+    const longestStep = [...data.processMetrics.cycleTimeBreakdown].sort((a, b) => b.time - a.time)[0];
     
     // Get the longest waiting period
     const longestWait = data.processMetrics.waitingTimes 
-      ? data.processMetrics.waitingTimes.sort((a, b) => b.time - a.time)[0]
+      ? [...data.processMetrics.waitingTimes].sort((a, b) => b.time - a.time)[0]
       : null;
     
     return (
@@ -477,10 +555,16 @@ const ProcessFlowVisualization = () => {
         
         <div className="bg-white p-4 rounded-lg shadow">
           <h3 className="text-lg font-semibold mb-2">Waiting Time Between Steps</h3>
+          <p className="text-sm text-gray-500 mb-2">Average days from one stage finishing to the next starting, from each lot's history</p>
           <WaitingTimeAnalysisChart />
         </div>
       </div>
       
+      <div className="bg-white p-4 rounded-lg shadow mb-4">
+        <h3 className="text-lg font-semibold mb-2">Lot Timelines</h3>
+        <LotTimelinePanel />
+      </div>
+      
       <div className="bg-white p-4 rounded-lg shadow">
         <h3 className="text-lg font-semibold mb-2">Review Time Comparison: NN vs PCI</h3>
         <ReviewTimeComparisonChart />
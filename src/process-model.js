@@ -0,0 +1,178 @@
+/**
+ * Process stage model
+ *
+ * One declarative description of the commercial process: the ordered stages
+ * with the record fields that hold their start date, end (milestone) date
+ * and recorded duration, who owns each stage (PCI or NN), and the
+ * transitions between them. DataTransformer, the ingestion pipeline and the
+ * Process Flow tab all read stages from here, so adding a step (say a QP
+ * release) is a config change: pass `processModel` in the pipeline config or
+ * DataTransformer options.
+ *
+ * Field names refer to DataTransformer's raw records. Pipeline records carry
+ * the stage name in their `stage` column instead, matched against each
+ * stage's name, id and aliases.
+ */
+
+const { daysBetween } = require('./date-normalization');
+
+const DEFAULT_PROCESS_MODEL = {
+  // In process order. A stage's duration is its durationField when recorded,
+  // else the days from startField to endField; endField is its milestone date.
+  stages: [
+    {
+      id: 'assembly',
+      name: 'Assembly',
+      owner: 'PCI',
+      startField: 'assembly_start',
+      endField: 'assembly_finish',
+      durationField: 'assembly_cycle_time'
+    },
+    {
+      id: 'pciReview',
+      name: 'PCI Review',
+      owner: 'PCI',
+      aliases: ['PCI L/A BR Review'],
+      endField: 'date_pci_l_a_br_review_date',
+      durationField: 'pci_wip_review_cycle_time'
+    },
+    {
+      id: 'nnReview',
+      name: 'NN Review',
+      owner: 'NN',
+      aliases: ['NN L/A BR Review'],
+      startField: 'date_pci_l_a_br_review_date',
+      endField: 'date_nn_l_a_br_review_date',
+      durationField: 'nn_wip_review_cycle_time'
+    },
+    {
+      id: 'packaging',
+      name: 'Packaging',
+      owner: 'PCI',
+      startField: 'packaging_start',
+      endField: 'packaging_finish'
+    },
+    {
+      id: 'pciPackagingReview',
+      name: 'PCI Packaging Review',
+      owner: 'PCI',
+      endField: 'date_pci_pack_review_date'
+    },
+    {
+      id: 'nnPackagingReview',
+      name: 'NN Packaging Review',
+      owner: 'NN',
+      startField: 'date_pci_pack_review_date',
+      endField: 'date_nn_pack_review_date'
+    },
+    {
+      id: 'release',
+      name: 'Release',
+      owner: 'NN',
+      endField: 'release'
+    }
+  ],
+  // [{ from, to }] by stage id; null links each stage to the next one
+  transitions: null
+};
+
+/**
+ * Validate a process model and fill in its defaults
+ * @param {Object} model - { stages, transitions } overrides of DEFAULT_PROCESS_MODEL
+ * @returns {Object} - { stages, transitions } with every stage carrying an id and index
+ */
+const resolveProcessModel = (model = {}) => {
+  const source = model.stages || DEFAULT_PROCESS_MODEL.stages;
+  const ids = new Set();
+
+  const stages = source.map((stage, index) => {
+    if (!stage || !stage.name) {
+      throw new Error(`Process model stage ${index + 1} has no name`);
+    }
+    const id = stage.id || stage.name;
+    if (ids.has(id)) {
+      throw new Error(`Process model has more than one stage "${id}"`);
+    }
+    ids.add(id);
+    return { owner: '', aliases: [], ...stage, id, index };
+  });
+
+  const transitions = (model.transitions || DEFAULT_PROCESS_MODEL.transitions
+    || stages.slice(1).map((stage, index) => ({ from: stages[index].id, to: stage.id })))
+    .map(transition => {
+      [transition.from, transition.to].forEach(id => {
+        if (!ids.has(id)) throw new Error(`Process model transition refers to unknown stage "${id}"`);
+      });
+      return { ...transition };
+    });
+
+  return { stages, transitions };
+};
+
+/**
+ * Find a stage by id, name or alias (case-insensitive)
+ * @param {Object} model - Resolved process model
+ * @param {String} key - Stage id, name or alias
+ * @returns {Object|null} - Stage
+ */
+const findStage = (model, key) => {
+  const wanted = String(key || '').trim().toLowerCase();
+  if (!wanted) return null;
+  return model.stages.find(stage =>
+    [stage.id, stage.name, ...stage.aliases].some(name => String(name).toLowerCase() === wanted)
+  ) || null;
+};
+
+/**
+ * Days from a stage's start date to its end date
+ * @param {Object} record - Raw record
+ * @param {Object} stage - Stage
+ * @param {Object} dateOptions - Date normalisation options
+ * @returns {Number|null} - Days, or null without both dates
+ */
+const stageElapsed = (record, stage, dateOptions = {}) => {
+  if (!stage.startField || !stage.endField || !record[stage.startField] || !record[stage.endField]) return null;
+  return daysBetween(record[stage.startField], record[stage.endField], dateOptions);
+};
+
+/**
+ * Duration of a stage for one record: the recorded duration, else the elapsed days
+ * @param {Object} record - Raw record
+ * @param {Object} stage - Stage
+ * @param {Object} dateOptions - Date normalisation options
+ * @returns {Number|null} - Days
+ */
+const stageDuration = (record, stage, dateOptions = {}) => {
+  if (stage.durationField) {
+    const value = record[stage.durationField];
+    if (value !== null && value !== undefined && value !== '' && !isNaN(value)) return Number(value);
+  }
+  return stageElapsed(record, stage, dateOptions);
+};
+
+/**
+ * Sort items into process order; items of stages outside the model keep their order at the end
+ * @param {Array} items - Items to sort
+ * @param {Object} model - Resolved process model
+ * @param {Function} getName - Returns the stage name of an item
+ * @returns {Array} - Sorted copy
+ */
+const sortByStage = (items, model, getName = item => item) => {
+  const position = (item) => {
+    const stage = findStage(model, getName(item));
+    return stage ? stage.index : model.stages.length;
+  };
+  return items
+    .map((item, order) => ({ item, order, position: position(item) }))
+    .sort((a, b) => a.position - b.position || a.order - b.order)
+    .map(entry => entry.item);
+};
+
+module.exports = {
+  DEFAULT_PROCESS_MODEL,
+  resolveProcessModel,
+  findStage,
+  stageElapsed,
+  stageDuration,
+  sortByStage
+};
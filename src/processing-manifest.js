@@ -0,0 +1,177 @@
+/**
+ * Manifest of processed workbooks for incremental pipeline runs
+ *
+ * Each run records a content hash per workbook and per sheet, next to the
+ * config fingerprint and the hash of the output it wrote. The next run
+ * reuses the previous output for everything whose hash still matches:
+ * a whole source when none of its workbooks changed, otherwise single
+ * workbooks and sheets, so only changed data is parsed and mapped again.
+ * No fs access here; ExcelProcessor reads and writes the files.
+ */
+
+const { hashString } = require('./record-ids');
+
+// Bump when the processed output changes shape, to force a full rebuild
+const MANIFEST_VERSION = 1;
+
+// complete-data.json key holding each source's processed output
+const SOURCE_OUTPUT_KEYS = {
+  internal: 'internalRFT',
+  external: 'externalRFT',
+  process: 'commercialProcess',
+  deviations: 'deviations',
+  qualifications: 'g7Performance'
+};
+
+/**
+ * Fingerprint the pipeline settings that affect processed output
+ * @param {Object} pipeline - ExcelPipeline instance
+ * @returns {String} - Config hash
+ */
+const fingerprintConfig = (pipeline) => {
+  const sheets = {};
+  Object.keys(pipeline.sources).forEach(source => {
+    sheets[source] = String(pipeline.sources[source].sheets);
+  });
+
+  return hashString(JSON.stringify({
+    version: MANIFEST_VERSION,
+    sheets,
+    columnMappings: pipeline.columnMappings,
+    dates: pipeline.config.dates,
+    trends: pipeline.config.trends,
+    insights: pipeline.config.insights,
+    capability: pipeline.config.capability,
+    idKeyFields: pipeline.idKeyFields,
+    processModel: pipeline.processModel
+  }));
+};
+
+/**
+ * Hash the rows of a sheet, including their row numbers
+ * @param {Array} headers - Header row
+ * @param {Array} rows - Row objects from sheet_to_json
+ * @returns {String} - Sheet content hash
+ */
+const hashSheet = (headers, rows) => hashString(JSON.stringify([
+  headers,
+  rows.map(row => [row.__rowNum__, row])
+]));
+
+/**
+ * Build the manifest for a finished run
+ * @param {Object} options - { configHash, files, output, processedAt, previous }
+ *   files    - [{ type, name, path, hash, size, lastModified }] per workbook read
+ *   output   - { path, hash } of the written complete-data.json
+ *   previous - Reuse index of the previous run, to keep processedAt for reused workbooks
+ * @param {Object} workbookReports - ExcelPipeline workbook reports per source
+ * @returns {Object} - Manifest, stored in metadata.json
+ */
+const buildManifest = ({ configHash, files, output, processedAt, previous = null }, workbookReports) => ({
+  lastUpdated: processedAt,
+  files: files.map(file => {
+    const report = (workbookReports[file.type] || []).find(entry => entry.path === file.path) || {};
+    const reused = previous && previous.manifestFile(file.type, file.path, file.hash);
+
+    return {
+      type: file.type,
+      filename: file.name,
+      path: file.path,
+      hash: file.hash,
+      size: file.size,
+      lastModified: file.lastModified,
+      processedAt: reused ? reused.processedAt : processedAt,
+      records: report.records || 0,
+      ...(report.error ? { error: report.error } : {}),
+      sheets: (report.sheets || []).map(sheet => ({ name: sheet.name, hash: sheet.hash, records: sheet.records }))
+    };
+  }),
+  manifest: {
+    version: MANIFEST_VERSION,
+    configHash,
+    output
+  }
+});
+
+/**
+ * Index a previous run for reuse
+ *
+ * Returns null when there is nothing safe to reuse: no manifest, another
+ * manifest version or config, or an output that no longer matches the
+ * hash the manifest recorded for it.
+ *
+ * @param {Object} previous - { manifest, output, outputHash } as last written
+ * @param {String} configHash - Fingerprint of the current config
+ * @returns {Object|null} - Reuse lookups
+ */
+const createReuseIndex = ({ manifest, output, outputHash } = {}, configHash) => {
+  const info = manifest && manifest.manifest;
+  if (!info || info.version !== MANIFEST_VERSION || info.configHash !== configHash) return null;
+  if (!output || !info.output || info.output.hash !== outputHash) return null;
+
+  const manifestFiles = manifest.files || [];
+  const dataSourceInfo = output.dataSourceInfo || {};
+  const reportFiles = dataSourceInfo.files || [];
+
+  const manifestFile = (source, path, hash) => manifestFiles.find(file =>
+    file.type === source && file.path === path && hash && file.hash === hash && !file.error) || null;
+
+  const report = (source, path) => reportFiles.find(file => file.type === source && file.path === path) || null;
+
+  // Previous records of one sheet, with generated IDs cleared so they are assigned again
+  const sheetRecords = (source, path, sheet) => {
+    const data = output[SOURCE_OUTPUT_KEYS[source]];
+    const hasIdColumn = Boolean(sheet.columns && sheet.columns.matched && sheet.columns.matched.id);
+    return ((data && data.records) || [])
+      .filter(record => record.sourceFile === path && record.sourceSheet === sheet.name)
+      .map(record => (hasIdColumn ? record : { ...record, id: undefined }));
+  };
+
+  return {
+    manifestFile,
+
+    // Unchanged workbook: its report and records, without reading it
+    workbook(source, path, hash) {
+      const previousReport = manifestFile(source, path, hash) && report(source, path);
+      if (!previousReport || previousReport.error) return null;
+
+      const records = [];
+      previousReport.sheets.forEach(sheet => records.push(...sheetRecords(source, path, sheet)));
+      if (records.length !== previousReport.records) return null;
+
+      return { report: previousReport, records };
+    },
+
+    // Unchanged sheet of a changed workbook: its mapped records and column report
+    sheet(source, path, name, hash) {
+      const previousReport = report(source, path);
+      const sheet = previousReport && (previousReport.sheets || []).find(entry => entry.name === name && entry.hash === hash);
+      if (!sheet) return null;
+
+      const records = sheetRecords(source, path, sheet);
+      return records.length === sheet.records ? { records, columns: sheet.columns } : null;
+    },
+
+    // Source whose workbooks are all unchanged: its processed output and reports
+    source(source, workbooks) {
+      const previousInfo = dataSourceInfo.sources && dataSourceInfo.sources[source];
+      const data = output[SOURCE_OUTPUT_KEYS[source]];
+      if (!previousInfo || !data || previousInfo.workbooks !== workbooks.length) return null;
+
+      const reports = workbooks.map(({ path, hash }) => manifestFile(source, path, hash) && report(source, path));
+      if (reports.some(entry => !entry || entry.error)) return null;
+      if (reports.reduce((sum, entry) => sum + entry.records, 0) !== data.records.length) return null;
+
+      return { data, reports, dates: previousInfo.dates, ids: previousInfo.ids };
+    }
+  };
+};
+
+module.exports = {
+  MANIFEST_VERSION,
+  SOURCE_OUTPUT_KEYS,
+  fingerprintConfig,
+  hashSheet,
+  buildManifest,
+  createReuseIndex
+};
@@ -0,0 +1,244 @@
+/**
+ * Equipment qualification analytics (G7 Performance)
+ *
+ * Qualification status per equipment, overdue qualifications, a
+ * requalification calendar and pass rates per equipment class, from a log
+ * with one row per qualification activity (IQ/OQ/PQ, periodic
+ * requalification): equipment ID, class, qualification type, due date,
+ * completed date and result. Shared by the ingestion pipeline and
+ * DataTransformer.
+ *
+ * Status is counted to `asOf`, which defaults to today: unlike a deviation
+ * log, a qualification goes overdue without the log changing.
+ */
+
+const { toIsoDate, daysBetween, parseDate } = require('./date-normalization');
+const { getPeriodKey, getNextPeriodKey, getPeriodLabel, enumeratePeriods } = require('./time-buckets');
+
+const DEFAULT_QUALIFICATION_OPTIONS = {
+  // Results (case-insensitive) that count as a pass or a failure; anything else is pending
+  passResults: ['pass', 'passed', 'acceptable', 'accepted', 'approved', 'compliant', 'qualified'],
+  failResults: ['fail', 'failed', 'not acceptable', 'rejected', 'non-compliant', 'not qualified'],
+  // Open qualifications due within this many days are due soon
+  dueSoonDays: 30,
+  // Months covered by the requalification calendar, starting with the month of asOf
+  calendarMonths: 12,
+  // Overdue qualifications listed individually
+  maxOverdueItems: 20,
+  asOf: null,
+  dateOptions: {}
+};
+
+// Equipment status, worst first
+const EQUIPMENT_STATUSES = ['Overdue', 'Failed', 'Not Qualified', 'Due Soon', 'Qualified'];
+
+const round = (value, decimals = 1) => parseFloat(value.toFixed(decimals));
+
+/**
+ * Result of a completed qualification
+ * @param {Object} qualification - Qualification record
+ * @param {Object} options - { passResults, failResults }
+ * @returns {String} - 'pass' | 'fail' | 'pending'
+ */
+const qualificationResult = (qualification, options = {}) => {
+  const { passResults, failResults } = { ...DEFAULT_QUALIFICATION_OPTIONS, ...options };
+  const result = String(qualification.result || '').trim().toLowerCase();
+  if (passResults.includes(result)) return 'pass';
+  if (failResults.includes(result)) return 'fail';
+  return 'pending';
+};
+
+/**
+ * Add months to an ISO date, clamping to the end of shorter months
+ * @param {String} isoDate - "YYYY-MM-DD"
+ * @param {Number} months - Months to add
+ * @returns {String} - "YYYY-MM-DD"
+ */
+const addMonths = (isoDate, months) => {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, month - 1 + months + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month - 1 + months, Math.min(day, lastDay))).toISOString().slice(0, 10);
+};
+
+/**
+ * Analyse an equipment qualification log
+ * @param {Array} qualifications - Qualification records { equipmentId, equipmentName, equipmentClass,
+ *                                 location, qualificationType, dueDate, completedDate, result, interval }
+ *                                 where interval is the requalification interval in months
+ * @param {Object} options - DEFAULT_QUALIFICATION_OPTIONS overrides
+ * @returns {Object} - { summary, statusDistribution, equipment, overdueItems, calendar, passRates, byType }
+ */
+const analyzeQualifications = (qualifications = [], options = {}) => {
+  const settings = { ...DEFAULT_QUALIFICATION_OPTIONS, ...options };
+  const { dateOptions, dueSoonDays } = settings;
+  const asOf = toIsoDate(settings.asOf || new Date(), dateOptions);
+
+  const enriched = qualifications.map(qualification => {
+    const dueDate = qualification.dueDate ? toIsoDate(qualification.dueDate, dateOptions) : null;
+    const completedDate = qualification.completedDate ? toIsoDate(qualification.completedDate, dateOptions) : null;
+    const interval = parseFloat(qualification.interval);
+    return {
+      qualification,
+      equipmentId: String(qualification.equipmentId || '').trim() || 'Unknown',
+      equipmentClass: String(qualification.equipmentClass || '').trim() || 'Unclassified',
+      type: String(qualification.qualificationType || '').trim() || 'Qualification',
+      dueDate,
+      completedDate,
+      result: completedDate ? qualificationResult(qualification, settings) : null,
+      interval: interval > 0 ? interval : null
+    };
+  });
+
+  const completed = enriched.filter(entry => entry.completedDate);
+
+  // Next requalification of each equipment and qualification type: the open
+  // activity if one is scheduled, otherwise the last completion plus its interval
+  const activities = new Map();
+  enriched.forEach(entry => {
+    const key = `${entry.equipmentId}|${entry.type}`;
+    if (!activities.has(key)) activities.set(key, []);
+    activities.get(key).push(entry);
+  });
+  const upcoming = [];
+  activities.forEach(entries => {
+    const scheduled = entries.filter(entry => !entry.completedDate && entry.dueDate);
+    if (scheduled.length > 0) {
+      scheduled.forEach(entry => upcoming.push({ entry, dueDate: entry.dueDate, projected: false }));
+      return;
+    }
+    const last = entries
+      .filter(entry => entry.completedDate && entry.interval)
+      .sort((a, b) => b.completedDate.localeCompare(a.completedDate))[0];
+    if (last) upcoming.push({ entry: last, dueDate: addMonths(last.completedDate, last.interval), projected: true });
+  });
+  const overdue = upcoming.filter(item => item.dueDate < asOf);
+  const dueSoon = upcoming.filter(item => item.dueDate >= asOf && daysBetween(asOf, item.dueDate, dateOptions) <= dueSoonDays);
+
+  // Requalification calendar: what falls due each month from the month of asOf
+  const firstPeriod = getPeriodKey(parseDate(asOf));
+  let lastPeriod = firstPeriod;
+  for (let i = 1; i < settings.calendarMonths; i++) lastPeriod = getNextPeriodKey(lastPeriod);
+  const calendar = enumeratePeriods(firstPeriod, lastPeriod).map(period => {
+    const items = upcoming
+      .filter(item => item.dueDate.slice(0, 7) === period)
+      .sort((a, b) => a.dueDate.localeCompare(b.dueDate))
+      .map(({ entry, dueDate, projected }) => ({
+        equipmentId: entry.equipmentId,
+        equipmentClass: entry.equipmentClass,
+        qualificationType: entry.type,
+        dueDate,
+        projected
+      }));
+    return { month: getPeriodLabel(period), period, due: items.length, items };
+  });
+
+  // Status per equipment, from its latest completed result and its open activities
+  const equipmentGroups = new Map();
+  enriched.forEach(entry => {
+    if (!equipmentGroups.has(entry.equipmentId)) equipmentGroups.set(entry.equipmentId, []);
+    equipmentGroups.get(entry.equipmentId).push(entry);
+  });
+  const equipment = [...equipmentGroups.entries()].map(([equipmentId, entries]) => {
+    const latest = entries
+      .filter(entry => entry.completedDate)
+      .sort((a, b) => b.completedDate.localeCompare(a.completedDate))[0];
+    const nextDue = upcoming
+      .filter(item => item.entry.equipmentId === equipmentId)
+      .map(item => item.dueDate)
+      .sort()[0] || null;
+    const overdueItems = overdue.filter(item => item.entry.equipmentId === equipmentId).length;
+
+    let status;
+    if (overdueItems > 0) status = 'Overdue';
+    else if (latest && latest.result === 'fail') status = 'Failed';
+    else if (!latest || latest.result !== 'pass') status = 'Not Qualified';
+    else if (nextDue && daysBetween(asOf, nextDue, dateOptions) <= dueSoonDays) status = 'Due Soon';
+    else status = 'Qualified';
+
+    const first = entries[0].qualification;
+    return {
+      equipmentId,
+      name: first.equipmentName || '',
+      equipmentClass: entries[0].equipmentClass,
+      location: first.location || '',
+      status,
+      lastQualified: latest ? latest.completedDate : null,
+      lastResult: latest ? latest.result : null,
+      nextDue,
+      overdueItems
+    };
+  }).sort((a, b) => EQUIPMENT_STATUSES.indexOf(a.status) - EQUIPMENT_STATUSES.indexOf(b.status)
+    || a.equipmentId.localeCompare(b.equipmentId));
+
+  const statusDistribution = EQUIPMENT_STATUSES
+    .map(name => ({ name, value: equipment.filter(item => item.status === name).length }))
+    .filter(item => item.value > 0);
+
+  // Pass rates of completed qualifications
+  const passRate = (entries) => {
+    const decided = entries.filter(entry => entry.result === 'pass' || entry.result === 'fail');
+    return decided.length > 0 ? round(decided.filter(entry => entry.result === 'pass').length / decided.length * 100) : null;
+  };
+  const groupPassRates = (field) => {
+    const groups = new Map();
+    enriched.forEach(entry => {
+      if (!groups.has(entry[field])) groups.set(entry[field], []);
+      groups.get(entry[field]).push(entry);
+    });
+    return [...groups.entries()].map(([name, entries]) => {
+      const done = entries.filter(entry => entry.completedDate);
+      return {
+        name,
+        equipment: new Set(entries.map(entry => entry.equipmentId)).size,
+        completed: done.length,
+        passed: done.filter(entry => entry.result === 'pass').length,
+        failed: done.filter(entry => entry.result === 'fail').length,
+        passRate: passRate(done),
+        overdue: overdue.filter(item => item.entry[field] === name).length
+      };
+    }).sort((a, b) => b.equipment - a.equipment || a.name.localeCompare(b.name));
+  };
+
+  // Most overdue first; projected items were never scheduled after their last completion
+  const overdueItems = overdue
+    .slice()
+    .sort((a, b) => a.dueDate.localeCompare(b.dueDate))
+    .slice(0, settings.maxOverdueItems)
+    .map(({ entry, dueDate, projected }) => ({
+      equipmentId: entry.equipmentId,
+      equipmentClass: entry.equipmentClass,
+      qualificationType: entry.type,
+      dueDate,
+      daysOverdue: Math.floor(daysBetween(dueDate, asOf, dateOptions)),
+      projected
+    }));
+
+  const qualified = equipment.filter(item => item.status === 'Qualified' || item.status === 'Due Soon').length;
+
+  return {
+    summary: {
+      totalEquipment: equipment.length,
+      qualifiedEquipment: qualified,
+      // Equipment qualified and not overdue, as a share of all equipment
+      complianceRate: equipment.length > 0 ? round(qualified / equipment.length * 100) : 0,
+      totalQualifications: qualifications.length,
+      completedQualifications: completed.length,
+      overdueQualifications: overdue.length,
+      dueSoonQualifications: dueSoon.length,
+      passRate: passRate(completed),
+      asOf
+    },
+    statusDistribution,
+    equipment,
+    overdueItems,
+    calendar,
+    passRates: groupPassRates('equipmentClass'),
+    byType: groupPassRates('type')
+  };
+};
+
+module.exports = {
+  DEFAULT_QUALIFICATION_OPTIONS,
+  qualificationResult,
+  analyzeQualifications
+};
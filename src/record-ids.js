@@ -0,0 +1,134 @@
+/**
+ * Deterministic record IDs for the Excel ingestion pipeline
+ *
+ * Rows without an ID column get an ID derived from a hash of their key
+ * fields, so the same spreadsheet row keeps the same ID across runs.
+ * The hash is plain JavaScript (no Node crypto) so it can run anywhere.
+ */
+
+// Only fields fixed when the record is created: a record keeps its ID as its
+// status (or resolution, closure, result) changes, so diffs report it as changed
+const DEFAULT_ID_KEY_FIELDS = {
+  internal: ['date', 'lot', 'product', 'department', 'errorType'],
+  external: ['date', 'lot', 'customer', 'product', 'issueType'],
+  process: ['date', 'lot', 'product', 'stage'],
+  // Not status or closed date: a deviation keeps its ID as it moves to closure
+  deviations: ['date', 'lot', 'title', 'severity', 'rootCause'],
+  // Not completed date or result, for the same reason
+  qualifications: ['equipmentId', 'qualificationType', 'dueDate']
+};
+
+const ID_PREFIXES = {
+  internal: 'INT',
+  external: 'EXT',
+  process: 'CP',
+  deviations: 'DEV',
+  qualifications: 'QUAL'
+};
+
+/**
+ * 53-bit string hash (cyrb53)
+ * @param {String} str - String to hash
+ * @param {Number} seed - Optional seed
+ * @returns {String} - Hash as a fixed-width base-36 string
+ */
+const hashString = (str, seed = 0) => {
+  let h1 = 0xdeadbeef ^ seed;
+  let h2 = 0x41c6ce57 ^ seed;
+
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+  const hash = 4294967296 * (2097151 & h2) + (h1 >>> 0);
+  return hash.toString(36).padStart(11, '0');
+};
+
+/**
+ * Build the canonical key string for a record
+ * @param {Object} record - Mapped record
+ * @param {Array} keyFields - Fields that identify the row
+ * @returns {String} - Key string used as hash input
+ */
+const buildRecordKey = (record, keyFields) => keyFields
+  .map(field => {
+    const value = record[field];
+    return value === null || value === undefined ? '' : String(value).trim().toLowerCase();
+  })
+  .join('|');
+
+/**
+ * Assign stable IDs to records and report duplicates and collisions
+ *
+ * Records that already carry an ID keep it. Identical rows (same key
+ * fields) are reported as duplicates and numbered "-2", "-3", ... in row
+ * order. Any other ID clash (repeated source IDs or a hash collision) is
+ * reported as a collision and disambiguated the same way. Report entries
+ * list the spreadsheet locations involved, using the record's provenance
+ * fields (sourceFile, sourceSheet, sourceRow) when present.
+ *
+ * @param {Array} records - Mapped records
+ * @param {Object} options - { prefix, keyFields, rowOffset }
+ * @returns {Object} - { records, report: { generated, duplicates, collisions } }
+ */
+const assignRecordIds = (records, options = {}) => {
+  const { prefix = 'REC', keyFields = [], rowOffset = 2 } = options;
+  const seen = {};
+  const duplicates = {};
+  const collisions = {};
+  let generated = 0;
+
+  const withIds = records.map((record, index) => {
+    const location = {
+      row: record.sourceRow !== undefined ? record.sourceRow : index + rowOffset,
+      ...(record.sourceFile ? { file: record.sourceFile, sheet: record.sourceSheet } : {})
+    };
+    const key = buildRecordKey(record, keyFields);
+    const hasSourceId = record.id !== undefined && record.id !== null && record.id !== '';
+    const baseId = hasSourceId ? String(record.id) : `${prefix}-${hashString(key)}`;
+
+    if (!hasSourceId) generated++;
+
+    if (!seen[baseId]) {
+      seen[baseId] = { key, rows: [location] };
+      return { ...record, id: baseId };
+    }
+
+    const entry = seen[baseId];
+    entry.rows.push(location);
+
+    const bucket = !hasSourceId && entry.key === key ? duplicates : collisions;
+    bucket[baseId] = entry.rows;
+
+    let suffix = entry.rows.length;
+    while (seen[`${baseId}-${suffix}`]) suffix++;
+
+    const id = `${baseId}-${suffix}`;
+    seen[id] = { key, rows: [location] };
+    return { ...record, id };
+  });
+
+  const toList = bucket => Object.entries(bucket).map(([id, rows]) => ({ id, rows: rows.map(row => ({ ...row })) }));
+
+  return {
+    records: withIds,
+    report: {
+      generated,
+      duplicates: toList(duplicates),
+      collisions: toList(collisions)
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_ID_KEY_FIELDS,
+  ID_PREFIXES,
+  hashString,
+  buildRecordKey,
+  assignRecordIds
+};
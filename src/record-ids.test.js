@@ -0,0 +1,94 @@
+const { DEFAULT_ID_KEY_FIELDS, hashString, buildRecordKey, assignRecordIds } = require('./record-ids');
+
+const internal = (overrides = {}) => ({
+  date: '2024-03-01',
+  lot: 'LOT-001',
+  product: 'Product A',
+  department: 'Assembly',
+  errorType: 'Missing signature',
+  status: 'Open',
+  ...overrides
+});
+const assignInternal = (records) => assignRecordIds(records, { prefix: 'INT', keyFields: DEFAULT_ID_KEY_FIELDS.internal });
+
+describe('hashString', () => {
+  test('is deterministic, fixed width and seed dependent', () => {
+    expect(hashString('LOT-001')).toBe(hashString('LOT-001'));
+    expect(hashString('LOT-001')).toMatch(/^[0-9a-z]{11}$/);
+    expect(hashString('LOT-001')).not.toBe(hashString('LOT-002'));
+    expect(hashString('LOT-001', 1)).not.toBe(hashString('LOT-001'));
+  });
+});
+
+describe('buildRecordKey', () => {
+  test('ignores case, surrounding spaces and the difference between empty and missing', () => {
+    expect(buildRecordKey({ lot: ' LOT-001 ', product: 'Product A' }, ['lot', 'product', 'stage']))
+      .toBe(buildRecordKey({ lot: 'lot-001', product: 'PRODUCT A', stage: null }, ['lot', 'product', 'stage']));
+  });
+});
+
+describe('assignRecordIds', () => {
+  test('gives a row the same ID on every run, whatever its position', () => {
+    const first = assignInternal([internal(), internal({ lot: 'LOT-002' })]);
+    const second = assignInternal([internal({ lot: 'LOT-003' }), internal({ lot: 'LOT-002' }), internal()]);
+    expect(second.records[2].id).toBe(first.records[0].id);
+    expect(second.records[1].id).toBe(first.records[1].id);
+    expect(first.records[0].id).toMatch(/^INT-[0-9a-z]{11}$/);
+    expect(first.report.generated).toBe(2);
+  });
+
+  test('keeps the ID as the status changes', () => {
+    const open = assignInternal([internal({ status: 'Open' })]);
+    const closed = assignInternal([internal({ status: 'Closed' })]);
+    expect(closed.records[0].id).toBe(open.records[0].id);
+    DEFAULT_ID_KEY_FIELDS.internal.concat(DEFAULT_ID_KEY_FIELDS.external, DEFAULT_ID_KEY_FIELDS.process)
+      .forEach(field => expect(field).not.toBe('status'));
+  });
+
+  test('gives rows that differ in a key field different IDs', () => {
+    const { records } = assignInternal([internal(), internal({ errorType: 'Wrong date' })]);
+    expect(records[0].id).not.toBe(records[1].id);
+  });
+
+  test('keeps IDs from the source', () => {
+    const { records, report } = assignInternal([internal({ id: 'RFT-17' }), internal({ id: 42 })]);
+    expect(records.map(record => record.id)).toEqual(['RFT-17', '42']);
+    expect(report).toEqual({ generated: 0, duplicates: [], collisions: [] });
+  });
+
+  test('numbers identical rows in row order and reports them as duplicates', () => {
+    const { records, report } = assignInternal([internal(), internal({ status: 'Closed' }), internal()]);
+    const [id] = records.map(record => record.id);
+    expect(records.map(record => record.id)).toEqual([id, `${id}-2`, `${id}-3`]);
+    expect(report.duplicates).toEqual([{ id, rows: [{ row: 2 }, { row: 3 }, { row: 4 }] }]);
+    expect(report.collisions).toEqual([]);
+  });
+
+  test('reports repeated source IDs as collisions, skipping suffixes already taken', () => {
+    const { records, report } = assignInternal([
+      internal({ id: 'A' }),
+      internal({ id: 'A-2', lot: 'LOT-002' }),
+      internal({ id: 'A', lot: 'LOT-003' })
+    ]);
+    expect(records.map(record => record.id)).toEqual(['A', 'A-2', 'A-3']);
+    expect(report.collisions).toEqual([{ id: 'A', rows: [{ row: 2 }, { row: 4 }] }]);
+    expect(report.duplicates).toEqual([]);
+  });
+
+  test('reports a clash between a generated ID and a source ID as a collision', () => {
+    const generated = assignInternal([internal()]).records[0].id;
+    const { records, report } = assignInternal([internal({ id: generated, lot: 'LOT-009' }), internal()]);
+    expect(records[1].id).toBe(`${generated}-2`);
+    expect(report.collisions).toHaveLength(1);
+    expect(report.duplicates).toHaveLength(0);
+  });
+
+  test('reports spreadsheet locations from the provenance fields', () => {
+    const row = (sourceRow) => internal({ sourceFile: 'RFT March.xlsx', sourceSheet: 'Errors', sourceRow });
+    const { report } = assignInternal([row(5), row(9)]);
+    expect(report.duplicates[0].rows).toEqual([
+      { row: 5, file: 'RFT March.xlsx', sheet: 'Errors' },
+      { row: 9, file: 'RFT March.xlsx', sheet: 'Errors' }
+    ]);
+  });
+});
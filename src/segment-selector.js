@@ -0,0 +1,61 @@
+import React from 'react';
+import { useDataContext } from './DataContext.js';
+
+const SegmentSelector = () => {
+  // Get the dataset's segments and the one being shown from context
+  const { segmentDimensions, segment, setSegment, isLoading } = useDataContext();
+
+  // Colors from Novo Nordisk spec
+  const colors = {
+    secondary: '#0066a4' // Complementary Blue
+  };
+
+  // Datasets built without product, department or site columns have no segments
+  if (!segmentDimensions || segmentDimensions.length === 0) return null;
+
+  // Options carry their dimension and value, which may contain any character
+  const optionValue = (dimension, value) => JSON.stringify([dimension, value]);
+  const selected = segmentDimensions.find(entry => segment && entry.dimension === segment.dimension);
+
+  const handleChange = (event) => {
+    if (!event.target.value) {
+      setSegment(null);
+      return;
+    }
+    const [dimension, value] = JSON.parse(event.target.value);
+    setSegment({ dimension, value });
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm mb-4">
+      <label htmlFor="segment-selector" className="text-gray-600">Show</label>
+      <select
+        id="segment-selector"
+        value={segment ? optionValue(segment.dimension, segment.value) : ''}
+        onChange={handleChange}
+        disabled={isLoading}
+        className="px-2 py-1 rounded border border-gray-300 bg-white"
+      >
+        <option value="">All data</option>
+        {segmentDimensions.map(entry => (
+          <optgroup key={entry.dimension} label={entry.label}>
+            {entry.segments.map(item => (
+              <option key={item.value} value={optionValue(entry.dimension, item.value)}>
+                {item.value} ({item.count})
+              </option>
+            ))}
+          </optgroup>
+        ))}
+      </select>
+
+      {segment && (
+        <span className="px-2 py-1 rounded text-xs text-white" style={{ backgroundColor: colors.secondary }}>
+          {selected ? selected.label : segment.dimension}: {segment.value} only. Control charts, WIP &amp; Flow, lot timelines, Deviations and G7 Performance show all data
+          <button onClick={() => setSegment(null)} className="ml-2 underline">Show all</button>
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default SegmentSelector;
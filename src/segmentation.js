@@ -0,0 +1,173 @@
+/**
+ * Segmentation of records by product, department and site
+ *
+ * Splits the records on a dimension so KPIs can be reported per segment as
+ * well as for the whole population ("RFT for Product B only"). A record's
+ * value for a dimension is the first of the dimension's fields it carries.
+ * Records without one take the value of the other records of their lot
+ * (commercial process rows have no department, the lot's RFT records do),
+ * else they fall in the unassigned segment, so the segments of a dimension
+ * always add up to the totals. Shared by the ingestion pipeline,
+ * DataTransformer and the dashboard's segment selector.
+ *
+ * Segments carry the KPI sections only. Control chart points, the daily WIP
+ * series and per-lot timelines (UNSEGMENTED_FIELDS) would be repeated for
+ * every segment of every dimension, so a segmented view shows them for all data.
+ */
+
+const DEFAULT_SEGMENT_OPTIONS = {
+  // Dimensions in selector order, with the record fields holding their value
+  dimensions: {
+    product: { label: 'Product', fields: ['product'] },
+    department: { label: 'Department', fields: ['department'] },
+    site: { label: 'Site', fields: ['site'] }
+  },
+  // Fields identifying a record's lot, for records without a value of their own
+  lotFields: ['lot', 'batchId'],
+  // Segment of records with no value for the dimension
+  unassignedLabel: 'Unassigned',
+  // Segments broken out per dimension, largest first; smaller ones only count in the totals
+  maxSegments: 25
+};
+
+// Fields of a section left out of segments and kept dataset-wide: { section: [field] }
+const UNSEGMENTED_FIELDS = {
+  overview: ['controlCharts'],
+  processMetrics: ['lotTimeline', 'flow']
+};
+
+const text = (value) => (value === null || value === undefined ? '' : String(value).trim());
+
+/**
+ * Index records by segment for every dimension they carry
+ * @param {Array} records - Records of every source, so lots can lend their values to each other
+ * @param {Object} options - DEFAULT_SEGMENT_OPTIONS overrides
+ * @returns {Object} - { dimensions: [{ dimension, label, fields, segments: [{ value, count }] }],
+ *                       valueOf(record, dimension), filter(records, dimension, value) };
+ *                     dimensions no record has a value for are left out
+ */
+const createSegmenter = (records = [], options = {}) => {
+  const settings = { ...DEFAULT_SEGMENT_OPTIONS, ...options };
+  const dimensionIds = Object.keys(settings.dimensions);
+
+  const firstValue = (record, fields) => {
+    for (const field of fields) {
+      const value = text(record[field]);
+      if (value) return value;
+    }
+    return '';
+  };
+  const lotOf = (record) => firstValue(record, settings.lotFields);
+
+  // Value of each lot per dimension: the most common among its records that carry one
+  const lotValues = {};
+  dimensionIds.forEach(dimension => {
+    const counts = new Map();
+    records.forEach(record => {
+      const lot = lotOf(record);
+      const value = firstValue(record, settings.dimensions[dimension].fields);
+      if (!lot || !value) return;
+      if (!counts.has(lot)) counts.set(lot, new Map());
+      counts.get(lot).set(value, (counts.get(lot).get(value) || 0) + 1);
+    });
+    lotValues[dimension] = new Map([...counts].map(([lot, values]) =>
+      [lot, [...values].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0][0]]
+    ));
+  });
+
+  const valueOf = (record, dimension) => {
+    const spec = settings.dimensions[dimension];
+    if (!spec) throw new Error(`Unknown segment dimension "${dimension}"`);
+    return firstValue(record, spec.fields) || lotValues[dimension].get(lotOf(record)) || settings.unassignedLabel;
+  };
+
+  const dimensions = dimensionIds
+    .map(dimension => {
+      const counts = new Map();
+      records.forEach(record => {
+        const value = valueOf(record, dimension);
+        counts.set(value, (counts.get(value) || 0) + 1);
+      });
+      return {
+        dimension,
+        label: settings.dimensions[dimension].label || dimension,
+        fields: settings.dimensions[dimension].fields,
+        segments: [...counts]
+          .map(([value, count]) => ({ value, count }))
+          .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+          .slice(0, settings.maxSegments)
+      };
+    })
+    .filter(entry => entry.segments.some(segment => segment.value !== settings.unassignedLabel));
+
+  return {
+    dimensions,
+    valueOf,
+    filter: (list, dimension, value) => list.filter(record => valueOf(record, dimension) === value)
+  };
+};
+
+/**
+ * Sections as stored for a segment: without record lists or UNSEGMENTED_FIELDS
+ * @param {Object} sections - { [section]: section } computed from the segment's records
+ * @returns {Object} - Sections to store under segments.results
+ */
+const toSegmentSections = (sections) => {
+  const result = {};
+  Object.entries(sections).forEach(([key, section]) => {
+    if (!section || typeof section !== 'object' || Array.isArray(section)) {
+      result[key] = section;
+      return;
+    }
+    const { records, ...rest } = section;
+    (UNSEGMENTED_FIELDS[key] || []).forEach(field => { delete rest[field]; });
+    result[key] = rest;
+  });
+  return result;
+};
+
+/**
+ * A dataset narrowed to one segment: the segment's sections replace the totals,
+ * with the record lists of those sections filtered to the segment and the
+ * UNSEGMENTED_FIELDS kept from the totals
+ * @param {Object} data - complete-data.json or DataTransformer output, with `segments`
+ * @param {Object} segment - { dimension, value }
+ * @param {Object} options - DEFAULT_SEGMENT_OPTIONS overrides; dimensions come from the dataset
+ * @returns {Object|null} - Segmented dataset carrying `segment`, or null when the dataset has no such segment
+ */
+const applySegment = (data, segment, options = {}) => {
+  const results = data && data.segments ? data.segments.results : null;
+  const sections = results && results[segment.dimension] ? results[segment.dimension][segment.value] : null;
+  if (!sections) return null;
+
+  // Segment records the way the dataset was segmented, lot values included
+  const dimensions = {};
+  data.segments.dimensions.forEach(entry => {
+    dimensions[entry.dimension] = { label: entry.label, fields: entry.fields || [entry.dimension] };
+  });
+  const hasRecords = (key) => Boolean(data[key] && Array.isArray(data[key].records));
+  const segmenter = createSegmenter(
+    Object.keys(sections).filter(hasRecords).flatMap(key => data[key].records),
+    { ...options, dimensions }
+  );
+
+  const segmented = { ...data, segment: { dimension: segment.dimension, value: segment.value } };
+  Object.entries(sections).forEach(([key, section]) => {
+    const totals = {};
+    (UNSEGMENTED_FIELDS[key] || []).forEach(field => {
+      if (data[key] && data[key][field] !== undefined) totals[field] = data[key][field];
+    });
+    segmented[key] = hasRecords(key)
+      ? { ...section, ...totals, records: segmenter.filter(data[key].records, segment.dimension, segment.value) }
+      : { ...section, ...totals };
+  });
+  return segmented;
+};
+
+module.exports = {
+  DEFAULT_SEGMENT_OPTIONS,
+  UNSEGMENTED_FIELDS,
+  createSegmenter,
+  toSegmentSections,
+  applySegment
+};
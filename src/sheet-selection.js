@@ -0,0 +1,63 @@
+/**
+ * Sheet selection and glob matching for the Excel ingestion pipeline
+ *
+ * Plain string and RegExp helpers with no file system access, so they run
+ * in the browser as well as in Node.
+ */
+
+/**
+ * Convert a glob pattern to a regular expression
+ * Supports "*", "?" and "**" (any number of directories).
+ * @param {String} pattern - Glob pattern using "/" separators
+ * @param {String} flags - RegExp flags
+ * @returns {RegExp} - Anchored regular expression
+ */
+const globToRegExp = (pattern, flags = '') => {
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*' && pattern[i + 1] === '*') {
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`, flags);
+};
+
+/**
+ * Pick the sheets to read from a workbook
+ * @param {Array} sheetNames - Sheet names in workbook order
+ * @param {String|RegExp|Array} selection - 'first', 'all', a name pattern, a RegExp or a list of names
+ * @returns {Array} - Selected sheet names in workbook order
+ */
+const selectSheets = (sheetNames, selection = 'first') => {
+  if (!sheetNames || sheetNames.length === 0) return [];
+  if (!selection || selection === 'first') return [sheetNames[0]];
+  if (selection === 'all') return [...sheetNames];
+
+  if (Array.isArray(selection)) {
+    return sheetNames.filter(name => selection.includes(name));
+  }
+
+  const matcher = selection instanceof RegExp ? selection : globToRegExp(String(selection), 'i');
+  return sheetNames.filter(name => matcher.test(name));
+};
+
+module.exports = {
+  globToRegExp,
+  selectSheets
+};
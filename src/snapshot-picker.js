@@ -0,0 +1,52 @@
+import React from 'react';
+import { useDataContext } from './DataContext.js';
+
+const SnapshotPicker = () => {
+  // Get the published snapshots and the one being viewed from context
+  const { snapshots, asOf, setAsOf, isLoading } = useDataContext();
+
+  // Colors from Novo Nordisk spec
+  const colors = {
+    warning: '#ffc72c' // Yellow
+  };
+
+  // Without published snapshots there is nothing to travel back to
+  if (!snapshots || snapshots.length === 0) return null;
+
+  // Every build of a day is listed, so an earlier view of the same day can be shown again
+  const buildsOf = (day) => day.builds || [{ ...day, id: day.date }];
+  const buildTime = (build) => (build.lastUpdated
+    ? new Date(build.lastUpdated).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' })
+    : build.id);
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <label htmlFor="snapshot-as-of" className="text-gray-600">As of</label>
+      <select
+        id="snapshot-as-of"
+        value={asOf || ''}
+        onChange={(event) => setAsOf(event.target.value)}
+        disabled={isLoading}
+        className="px-2 py-1 rounded border border-gray-300 bg-white"
+      >
+        <option value="">Latest</option>
+        {snapshots.map(day => (
+          <optgroup key={day.date} label={day.date}>
+            {buildsOf(day).map(build => (
+              <option key={build.id} value={build.id}>{day.date} {buildTime(build)}</option>
+            ))}
+          </optgroup>
+        ))}
+      </select>
+
+      {asOf && (
+        <span className="px-2 py-1 rounded text-xs" style={{ backgroundColor: colors.warning }}>
+          Viewing a snapshot, not the latest data
+          <button onClick={() => setAsOf(null)} className="ml-2 underline">Back to latest</button>
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default SnapshotPicker;
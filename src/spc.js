@@ -0,0 +1,350 @@
+/**
+ * Statistical process control
+ *
+ * Control limits for p-charts (attribute rates such as monthly RFT),
+ * individuals/moving-range charts (one value per lot, such as cycle time)
+ * and X-bar/R charts (subgroups of values), and detection of the
+ * Western Electric / Nelson run rules. Shared by the ingestion pipeline and
+ * DataTransformer so both publish charts in the same shape:
+ *
+ *   { type, centerLine, ucl, lcl, sigma, points, violations, rangeChart, insufficientData }
+ *
+ * Each point carries its own centerLine/ucl/lcl (p-chart limits widen for
+ * small samples) and the IDs of the rules it takes part in. Limits come
+ * from the first `baseline` points when given, otherwise from all points.
+ */
+
+// Nelson rules; 1, 2 (with runLength 8), 5 and 6 are the Western Electric rules
+const SPC_RULES = [
+  { id: 1, name: 'Beyond limits', description: 'A point outside the 3 sigma control limits' },
+  { id: 2, name: 'Shift', description: 'A run of points on one side of the centre line' },
+  { id: 3, name: 'Trend', description: 'Six points in a row steadily increasing or decreasing' },
+  { id: 4, name: 'Oscillation', description: 'Fourteen points in a row alternating up and down' },
+  { id: 5, name: 'Two of three beyond 2 sigma', description: 'Two of three points in a row beyond 2 sigma on the same side' },
+  { id: 6, name: 'Four of five beyond 1 sigma', description: 'Four of five points in a row beyond 1 sigma on the same side' },
+  { id: 7, name: 'Stratification', description: 'Fifteen points in a row within 1 sigma of the centre line' },
+  { id: 8, name: 'Mixture', description: 'Eight points in a row with none within 1 sigma of the centre line' }
+];
+
+const DEFAULT_SPC_OPTIONS = {
+  // Rules to check (IDs from SPC_RULES); [1, 2, 5, 6] with runLength 8 gives the Western Electric rules
+  rules: [1, 2, 3, 4, 5, 6, 7, 8],
+  // Points in a row on one side of the centre line for rule 2 (Nelson: 9, Western Electric: 8)
+  runLength: 9,
+  // Points used to compute the limits (e.g. a validated baseline period); null uses all points
+  baseline: null,
+  // Fewer points than this give provisional limits
+  minPoints: 8,
+  // p-chart values are rates in percent
+  scale: 100
+};
+
+// Control chart constants per subgroup size: d2 and d3 (R chart)
+const D2 = { 2: 1.128, 3: 1.693, 4: 2.059, 5: 2.326, 6: 2.534, 7: 2.704, 8: 2.847, 9: 2.970, 10: 3.078, 11: 3.173, 12: 3.258, 13: 3.336, 14: 3.407, 15: 3.472, 16: 3.532, 17: 3.588, 18: 3.640, 19: 3.689, 20: 3.735, 21: 3.778, 22: 3.819, 23: 3.858, 24: 3.895, 25: 3.931 };
+const D3 = { 2: 0.853, 3: 0.888, 4: 0.880, 5: 0.864, 6: 0.848, 7: 0.833, 8: 0.820, 9: 0.808, 10: 0.797, 11: 0.787, 12: 0.778, 13: 0.770, 14: 0.763, 15: 0.756, 16: 0.750, 17: 0.744, 18: 0.739, 19: 0.734, 20: 0.729, 21: 0.724, 22: 0.720, 23: 0.716, 24: 0.712, 25: 0.708 };
+const MAX_SUBGROUP_SIZE = 25;
+
+const round = (value, decimals = 3) => (value === null || value === undefined || !isFinite(value) ? null : parseFloat(value.toFixed(decimals)));
+
+const mean = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+const isNumber = (value) => typeof value === 'number' && !isNaN(value);
+
+/**
+ * Find run-rule violations in a series
+ * @param {Array} points - [{ value, centerLine, sigma }]; points without a value or sigma are skipped
+ * @param {Object} options - { rules, runLength }
+ * @returns {Array} - [{ rule, name, description, points: [index] }], one entry per rule broken
+ */
+const detectRuleViolations = (points, options = {}) => {
+  const { rules, runLength } = { ...DEFAULT_SPC_OPTIONS, ...options };
+  const indexes = points
+    .map((point, index) => index)
+    .filter(index => isNumber(points[index].value) && isNumber(points[index].sigma) && points[index].sigma > 0);
+  // Distance from the centre line in sigmas
+  const z = indexes.map(index => (points[index].value - points[index].centerLine) / points[index].sigma);
+  const values = indexes.map(index => points[index].value);
+  const flagged = {};
+  const flag = (rule, from, to) => {
+    if (!flagged[rule]) flagged[rule] = new Set();
+    for (let i = from; i <= to; i++) flagged[rule].add(indexes[i]);
+  };
+  const flagWhere = (rule, from, to, predicate) => {
+    if (!flagged[rule]) flagged[rule] = new Set();
+    for (let i = from; i <= to; i++) if (predicate(i)) flagged[rule].add(indexes[i]);
+  };
+
+  // Length of the run ending at each position for which `test(i)` holds
+  const runs = (test) => {
+    const lengths = [];
+    z.forEach((value, i) => { lengths.push(test(i) ? (i > 0 ? lengths[i - 1] : 0) + 1 : 0); });
+    return lengths;
+  };
+  const flagRuns = (rule, lengths, length) => {
+    lengths.forEach((run, i) => { if (run >= length) flag(rule, i - length + 1, i); });
+  };
+
+  if (rules.includes(1)) {
+    z.forEach((value, i) => { if (Math.abs(value) > 3) flag(1, i, i); });
+  }
+  if (rules.includes(2)) {
+    flagRuns(2, runs(i => z[i] > 0), runLength);
+    flagRuns(2, runs(i => z[i] < 0), runLength);
+  }
+  if (rules.includes(3)) {
+    // Six points: five steps in the same direction
+    flagRuns(3, runs(i => i > 0 && values[i] > values[i - 1]).map(run => run + 1), 6);
+    flagRuns(3, runs(i => i > 0 && values[i] < values[i - 1]).map(run => run + 1), 6);
+  }
+  if (rules.includes(4)) {
+    // Fourteen points: thirteen steps, each reversing the previous one
+    const step = (i) => Math.sign(values[i] - values[i - 1]);
+    flagRuns(4, runs(i => i > 1 && step(i) !== 0 && step(i) === -step(i - 1)).map(run => run + 2), 14);
+  }
+  [[5, 2, 3, 2], [6, 4, 5, 1]].forEach(([rule, count, window, limit]) => {
+    if (!rules.includes(rule)) return;
+    [1, -1].forEach(side => {
+      for (let i = window - 1; i < z.length; i++) {
+        const beyond = (j) => z[j] * side > limit;
+        let hits = 0;
+        for (let j = i - window + 1; j <= i; j++) if (beyond(j)) hits++;
+        if (hits >= count) flagWhere(rule, i - window + 1, i, beyond);
+      }
+    });
+  });
+  if (rules.includes(7)) {
+    flagRuns(7, runs(i => Math.abs(z[i]) < 1), 15);
+  }
+  if (rules.includes(8)) {
+    flagRuns(8, runs(i => Math.abs(z[i]) > 1), 8);
+  }
+
+  return SPC_RULES
+    .filter(rule => flagged[rule.id] && flagged[rule.id].size > 0)
+    .map(rule => ({ rule: rule.id, name: rule.name, description: rule.description, points: [...flagged[rule.id]].sort((a, b) => a - b) }));
+};
+
+/**
+ * Tag points with the rules they break and round the chart values
+ * @param {Array} points - Chart points
+ * @param {Array} violations - detectRuleViolations output
+ * @returns {Array} - Points with { violations: [rule IDs], outOfControl }
+ */
+const tagPoints = (points, violations) => points.map((point, index) => {
+  const rules = violations.filter(violation => violation.points.includes(index)).map(violation => violation.rule);
+  const { sigma, ...rest } = point;
+  return {
+    ...rest,
+    value: round(point.value),
+    centerLine: round(point.centerLine),
+    ucl: round(point.ucl),
+    lcl: round(point.lcl),
+    violations: rules,
+    outOfControl: rules.length > 0
+  };
+});
+
+/**
+ * Add point labels to violations for display
+ * @param {Array} violations - detectRuleViolations output
+ * @param {Array} points - Chart points with labels
+ * @returns {Array} - Violations with labels
+ */
+const labelViolations = (violations, points) => violations.map(violation => ({
+  ...violation,
+  labels: violation.points.map(index => points[index].label)
+}));
+
+/**
+ * p-chart for a rate per period (e.g. RFT per month)
+ * @param {Array} samples - [{ label, count, total }] where count is the number of items with the
+ *                          charted attribute (e.g. right-first-time records) out of total
+ * @param {Object} options - DEFAULT_SPC_OPTIONS overrides
+ * @returns {Object} - Chart; values and limits are rates (scaled by options.scale)
+ */
+const calculatePChart = (samples = [], options = {}) => {
+  const settings = { ...DEFAULT_SPC_OPTIONS, ...options };
+  const { scale } = settings;
+  const usable = samples.filter(sample => sample.total > 0);
+  const baseline = settings.baseline ? usable.slice(0, settings.baseline) : usable;
+  const totalCount = baseline.reduce((sum, sample) => sum + sample.count, 0);
+  const totalItems = baseline.reduce((sum, sample) => sum + sample.total, 0);
+  const pBar = totalItems > 0 ? totalCount / totalItems : null;
+
+  const points = samples.map(sample => {
+    const { label, count, total, ...rest } = sample;
+    if (!(total > 0) || pBar === null) {
+      return { ...rest, label, count, total, value: null, centerLine: pBar === null ? null : pBar * scale, ucl: null, lcl: null, sigma: null };
+    }
+    // Limits widen for periods with fewer items
+    const sigma = Math.sqrt(pBar * (1 - pBar) / total);
+    return {
+      ...rest,
+      label,
+      count,
+      total,
+      value: count / total * scale,
+      centerLine: pBar * scale,
+      ucl: Math.min(1, pBar + 3 * sigma) * scale,
+      lcl: Math.max(0, pBar - 3 * sigma) * scale,
+      sigma: sigma * scale
+    };
+  });
+
+  const violations = detectRuleViolations(points, settings);
+  return {
+    type: 'p',
+    centerLine: round(pBar === null ? null : pBar * scale),
+    // Limits for the average sample size; per-point limits are on the points
+    ucl: round(pBar === null || baseline.length === 0 ? null : Math.min(1, pBar + 3 * Math.sqrt(pBar * (1 - pBar) / (totalItems / baseline.length))) * scale),
+    lcl: round(pBar === null || baseline.length === 0 ? null : Math.max(0, pBar - 3 * Math.sqrt(pBar * (1 - pBar) / (totalItems / baseline.length))) * scale),
+    sigma: null,
+    points: tagPoints(points, violations),
+    violations: labelViolations(violations, points),
+    rangeChart: null,
+    insufficientData: usable.length < settings.minPoints
+  };
+};
+
+/**
+ * Individuals / moving-range chart (one value per lot or period, in order)
+ * @param {Array} samples - [{ label, value }] in time order
+ * @param {Object} options - DEFAULT_SPC_OPTIONS overrides
+ * @returns {Object} - Chart with the moving-range chart as rangeChart
+ */
+const calculateIndividualsChart = (samples = [], options = {}) => {
+  const settings = { ...DEFAULT_SPC_OPTIONS, ...options };
+  const usable = samples.filter(sample => isNumber(sample.value));
+  const movingRanges = usable.map((sample, i) => (i > 0 ? Math.abs(sample.value - usable[i - 1].value) : null));
+
+  const baseline = settings.baseline ? usable.slice(0, settings.baseline) : usable;
+  const centerLine = mean(baseline.map(sample => sample.value));
+  const mrBar = mean(movingRanges.slice(1, baseline.length));
+  // Sigma estimated from the average moving range (d2 = 1.128 for ranges of two)
+  const sigma = mrBar === null ? null : mrBar / D2[2];
+  const ucl = sigma === null ? null : centerLine + 3 * sigma;
+  const lcl = sigma === null ? null : centerLine - 3 * sigma;
+
+  const points = usable.map(({ label, value, ...rest }) => ({ ...rest, label, value, centerLine, ucl, lcl, sigma }));
+  const violations = detectRuleViolations(points, settings);
+
+  // Moving-range chart (D4 = 3.267): only rule 1 applies to ranges
+  const mrUcl = mrBar === null ? null : mrBar * (1 + 3 * D3[2] / D2[2]);
+  const rangePoints = usable.map((sample, i) => ({
+    label: sample.label,
+    value: movingRanges[i],
+    centerLine: mrBar,
+    ucl: mrUcl,
+    lcl: 0,
+    sigma: mrBar === null ? null : mrBar * D3[2] / D2[2]
+  }));
+  const rangeViolations = detectRuleViolations(rangePoints, { ...settings, rules: settings.rules.includes(1) ? [1] : [] });
+
+  return {
+    type: 'individuals',
+    centerLine: round(centerLine),
+    ucl: round(ucl),
+    lcl: round(lcl),
+    sigma: round(sigma),
+    points: tagPoints(points, violations),
+    violations: labelViolations(violations, points),
+    rangeChart: {
+      type: 'movingRange',
+      centerLine: round(mrBar),
+      ucl: round(mrUcl),
+      lcl: 0,
+      points: tagPoints(rangePoints, rangeViolations),
+      violations: labelViolations(rangeViolations, rangePoints)
+    },
+    insufficientData: usable.length < settings.minPoints
+  };
+};
+
+/**
+ * X-bar / R chart for subgroups of values (e.g. the cycle times of each month's lots)
+ * Subgroup sizes may vary: sigma is estimated as the average of R / d2(n), and each
+ * subgroup gets limits for its own size. Subgroups of one value have no range and
+ * are left out; subgroups larger than 25 use the constants for 25.
+ * @param {Array} subgroups - [{ label, values: [Number] }] in time order
+ * @param {Object} options - DEFAULT_SPC_OPTIONS overrides
+ * @returns {Object} - X-bar chart with the range chart as rangeChart
+ */
+const calculateXbarRChart = (subgroups = [], options = {}) => {
+  const settings = { ...DEFAULT_SPC_OPTIONS, ...options };
+  const usable = subgroups
+    .map(({ values = [], ...rest }) => {
+      const numeric = values.filter(isNumber);
+      return {
+        ...rest,
+        n: numeric.length,
+        mean: mean(numeric),
+        range: numeric.length > 0 ? Math.max(...numeric) - Math.min(...numeric) : null
+      };
+    })
+    .filter(subgroup => subgroup.n >= 2);
+
+  const baseline = settings.baseline ? usable.slice(0, settings.baseline) : usable;
+  const size = (n) => Math.min(n, MAX_SUBGROUP_SIZE);
+  // Grand mean weighted by subgroup size
+  const totalN = baseline.reduce((sum, subgroup) => sum + subgroup.n, 0);
+  const centerLine = totalN > 0 ? baseline.reduce((sum, subgroup) => sum + subgroup.mean * subgroup.n, 0) / totalN : null;
+  const sigma = mean(baseline.map(subgroup => subgroup.range / D2[size(subgroup.n)]));
+
+  const points = usable.map(({ label, n, mean: value, range, ...rest }) => {
+    const pointSigma = sigma === null ? null : sigma / Math.sqrt(n);
+    return {
+      ...rest,
+      label,
+      n,
+      value,
+      centerLine,
+      ucl: pointSigma === null ? null : centerLine + 3 * pointSigma,
+      lcl: pointSigma === null ? null : centerLine - 3 * pointSigma,
+      sigma: pointSigma
+    };
+  });
+  const violations = detectRuleViolations(points, settings);
+
+  // Range chart: centre d2 * sigma, limits d2 * sigma +/- 3 * d3 * sigma
+  const rangePoints = usable.map(subgroup => {
+    const n = size(subgroup.n);
+    return {
+      label: subgroup.label,
+      n: subgroup.n,
+      value: subgroup.range,
+      centerLine: sigma === null ? null : D2[n] * sigma,
+      ucl: sigma === null ? null : (D2[n] + 3 * D3[n]) * sigma,
+      lcl: sigma === null ? null : Math.max(0, (D2[n] - 3 * D3[n]) * sigma),
+      sigma: sigma === null ? null : D3[n] * sigma
+    };
+  });
+  const rangeViolations = detectRuleViolations(rangePoints, { ...settings, rules: settings.rules.includes(1) ? [1] : [] });
+
+  return {
+    type: 'xbar',
+    centerLine: round(centerLine),
+    ucl: null,
+    lcl: null,
+    sigma: round(sigma),
+    points: tagPoints(points, violations),
+    violations: labelViolations(violations, points),
+    rangeChart: {
+      type: 'range',
+      centerLine: null,
+      ucl: null,
+      lcl: null,
+      points: tagPoints(rangePoints, rangeViolations),
+      violations: labelViolations(rangeViolations, rangePoints)
+    },
+    insufficientData: usable.length < settings.minPoints
+  };
+};
+
+module.exports = {
+  SPC_RULES,
+  DEFAULT_SPC_OPTIONS,
+  detectRuleViolations,
+  calculatePChart,
+  calculateIndividualsChart,
+  calculateXbarRChart
+};
@@ -0,0 +1,185 @@
+const {
+  detectRuleViolations,
+  calculatePChart,
+  calculateIndividualsChart,
+  calculateXbarRChart
+} = require('./spc');
+
+// Points on a chart with centre line 0 and sigma 1, so values are z-scores
+const series = (values) => values.map(value => ({ value, centerLine: 0, sigma: 1 }));
+const flagged = (values, options) => detectRuleViolations(series(values), options)
+  .reduce((result, violation) => ({ ...result, [violation.rule]: violation.points }), {});
+
+describe('run rules', () => {
+  test('rule 1: a point beyond 3 sigma, not one on the limit', () => {
+    expect(flagged([0, 3, -3.2, 0.5], { rules: [1] })).toEqual({ 1: [2] });
+  });
+
+  test('rule 2: nine points on one side (Nelson), eight (Western Electric)', () => {
+    const eight = [0.5, 0.5, 0.5, 0.5, 0.5, 0.5, 0.5, 0.5];
+    expect(flagged(eight, { rules: [2] })).toEqual({});
+    expect(flagged([...eight, 0.5], { rules: [2] })).toEqual({ 2: [0, 1, 2, 3, 4, 5, 6, 7, 8] });
+    expect(flagged(eight, { rules: [2], runLength: 8 })).toEqual({ 2: [0, 1, 2, 3, 4, 5, 6, 7] });
+    expect(flagged([...eight.map(value => -value), 0.5], { rules: [2], runLength: 8 })).toEqual({ 2: [0, 1, 2, 3, 4, 5, 6, 7] });
+  });
+
+  test('rule 3: six points steadily increasing or decreasing, broken by a tie', () => {
+    expect(flagged([-1, -0.5, 0, 0.5, 1], { rules: [3] })).toEqual({});
+    expect(flagged([-1, -0.5, 0, 0.5, 1, 1.5], { rules: [3] })).toEqual({ 3: [0, 1, 2, 3, 4, 5] });
+    expect(flagged([1.5, 1, 0.5, 0, -0.5, -1, 0], { rules: [3] })).toEqual({ 3: [0, 1, 2, 3, 4, 5] });
+    expect(flagged([-1, -0.5, 0, 0, 0.5, 1], { rules: [3] })).toEqual({});
+  });
+
+  test('rule 4: fourteen points alternating up and down', () => {
+    const alternating = (length) => Array.from({ length }, (value, i) => (i % 2 === 0 ? 0.5 : -0.5));
+    expect(flagged(alternating(13), { rules: [4] })).toEqual({});
+    expect(flagged(alternating(14), { rules: [4] })[4]).toHaveLength(14);
+  });
+
+  test('rule 5: two of three beyond 2 sigma on the same side', () => {
+    expect(flagged([2.5, 0, 2.2], { rules: [5] })).toEqual({ 5: [0, 2] });
+    expect(flagged([2.5, 0, -2.2], { rules: [5] })).toEqual({});
+    expect(flagged([2.5, 0, 0, 2.2], { rules: [5] })).toEqual({});
+  });
+
+  test('rule 6: four of five beyond 1 sigma on the same side', () => {
+    expect(flagged([1.5, 1.5, 0, 1.5, 1.5], { rules: [6] })).toEqual({ 6: [0, 1, 3, 4] });
+    expect(flagged([-1.5, -1.5, 0, -1.5, 0], { rules: [6] })).toEqual({});
+  });
+
+  test('rule 7: fifteen points within 1 sigma', () => {
+    const hugging = (length) => Array.from({ length }, (value, i) => (i % 3 === 0 ? 0.2 : -0.3));
+    expect(flagged(hugging(14), { rules: [7] })).toEqual({});
+    expect(flagged(hugging(15), { rules: [7] })[7]).toHaveLength(15);
+  });
+
+  test('rule 8: eight points in a row, none within 1 sigma', () => {
+    const mixture = (length) => Array.from({ length }, (value, i) => (i % 2 === 0 ? 1.5 : -1.5));
+    expect(flagged(mixture(7), { rules: [8] })).toEqual({});
+    expect(flagged(mixture(8), { rules: [8] })).toEqual({ 8: [0, 1, 2, 3, 4, 5, 6, 7] });
+  });
+
+  test('skips points without a value or with zero sigma', () => {
+    const points = [
+      { value: 10, centerLine: 0, sigma: 0 },
+      { value: null, centerLine: 0, sigma: 1 },
+      { value: 5, centerLine: 0, sigma: 1 }
+    ];
+    expect(detectRuleViolations(points)).toEqual([
+      expect.objectContaining({ rule: 1, name: 'Beyond limits', points: [2] })
+    ]);
+  });
+});
+
+describe('p-chart', () => {
+  test('centres on the pooled rate with 3 sigma binomial limits per sample size', () => {
+    const chart = calculatePChart([
+      { label: 'Jan', count: 90, total: 100 },
+      { label: 'Feb', count: 80, total: 100 },
+      { label: 'Mar', count: 85, total: 100 }
+    ]);
+    expect(chart.centerLine).toBe(85);
+    expect(chart.ucl).toBeCloseTo(95.712, 3);
+    expect(chart.lcl).toBeCloseTo(74.288, 3);
+    expect(chart.points[0]).toMatchObject({ label: 'Jan', value: 90 });
+    expect(chart.insufficientData).toBe(true);
+  });
+
+  test('widens the limits of smaller samples', () => {
+    const chart = calculatePChart([
+      { label: 'Jan', count: 450, total: 500 },
+      { label: 'Feb', count: 45, total: 50 }
+    ]);
+    expect(chart.points[1].ucl - chart.points[1].lcl).toBeGreaterThan(chart.points[0].ucl - chart.points[0].lcl);
+  });
+
+  test('leaves periods without items unplotted', () => {
+    const chart = calculatePChart([{ label: 'Jan', count: 9, total: 10 }, { label: 'Feb', count: 0, total: 0 }]);
+    expect(chart.points[1]).toMatchObject({ value: null, ucl: null, lcl: null });
+  });
+
+  test('collapses the limits onto the centre line when every item passes', () => {
+    const chart = calculatePChart([{ label: 'Jan', count: 10, total: 10 }, { label: 'Feb', count: 20, total: 20 }]);
+    expect(chart).toMatchObject({ centerLine: 100, ucl: 100, lcl: 100, violations: [] });
+  });
+
+  test('has no centre line without samples', () => {
+    expect(calculatePChart([])).toMatchObject({ centerLine: null, ucl: null, lcl: null, points: [], insufficientData: true });
+  });
+});
+
+describe('individuals / moving-range chart', () => {
+  test('estimates sigma as the average moving range over d2 = 1.128', () => {
+    const chart = calculateIndividualsChart([10, 12, 11, 13, 12].map((value, i) => ({ label: `L${i}`, value })));
+    expect(chart.centerLine).toBe(11.6);
+    expect(chart.sigma).toBeCloseTo(1.5 / 1.128, 3);
+    // Textbook E2 = 2.66 and D4 = 3.267
+    expect(chart.ucl).toBeCloseTo(11.6 + 2.66 * 1.5, 2);
+    expect(chart.lcl).toBeCloseTo(11.6 - 2.66 * 1.5, 2);
+    expect(chart.rangeChart).toMatchObject({ centerLine: 1.5, lcl: 0 });
+    expect(chart.rangeChart.ucl).toBeCloseTo(3.267 * 1.5, 2);
+    expect(chart.rangeChart.points[0].value).toBeNull();
+  });
+
+  test('takes the limits from the baseline points', () => {
+    const chart = calculateIndividualsChart([10, 11, 10, 11, 30].map(value => ({ value })), { baseline: 4, rules: [1] });
+    expect(chart.centerLine).toBe(10.5);
+    expect(chart.violations).toEqual([expect.objectContaining({ rule: 1, points: [4] })]);
+    expect(chart.points[4]).toMatchObject({ outOfControl: true, violations: [1] });
+  });
+
+  test('flags nothing when every value is the same', () => {
+    const chart = calculateIndividualsChart([5, 5, 5, 5, 5, 5, 5, 5, 5, 5].map(value => ({ value })));
+    expect(chart).toMatchObject({ centerLine: 5, ucl: 5, lcl: 5, sigma: 0, violations: [], insufficientData: false });
+    expect(chart.rangeChart.violations).toEqual([]);
+  });
+
+  test('has no limits with a single value', () => {
+    const chart = calculateIndividualsChart([{ value: 7 }, { value: null }]);
+    expect(chart).toMatchObject({ centerLine: 7, ucl: null, lcl: null, sigma: null, insufficientData: true });
+    expect(chart.points).toHaveLength(1);
+  });
+});
+
+describe('X-bar / R chart', () => {
+  test('matches the A2, D3 and D4 table values for subgroups of five', () => {
+    const chart = calculateXbarRChart([
+      { label: 'Jan', values: [1, 2, 3, 4, 5] },
+      { label: 'Feb', values: [2, 3, 4, 5, 6] }
+    ]);
+    const rBar = 4;
+    expect(chart.centerLine).toBe(3.5);
+    expect(chart.points[0].ucl).toBeCloseTo(3.5 + 0.577 * rBar, 2);
+    expect(chart.points[0].lcl).toBeCloseTo(3.5 - 0.577 * rBar, 2);
+    expect(chart.rangeChart.points[0].centerLine).toBeCloseTo(rBar, 6);
+    expect(chart.rangeChart.points[0].ucl).toBeCloseTo(2.114 * rBar, 2);
+    expect(chart.rangeChart.points[0].lcl).toBe(0);
+  });
+
+  test('gives subgroups of seven a positive range chart lower limit (D3 = 0.076)', () => {
+    const chart = calculateXbarRChart([{ values: [1, 2, 3, 4, 5, 6, 7] }, { values: [2, 3, 4, 5, 6, 7, 8] }]);
+    expect(chart.rangeChart.points[0].lcl).toBeCloseTo(0.076 * 6, 2);
+  });
+
+  test('weights the grand mean by subgroup size and sets limits per subgroup', () => {
+    const chart = calculateXbarRChart([{ values: [1, 3] }, { values: [4, 5, 6, 7, 8, 9] }]);
+    expect(chart.centerLine).toBe(5.375);
+    expect(chart.points[0].ucl - chart.points[0].centerLine).toBeGreaterThan(chart.points[1].ucl - chart.points[1].centerLine);
+  });
+
+  test('leaves out subgroups with fewer than two values', () => {
+    const chart = calculateXbarRChart([{ label: 'Jan', values: [4] }, { label: 'Feb', values: [] }, { label: 'Mar', values: [1, 2, 'x'] }]);
+    expect(chart.points.map(point => point.label)).toEqual(['Mar']);
+    expect(chart.insufficientData).toBe(true);
+  });
+
+  test('has no limits without two-value subgroups', () => {
+    const chart = calculateXbarRChart([{ values: [4] }]);
+    expect(chart).toMatchObject({ centerLine: null, sigma: null, points: [], violations: [], insufficientData: true });
+  });
+
+  test('flags nothing when every subgroup is constant', () => {
+    const chart = calculateXbarRChart([{ values: [2, 2, 2] }, { values: [2, 2, 2] }, { values: [2, 2, 2] }]);
+    expect(chart).toMatchObject({ centerLine: 2, sigma: 0, violations: [] });
+  });
+});
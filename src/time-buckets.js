@@ -0,0 +1,209 @@
+/**
+ * Calendar bucketing for trend data
+ *
+ * Groups records into monthly, weekly (ISO week) or quarterly periods from
+ * their date field, fills empty periods and trims to a window of the most
+ * recent periods. Dates go through the shared date normalisation and all
+ * calculations use UTC, so a "YYYY-MM-DD" date never slips into the
+ * neighbouring period.
+ */
+
+const { parseDate } = require('./date-normalization');
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_TREND_OPTIONS = {
+  granularity: 'monthly',
+  window: 6,
+  fillGaps: true,
+  dateField: 'date',
+  endDate: null,
+  dateOptions: {}
+};
+
+/**
+ * ISO-8601 week-numbering year and week for a date
+ * @param {Date} date - Date to inspect
+ * @returns {Object} - { year, week }
+ */
+const getIsoWeek = (date) => {
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const dayNumber = target.getUTCDay() || 7;
+  target.setUTCDate(target.getUTCDate() + 4 - dayNumber);
+  const yearStart = new Date(Date.UTC(target.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((target - yearStart) / DAY_MS + 1) / 7);
+  return { year: target.getUTCFullYear(), week };
+};
+
+/**
+ * Period key for a date
+ * @param {Date} date - Date to bucket
+ * @param {String} granularity - 'monthly' | 'weekly' | 'quarterly'
+ * @returns {String} - "YYYY-MM", "YYYY-Www" or "YYYY-Qn"
+ */
+const getPeriodKey = (date, granularity = 'monthly') => {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+
+  switch (granularity) {
+    case 'weekly': {
+      const iso = getIsoWeek(date);
+      return `${iso.year}-W${String(iso.week).padStart(2, '0')}`;
+    }
+    case 'quarterly':
+      return `${year}-Q${Math.floor(month / 3) + 1}`;
+    default:
+      return `${year}-${String(month + 1).padStart(2, '0')}`;
+  }
+};
+
+/**
+ * First day (UTC) of the period identified by a key
+ * @param {String} key - Period key
+ * @param {String} granularity - 'monthly' | 'weekly' | 'quarterly'
+ * @returns {Date} - Start of the period
+ */
+const getPeriodStart = (key, granularity = 'monthly') => {
+  const year = parseInt(key.slice(0, 4), 10);
+
+  switch (granularity) {
+    case 'weekly': {
+      const week = parseInt(key.slice(6), 10);
+      const jan4 = new Date(Date.UTC(year, 0, 4));
+      const week1Monday = new Date(jan4.getTime() - ((jan4.getUTCDay() || 7) - 1) * DAY_MS);
+      return new Date(week1Monday.getTime() + (week - 1) * 7 * DAY_MS);
+    }
+    case 'quarterly':
+      return new Date(Date.UTC(year, (parseInt(key.slice(6), 10) - 1) * 3, 1));
+    default:
+      return new Date(Date.UTC(year, parseInt(key.slice(5), 10) - 1, 1));
+  }
+};
+
+/**
+ * Key of the period following the given one
+ * @param {String} key - Period key
+ * @param {String} granularity - 'monthly' | 'weekly' | 'quarterly'
+ * @returns {String} - Next period key
+ */
+const getNextPeriodKey = (key, granularity = 'monthly') => {
+  const start = getPeriodStart(key, granularity);
+
+  switch (granularity) {
+    case 'weekly':
+      return getPeriodKey(new Date(start.getTime() + 7 * DAY_MS), granularity);
+    case 'quarterly':
+      return getPeriodKey(new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 3, 1)), granularity);
+    default:
+      return getPeriodKey(new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1)), granularity);
+  }
+};
+
+/**
+ * Key of the period preceding the given one
+ * @param {String} key - Period key
+ * @param {String} granularity - 'monthly' | 'weekly' | 'quarterly'
+ * @returns {String} - Previous period key
+ */
+const getPreviousPeriodKey = (key, granularity = 'monthly') => {
+  const start = getPeriodStart(key, granularity);
+  return getPeriodKey(new Date(start.getTime() - DAY_MS), granularity);
+};
+
+/**
+ * Display label for a period key
+ * @param {String} key - Period key
+ * @param {String} granularity - 'monthly' | 'weekly' | 'quarterly'
+ * @returns {String} - e.g. "Jan 2024", "W05 2024", "Q1 2024"
+ */
+const getPeriodLabel = (key, granularity = 'monthly') => {
+  const year = key.slice(0, 4);
+
+  switch (granularity) {
+    case 'weekly':
+    case 'quarterly':
+      return `${key.slice(5)} ${year}`;
+    default:
+      return `${MONTH_NAMES[parseInt(key.slice(5), 10) - 1]} ${year}`;
+  }
+};
+
+/**
+ * Every period key from start to end inclusive
+ * @param {String} startKey - First period
+ * @param {String} endKey - Last period
+ * @param {String} granularity - 'monthly' | 'weekly' | 'quarterly'
+ * @returns {Array} - Ordered period keys
+ */
+const enumeratePeriods = (startKey, endKey, granularity = 'monthly') => {
+  const keys = [];
+  let key = startKey;
+
+  while (key <= endKey) {
+    keys.push(key);
+    key = getNextPeriodKey(key, granularity);
+  }
+
+  return keys;
+};
+
+/**
+ * Group records into calendar periods
+ * @param {Array} records - Records with a date field
+ * @param {Object} options - { granularity, window, fillGaps, dateField, endDate, dateOptions }
+ * @returns {Array} - Ordered { period, label, start, records } buckets
+ */
+const bucketRecords = (records, options = {}) => {
+  const { granularity, window, fillGaps, dateField, endDate, dateOptions } = { ...DEFAULT_TREND_OPTIONS, ...options };
+  const groups = {};
+
+  (records || []).forEach(record => {
+    const date = parseDate(record[dateField], dateOptions);
+    if (!date) return;
+
+    const key = getPeriodKey(date, granularity);
+    if (!groups[key]) groups[key] = [];
+    groups[key].push(record);
+  });
+
+  const presentKeys = Object.keys(groups).sort();
+  const end = parseDate(endDate, dateOptions);
+  const lastKey = end ? getPeriodKey(end, granularity) : presentKeys[presentKeys.length - 1];
+  if (!lastKey) return [];
+
+  let keys;
+  if (fillGaps) {
+    let firstKey = presentKeys[0] < lastKey ? presentKeys[0] : lastKey;
+    if (window) {
+      // Empty periods count toward the window too
+      firstKey = lastKey;
+      for (let i = 1; i < window; i++) {
+        firstKey = getPreviousPeriodKey(firstKey, granularity);
+      }
+    }
+    keys = enumeratePeriods(firstKey, lastKey, granularity);
+  } else {
+    keys = presentKeys.filter(key => key <= lastKey);
+    if (window) keys = keys.slice(-window);
+  }
+
+  return keys.map(key => ({
+    period: key,
+    label: getPeriodLabel(key, granularity),
+    start: getPeriodStart(key, granularity).toISOString().split('T')[0],
+    records: groups[key] || []
+  }));
+};
+
+module.exports = {
+  DEFAULT_TREND_OPTIONS,
+  getIsoWeek,
+  getPeriodKey,
+  getPeriodStart,
+  getNextPeriodKey,
+  getPreviousPeriodKey,
+  getPeriodLabel,
+  enumeratePeriods,
+  bucketRecords
+};
@@ -0,0 +1,98 @@
+const {
+  getIsoWeek,
+  getPeriodKey,
+  getPeriodStart,
+  getNextPeriodKey,
+  getPreviousPeriodKey,
+  getPeriodLabel,
+  enumeratePeriods,
+  bucketRecords
+} = require('./time-buckets');
+
+const day = (text) => new Date(`${text}T00:00:00Z`);
+
+describe('ISO weeks', () => {
+  test('number weeks across the year boundary', () => {
+    expect(getIsoWeek(day('2020-12-31'))).toEqual({ year: 2020, week: 53 });
+    expect(getIsoWeek(day('2021-01-03'))).toEqual({ year: 2020, week: 53 });
+    expect(getIsoWeek(day('2021-01-04'))).toEqual({ year: 2021, week: 1 });
+    expect(getIsoWeek(day('2018-12-31'))).toEqual({ year: 2019, week: 1 });
+    expect(getIsoWeek(day('2024-12-30'))).toEqual({ year: 2025, week: 1 });
+  });
+
+  test('start on the Monday of the week', () => {
+    expect(getPeriodStart('2020-W53', 'weekly').toISOString()).toBe('2020-12-28T00:00:00.000Z');
+    expect(getPeriodStart('2025-W01', 'weekly').toISOString()).toBe('2024-12-30T00:00:00.000Z');
+    expect(getPeriodStart('2024-W10', 'weekly').toISOString()).toBe('2024-03-04T00:00:00.000Z');
+  });
+
+  test('step over 52- and 53-week years', () => {
+    expect(getNextPeriodKey('2020-W53', 'weekly')).toBe('2021-W01');
+    expect(getNextPeriodKey('2021-W52', 'weekly')).toBe('2022-W01');
+    expect(getPreviousPeriodKey('2021-W01', 'weekly')).toBe('2020-W53');
+    expect(getPeriodLabel('2021-W05', 'weekly')).toBe('W05 2021');
+  });
+});
+
+describe('quarters and months', () => {
+  test('put quarter boundary days in the right quarter', () => {
+    expect(getPeriodKey(day('2024-03-31'), 'quarterly')).toBe('2024-Q1');
+    expect(getPeriodKey(day('2024-04-01'), 'quarterly')).toBe('2024-Q2');
+    expect(getPeriodKey(day('2024-12-31'), 'quarterly')).toBe('2024-Q4');
+    expect(getPeriodStart('2024-Q3', 'quarterly').toISOString()).toBe('2024-07-01T00:00:00.000Z');
+  });
+
+  test('step across the year boundary', () => {
+    expect(getNextPeriodKey('2024-Q4', 'quarterly')).toBe('2025-Q1');
+    expect(getPreviousPeriodKey('2024-Q1', 'quarterly')).toBe('2023-Q4');
+    expect(getNextPeriodKey('2024-12')).toBe('2025-01');
+    expect(getPreviousPeriodKey('2024-01')).toBe('2023-12');
+    expect(getPeriodLabel('2024-02')).toBe('Feb 2024');
+  });
+
+  test('enumerate every period between two keys', () => {
+    expect(enumeratePeriods('2023-Q3', '2024-Q2', 'quarterly')).toEqual(['2023-Q3', '2023-Q4', '2024-Q1', '2024-Q2']);
+    expect(enumeratePeriods('2020-W52', '2021-W02', 'weekly')).toEqual(['2020-W52', '2020-W53', '2021-W01', '2021-W02']);
+  });
+});
+
+describe('bucketRecords', () => {
+  const records = [
+    { id: 1, date: '2024-01-15' },
+    { id: 2, date: '31/01/2024' },
+    { id: 3, date: '2024-04-01' },
+    { id: 4, date: 'not a date' }
+  ];
+
+  test('fills empty periods and counts them toward the window', () => {
+    const buckets = bucketRecords(records, { window: 6 });
+    expect(buckets.map(bucket => bucket.period)).toEqual(['2023-11', '2023-12', '2024-01', '2024-02', '2024-03', '2024-04']);
+    expect(buckets.map(bucket => bucket.records.length)).toEqual([0, 0, 2, 0, 0, 1]);
+    expect(buckets[2]).toMatchObject({ label: 'Jan 2024', start: '2024-01-01' });
+  });
+
+  test('covers every period from the first record without a window', () => {
+    const buckets = bucketRecords(records, { window: null, granularity: 'quarterly' });
+    expect(buckets.map(bucket => [bucket.period, bucket.records.length])).toEqual([['2024-Q1', 2], ['2024-Q2', 1]]);
+  });
+
+  test('keeps only periods with records when gaps are not filled', () => {
+    const buckets = bucketRecords(records, { fillGaps: false, window: 6 });
+    expect(buckets.map(bucket => bucket.period)).toEqual(['2024-01', '2024-04']);
+  });
+
+  test('ends at endDate, leaving out later records', () => {
+    const buckets = bucketRecords(records, { window: 2, endDate: '2024-02-10' });
+    expect(buckets.map(bucket => [bucket.period, bucket.records.length])).toEqual([['2024-01', 2], ['2024-02', 0]]);
+  });
+
+  test('buckets by ISO week', () => {
+    const buckets = bucketRecords([{ date: '2021-01-03' }, { date: '2021-01-04' }], { granularity: 'weekly', window: 3 });
+    expect(buckets.map(bucket => [bucket.period, bucket.records.length])).toEqual([['2020-W52', 0], ['2020-W53', 1], ['2021-W01', 1]]);
+  });
+
+  test('returns no buckets without dated records', () => {
+    expect(bucketRecords([{ date: '' }])).toEqual([]);
+    expect(bucketRecords(null)).toEqual([]);
+  });
+});
@@ -8,7 +8,7 @@
  * @param {Number} decimals - Number of decimal places (default: 0)
  * @returns {String} - Formatted number
  */
-export const formatNumber = (number, decimals = 0) => {
+const formatNumber = (number, decimals = 0) => {
   if (number === null || number === undefined) return 'N/A';
   
   return number.toLocaleString('en-US', {
@@ -23,7 +23,7 @@ export const formatNumber = (number, decimals = 0) => {
  * @param {Number} decimals - Number of decimal places (default: 1)
  * @returns {String} - Formatted percentage
  */
-export const formatPercentage = (number, decimals = 1) => {
+const formatPercentage = (number, decimals = 1) => {
   if (number === null || number === undefined) return 'N/A';
   
   return number.toLocaleString('en-US', {
@@ -38,7 +38,7 @@ export const formatPercentage = (number, decimals = 1) => {
  * @param {Object} options - Formatting options
  * @returns {String} - Formatted date
  */
-export const formatDate = (date, options = {}) => {
+const formatDate = (date, options = {}) => {
   if (!date) return 'N/A';
   
   const dateObj = date instanceof Date ? date : new Date(date);
@@ -60,7 +60,7 @@ export const formatDate = (date, options = {}) => {
  * @param {Number} previous - Previous value
  * @returns {Number} - Percentage change
  */
-export const calculatePercentageChange = (current, previous) => {
+const calculatePercentageChange = (current, previous) => {
   if (previous === 0) return 0;
   return ((current - previous) / Math.abs(previous)) * 100;
 };
@@ -71,7 +71,7 @@ export const calculatePercentageChange = (current, previous) => {
  * @param {Number} period - Period for moving average
  * @returns {Array} - Moving averages
  */
-export const calculateMovingAverage = (data, period = 3) => {
+const calculateMovingAverage = (data, period = 3) => {
   const result = [];
   
   for (let i = 0; i < data.length; i++) {
@@ -97,7 +97,7 @@ export const calculateMovingAverage = (data, period = 3) => {
  * @param {Array} headers - Array of column headers
  * @param {String} filename - Filename for the CSV
  */
-export const exportToCSV = (data, headers, filename = 'export.csv') => {
+const exportToCSV = (data, headers, filename = 'export.csv') => {
   // Create header row
   const headerRow = headers.map(h => `"${h.text}"`).join(',');
   
@@ -131,7 +131,7 @@ export const exportToCSV = (data, headers, filename = 'export.csv') => {
  * @param {Array} data - Array of numeric values
  * @returns {Object} - Statistics
  */
-export const calculateStatistics = (data) => {
+const calculateStatistics = (data) => {
   if (!data || data.length === 0) {
     return {
       min: 0,
@@ -202,7 +202,7 @@ export const calculateStatistics = (data) => {
  * @param {String} field - Field to group by
  * @returns {Object} - Grouped data
  */
-export const groupBy = (data, field) => {
+const groupBy = (data, field) => {
   return data.reduce((groups, item) => {
     const key = item[field];
     if (!groups[key]) {
@@ -218,7 +218,7 @@ export const groupBy = (data, field) => {
  * @param {Array} data - Array of objects with name and value properties
  * @returns {Array} - Data with cumulative values and percentages
  */
-export const calculateParetoData = (data) => {
+const calculateParetoData = (data) => {
   // Sort data by value in descending order
   const sortedData = [...data].sort((a, b) => b.value - a.value);
   
@@ -243,7 +243,7 @@ export const calculateParetoData = (data) => {
   });
 };
 
-export default {
+module.exports = {
   formatNumber,
   formatPercentage,
   formatDate,
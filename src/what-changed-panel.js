@@ -0,0 +1,142 @@
+import React from 'react';
+import { useDataContext } from './DataContext.js';
+import SnapshotPicker from './snapshot-picker.js';
+
+const MAX_LIST_ITEMS = 8;
+
+const formatTimestamp = (value) => {
+  if (!value) return 'unknown';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? String(value) : date.toLocaleString();
+};
+
+const formatDelta = (delta) => (delta > 0 ? `+${delta}` : String(delta));
+
+// Comma separated list with a "+N more" tail
+const shortList = (items) => `${items.slice(0, MAX_LIST_ITEMS).join(', ')}${items.length > MAX_LIST_ITEMS ? ` +${items.length - MAX_LIST_ITEMS} more` : ''}`;
+
+const WhatChangedPanel = () => {
+  // Get data freshness and the change report from context
+  const { data, lastUpdated, changes, isPolling, pollInterval } = useDataContext();
+  const [isOpen, setIsOpen] = React.useState(false);
+
+  // Colors from Novo Nordisk spec
+  const colors = {
+    primary: '#db0032', // Novo Nordisk Red
+    secondary: '#0066a4', // Complementary Blue
+    success: '#00843d', // Green
+    danger: '#c8102e', // Red for alerts
+    neutral: '#6c757d' // Light Text
+  };
+
+  if (!data) return null;
+
+  const changedKpis = changes ? changes.kpis.filter(kpi => kpi.before !== kpi.after) : [];
+  const sources = changes ? Object.values(changes.sources) : [];
+  const statusChanges = sources.flatMap(source => source.lots.statusChanged.map(change => ({ ...change, source: source.label })));
+  const newCategories = sources.filter(source => source.categories.appeared.length > 0);
+  const changeCount = changes
+    ? changedKpis.length + changes.lots.added.length + statusChanges.length + newCategories.length
+    : 0;
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4 mb-4">
+      <div className="flex flex-wrap justify-between items-center gap-2">
+        <div className="text-sm text-gray-600">
+          Data last updated <span className="font-medium text-gray-800">{formatTimestamp(data.lastUpdated || lastUpdated)}</span>
+          {data.dataVersion && <span className="ml-2 text-xs">v{data.dataVersion}</span>}
+          {isPolling && (
+            <span className="ml-2 text-xs">· checks for updates every {Math.max(1, Math.round(pollInterval / 60000))} min</span>
+          )}
+        </div>
+
+        <SnapshotPicker />
+
+        {changes && (
+          <button
+            onClick={() => setIsOpen(open => !open)}
+            className="px-3 py-1 text-sm rounded border border-gray-300 hover:bg-gray-50"
+            aria-expanded={isOpen}
+          >
+            What changed
+            <span
+              className="ml-2 px-2 rounded-full text-xs text-white"
+              style={{ backgroundColor: changes.hasChanges ? colors.secondary : colors.neutral }}
+            >
+              {changes.hasChanges ? changeCount : 'none'}
+            </span>
+          </button>
+        )}
+      </div>
+
+      {changes && isOpen && (
+        <div className="mt-3 border-t pt-3 text-sm">
+          <p className="text-gray-600 mb-3">
+            Compared with the data of {formatTimestamp(changes.before.lastUpdated)}.
+          </p>
+
+          {!changes.hasChanges && <p className="text-gray-600">No changes in records, lots or KPIs.</p>}
+
+          {changedKpis.length > 0 && (
+            <div className="mb-3">
+              <h3 className="font-semibold mb-1">KPIs</h3>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                {changedKpis.map(kpi => (
+                  <div key={kpi.key} className="bg-gray-50 rounded p-2">
+                    <p className="text-xs text-gray-500">{kpi.label}</p>
+                    <p>
+                      {kpi.before ?? '-'} → <span className="font-medium">{kpi.after ?? '-'}</span>
+                      {kpi.delta !== null && (
+                        <span className="ml-1 text-xs" style={{ color: kpi.delta >= 0 ? colors.success : colors.danger }}>
+                          ({formatDelta(kpi.delta)})
+                        </span>
+                      )}
+                    </p>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {changes.lots.added.length > 0 && (
+            <p className="mb-2"><span className="font-semibold">New lots ({changes.lots.added.length}):</span> {shortList(changes.lots.added)}</p>
+          )}
+          {changes.lots.removed.length > 0 && (
+            <p className="mb-2"><span className="font-semibold">Lots no longer present ({changes.lots.removed.length}):</span> {shortList(changes.lots.removed)}</p>
+          )}
+
+          {statusChanges.length > 0 && (
+            <div className="mb-3">
+              <h3 className="font-semibold mb-1">Status changes ({statusChanges.length})</h3>
+              <ul>
+                {statusChanges.slice(0, MAX_LIST_ITEMS).map(change => (
+                  <li key={`${change.source}-${change.lot}`}>
+                    <span className="font-medium">{change.lot}</span> ({change.source}): {change.before || '-'} → {change.after || '-'}
+                  </li>
+                ))}
+                {statusChanges.length > MAX_LIST_ITEMS && (
+                  <li className="text-gray-500">+{statusChanges.length - MAX_LIST_ITEMS} more</li>
+                )}
+              </ul>
+            </div>
+          )}
+
+          {newCategories.map(source => (
+            <p key={source.label} className="mb-2">
+              <span className="font-semibold">New {source.label} categories:</span>{' '}
+              {shortList(source.categories.appeared.map(({ value, count }) => `${value} (${count})`))}
+            </p>
+          ))}
+
+          {changes.hasChanges && (
+            <p className="text-xs text-gray-500 mt-2">
+              Records: {sources.map(source => `${source.label} +${source.records.counts.added} / -${source.records.counts.removed} / ~${source.records.counts.changed}`).join(' · ')}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WhatChangedPanel;
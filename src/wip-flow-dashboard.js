@@ -0,0 +1,282 @@
+import React from 'react';
+import { AreaChart, Area, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { useDataContext } from './DataContext.js';
+
+const WipFlowDashboard = () => {
+  const { data, isLoading, error } = useDataContext();
+
+  // Colors from Novo Nordisk spec
+  const colors = {
+    primary: '#db0032', // Novo Nordisk Red
+    secondary: '#0066a4', // Complementary Blue
+    tertiary: '#00a0af', // Teal
+    success: '#00843d', // Green
+    warning: '#ffc72c', // Yellow
+    danger: '#c8102e', // Dark Red
+    neutral: '#6c757d', // Gray
+    chartColors: ['#0066a4', '#00a0af', '#db0032', '#00843d', '#ffc72c', '#6c757d', '#c8102e']
+  };
+
+  const flow = data?.processMetrics?.flow;
+
+  const show = (value) => (value === null || value === undefined ? '-' : value);
+
+  // Components
+
+  // KPI card
+  const KpiCard = ({ label, value, suffix = '', note = null, highlight = false }) => (
+    <div className="bg-gray-50 p-3 rounded">
+      <div className="text-sm text-gray-500">{label}</div>
+      <div className={`text-2xl font-bold ${highlight ? 'text-red-600' : ''}`}>
+        {value === null || value === undefined ? 'N/A' : `${value}${suffix}`}
+      </div>
+      {note && <div className="text-xs text-gray-500">{note}</div>}
+    </div>
+  );
+
+  // Table header cell
+  const HeaderCell = ({ label, align = 'left' }) => (
+    <th scope="col" className={`px-6 py-3 text-${align} text-xs font-medium text-gray-500 uppercase tracking-wider`}>
+      {label}
+    </th>
+  );
+
+  // Stages queuing faster than they clear
+  const AlertList = () => {
+    if (flow.alerts.length === 0) {
+      return (
+        <div className="p-3 rounded mb-6 text-sm" style={{ backgroundColor: '#e6f3ec', color: colors.success }}>
+          No stage queue is growing faster than it clears
+        </div>
+      );
+    }
+
+    return (
+      <div className="space-y-2 mb-6">
+        {flow.alerts.map(alert => (
+          <div
+            key={alert.stage}
+            className="p-3 rounded border-l-4 bg-gray-50 text-sm"
+            style={{ borderColor: alert.severity === 'high' ? colors.danger : colors.warning }}
+          >
+            <span className="font-medium">{alert.stage}{alert.owner ? ` (${alert.owner})` : ''}:</span>{' '}
+            {alert.message}. {alert.currentWip} lots in or waiting for the stage now.
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  // Daily WIP per stage, stacked
+  const WipChart = () => {
+    const stages = flow.stages.filter(stage => flow.dailyWip.some(day => day[stage.stage] > 0));
+    if (stages.length === 0) {
+      return <div className="p-4 bg-gray-50 rounded">No work in progress in this period</div>;
+    }
+
+    return (
+      <div className="h-72">
+        <ResponsiveContainer width="100%" height="100%">
+          <AreaChart data={flow.dailyWip} margin={{ top: 10, right: 30, left: 0, bottom: 10 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="date" minTickGap={20} />
+            <YAxis allowDecimals={false} />
+            <Tooltip />
+            <Legend />
+            {stages.map((stage, index) => (
+              <Area
+                key={stage.stage}
+                type="stepAfter"
+                dataKey={stage.stage}
+                stackId="wip"
+                stroke={colors.chartColors[index % colors.chartColors.length]}
+                fill={colors.chartColors[index % colors.chartColors.length]}
+                fillOpacity={0.6}
+                isAnimationActive={false}
+              />
+            ))}
+          </AreaChart>
+        </ResponsiveContainer>
+      </div>
+    );
+  };
+
+  // Lots started and completed per week
+  const ThroughputChart = () => (
+    <div className="h-64">
+      <ResponsiveContainer width="100%" height="100%">
+        <BarChart data={flow.weeklyThroughput} margin={{ top: 10, right: 30, left: 0, bottom: 10 }}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="label" />
+          <YAxis allowDecimals={false} />
+          <Tooltip />
+          <Legend />
+          <Bar dataKey="started" name="Started" fill={colors.tertiary} />
+          <Bar dataKey="completed" name="Completed" fill={colors.secondary} />
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  );
+
+  // Little's law: observed WIP against throughput x lead time
+  const LittlesLawPanel = () => {
+    const law = flow.littlesLaw;
+    if (!law || law.predictedWip === null) {
+      return <div className="p-4 bg-gray-50 rounded">No completed lots in the period to check Little's law against</div>;
+    }
+
+    return (
+      <div className="text-sm text-gray-600 space-y-2">
+        <p>
+          Over the last {law.windowDays} days, {law.throughputPerDay} lots a day finished with an average lead time
+          of {law.avgLeadTime} days, so Little's law predicts <span className="font-semibold">{law.predictedWip}</span> lots
+          in progress. The observed average was <span className="font-semibold">{law.avgWip}</span>.
+        </p>
+        <p style={{ color: law.holds ? colors.success : colors.danger }}>
+          {law.holds
+            ? `Within ${Math.abs(law.deviation)}%: the process is flowing at a steady rate.`
+            : law.deviation > 0
+              ? `WIP is ${law.deviation}% above prediction: lots are accumulating faster than they finish.`
+              : `WIP is ${Math.abs(law.deviation)}% below prediction: the line is draining or lead times are rising.`}
+        </p>
+      </div>
+    );
+  };
+
+  // Per-stage WIP and rates
+  const StageTable = () => (
+    <div className="overflow-x-auto">
+      <table className="min-w-full divide-y divide-gray-200">
+        <thead className="bg-gray-50">
+          <tr>
+            <HeaderCell label="Stage" />
+            <HeaderCell label="Owner" />
+            <HeaderCell label="In Stage" align="right" />
+            <HeaderCell label="Queued" align="right" />
+            <HeaderCell label="Avg WIP" align="right" />
+            <HeaderCell label="In / Week" align="right" />
+            <HeaderCell label="Out / Week" align="right" />
+            <HeaderCell label="WIP Trend / Week" align="right" />
+            <HeaderCell label="Avg Days" align="right" />
+            <HeaderCell label="Days to Clear" align="right" />
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-200">
+          {flow.stages.map(stage => {
+            const alert = flow.alerts.find(item => item.stage === stage.stage);
+            return (
+              <tr key={stage.stage} className={alert ? 'bg-red-50' : ''}>
+                <td className="px-6 py-2 text-sm font-medium">{stage.stage}</td>
+                <td className="px-6 py-2 text-sm">{stage.owner}</td>
+                <td className="px-6 py-2 text-sm text-right">{stage.currentWip}</td>
+                <td className="px-6 py-2 text-sm text-right">{stage.currentQueued}</td>
+                <td className="px-6 py-2 text-sm text-right">{show(stage.avgWip)}</td>
+                <td className="px-6 py-2 text-sm text-right">{show(stage.entriesPerWeek)}</td>
+                <td className="px-6 py-2 text-sm text-right">{show(stage.exitsPerWeek)}</td>
+                <td className={`px-6 py-2 text-sm text-right ${stage.wipGrowthPerWeek > 0 ? 'text-red-600' : ''}`}>
+                  {stage.wipGrowthPerWeek > 0 ? '+' : ''}{show(stage.wipGrowthPerWeek)}
+                </td>
+                <td className="px-6 py-2 text-sm text-right">{show(stage.avgDaysInStage)}</td>
+                <td className="px-6 py-2 text-sm text-right">{show(stage.daysToClear)}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  if (isLoading || !data) {
+    return (
+      <div className="bg-white rounded-lg shadow p-4 text-center py-8">
+        <div className="animate-spin mx-auto mb-4 w-8 h-8 border-2 border-dashed rounded-full border-blue-500"></div>
+        <p className="text-gray-600">Loading WIP and flow data...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="bg-white rounded-lg shadow p-4 text-center py-8">
+        <div className="mx-auto mb-4 w-12 h-12 text-red-500">
+          <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-12 h-12">
+            <path strokeLinecap="round" strokeLinejoin="round" d="M12 9v3.75m9-.75a9 9 0 11-18 0 9 9 0 0118 0zm-9 3.75h.008v.008H12v-.008z" />
+          </svg>
+        </div>
+        <h3 className="text-lg font-medium text-red-600 mb-2">Error Loading Data</h3>
+        <p className="text-gray-600">{error}</p>
+      </div>
+    );
+  }
+
+  // Flow metrics come from dated stage events; older datasets have none
+  if (!flow || flow.dailyWip.length === 0) {
+    return (
+      <div className="bg-white rounded-lg shadow p-4 text-center py-8">
+        <h3 className="text-lg font-medium mb-2">No WIP Data</h3>
+        <p className="text-gray-600">
+          WIP and throughput need dated stage records in the Commercial Process workbook. Reprocess the
+          workbooks if this dataset was built before the WIP &amp; Flow tab was added.
+        </p>
+      </div>
+    );
+  }
+
+  const { summary, littlesLaw } = flow;
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="p-4 border-b">
+        <h2 className="text-xl font-semibold">WIP &amp; Flow</h2>
+        <p className="text-gray-500 text-sm">
+          Lots in and waiting for each stage, weekly throughput and lead time, as of {flow.asOf}
+        </p>
+      </div>
+
+      <div className="p-4">
+        {/* Summary */}
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+          <KpiCard label="Lots in Progress" value={summary.currentWip} note={`Average ${summary.avgWip}`} />
+          <KpiCard label="Throughput" value={summary.throughputPerWeek} suffix=" / week" />
+          <KpiCard label="Average Lead Time" value={summary.avgLeadTime} suffix=" days" />
+          <KpiCard
+            label="Little's Law Gap"
+            value={littlesLaw ? littlesLaw.deviation : null}
+            suffix="%"
+            note="Observed vs predicted WIP"
+            highlight={littlesLaw && littlesLaw.holds === false}
+          />
+        </div>
+
+        {/* Alerts */}
+        <AlertList />
+
+        {/* WIP build-up */}
+        <div className="bg-white p-4 rounded-lg shadow mb-6">
+          <h3 className="text-lg font-semibold mb-1">WIP by Stage</h3>
+          <p className="text-sm text-gray-500 mb-2">Lots in each stage or waiting to enter it, per day</p>
+          <WipChart />
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+          <div className="bg-white p-4 rounded-lg shadow">
+            <h3 className="text-lg font-semibold mb-2">Weekly Throughput</h3>
+            <ThroughputChart />
+          </div>
+          <div className="bg-white p-4 rounded-lg shadow">
+            <h3 className="text-lg font-semibold mb-2">Little's Law Check</h3>
+            <LittlesLawPanel />
+          </div>
+        </div>
+
+        {/* Stages */}
+        <div>
+          <h3 className="text-lg font-semibold mb-4">Stage Flow</h3>
+          <StageTable />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WipFlowDashboard;
@@ -0,0 +1,89 @@
+/**
+ * Workbook discovery for the Excel ingestion pipeline
+ *
+ * Expands file patterns such as "data/internal/*.xlsx" into workbook
+ * paths ("**" matches nested folders). Sheet selection lives in
+ * sheet-selection.js and is re-exported here.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { globToRegExp, selectSheets } = require('./sheet-selection');
+
+const GLOB_CHARS = /[*?]/;
+
+/**
+ * List files under a directory down to a maximum depth
+ * @param {String} dir - Directory to walk
+ * @param {Number} maxDepth - Levels to descend (Infinity for "**")
+ * @returns {Array} - Absolute file paths
+ */
+const walkFiles = (dir, maxDepth) => {
+  if (!fs.existsSync(dir)) return [];
+
+  const files = [];
+  fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+    if (entry.name.startsWith('.') || entry.name === 'node_modules') return;
+
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (maxDepth > 1) files.push(...walkFiles(fullPath, maxDepth - 1));
+    } else if (entry.isFile()) {
+      files.push(fullPath);
+    }
+  });
+
+  return files;
+};
+
+/**
+ * Expand one path or glob pattern into existing file paths
+ * @param {String} pattern - File path or glob pattern
+ * @param {String} cwd - Directory relative patterns resolve against
+ * @returns {Array} - Absolute file paths
+ */
+const expandPattern = (pattern, cwd = process.cwd()) => {
+  const absolute = path.resolve(cwd, pattern).split(path.sep).join('/');
+
+  if (!GLOB_CHARS.test(absolute)) {
+    return fs.existsSync(absolute) ? [path.resolve(absolute)] : [];
+  }
+
+  // Walk from the deepest directory that has no wildcards
+  const segments = absolute.split('/');
+  const firstGlob = segments.findIndex(segment => GLOB_CHARS.test(segment));
+  const baseDir = segments.slice(0, firstGlob).join('/') || '/';
+  const rest = segments.slice(firstGlob);
+  const maxDepth = rest.some(segment => segment.includes('**')) ? Infinity : rest.length;
+  const matcher = globToRegExp(absolute);
+
+  return walkFiles(baseDir, maxDepth)
+    .filter(file => matcher.test(file.split(path.sep).join('/')));
+};
+
+/**
+ * Find workbooks for a list of paths or glob patterns
+ * Excel lock files ("~$Book.xlsx") are skipped.
+ * @param {Array|String} patterns - Paths or glob patterns
+ * @param {Object} options - { cwd }
+ * @returns {Array} - Sorted, de-duplicated absolute workbook paths
+ */
+const discoverWorkbooks = (patterns, options = {}) => {
+  const list = Array.isArray(patterns) ? patterns : [patterns];
+  const found = new Set();
+
+  list.filter(Boolean).forEach(pattern => {
+    expandPattern(pattern, options.cwd).forEach(file => {
+      if (!path.basename(file).startsWith('~$')) found.add(file);
+    });
+  });
+
+  return Array.from(found).sort();
+};
+
+module.exports = {
+  globToRegExp,
+  expandPattern,
+  discoverWorkbooks,
+  selectSheets
+};
@@ -0,0 +1,204 @@
+import React from 'react';
+import { useDataContext } from './DataContext.js';
+import { workbookFileKey } from './data-sources';
+
+// Workbook slots shown as drop zones, one per pipeline source; without a workbook
+// for each required source the dashboard would show placeholder sections
+const UPLOAD_SLOTS = [
+  { source: 'internal', label: 'Internal RFT', hint: 'Internal RFT.xlsx', required: true },
+  { source: 'external', label: 'External RFT', hint: 'External RFT.xlsx', required: true },
+  { source: 'process', label: 'Commercial Process', hint: 'Commercial Process.xlsx', required: true },
+  { source: 'deviations', label: 'Deviations (optional)', hint: 'Deviations.xlsx or .csv' },
+  { source: 'qualifications', label: 'Equipment Qualification (optional)', hint: 'Equipment Qualification.xlsx or .csv' }
+];
+
+const emptySelection = () => Object.fromEntries(UPLOAD_SLOTS.map(slot => [slot.source, []]));
+
+const isWorkbook = (file) => /\.(xlsx|xlsm|xls|csv)$/i.test(file.name);
+
+// Pipeline stages reported by the worker while an upload is processed
+const STAGE_LABELS = {
+  parse: 'Reading workbooks',
+  internalRFT: 'Internal RFT',
+  externalRFT: 'External RFT',
+  commercialProcess: 'Commercial Process',
+  deviations: 'Deviations',
+  g7Performance: 'Equipment Qualification',
+  overview: 'Overview',
+  validation: 'Validating',
+  done: 'Finishing'
+};
+
+const describeProgress = (progress) => {
+  if (!progress) return 'Processing...';
+  const label = STAGE_LABELS[progress.stage] || progress.stage;
+  return progress.stage === 'parse' ? `${label} (${progress.completed}/${progress.total})...` : `${label}...`;
+};
+
+const WorkbookUpload = () => {
+  // Get data source controls from context
+  const { isLoading, fileStatus, progress, isSessionDataset, loadSessionDataset, clearSessionDataset } = useDataContext();
+
+  // Selected files per source, and the slot currently dragged over
+  const [selectedFiles, setSelectedFiles] = React.useState(emptySelection);
+  const [dragTarget, setDragTarget] = React.useState(null);
+  const [rejected, setRejected] = React.useState([]);
+
+  const totalSelected = Object.values(selectedFiles).reduce((sum, files) => sum + files.length, 0);
+  const missingRequired = UPLOAD_SLOTS.filter(slot => slot.required && selectedFiles[slot.source].length === 0);
+
+  // Colors from Novo Nordisk spec
+  const colors = {
+    primary: '#db0032', // Novo Nordisk Red
+    secondary: '#0066a4', // Complementary Blue
+    success: '#00843d', // Green
+    neutral: '#6c757d' // Light Text
+  };
+
+  const addFiles = (source, fileList) => {
+    const files = Array.from(fileList || []);
+    setRejected(files.filter(file => !isWorkbook(file)).map(file => file.name));
+    setSelectedFiles(prev => ({
+      ...prev,
+      [source]: [
+        ...prev[source].filter(existing => !files.some(file => file.name === existing.name)),
+        ...files.filter(isWorkbook)
+      ]
+    }));
+  };
+
+  const removeFile = (source, name) => {
+    setSelectedFiles(prev => ({
+      ...prev,
+      [source]: prev[source].filter(file => file.name !== name)
+    }));
+  };
+
+  const handleDrop = (source) => (event) => {
+    event.preventDefault();
+    setDragTarget(null);
+    addFiles(source, event.dataTransfer.files);
+  };
+
+  const handleDragOver = (source) => (event) => {
+    event.preventDefault();
+    if (dragTarget !== source) setDragTarget(source);
+  };
+
+  // Hand the workbooks to the DataProvider as a session dataset
+  const handleLoad = () => {
+    const files = [];
+    Object.entries(selectedFiles).forEach(([source, sourceFiles]) => {
+      sourceFiles.forEach(file => files.push({ file, source }));
+    });
+    loadSessionDataset({ type: 'workbook', files });
+  };
+
+  const handleReset = () => {
+    setSelectedFiles(emptySelection());
+    clearSessionDataset();
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4 mb-4">
+      <div className="flex justify-between items-center mb-3">
+        <div>
+          <h2 className="text-lg font-semibold">Upload Workbooks</h2>
+          <p className="text-sm text-gray-600">
+            Drop this week's exports to view them without a rebuild. Files are processed in your browser and are not uploaded anywhere.
+          </p>
+        </div>
+        {isSessionDataset && (
+          <button
+            onClick={handleReset}
+            className="px-3 py-1 text-sm rounded border border-gray-300 hover:bg-gray-50"
+          >
+            Back to published data
+          </button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+        {UPLOAD_SLOTS.map(slot => (
+          <div
+            key={slot.source}
+            onDrop={handleDrop(slot.source)}
+            onDragOver={handleDragOver(slot.source)}
+            onDragLeave={() => setDragTarget(null)}
+            className="border-2 border-dashed rounded-lg p-3 text-center"
+            style={{ borderColor: dragTarget === slot.source ? colors.secondary : '#d1d5db' }}
+          >
+            <p className="font-medium">{slot.label}</p>
+            <p className="text-xs text-gray-500 mb-2">e.g. {slot.hint}</p>
+            <label className="inline-block px-3 py-1 text-sm rounded cursor-pointer text-white" style={{ backgroundColor: colors.secondary }}>
+              Choose files
+              <input
+                type="file"
+                accept=".xlsx,.xlsm,.xls,.csv"
+                multiple
+                className="hidden"
+                onChange={(event) => {
+                  addFiles(slot.source, event.target.files);
+                  event.target.value = '';
+                }}
+              />
+            </label>
+
+            <ul className="mt-2 text-sm text-left">
+              {selectedFiles[slot.source].map(file => {
+                const status = fileStatus?.[workbookFileKey(slot.source, file.name)];
+                return (
+                  <li key={file.name} className="flex justify-between items-center py-1">
+                    <span className="truncate" title={file.name}>{file.name}</span>
+                    <span className="flex items-center gap-2">
+                      {status && (
+                        <span
+                          className="text-xs"
+                          style={{ color: status.status === 'error' ? colors.primary : status.loaded ? colors.success : colors.neutral }}
+                          title={status.error || ''}
+                        >
+                          {status.status}
+                        </span>
+                      )}
+                      <button
+                        onClick={() => removeFile(slot.source, file.name)}
+                        className="text-xs text-gray-500 hover:text-gray-800"
+                        aria-label={`Remove ${file.name}`}
+                      >
+                        ✕
+                      </button>
+                    </span>
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        ))}
+      </div>
+
+      {rejected.length > 0 && (
+        <p className="text-sm mt-2" style={{ color: colors.primary }}>
+          Skipped (not an Excel workbook or CSV file): {rejected.join(', ')}
+        </p>
+      )}
+
+      <div className="flex justify-end items-center gap-3 mt-3">
+        {totalSelected > 0 && missingRequired.length > 0 && (
+          <p className="text-sm" style={{ color: colors.primary }}>
+            Add a workbook for {missingRequired.map(slot => slot.label).join(', ')} to load
+          </p>
+        )}
+        <button
+          onClick={handleLoad}
+          disabled={totalSelected === 0 || missingRequired.length > 0 || isLoading}
+          className="px-4 py-2 rounded text-white disabled:opacity-50"
+          style={{ backgroundColor: colors.primary }}
+        >
+          {isLoading && isSessionDataset ? describeProgress(progress) : `Load ${totalSelected} workbook${totalSelected === 1 ? '' : 's'}`}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default WorkbookUpload;